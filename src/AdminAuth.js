@@ -0,0 +1,289 @@
+/**
+ * AdminAuth.gs
+ * Fail-closed admin authentication. An admin is either the signed-in Google
+ * user (Session.getActiveUser) or proves an allowed address with an emailed
+ * sign-in code; both end in a short-lived HMAC-signed admin session that every
+ * admin handler requires.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Session format: <kid>.<base64url payload>.<hex HMAC("ADMIN_SESSION|kid|payload")>
+ * with payload {e: email, sid, iat, exp} signed by the HMAC keyring.
+ * Apps Script cannot set cookies, so the console passes it as adminSession.
+ */
+
+var ADMIN_SESSION_DEFAULT_MINUTES = 30;
+var ADMIN_LOGIN_CODE_MINUTES = 10;
+var ADMIN_LOGIN_MAX_ATTEMPTS = 3;
+var ADMIN_LOGIN_CACHE_PREFIX = 'ADMINLOGIN_';
+var ADMIN_SESSION_REVOKED_PREFIX = 'ADMINSESS_REVOKED_';
+
+/**
+ * Whether an email may administer a brand, i.e. holds at least one role
+ * for it (see AdminRoles.gs). Nothing configured means no one.
+ * @param {string} email - Email to check
+ * @param {string} brand - Brand code
+ * @returns {boolean}
+ */
+function isAdminEmailAllowed_(email, brand) {
+  return getAdminRoles_(email, brand).length > 0;
+}
+
+/**
+ * Admin session lifetime from ADMIN_SESSION_MINUTES (5-480, default 30)
+ * @returns {number} Minutes
+ */
+function getAdminSessionMinutes_() {
+  var n = Number(PropertiesService.getScriptProperties().getProperty('ADMIN_SESSION_MINUTES') || ADMIN_SESSION_DEFAULT_MINUTES);
+  return n >= 5 && n <= 480 ? n : ADMIN_SESSION_DEFAULT_MINUTES;
+}
+
+/**
+ * Sign a new admin session
+ * @param {string} email - Admin email
+ * @returns {{ok:boolean, session?:string, expiresAt?:string, error?:string, code?:string}}
+ */
+function issueAdminSession_(email) {
+  var key = getActiveHmacKey_();
+  if (!key) return { ok: false, error: 'HMAC key not configured', code: 'NO_HMAC_KEY' };
+  var now = Date.now();
+  var payload = {
+    e: String(email || '').toLowerCase().trim(),
+    sid: secureRandomString_('abcdefghijklmnopqrstuvwxyz0123456789', 16),
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(now / 1000) + getAdminSessionMinutes_() * 60
+  };
+  var body = Utilities.base64EncodeWebSafe(JSON.stringify(payload)).replace(/[=]+$/, '');
+  var sig = computeHmac_(key.secret, 'ADMIN_SESSION|' + key.kid + '|' + body);
+  return { ok: true, session: key.kid + '.' + body + '.' + sig, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Verify an admin session
+ * @param {string} session - Session string
+ * @returns {{ok:boolean, email?:string, sid?:string, exp?:number, error?:string, code?:string}}
+ */
+function verifyAdminSession_(session) {
+  var parts = String(session || '').split('.');
+  if (parts.length !== 3) return { ok: false, error: 'Please sign in again.', code: 'INVALID_SESSION' };
+  var key = getHmacVerifyKey_(parts[0]);
+  if (!key || !constantTimeEquals_(parts[2], computeHmac_(key.secret, 'ADMIN_SESSION|' + parts[0] + '|' + parts[1]))) {
+    return { ok: false, error: 'Please sign in again.', code: 'INVALID_SESSION' };
+  }
+  var payload;
+  try {
+    payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[1])).getDataAsString());
+  } catch (e) {
+    return { ok: false, error: 'Please sign in again.', code: 'INVALID_SESSION' };
+  }
+  if (!payload || !payload.e || !(payload.exp > Date.now() / 1000)) {
+    return { ok: false, error: 'Your admin session has expired. Please sign in again.', code: 'SESSION_EXPIRED' };
+  }
+  if (CacheService.getScriptCache().get(ADMIN_SESSION_REVOKED_PREFIX + payload.sid)) {
+    return { ok: false, error: 'You have signed out. Please sign in again.', code: 'SESSION_REVOKED' };
+  }
+  return { ok: true, email: payload.e, sid: payload.sid, exp: payload.exp };
+}
+
+/**
+ * Email a sign-in code to an admin. Always answers the same way so the
+ * response does not reveal which addresses have admin access.
+ * @param {Object} params - { email, brand }
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, message?:string, error?:string, code?:string, retryAfterSeconds?:number}}
+ */
+function requestAdminLoginCode_(params, traceId) {
+  var email = String(params.email || '').toLowerCase().trim();
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var generic = { ok: true, message: 'If this address has admin access, a sign-in code is on its way.' };
+  if (!email || email.indexOf('@') === -1) return { ok: false, error: 'Enter your work email address.', code: 'MISSING_EMAIL' };
+
+  var rate = checkOtpRateLimit_('ADMIN', email, traceId, true);
+  if (!rate.ok) return rate;
+
+  if (!isAdminEmailAllowed_(email, brand)) {
+    logEvent_(traceId, brand, email, 'ADMIN_LOGIN_DENIED', { reason: 'NOT_ALLOWED' });
+    return generic;
+  }
+
+  var code = secureRandomString_(OTP_ALPHABETS.NUMERIC, 6);
+  var entry = { h: hashOtp_('admin-login|' + email, code), a: 0, x: Date.now() + ADMIN_LOGIN_CODE_MINUTES * 60 * 1000 };
+  CacheService.getScriptCache().put(ADMIN_LOGIN_CACHE_PREFIX + computeEmailHashHex_(email), JSON.stringify(entry), ADMIN_LOGIN_CODE_MINUTES * 60);
+
+  try {
+    MailApp.sendEmail({
+      to: email,
+      subject: 'CrewLife admin sign-in code',
+      body: 'Your CrewLife admin sign-in code is ' + code + '.\n\n' +
+        'It expires in ' + ADMIN_LOGIN_CODE_MINUTES + ' minutes. If you did not try to sign in, ignore this email.',
+      name: 'Crew Life at Sea'
+    });
+  } catch (e) {
+    logEvent_(traceId, brand, email, 'ADMIN_LOGIN_EMAIL_FAILED', { error: String(e) });
+    return { ok: false, error: 'Could not send the sign-in code. Please try again later.', code: 'EMAIL_FAILED' };
+  }
+  logEvent_(traceId, brand, email, 'ADMIN_LOGIN_CODE_SENT', {});
+  return generic;
+}
+
+/**
+ * Check an emailed sign-in code and start an admin session. The attempt
+ * counter is read and updated under the script lock so parallel guesses
+ * all count, and a wrong guess keeps the code's original expiry.
+ * @param {Object} params - { email, brand, code }
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, session?:string, expiresAt?:string, email?:string, error?:string, code?:string}}
+ */
+function verifyAdminLoginCode_(params, traceId) {
+  var email = String(params.email || '').toLowerCase().trim();
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var submitted = String(params.code || '').replace(/\s/g, '');
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    return { ok: false, error: 'The system is busy. Please try again in a few seconds.', code: 'BUSY' };
+  }
+  try {
+    var checked = checkAdminLoginCode_(email, brand, submitted, traceId);
+    if (!checked.ok) return checked;
+  } finally {
+    lock.releaseLock();
+  }
+
+  var session = issueAdminSession_(email);
+  if (!session.ok) return session;
+  logEvent_(traceId, brand, email, 'ADMIN_LOGIN_OK', { via: 'EMAIL_CODE' });
+  return { ok: true, session: session.session, expiresAt: session.expiresAt, email: email };
+}
+
+/**
+ * Compare a submitted sign-in code with the cached entry and count the
+ * attempt. Caller holds the script lock.
+ * @returns {{ok:boolean, error?:string, code?:string}}
+ */
+function checkAdminLoginCode_(email, brand, submitted, traceId) {
+  var cache = CacheService.getScriptCache();
+  var cacheKey = ADMIN_LOGIN_CACHE_PREFIX + computeEmailHashHex_(email);
+  var entry = null;
+  try {
+    entry = JSON.parse(cache.get(cacheKey) || 'null');
+  } catch (e) {}
+  var now = Date.now();
+  if (!entry || !(entry.x > now)) {
+    if (entry) cache.remove(cacheKey);
+    logEvent_(traceId, brand, email, 'ADMIN_LOGIN_FAILED', { reason: 'NO_CODE' });
+    return { ok: false, error: 'This code has expired. Request a new one.', code: 'CODE_EXPIRED' };
+  }
+
+  if (!verifyOtpHash_(entry.h, 'admin-login|' + email, submitted) || !isAdminEmailAllowed_(email, brand)) {
+    entry.a = (entry.a || 0) + 1;
+    logEvent_(traceId, brand, email, 'ADMIN_LOGIN_FAILED', { reason: 'BAD_CODE', attempts: entry.a });
+    if (entry.a >= ADMIN_LOGIN_MAX_ATTEMPTS) {
+      cache.remove(cacheKey);
+      return { ok: false, error: 'Too many attempts. Request a new code.', code: 'CODE_LOCKED' };
+    }
+    cache.put(cacheKey, JSON.stringify(entry), Math.max(1, Math.ceil((entry.x - now) / 1000)));
+    return { ok: false, error: 'Incorrect code. ' + (ADMIN_LOGIN_MAX_ATTEMPTS - entry.a) + ' attempt(s) remaining.', code: 'INVALID_CODE' };
+  }
+
+  cache.remove(cacheKey);
+  return { ok: true };
+}
+
+/**
+ * End an admin session before it expires
+ * @param {string} session - Session string
+ * @returns {{ok:boolean}}
+ */
+function revokeAdminSession_(session) {
+  var s = verifyAdminSession_(session);
+  if (s.ok) {
+    var ttl = Math.max(1, Math.min(21600, s.exp - Math.floor(Date.now() / 1000)));
+    CacheService.getScriptCache().put(ADMIN_SESSION_REVOKED_PREFIX + s.sid, '1', ttl);
+    logEvent_(generateTraceId_(), '', s.email, 'ADMIN_LOGOUT', {});
+  }
+  return { ok: true };
+}
+
+/**
+ * Admin sign-in page (email code form), or the brand picker when no brand
+ * is given. A session kept in the tab's sessionStorage opens the requested
+ * page through adminOpenPage instead of showing the form.
+ * @param {string} brand - Brand code ('' for the brand picker)
+ * @param {string} message - Notice shown above the form
+ * @returns {HtmlOutput}
+ */
+function serveAdminLogin_(brand, message) {
+  var brandInfo = brand ? getBrand_(brand) : null;
+  var template = HtmlService.createTemplateFromFile('AdminLogin');
+  template.brand = brand;
+  template.brandName = brandInfo ? brandInfo.name : (brand || 'CrewLife');
+  template.brands = getAllBrandCodes_().map(function(code) {
+    return { code: code, name: getBrand_(code).name };
+  });
+  template.message = message || '';
+  template.version = APP_VERSION;
+  return template.evaluate()
+    .setTitle('Admin Sign-in – ' + template.brandName)
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
+
+// ---------------------------------------------------------------------------
+// google.script.run entry points (AdminLogin / AdminConsole pages)
+// ---------------------------------------------------------------------------
+
+/**
+ * Email an admin sign-in code
+ * @param {Object} params - { email, brand }
+ * @returns {Object} Result
+ */
+function adminRequestLoginCode(params) {
+  return withLogBatch_(function() { return requestAdminLoginCode_(params || {}, generateTraceId_()); });
+}
+
+/**
+ * Exchange a sign-in code for an admin session
+ * @param {Object} params - { email, brand, code }
+ * @returns {Object} Result with session
+ */
+function adminVerifyLoginCode(params) {
+  return withLogBatch_(function() { return verifyAdminLoginCode_(params || {}, generateTraceId_()); });
+}
+
+/**
+ * Render the console or funnel page for an email-code session. Pages keep
+ * the session in sessionStorage and send it here, so it never travels in a
+ * link or the address bar.
+ * @param {Object} params - { adminSession, page: 'admin'|'funnel', brand, from, to, cl }
+ * @returns {{ok:boolean, html?:string, error?:string, code?:string}}
+ */
+function adminOpenPage(params) {
+  return withLogBatch_(function() {
+    params = params || {};
+    var brand = String(params.brand || '').toUpperCase().trim();
+    if (!params.adminSession) {
+      return { ok: false, error: 'Please sign in to continue.', code: 'LOGIN_REQUIRED' };
+    }
+    if (!isValidBrand_(brand)) {
+      return { ok: false, error: 'Brand not found: ' + brand, code: 'INVALID_BRAND' };
+    }
+    var accessCheck = checkAdminAccess_(brand, { adminSession: params.adminSession });
+    if (!accessCheck.ok) {
+      return { ok: false, error: accessCheck.error, code: accessCheck.code };
+    }
+
+    var query = { adminSession: params.adminSession, from: params.from, to: params.to, cl: params.cl };
+    var page = params.page === 'funnel'
+      ? serveFunnelDashboard_(brand, query, generateTraceId_())
+      : serveAdminConsole_(brand, query, generateTraceId_());
+    return { ok: true, html: page.getContent() };
+  });
+}
+
+/**
+ * Sign out
+ * @param {Object} params - { adminSession }
+ * @returns {{ok:boolean}}
+ */
+function adminLogout(params) {
+  return withLogBatch_(function() { return revokeAdminSession_((params || {}).adminSession); });
+}
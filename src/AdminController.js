@@ -4,6 +4,11 @@
  * CrewLife Interview Bookings Uniform Core
  */
 
+/**
+ * Access failures that the sign-in page can fix
+ */
+var ADMIN_LOGIN_CODES = ['LOGIN_REQUIRED', 'INVALID_SESSION', 'SESSION_EXPIRED', 'SESSION_REVOKED'];
+
 /**
  * Serve admin console page
  * @param {string} brand - Brand code
@@ -12,15 +17,30 @@
  * @returns {HtmlOutput}
  */
 function serveAdminConsole_(brand, params, traceId) {
+  // No brand yet: brand picker
+  if (!brand) {
+    return serveAdminLogin_('', '');
+  }
+  
   // Validate brand
   if (!isValidBrand_(brand)) {
     return serveErrorPage_('Invalid Brand', 'Brand not found: ' + brand, traceId);
   }
   
-  // Check access
-  var accessCheck = checkAdminAccess_(brand);
+  // Check access (no Google user and no session → email-code sign-in)
+  var accessCheck = checkAdminAccess_(brand, params);
   if (!accessCheck.ok) {
-    return serveErrorPage_('Access Denied', accessCheck.error, traceId);
+    return serveAdminAccessDenied_(brand, accessCheck, 'console', traceId);
+  }
+  
+  // Google-signed-in admins get a session here; email-code admins already have one
+  var adminSession = accessCheck.session;
+  if (!adminSession) {
+    var issued = issueAdminSession_(accessCheck.userEmail);
+    if (!issued.ok) {
+      return serveErrorPage_('Access Denied', 'Could not start an admin session: ' + issued.error, traceId);
+    }
+    adminSession = issued.session;
   }
   
   // Ensure config tabs exist
@@ -39,10 +59,13 @@ function serveAdminConsole_(brand, params, traceId) {
   template.jobs = JSON.stringify(jobs);
   template.recentLogs = JSON.stringify(recentLogs);
   template.userEmail = accessCheck.userEmail;
+  template.roles = accessCheck.roles.join(', ');
+  template.permissions = JSON.stringify(accessCheck.permissions);
+  template.adminSession = adminSession;
   template.version = APP_VERSION;
   template.safeMode = getConfig_().SAFE_MODE;
   
-  logEvent_(traceId, brand, accessCheck.userEmail, 'ADMIN_CONSOLE_VIEWED', {});
+  logEvent_(traceId, brand, accessCheck.userEmail, 'ADMIN_CONSOLE_VIEWED', { via: accessCheck.via });
   
   return template.evaluate()
     .setTitle('Admin Console – ' + brandInfo.name)
@@ -50,7 +73,26 @@ function serveAdminConsole_(brand, params, traceId) {
 }
 
 /**
- * Temporary: Return admin data as JSON for debugging client-side render issues.
+ * Page for a failed admin access check: the sign-in page when signing in can
+ * fix it, otherwise an error page. Never JSON, so nothing is exposed to
+ * unauthenticated callers.
+ * @param {string} brand - Brand code
+ * @param {Object} accessCheck - Failed checkAdminAccess_ result
+ * @param {string} page - Page that was requested (for the log)
+ * @param {string} traceId - Trace ID
+ * @returns {HtmlOutput}
+ */
+function serveAdminAccessDenied_(brand, accessCheck, page, traceId) {
+  logEvent_(traceId, brand, accessCheck.userEmail || '', 'ADMIN_ACCESS_DENIED', { page: page, code: accessCheck.code });
+  if (ADMIN_LOGIN_CODES.indexOf(accessCheck.code) !== -1) {
+    return serveAdminLogin_(brand, accessCheck.code === 'LOGIN_REQUIRED' ? '' : accessCheck.error);
+  }
+  return serveErrorPage_('Access Denied', accessCheck.error, traceId);
+}
+
+/**
+ * Admin data as JSON for debugging client-side render issues. Same access
+ * rules as the console; unauthenticated callers get the sign-in page.
  * @param {string} brand
  * @param {Object} params
  * @param {string} traceId
@@ -58,11 +100,11 @@ function serveAdminConsole_(brand, params, traceId) {
 function serveAdminData_(brand, params, traceId) {
   try {
     if (!isValidBrand_(brand)) {
-      return jsonResponse_({ ok: false, error: 'Invalid Brand: ' + brand });
+      return serveErrorPage_('Invalid Brand', 'Brand not found: ' + brand, traceId);
     }
-    var accessCheck = checkAdminAccess_(brand);
+    var accessCheck = checkAdminAccess_(brand, params);
     if (!accessCheck.ok) {
-      return jsonResponse_({ ok: false, error: accessCheck.error });
+      return serveAdminAccessDenied_(brand, accessCheck, 'admindata', traceId);
     }
 
     ensureConfigSheetTabs_();
@@ -80,73 +122,60 @@ function serveAdminData_(brand, params, traceId) {
       jobs: jobs,
       recentLogs: recentLogs,
       userEmail: accessCheck.userEmail,
+      roles: accessCheck.roles,
+      permissions: accessCheck.permissions,
       version: APP_VERSION,
       safeMode: cfg.SAFE_MODE
     });
   } catch (e) {
-    return jsonResponse_({ ok: false, error: String(e), stack: e.stack });
+    logEvent_(traceId, brand, '', 'ADMIN_DATA_ERROR', { error: String(e) });
+    return serveErrorPage_('System Error', 'Could not load admin data.', traceId);
   }
 }
 
 /**
- * Check admin access for a brand
+ * Check admin access for a brand. Fails closed: the admin session
+ * (params.adminSession) or signed-in Google user must hold a role for the
+ * brand (see AdminRoles.gs).
  * @param {string} brand - Brand code
- * @returns {Object} Access check result
+ * @param {Object=} params - Request parameters (adminSession)
+ * @returns {{ok:boolean, userEmail?:string, via?:string, session?:string, roles?:Array<string>, permissions?:Array<string>, error?:string, code?:string}}
  */
-function checkAdminAccess_(brand) {
+function checkAdminAccess_(brand, params) {
   try {
-    var user = Session.getActiveUser();
-    var email = user.getEmail();
-    
-    if (!email) {
-      // User not logged in or script running anonymously
-      return { ok: true, userEmail: 'anonymous', warning: 'User not authenticated' };
-    }
-    
-    var cfg = getConfig_();
-    
-    // Check workspace domain
-    if (cfg.WORKSPACE_DOMAIN) {
-      var domain = email.split('@')[1];
-      if (domain && domain.toLowerCase() === cfg.WORKSPACE_DOMAIN.toLowerCase()) {
-        return { ok: true, userEmail: email };
+    var session = params && params.adminSession ? String(params.adminSession) : '';
+    if (session) {
+      var verified = verifyAdminSession_(session);
+      if (!verified.ok) {
+        return { ok: false, error: verified.error, code: verified.code };
       }
-    }
-    
-    // Check global allowlist
-    if (cfg.ADMIN_ALLOWLIST && cfg.ADMIN_ALLOWLIST.length > 0) {
-      for (var i = 0; i < cfg.ADMIN_ALLOWLIST.length; i++) {
-        if (cfg.ADMIN_ALLOWLIST[i].toLowerCase().trim() === email.toLowerCase()) {
-          return { ok: true, userEmail: email };
-        }
+      // Re-checked on every request so removing an admin takes effect at once
+      var sessionRoles = getAdminRoles_(verified.email, brand);
+      if (!sessionRoles.length) {
+        return { ok: false, userEmail: verified.email, error: 'Access denied for: ' + verified.email, code: 'FORBIDDEN' };
       }
+      return { ok: true, userEmail: verified.email, via: 'SESSION', session: session, roles: sessionRoles, permissions: getAdminPermissions_(sessionRoles) };
     }
     
-    // Check brand-specific admin list
-    var brandConfig = getBrandConfigOverrides_(brand);
-    if (brandConfig.adminEmails && brandConfig.adminEmails.length > 0) {
-      for (var j = 0; j < brandConfig.adminEmails.length; j++) {
-        if (brandConfig.adminEmails[j].toLowerCase() === email.toLowerCase()) {
-          return { ok: true, userEmail: email };
-        }
-      }
+    var email = Session.getActiveUser().getEmail();
+    if (!email) {
+      return { ok: false, error: 'Please sign in to continue.', code: 'LOGIN_REQUIRED' };
     }
-    
-    // Default: allow if no restrictions configured
-    if (!cfg.ADMIN_ALLOWLIST || cfg.ADMIN_ALLOWLIST.length === 0) {
-      return { ok: true, userEmail: email, warning: 'No access restrictions configured' };
+    var roles = getAdminRoles_(email, brand);
+    if (!roles.length) {
+      return { ok: false, userEmail: email, error: 'Access denied for: ' + email, code: 'FORBIDDEN' };
     }
-    
-    return { ok: false, error: 'Access denied for: ' + email };
+    return { ok: true, userEmail: email.toLowerCase(), via: 'GOOGLE', roles: roles, permissions: getAdminPermissions_(roles) };
     
   } catch (e) {
     Logger.log('checkAdminAccess_ error: ' + e);
-    return { ok: true, userEmail: 'unknown', warning: 'Could not verify user' };
+    return { ok: false, error: 'Could not verify admin access. Please try again.', code: 'AUTH_ERROR' };
   }
 }
 
 /**
- * Handle admin POST actions
+ * Handle admin POST actions. Every action requires a valid admin session;
+ * the Google user alone is not enough here.
  * @param {Object} params - POST parameters
  * @param {string} traceId - Trace ID
  * @returns {HtmlOutput|TextOutput}
@@ -161,9 +190,12 @@ function handleAdminPost_(params, traceId) {
   }
   
   // Check access
-  var accessCheck = checkAdminAccess_(brand);
+  var accessCheck = params.adminSession
+    ? checkAdminAccess_(brand, params)
+    : { ok: false, error: 'Admin session required. Please sign in again.', code: 'LOGIN_REQUIRED' };
   if (!accessCheck.ok) {
-    return jsonResponse_({ ok: false, error: accessCheck.error });
+    logEvent_(traceId, brand, accessCheck.userEmail || '', 'ADMIN_ACCESS_DENIED', { action: action, code: accessCheck.code });
+    return jsonResponse_({ ok: false, error: accessCheck.error, code: accessCheck.code });
   }
   
   switch (action) {
@@ -175,11 +207,31 @@ function handleAdminPost_(params, traceId) {
       return handleReissue_(params, traceId, accessCheck.userEmail);
     case 'updateurl':
       return handleUpdateUrl_(params, traceId, accessCheck.userEmail);
+    case 'logs':
+      return handleRecentLogs_(params, traceId, accessCheck.userEmail);
+    case 'bulkpreview':
+      return handleBulkPreview_(params, traceId, accessCheck.userEmail);
+    case 'bulksend':
+      return handleBulkSend_(params, traceId, accessCheck.userEmail);
+    case 'bulkreport':
+      return handleBulkReport_(params, traceId, accessCheck.userEmail);
     default:
       return jsonResponse_({ ok: false, error: 'Unknown action: ' + action });
   }
 }
 
+/**
+ * Admin console entry point for google.script.run (private functions cannot
+ * be called from the page)
+ * @param {Object} params - { action, brand, adminSession, ... }
+ * @returns {Object} Parsed handler result
+ */
+function adminAction(params) {
+  return withLogBatch_(function() {
+    return JSON.parse(handleAdminPost_(params || {}, generateTraceId_()).getContent());
+  });
+}
+
 /**
  * Handle candidate lookup
  * @param {Object} params - Parameters
@@ -192,6 +244,11 @@ function handleLookup_(params, traceId, adminEmail) {
   var email = (params.email || '').trim();
   var textForEmail = (params.textForEmail || '').trim();
   
+  var permission = checkAdminPermission_(brand, adminEmail, 'lookup', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  
   if (!email) {
     return jsonResponse_({ ok: false, error: 'Email is required' });
   }
@@ -257,6 +314,11 @@ function handleSendInvite_(params, traceId, adminEmail) {
   var email = (params.email || '').trim();
   var textForEmail = (params.textForEmail || '').trim();
   
+  var permission = checkAdminPermission_(brand, adminEmail, 'send', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  
   if (!email) {
     return jsonResponse_({ ok: false, error: 'Email is required' });
   }
@@ -293,40 +355,27 @@ function handleSendInvite_(params, traceId, adminEmail) {
     });
   }
   
-  // Issue token
-  var tokenResult = issueToken_({
-    email: email,
-    textForEmail: textForEmail,
+  // Issue token and send email
+  var sent = issueAndSendInvite_({
     brand: brand,
-    clCode: clResolution.clCode,
-    issuedBy: adminEmail,
-    traceId: traceId
-  });
-  
-  if (!tokenResult.ok) {
-    return jsonResponse_({ ok: false, error: 'Failed to issue token' });
-  }
-  
-  // Send email
-  var emailResult = sendInviteEmail_({
     email: email,
-    brand: brand,
-    token: tokenResult.token,
     textForEmail: textForEmail,
-    clCode: clResolution.clCode,
-    recruiterName: clResolution.recruiterName,
+    clResolution: clResolution,
+    adminEmail: adminEmail,
     traceId: traceId,
-    isReissue: false
+    isReissue: false,
+    lang: getCandidateLang_(searchResult.candidate),
+    candidateName: getCandidateName_(searchResult.candidate)
   });
   
-  if (!emailResult.ok) {
-    return jsonResponse_({ ok: false, error: 'Token issued but email failed: ' + emailResult.error });
+  if (!sent.ok) {
+    return jsonResponse_({ ok: false, error: sent.error });
   }
   
   return jsonResponse_({
     ok: true,
     message: 'Invite sent successfully',
-    tokenExpiry: tokenResult.expiry,
+    tokenExpiry: sent.tokenExpiry,
     clCode: clResolution.clCode,
     recruiter: clResolution.recruiterName
   });
@@ -344,6 +393,11 @@ function handleReissue_(params, traceId, adminEmail) {
   var email = (params.email || '').trim();
   var textForEmail = (params.textForEmail || '').trim();
   
+  var permission = checkAdminPermission_(brand, adminEmail, 'reissue', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  
   if (!email || !textForEmail) {
     return jsonResponse_({ ok: false, error: 'Email and Text For Email are required' });
   }
@@ -365,43 +419,73 @@ function handleReissue_(params, traceId, adminEmail) {
   
   // Revoke existing active tokens
   var revokeResult = revokeActiveTokens_(email, brand, traceId, adminEmail);
+  if (!revokeResult.ok) {
+    return jsonResponse_({ ok: false, error: revokeResult.error });
+  }
   
-  // Issue new token
-  var tokenResult = issueToken_({
+  // Issue new token and send email
+  var sent = issueAndSendInvite_({
+    brand: brand,
     email: email,
     textForEmail: textForEmail,
-    brand: brand,
-    clCode: clResolution.clCode,
-    issuedBy: adminEmail,
-    traceId: traceId
+    clResolution: clResolution,
+    adminEmail: adminEmail,
+    traceId: traceId,
+    isReissue: true,
+    lang: getCandidateLang_(searchResult.candidate),
+    candidateName: getCandidateName_(searchResult.candidate)
+  });
+  
+  if (!sent.ok) {
+    return jsonResponse_({ ok: false, error: sent.error });
+  }
+  
+  return jsonResponse_({
+    ok: true,
+    message: 'New invite sent. ' + revokeResult.revokedCount + ' old token(s) revoked.',
+    revokedCount: revokeResult.revokedCount,
+    tokenExpiry: sent.tokenExpiry
+  });
+}
+
+/**
+ * Issue a token and email the invite (single, re-issue and bulk sends)
+ * @param {Object} params - { brand, email, textForEmail, clResolution, adminEmail, traceId, isReissue, lang, candidateName }
+ * @returns {{ok:boolean, tokenExpiry?:Date, error?:string, code?:string}}
+ */
+function issueAndSendInvite_(params) {
+  var tokenResult = issueToken_({
+    email: params.email,
+    textForEmail: params.textForEmail,
+    brand: params.brand,
+    clCode: params.clResolution.clCode,
+    issuedBy: params.adminEmail,
+    traceId: params.traceId
   });
   
   if (!tokenResult.ok) {
-    return jsonResponse_({ ok: false, error: 'Failed to issue new token' });
+    return { ok: false, error: params.isReissue ? 'Failed to issue new token' : 'Failed to issue token', code: 'TOKEN_FAILED' };
   }
   
-  // Send email
   var emailResult = sendInviteEmail_({
-    email: email,
-    brand: brand,
+    email: params.email,
+    brand: params.brand,
     token: tokenResult.token,
-    textForEmail: textForEmail,
-    clCode: clResolution.clCode,
-    recruiterName: clResolution.recruiterName,
-    traceId: traceId,
-    isReissue: true
+    textForEmail: params.textForEmail,
+    clCode: params.clResolution.clCode,
+    recruiterName: params.clResolution.recruiterName,
+    traceId: params.traceId,
+    isReissue: !!params.isReissue,
+    lang: params.lang,
+    candidateName: params.candidateName,
+    expiryHours: tokenResult.expiryHours
   });
   
   if (!emailResult.ok) {
-    return jsonResponse_({ ok: false, error: 'Token issued but email failed: ' + emailResult.error });
+    return { ok: false, error: 'Token issued but email failed: ' + emailResult.error, code: 'EMAIL_FAILED' };
   }
   
-  return jsonResponse_({
-    ok: true,
-    message: 'New invite sent. ' + revokeResult.revokedCount + ' old token(s) revoked.',
-    revokedCount: revokeResult.revokedCount,
-    tokenExpiry: tokenResult.expiry
-  });
+  return { ok: true, tokenExpiry: tokenResult.expiry };
 }
 
 /**
@@ -416,6 +500,11 @@ function handleUpdateUrl_(params, traceId, adminEmail) {
   var clCode = params.clCode;
   var newUrl = params.newUrl;
   
+  var permission = checkAdminPermission_(brand, adminEmail, 'updateurl', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  
   if (!clCode || !newUrl) {
     return jsonResponse_({ ok: false, error: 'CL Code and URL are required' });
   }
@@ -433,6 +522,25 @@ function handleUpdateUrl_(params, traceId, adminEmail) {
   return jsonResponse_(result);
 }
 
+/**
+ * Handle recent activity refresh
+ * @param {Object} params - Parameters
+ * @param {string} traceId - Trace ID
+ * @param {string} adminEmail - Admin email
+ * @returns {TextOutput}
+ */
+function handleRecentLogs_(params, traceId, adminEmail) {
+  var brand = params.brand;
+  
+  var permission = checkAdminPermission_(brand, adminEmail, 'lookup', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  
+  var limit = Math.min(Math.max(Number(params.limit) || 10, 1), 100);
+  return jsonResponse_({ ok: true, logs: getRecentLogs_(brand, limit) });
+}
+
 /**
  * Get recent logs for a brand
  * @param {string} brand - Brand code
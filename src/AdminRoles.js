@@ -0,0 +1,141 @@
+/**
+ * AdminRoles.gs
+ * Per-brand admin roles from the ADMIN_ROLES config tab. Each row grants one
+ * role to one email for one brand ("*" = every brand); a user may hold
+ * several roles and gets the union of their permissions.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Until ADMIN_ROLES has an active row, admins admitted by WORKSPACE_DOMAIN,
+ * ADMIN_ALLOWLIST or BRAND_CONFIG "Admin Emails" keep full rights
+ * (super-admin). Once any row exists, those admins without a row of their own
+ * are viewers.
+ */
+
+var ADMIN_ROLE_PERMISSIONS = {
+  'viewer': ['lookup'],
+  'sender': ['lookup', 'send'],
+  'reissuer': ['lookup', 'send', 'reissue'],
+  'config-editor': ['lookup', 'updateurl'],
+  'super-admin': ['lookup', 'send', 'reissue', 'updateurl']
+};
+
+/**
+ * Normalize a role name from the sheet ("Super Admin" → "super-admin")
+ * @param {string} role - Role as typed
+ * @returns {string} Role key, or '' when unknown
+ */
+function normalizeAdminRole_(role) {
+  var key = String(role || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+  return ADMIN_ROLE_PERMISSIONS.hasOwnProperty(key) ? key : '';
+}
+
+/**
+ * Read active ADMIN_ROLES rows
+ * @returns {Array<{email:string, brand:string, role:string}>} Rows with a known role
+ */
+function getAdminRoleRows_() {
+  var sheet = getConfigSheet_().getSheetByName('ADMIN_ROLES');
+  if (!sheet) return [];
+
+  var data = sheet.getDataRange().getValues();
+  if (data.length < 2) return [];
+
+  var headers = data[0];
+  var emailIdx = headers.indexOf('Email');
+  var brandIdx = headers.indexOf('Brand');
+  var roleIdx = headers.indexOf('Role');
+  var activeIdx = headers.indexOf('Active');
+  if (emailIdx === -1 || brandIdx === -1 || roleIdx === -1) return [];
+
+  var rows = [];
+  for (var i = 1; i < data.length; i++) {
+    var email = String(data[i][emailIdx] || '').toLowerCase().trim();
+    if (!email) continue;
+    if (activeIdx !== -1 && data[i][activeIdx] !== true && String(data[i][activeIdx]).toUpperCase() !== 'TRUE') continue;
+    var role = normalizeAdminRole_(data[i][roleIdx]);
+    if (!role) {
+      Logger.log('[getAdminRoleRows_] Unknown role on row %s: %s', i + 1, data[i][roleIdx]);
+      continue;
+    }
+    rows.push({ email: email, brand: String(data[i][brandIdx] || '').toUpperCase().trim(), role: role });
+  }
+  return rows;
+}
+
+/**
+ * Whether an email is an admin under the original rules (workspace domain,
+ * ADMIN_ALLOWLIST, BRAND_CONFIG "Admin Emails")
+ * @param {string} email - Lower-cased email
+ * @param {string} brand - Brand code
+ * @returns {boolean}
+ */
+function isListedAdminEmail_(email, brand) {
+  var cfg = getConfig_();
+  if (cfg.WORKSPACE_DOMAIN && email.split('@')[1] === String(cfg.WORKSPACE_DOMAIN).toLowerCase().trim()) {
+    return true;
+  }
+  for (var i = 0; i < (cfg.ADMIN_ALLOWLIST || []).length; i++) {
+    if (String(cfg.ADMIN_ALLOWLIST[i]).toLowerCase().trim() === email) return true;
+  }
+  var brandConfig = brand ? getBrandConfigOverrides_(brand) : {};
+  for (var j = 0; j < (brandConfig.adminEmails || []).length; j++) {
+    if (String(brandConfig.adminEmails[j]).toLowerCase() === email) return true;
+  }
+  return false;
+}
+
+/**
+ * Roles an email holds for a brand
+ * @param {string} email - Admin email
+ * @param {string} brand - Brand code
+ * @returns {Array<string>} Role keys (empty = not an admin)
+ */
+function getAdminRoles_(email, brand) {
+  email = String(email || '').toLowerCase().trim();
+  brand = String(brand || '').toUpperCase().trim();
+  if (!email || email.indexOf('@') === -1) return [];
+
+  var rows = getAdminRoleRows_();
+  var roles = [];
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i].email !== email) continue;
+    if (rows[i].brand !== brand && rows[i].brand !== '*') continue;
+    if (roles.indexOf(rows[i].role) === -1) roles.push(rows[i].role);
+  }
+  if (roles.length) return roles;
+
+  if (!isListedAdminEmail_(email, brand)) return [];
+  return rows.length ? ['viewer'] : ['super-admin'];
+}
+
+/**
+ * Permissions granted by a set of roles
+ * @param {Array<string>} roles - Role keys
+ * @returns {Array<string>} Actions (lookup, send, reissue, updateurl)
+ */
+function getAdminPermissions_(roles) {
+  var perms = [];
+  (roles || []).forEach(function(role) {
+    (ADMIN_ROLE_PERMISSIONS[role] || []).forEach(function(p) {
+      if (perms.indexOf(p) === -1) perms.push(p);
+    });
+  });
+  return perms;
+}
+
+/**
+ * Check that an admin may perform an action on a brand
+ * @param {string} brand - Brand code
+ * @param {string} adminEmail - Admin email
+ * @param {string} permission - Action (lookup, send, reissue, updateurl)
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, roles?:Array<string>, error?:string, code?:string}}
+ */
+function checkAdminPermission_(brand, adminEmail, permission, traceId) {
+  var roles = getAdminRoles_(adminEmail, brand);
+  if (getAdminPermissions_(roles).indexOf(permission) !== -1) {
+    return { ok: true, roles: roles };
+  }
+  logEvent_(traceId, brand, '', 'ADMIN_PERMISSION_DENIED', { admin: adminEmail, action: permission, roles: roles });
+  return { ok: false, error: 'Your role does not allow this action (' + permission + ').', code: 'PERMISSION_DENIED' };
+}
@@ -49,6 +49,12 @@ function setupWebApp() {
     Logger.log('✗ Authorization failed: ' + e);
   }
   
+  // Step 1b: OTP hash key (kept if it already exists)
+  Logger.log('Step 1b: Creating OTP hash key...');
+  var otpKeyRes = createOtpHashKey_();
+  results.otpHashKey = otpKeyRes;
+  Logger.log(otpKeyRes.ok ? '✓ OTP hash key ready' : '✗ OTP hash key: ' + otpKeyRes.error);
+  
   // Step 2: Set the web app URL to the known deployment
   Logger.log('Step 2: Setting web app URL...');
   var webAppUrl = 'https://script.google.com/macros/s/AKfycbx-IEEieMEvXPf0cXC_R_y6KKtWOMkA2nXJkU1mu8XlIMY7MnCn5eamrzjzvre0frZm0Q/exec';
@@ -195,6 +201,56 @@ function removeProcessSidewaysTrigger() {
   return { ok: true, removed: removed };
 }
 
+/**
+ * INSTALL SMARTSHEET WEBHOOKS for Sideways invites
+ * ---------------------------------------------------------------------------
+ * Registers one webhook per brand sheet (callback = this web app's /exec with
+ * action=smartsheetwebhook) and a one-minute trigger that drains the queued
+ * row IDs. Keep installProcessSidewaysTrigger as the reconciliation pass.
+ *
+ * Safe to run multiple times — previous webhooks and triggers are replaced.
+ */
+function installSidewaysWebhooks() {
+  var res = registerSidewaysWebhooks_();
+  if (!res.ok) {
+    Logger.log('installSidewaysWebhooks: ' + res.error);
+    return res;
+  }
+
+  var existing = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'processSidewaysWebhookQueue_') {
+      ScriptApp.deleteTrigger(existing[i]);
+    }
+  }
+  var trigger = ScriptApp.newTrigger('processSidewaysWebhookQueue_')
+    .timeBased()
+    .everyMinutes(1)
+    .create();
+
+  for (var r = 0; r < res.results.length; r++) {
+    var w = res.results[r];
+    Logger.log((w.ok ? '✅ ' : '❌ ') + w.brand + ' sheet ' + w.sheetId + ' webhook=' + (w.webhookId || '-') + ' status=' + (w.status || w.error));
+  }
+  Logger.log('✅ Trigger installed: processSidewaysWebhookQueue_ every minute (ID: ' + trigger.getUniqueId() + ')');
+  return { ok: true, webhooks: res.results, triggerId: trigger.getUniqueId() };
+}
+
+/**
+ * REMOVE the Sideways webhooks and the queue trigger (polling keeps running).
+ */
+function removeSidewaysWebhooks() {
+  var res = removeSidewaysWebhooks_();
+  var existing = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'processSidewaysWebhookQueue_') {
+      ScriptApp.deleteTrigger(existing[i]);
+    }
+  }
+  Logger.log('Removed ' + res.removed + ' Smartsheet webhook(s)');
+  return res;
+}
+
 /**
  * MANUAL RUNNER: Process Sideways for a single brand.
  *
@@ -223,11 +279,34 @@ function runSidewaysForBrand(brand, opts) {
   }
 
   Logger.log('runSidewaysForBrand: brand=%s limit=%s', b, workerOpts.limit === undefined ? '(none)' : workerOpts.limit);
-  var res = processSidewaysInvites_(workerOpts);
+  var res = withLogBatch_(function() { return processSidewaysInvites_(workerOpts); });
   Logger.log('runSidewaysForBrand: result=%s', JSON.stringify(res));
   return res;
 }
 
+/**
+ * MANUAL RUNNER: PREVIEW the next Sideways run for a brand (or all brands).
+ * Writes one line per Sideways row to the WORKER_PREVIEW tab — email, Text
+ * For Email, CL code, invite guard, would send and why — without creating
+ * tokens, sending email or updating Smartsheet.
+ *
+ * @param {string=} brand - e.g. ROYAL; blank for every brand
+ * @param {Object=} opts
+ * @param {number=} opts.limit - max Sideways rows, as for the live run
+ * @returns {Object} { ok, summary, rows, wouldSend, tab }
+ */
+function previewSidewaysInvites(brand, opts) {
+  opts = opts || {};
+  var workerOpts = {};
+  if (brand) workerOpts.brand = String(brand).toUpperCase().trim();
+  if (opts.limit !== undefined && opts.limit !== null && opts.limit !== '') {
+    workerOpts.limit = Number(opts.limit);
+  }
+  var res = withLogBatch_(function() { return previewSidewaysInvites_(workerOpts); });
+  Logger.log('previewSidewaysInvites: result=%s', JSON.stringify(res));
+  return res;
+}
+
 // Convenience helpers (always LIVE)
 function runSideways_ROYAL() {
   return runSidewaysForBrand('ROYAL');
@@ -281,3 +360,319 @@ function runSideways_SEACHEFS() {
 function runSidewaysLive_SEACHEFS() {
   return runSidewaysForBrand('SEACHEFS');
 }
+
+/**
+ * Rebuild the TOKENS lookup index (TokenRepository).
+ * Run after manually deleting, sorting or pasting rows in the TOKENS tab.
+ */
+function rebuildTokenIndex() {
+  invalidateTokenIndex_();
+  var repo = openTokenRepo_();
+  if (!repo) return { ok: false, error: 'TOKENS sheet missing' };
+  var index = loadTokenIndex_(repo, true);
+  Logger.log('✅ Token index rebuilt: rows=%s tokens=%s', index.lastRow - 1, Object.keys(index.tokens).length);
+  return { ok: true, rows: index.lastRow - 1, tokens: Object.keys(index.tokens).length };
+}
+
+/**
+ * INSTALL the nightly TOKENS archival trigger (archiveTerminalTokensScheduled_).
+ * Runs at ~03:00 script time zone; moves terminal rows older than
+ * TOKENS_ARCHIVE_AFTER_DAYS (default 30) into TOKENS_ARCHIVE_yyyy_MM tabs.
+ *
+ * Safe to run multiple times — removes any duplicate triggers first.
+ */
+function installTokenArchiveTrigger() {
+  removeTokenArchiveTrigger();
+  var trigger = ScriptApp.newTrigger('archiveTerminalTokensScheduled_')
+    .timeBased()
+    .everyDays(1)
+    .atHour(3)
+    .create();
+  Logger.log('✅ Trigger installed: archiveTerminalTokensScheduled_ daily at 03:00 (ID: ' + trigger.getUniqueId() + ')');
+  return { ok: true, triggerId: trigger.getUniqueId(), interval: 'daily 03:00' };
+}
+
+/**
+ * REMOVE the TOKENS archival trigger.
+ */
+function removeTokenArchiveTrigger() {
+  var existing = ScriptApp.getProjectTriggers();
+  var removed = 0;
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'archiveTerminalTokensScheduled_') {
+      ScriptApp.deleteTrigger(existing[i]);
+      removed++;
+    }
+  }
+  Logger.log('Removed ' + removed + ' trigger(s) for archiveTerminalTokensScheduled_');
+  return { ok: true, removed: removed };
+}
+
+/**
+ * MANUAL RUNNER: report what the archival job would move, without writing.
+ */
+function previewTokenArchive() {
+  var res = archiveTerminalTokens_({ dryRun: true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER: archive now (same as the nightly trigger).
+ */
+function runTokenArchive() {
+  var res = archiveTerminalTokens_({});
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * INSTALL the calendar booking detection trigger (syncCalendarBookingsScheduled_).
+ * Runs every 15 minutes; marks redirected tokens BOOKED when the candidate
+ * appears as a guest in the recruiter's calendar (BookingSync.gs).
+ *
+ * Safe to run multiple times — removes any duplicate triggers first.
+ */
+function installBookingSyncTrigger() {
+  removeBookingSyncTrigger();
+  var trigger = ScriptApp.newTrigger('syncCalendarBookingsScheduled_')
+    .timeBased()
+    .everyMinutes(15)
+    .create();
+  Logger.log('✅ Trigger installed: syncCalendarBookingsScheduled_ every 15 minutes (ID: ' + trigger.getUniqueId() + ')');
+  return { ok: true, triggerId: trigger.getUniqueId(), interval: '15 minutes' };
+}
+
+/**
+ * REMOVE the calendar booking detection trigger.
+ */
+function removeBookingSyncTrigger() {
+  var existing = ScriptApp.getProjectTriggers();
+  var removed = 0;
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'syncCalendarBookingsScheduled_') {
+      ScriptApp.deleteTrigger(existing[i]);
+      removed++;
+    }
+  }
+  Logger.log('Removed ' + removed + ' trigger(s) for syncCalendarBookingsScheduled_');
+  return { ok: true, removed: removed };
+}
+
+/**
+ * MANUAL RUNNER: list the bookings the sync would record, without writing.
+ */
+function previewBookingSync() {
+  var res = syncCalendarBookings_({ dryRun: true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER: detect bookings now (same as the trigger).
+ */
+function runBookingSync() {
+  var res = syncCalendarBookings_({});
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * INSTALL the expiry reminder trigger (sendExpiryRemindersScheduled_).
+ * Runs hourly; reminds candidates whose booking link expires within
+ * REMINDER_BEFORE_HOURS and has not been used (TokenReminder.gs).
+ *
+ * Safe to run multiple times — removes any duplicate triggers first.
+ */
+function installReminderTrigger() {
+  removeReminderTrigger();
+  var trigger = ScriptApp.newTrigger('sendExpiryRemindersScheduled_')
+    .timeBased()
+    .everyHours(1)
+    .create();
+  Logger.log('✅ Trigger installed: sendExpiryRemindersScheduled_ every hour (ID: ' + trigger.getUniqueId() + ')');
+  return { ok: true, triggerId: trigger.getUniqueId(), interval: '1 hour' };
+}
+
+/**
+ * REMOVE the expiry reminder trigger.
+ */
+function removeReminderTrigger() {
+  var existing = ScriptApp.getProjectTriggers();
+  var removed = 0;
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'sendExpiryRemindersScheduled_') {
+      ScriptApp.deleteTrigger(existing[i]);
+      removed++;
+    }
+  }
+  Logger.log('Removed ' + removed + ' trigger(s) for sendExpiryRemindersScheduled_');
+  return { ok: true, removed: removed };
+}
+
+/**
+ * MANUAL RUNNER: list the reminders the next run would send, without sending.
+ */
+function previewExpiryReminders() {
+  var res = sendExpiryReminders_({ dryRun: true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER: send due reminders now (same as the trigger).
+ */
+function runExpiryReminders() {
+  var res = sendExpiryReminders_({});
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * INSTALL the expiry sweep trigger (sweepExpiredTokensScheduled_).
+ * Runs hourly; marks open TOKENS rows past their Expiry as EXPIRED,
+ * resuming from where the last run stopped (TokenExpirySweep.gs).
+ *
+ * Safe to run multiple times — removes any duplicate triggers first.
+ */
+function installExpirySweepTrigger() {
+  removeExpirySweepTrigger();
+  var trigger = ScriptApp.newTrigger('sweepExpiredTokensScheduled_')
+    .timeBased()
+    .everyHours(1)
+    .create();
+  Logger.log('✅ Trigger installed: sweepExpiredTokensScheduled_ every hour (ID: ' + trigger.getUniqueId() + ')');
+  return { ok: true, triggerId: trigger.getUniqueId(), interval: '1 hour' };
+}
+
+/**
+ * REMOVE the expiry sweep trigger.
+ */
+function removeExpirySweepTrigger() {
+  var existing = ScriptApp.getProjectTriggers();
+  var removed = 0;
+  for (var i = 0; i < existing.length; i++) {
+    if (existing[i].getHandlerFunction() === 'sweepExpiredTokensScheduled_') {
+      ScriptApp.deleteTrigger(existing[i]);
+      removed++;
+    }
+  }
+  Logger.log('Removed ' + removed + ' trigger(s) for sweepExpiredTokensScheduled_');
+  return { ok: true, removed: removed };
+}
+
+/**
+ * MANUAL RUNNER: count the rows a full sweep would expire, without writing.
+ */
+function previewExpirySweep() {
+  var res = sweepExpiredTokens_({ dryRun: true, restart: true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER: sweep now, continuing from the stored cursor (same as the trigger).
+ */
+function runExpirySweep() {
+  var res = sweepExpiredTokens_({});
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * ONE-OFF SETUP: create the OTP_HASH_KEY Script Property that OTP codes are
+ * hashed with. Safe to re-run; an existing key is never replaced.
+ */
+function createOtpHashKey() {
+  var res = createOtpHashKey_();
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER: count the plain OTP codes still stored in TOKENS, without writing.
+ */
+function previewOtpHashMigration() {
+  var res = migrateOtpsToHashed_({ dryRun: true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * MANUAL RUNNER (one-off): replace plain OTP codes in TOKENS with salted hashes.
+ * Pending codes keep working; safe to re-run (hashed cells are skipped).
+ */
+function runOtpHashMigration() {
+  var res = migrateOtpsToHashed_({});
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * ROTATE the URL signing key: a new key signs from now on, the previous one
+ * stays verify-only so links already sent keep working. Also creates the
+ * first key on a fresh project. Re-run installSidewaysWebhooks afterwards.
+ */
+function rotateHmacKey() {
+  var res = rotateHmacKey_();
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * RETIRE a verify-only signing key once its links have expired
+ * (LINK_EXPIRY_DAYS after rotation). Pass force=true to retire it early,
+ * e.g. after a leak; links signed with it stop working immediately.
+ * @param {string} kid - Key ID from listHmacKeys
+ * @param {boolean=} force - Skip the outstanding-links check
+ */
+function retireHmacKey(kid, force) {
+  var res = retireHmacKey_(kid, { force: force === true });
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * List signing keys with status and dates (secrets are not shown).
+ */
+function listHmacKeys() {
+  var keys = describeHmacKeys_();
+  Logger.log(JSON.stringify(keys, null, 2));
+  return keys;
+}
+
+/**
+ * CREATE an API key for one calling integration. The secret is shown once in
+ * the execution log; store it in the caller and sign requests as described in
+ * ApiAuth.gs.
+ * @param {string} name - Integration name, e.g. "Smartsheet bridge"
+ * @param {string=} actions - Comma-separated actions (default: processsideways,generatesignedurl)
+ */
+function createApiKey(name, actions) {
+  var res = createApiKey_(name, actions ? String(actions).split(',') : null);
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * REVOKE an API key; its calls are rejected from now on.
+ * @param {string} keyId - Key ID from listApiKeys
+ */
+function revokeApiKey(keyId) {
+  var res = revokeApiKey_(keyId);
+  Logger.log(JSON.stringify(res, null, 2));
+  return res;
+}
+
+/**
+ * List API keys with their integration and actions (secrets are not shown).
+ */
+function listApiKeys() {
+  var keys = getApiKeys_();
+  var out = Object.keys(keys).map(function(id) {
+    var k = keys[id];
+    return { keyId: id, name: k.name, actions: k.actions, createdAt: k.createdAt, disabled: !!k.disabled };
+  });
+  Logger.log(JSON.stringify(out, null, 2));
+  return out;
+}
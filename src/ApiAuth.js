@@ -0,0 +1,183 @@
+/**
+ * ApiAuth.gs
+ * Signed requests for machine-to-machine doPost actions (processsideways,
+ * generatesignedurl). Each calling integration has its own API key in the
+ * API_KEYS Script Property, limited to the actions it may call.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Apps Script cannot read request headers, so the credentials travel as query
+ * parameters and the arguments as a JSON body:
+ *   POST <exec>?action=<action>&keyId=<id>&ts=<unix seconds>&nonce=<random>&sig=<hex>
+ *   sig = HMAC-SHA256(secret, "POST\n" + action + "\n" + keyId + "\n" + ts + "\n" + nonce + "\n" + body)
+ * Requests outside API_MAX_SKEW_SECONDS or reusing a nonce are refused, and
+ * every refusal is logged as API_REQUEST_REJECTED.
+ */
+
+var API_KEYS_PROP = 'API_KEYS';
+var API_MAX_SKEW_SECONDS = 300;
+var API_NONCE_CACHE_PREFIX = 'APINONCE_';
+var API_SIGNED_ACTIONS = ['processsideways', 'generatesignedurl'];
+
+/**
+ * Authenticate a signed doPost request
+ * @param {Object} e - doPost event
+ * @param {string} action - Lower-cased action
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, keyId?:string, integration?:string, body?:Object, error?:string, code?:string}}
+ */
+function authenticateApiRequest_(e, action, traceId) {
+  var params = e && e.parameter ? e.parameter : {};
+  var keyId = String(params.keyId || '').trim();
+  var ts = String(params.ts || '').trim();
+  var nonce = String(params.nonce || '').trim();
+  var sig = String(params.sig || '').toLowerCase().trim();
+  var body = e && e.postData && typeof e.postData.contents === 'string' ? e.postData.contents : '';
+
+  function reject(code, error) {
+    logEvent_(traceId, '', '', 'API_REQUEST_REJECTED', { action: action, keyId: keyId || null, reason: code });
+    return { ok: false, error: error, code: code };
+  }
+
+  if (!keyId || !ts || !nonce || !sig) {
+    return reject('MISSING_AUTH', 'Signed request required');
+  }
+  if (!/^[A-Za-z0-9_-]{16,64}$/.test(nonce)) {
+    return reject('BAD_NONCE', 'Invalid nonce');
+  }
+
+  var key = getApiKeys_()[keyId];
+  if (!key || key.disabled || !key.secret) {
+    return reject('UNKNOWN_KEY', 'Unauthorized');
+  }
+  if ((key.actions || []).indexOf(action) === -1) {
+    return reject('ACTION_NOT_ALLOWED', 'Unauthorized');
+  }
+
+  var skew = Math.abs(Math.floor(Date.now() / 1000) - Number(ts));
+  if (!/^\d+$/.test(ts) || skew > API_MAX_SKEW_SECONDS) {
+    return reject('STALE_REQUEST', 'Request timestamp outside the allowed window');
+  }
+
+  var expected = computeHmac_(key.secret, buildApiSigningString_(action, keyId, ts, nonce, body));
+  if (!constantTimeEquals_(sig, expected)) {
+    return reject('BAD_SIGNATURE', 'Unauthorized');
+  }
+
+  var parsed = {};
+  if (body) {
+    try {
+      parsed = JSON.parse(body);
+    } catch (err) {
+      return reject('BAD_BODY', 'Body must be JSON');
+    }
+    if (!parsed || typeof parsed !== 'object') return reject('BAD_BODY', 'Body must be a JSON object');
+  }
+
+  // Checked last so a forged request cannot burn a legitimate caller's nonce
+  var claim = claimApiNonce_(keyId, nonce);
+  if (!claim.ok) {
+    return reject(claim.code, claim.code === 'BUSY' ? 'Server busy, please retry' : 'Request already processed');
+  }
+
+  logEvent_(traceId, '', '', 'API_REQUEST_ACCEPTED', { action: action, keyId: keyId, integration: key.name || '' });
+  return { ok: true, keyId: keyId, integration: key.name || keyId, body: parsed };
+}
+
+/**
+ * Canonical string covered by the request signature
+ * @returns {string}
+ */
+function buildApiSigningString_(action, keyId, ts, nonce, body) {
+  return ['POST', action, keyId, ts, nonce, body || ''].join('\n');
+}
+
+/**
+ * Record a nonce for twice the skew window (any replay after that fails the
+ * timestamp check)
+ * @param {string} keyId - API key ID
+ * @param {string} nonce - Request nonce
+ * @returns {{ok:boolean, code?:string}} REPLAYED if already used, BUSY if the lock timed out
+ */
+function claimApiNonce_(keyId, nonce) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return { ok: false, code: 'BUSY' };
+  try {
+    var cache = CacheService.getScriptCache();
+    var cacheKey = API_NONCE_CACHE_PREFIX + keyId + '_' + nonce;
+    if (cache.get(cacheKey)) return { ok: false, code: 'REPLAYED' };
+    cache.put(cacheKey, '1', API_MAX_SKEW_SECONDS * 2);
+    return { ok: true };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * API keys by key ID
+ * @returns {Object<string, {name:string, secret:string, actions:Array<string>, createdAt:string, disabled?:boolean}>}
+ */
+function getApiKeys_() {
+  var raw = PropertiesService.getScriptProperties().getProperty(API_KEYS_PROP);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch (e) {
+    Logger.log('[getApiKeys_] API_KEYS is not valid JSON: %s', e);
+    return {};
+  }
+}
+
+/**
+ * Create an API key for one calling integration
+ * @param {string} name - Integration name (e.g. "Smartsheet bridge")
+ * @param {Array<string>=} actions - Allowed actions (default: all signed actions)
+ * @returns {{ok:boolean, keyId?:string, secret?:string, actions?:Array<string>, error?:string, code?:string}}
+ */
+function createApiKey_(name, actions) {
+  name = String(name || '').trim();
+  actions = (actions && actions.length ? actions : API_SIGNED_ACTIONS).map(function(a) {
+    return String(a).toLowerCase().trim();
+  });
+  if (!name) return { ok: false, error: 'Integration name required', code: 'MISSING_NAME' };
+  for (var i = 0; i < actions.length; i++) {
+    if (API_SIGNED_ACTIONS.indexOf(actions[i]) === -1) {
+      return { ok: false, error: 'Unknown action: ' + actions[i], code: 'BAD_ACTION' };
+    }
+  }
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  try {
+    var keys = getApiKeys_();
+    var keyId = 'ak_' + secureRandomString_('abcdefghijklmnopqrstuvwxyz0123456789', 12);
+    var secret = Utilities.base64EncodeWebSafe(secureRandomBytes_(32)).replace(/[=]+$/, '');
+    keys[keyId] = { name: name, secret: secret, actions: actions, createdAt: new Date().toISOString() };
+    PropertiesService.getScriptProperties().setProperty(API_KEYS_PROP, JSON.stringify(keys));
+    logEvent_(generateTraceId_(), '', '', 'API_KEY_CREATED', { keyId: keyId, name: name, actions: actions });
+    return { ok: true, keyId: keyId, secret: secret, actions: actions };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Disable an API key (kept for the audit trail, secret erased)
+ * @param {string} keyId - API key ID
+ * @returns {{ok:boolean, error?:string, code?:string}}
+ */
+function revokeApiKey_(keyId) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  try {
+    var keys = getApiKeys_();
+    if (!keys[keyId]) return { ok: false, error: 'Unknown key: ' + keyId, code: 'NOT_FOUND' };
+    keys[keyId].disabled = true;
+    keys[keyId].secret = '';
+    keys[keyId].revokedAt = new Date().toISOString();
+    PropertiesService.getScriptProperties().setProperty(API_KEYS_PROP, JSON.stringify(keys));
+    logEvent_(generateTraceId_(), '', '', 'API_KEY_REVOKED', { keyId: keyId, name: keys[keyId].name });
+    return { ok: true };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,395 @@
+/**
+ * BookingSync.gs
+ * Scheduled detection of interviews booked after the secure redirect.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * handleSecureAccessConfirm_ marks the token USED and sends the candidate to
+ * the recruiter's appointment schedule. This job reads the calendar of each
+ * CL code recruiter (CL_CODES "Recruiter Email"; the calendar must be shared
+ * with the script owner) for events that list a recently redirected
+ * candidate as a guest, were created after the redirect and start after it.
+ * A match marks the token BOOKED with the slot start in "Interview At" and
+ * writes the date (recruiter calendar time zone) to the candidate's
+ * Smartsheet row, column BOOKING_SYNC_DATE_COLUMN (default "Interview Date").
+ * A successful write is stamped in "Interview Written At"; BOOKED rows without
+ * it are written again by later runs while their redirect is inside the
+ * lookback window.
+ */
+
+var BOOKING_SYNC_MATCH_GRACE_MS = 5 * 60 * 1000;   // calendar and script clocks differ slightly
+var BOOKING_SYNC_MAX_CALENDARS_PER_RUN = 50;
+
+/**
+ * Look for bookings by candidates redirected in the last BOOKING_SYNC_LOOKBACK_DAYS.
+ * @param {Object=} opts
+ * @param {boolean=} opts.dryRun - Report matches without writing TOKENS or Smartsheet
+ * @returns {Object} { ok, candidates, calendars, booked, written, retried, unmatched, noRecruiter, calendarErrors, more, dryRun, matches? } or { ok:false, error, code }
+ */
+function syncCalendarBookings_(opts) {
+  opts = opts || {};
+  var cfg = getConfig_();
+  var traceId = generateTraceId_();
+  var dryRun = opts.dryRun === true;
+  var dayMs = 24 * 60 * 60 * 1000;
+  var lookbackDays = cfg.BOOKING_SYNC_LOOKBACK_DAYS > 0 ? cfg.BOOKING_SYNC_LOOKBACK_DAYS : 7;
+  var lookaheadDays = cfg.BOOKING_SYNC_LOOKAHEAD_DAYS > 0 ? cfg.BOOKING_SYNC_LOOKAHEAD_DAYS : 60;
+  var nowMs = Date.now();
+
+  var repo = openTokenRepo_();
+  if (!repo) {
+    return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+  }
+  var idx = repo.idx;
+  if (idx['Status'] === undefined || idx['Used At'] === undefined || idx['Email'] === undefined) {
+    return { ok: false, error: 'TOKENS is missing the Status, Used At or Email header', code: 'MISSING_HEADER' };
+  }
+
+  var summary = {
+    ok: true, candidates: 0, calendars: 0, booked: 0, written: 0, retried: 0,
+    unmatched: 0, noRecruiter: 0, calendarErrors: 0, more: false, dryRun: dryRun
+  };
+  if (repo.lastRow < 2) return summary;
+
+  // == SELECT: redirected candidates, grouped by recruiter calendar =====
+  // BOOKED rows whose Smartsheet write-back has not succeeded go to `pending`.
+  var data = repo.sheet.getRange(2, 1, repo.lastRow - 1, repo.lastCol).getValues();
+  var sinceMs = nowMs - lookbackDays * dayMs;
+  var clCodesByBrand = {};
+  var timeZones = {};
+  var groups = {};
+  var calendarIds = [];
+  var pending = [];
+  for (var i = 0; i < data.length; i++) {
+    var row = data[i];
+    var status = String(row[idx['Status']] || '').trim().toUpperCase();
+    if (status !== TOKEN_STATUS.USED && status !== TOKEN_STATUS.BOOKED) continue;
+    var usedMs = tokenArchiveToMs_(row[idx['Used At']]);
+    if (!isFinite(usedMs) || usedMs < sinceMs) continue;
+    var email = String(row[idx['Email']] || '').toLowerCase().trim();
+    if (!isValidEmail_(email)) continue;
+
+    var brand = String(row[idx['Brand']] || '').toUpperCase().trim();
+    var textForEmail = String(row[idx['Text For Email']] || '').trim();
+    var clCode = bookingSyncClCode_(row, idx, textForEmail);
+
+    if (status === TOKEN_STATUS.BOOKED) {
+      var startMs = idx['Interview At'] !== undefined ? tokenArchiveToMs_(row[idx['Interview At']]) : NaN;
+      var writtenAt = idx['Interview Written At'] !== undefined ? row[idx['Interview Written At']] : '';
+      if (!isFinite(startMs) || (writtenAt !== '' && writtenAt !== null)) continue;
+      pending.push({
+        token: String(row[idx['Token']] || ''),
+        email: email,
+        brand: brand,
+        textForEmail: textForEmail,
+        clCode: clCode,
+        usedMs: usedMs,
+        startMs: startMs,
+        timeZone: bookingSyncTimeZone_(bookingSyncRecruiterEmail_(brand, clCode, clCodesByBrand), timeZones)
+      });
+      continue;
+    }
+    summary.candidates++;
+
+    var recruiter = bookingSyncRecruiterEmail_(brand, clCode, clCodesByBrand);
+    if (!recruiter) {
+      summary.noRecruiter++;
+      continue;
+    }
+    if (!groups[recruiter]) {
+      if (calendarIds.length >= BOOKING_SYNC_MAX_CALENDARS_PER_RUN) {
+        summary.more = true;
+        continue;
+      }
+      groups[recruiter] = { fromMs: usedMs, candidates: [] };
+      calendarIds.push(recruiter);
+    }
+    groups[recruiter].fromMs = Math.min(groups[recruiter].fromMs, usedMs);
+    groups[recruiter].candidates.push({
+      token: String(row[idx['Token']] || ''),
+      email: email,
+      brand: brand,
+      textForEmail: textForEmail,
+      clCode: clCode,
+      usedMs: usedMs
+    });
+  }
+
+  // == MATCH: calendar guests against candidates =======================
+  var matches = [];
+  for (var c = 0; c < calendarIds.length; c++) {
+    var calendarId = calendarIds[c];
+    var group = groups[calendarId];
+    var found = findCalendarBookings_(calendarId, group, nowMs + lookaheadDays * dayMs);
+    if (!found.ok) {
+      summary.calendarErrors++;
+      logEvent_(traceId, group.candidates[0].brand, '', 'BOOKING_SYNC_CALENDAR_FAILED', {
+        recruiter: maskEmail_(calendarId),
+        clCode: group.candidates[0].clCode,
+        error: found.error
+      });
+      continue;
+    }
+    summary.calendars++;
+    summary.unmatched += group.candidates.length - found.matches.length;
+    matches = matches.concat(found.matches);
+  }
+
+  if (dryRun) {
+    summary.booked = matches.length;
+    summary.retried = pending.length;
+    summary.matches = matches.map(function(m) {
+      return { brand: m.brand, email: maskEmail_(m.email), clCode: m.clCode, interviewAt: new Date(m.startMs).toISOString() };
+    });
+    return summary;
+  }
+  if (matches.length === 0 && pending.length === 0) return summary;
+
+  // == WRITE: TOKENS (under the script lock), then Smartsheet ===========
+  var toWrite = pending.slice();
+  summary.retried = pending.length;
+  if (matches.length) {
+    var booked = markTokensBooked_(matches, traceId);
+    if (!booked.ok) return booked;
+    summary.booked = booked.matches.length;
+    for (var b = 0; b < booked.matches.length; b++) {
+      var bm = booked.matches[b];
+      logEvent_(traceId, bm.brand, bm.email, 'INTERVIEW_BOOKED', {
+        token: bm.token.substring(0, 8) + '...',
+        clCode: bm.clCode,
+        interviewAt: new Date(bm.startMs).toISOString()
+      });
+      toWrite.push(bm);
+    }
+  }
+
+  var sheetCache = {};
+  var writtenTokens = [];
+  for (var w = 0; w < toWrite.length; w++) {
+    var m = toWrite[w];
+    var write = writeInterviewDateToSmartsheet_(m, cfg, sheetCache);
+    if (write.ok) {
+      summary.written++;
+      writtenTokens.push(m.token);
+    } else {
+      logEvent_(traceId, m.brand, m.email, 'BOOKING_WRITEBACK_FAILED', { clCode: m.clCode, error: write.error, retry: w < pending.length });
+    }
+  }
+  if (writtenTokens.length) markInterviewsWritten_(writtenTokens, traceId);
+
+  logEvent_(traceId, '', '', 'BOOKING_SYNC_COMPLETE', {
+    candidates: summary.candidates,
+    calendars: summary.calendars,
+    booked: summary.booked,
+    written: summary.written,
+    retried: summary.retried,
+    calendarErrors: summary.calendarErrors
+  });
+  return summary;
+}
+
+/**
+ * Trigger entry point (installBookingSyncTrigger).
+ */
+function syncCalendarBookingsScheduled_() {
+  return withLogBatch_(function() { return syncCalendarBookings_({}); });
+}
+
+/**
+ * CL code of a TOKENS row: the CL Code cell, else the code in Text For Email
+ * @returns {string} CL code or ''
+ */
+function bookingSyncClCode_(row, idx, textForEmail) {
+  var cell = idx['CL Code'] !== undefined ? String(row[idx['CL Code']] || '').toUpperCase().trim() : '';
+  if (cell) return cell;
+  var match = textForEmail.match(/CL\d+/i);
+  return match ? match[0].toUpperCase() : '';
+}
+
+/**
+ * Recruiter email for a brand + CL code (CL_CODES, read once per brand per run)
+ * @param {string} brand - Brand code
+ * @param {string} clCode - CL code
+ * @param {Object} clCodesByBrand - Per-run cache
+ * @returns {string} Lower-case email or ''
+ */
+function bookingSyncRecruiterEmail_(brand, clCode, clCodesByBrand) {
+  if (!brand || !clCode) return '';
+  if (!clCodesByBrand[brand]) {
+    clCodesByBrand[brand] = {};
+    getCLCodesForBrand_(brand).forEach(function(entry) {
+      var recruiter = String(entry.recruiterEmail || '').toLowerCase().trim();
+      if (isValidEmail_(recruiter)) clCodesByBrand[brand][String(entry.clCode).toUpperCase().trim()] = recruiter;
+    });
+  }
+  return clCodesByBrand[brand][clCode] || '';
+}
+
+/**
+ * Time zone of a recruiter calendar for dates written on retry (read once per
+ * calendar per run), else the script time zone
+ * @param {string} recruiter - Recruiter email or ''
+ * @param {Object} timeZones - Per-run cache
+ * @returns {string} Time zone ID
+ */
+function bookingSyncTimeZone_(recruiter, timeZones) {
+  if (!recruiter) return Session.getScriptTimeZone();
+  if (!timeZones[recruiter]) {
+    var timeZone = '';
+    try {
+      var calendar = CalendarApp.getCalendarById(recruiter);
+      timeZone = calendar ? calendar.getTimeZone() : '';
+    } catch (e) {
+      timeZone = '';
+    }
+    timeZones[recruiter] = timeZone || Session.getScriptTimeZone();
+  }
+  return timeZones[recruiter];
+}
+
+/**
+ * Earliest booking per candidate in one recruiter calendar. An event counts
+ * when the candidate is a guest who has not declined, and it was created and
+ * starts after the candidate's redirect.
+ * @param {string} calendarId - Recruiter calendar (email)
+ * @param {{fromMs:number, candidates:Array<Object>}} group - Candidates for this calendar
+ * @param {number} untilMs - End of the event window
+ * @returns {{ok:boolean, matches?:Array<Object>, error?:string}}
+ */
+function findCalendarBookings_(calendarId, group, untilMs) {
+  var calendar, events;
+  try {
+    calendar = CalendarApp.getCalendarById(calendarId);
+    if (!calendar) return { ok: false, error: 'Calendar not found or not shared with the script owner' };
+    events = calendar.getEvents(new Date(group.fromMs - BOOKING_SYNC_MATCH_GRACE_MS), new Date(untilMs));
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+
+  var byGuest = {};
+  for (var e = 0; e < events.length; e++) {
+    var event = events[e];
+    var created = event.getDateCreated ? tokenArchiveToMs_(event.getDateCreated()) : NaN;
+    var guests = event.getGuestList();
+    for (var g = 0; g < guests.length; g++) {
+      if (String(guests[g].getGuestStatus()) === String(CalendarApp.GuestStatus.NO)) continue;
+      var guestEmail = String(guests[g].getEmail() || '').toLowerCase().trim();
+      if (!byGuest[guestEmail]) byGuest[guestEmail] = [];
+      byGuest[guestEmail].push({ startMs: event.getStartTime().getTime(), createdMs: created, eventId: event.getId() });
+    }
+  }
+
+  var timeZone = calendar.getTimeZone() || Session.getScriptTimeZone();
+  var matches = [];
+  group.candidates.forEach(function(candidate) {
+    var best = null;
+    (byGuest[candidate.email] || []).forEach(function(slot) {
+      if (slot.startMs < candidate.usedMs) return;
+      if (isFinite(slot.createdMs) && slot.createdMs < candidate.usedMs - BOOKING_SYNC_MATCH_GRACE_MS) return;
+      if (!best || slot.startMs < best.startMs) best = slot;
+    });
+    if (!best) return;
+    var match = {};
+    for (var key in candidate) match[key] = candidate[key];
+    match.startMs = best.startMs;
+    match.eventId = best.eventId;
+    match.timeZone = timeZone;
+    matches.push(match);
+  });
+  return { ok: true, matches: matches };
+}
+
+/**
+ * Mark matched tokens BOOKED and store the slot start in "Interview At"
+ * (added to TOKENS when missing). Rows are re-read under the script lock;
+ * tokens no longer USED are left alone.
+ * @param {Array<Object>} matches - From findCalendarBookings_
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, matches?:Array<Object>, error?:string, code?:string}}
+ */
+function markTokensBooked_(matches, traceId) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { ok: false, error: 'System busy. Please try again.', code: 'LOCK_TIMEOUT' };
+  }
+  try {
+    var repo = openTokenRepo_();
+    if (!repo) return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+    var idx = repo.idx;
+    var interviewCol = idx['Interview At'];
+    var booked = [];
+    for (var i = 0; i < matches.length; i++) {
+      var found = findTokenRow_(repo, matches[i].token);
+      if (!found || String(found.values[idx['Status']] || '').trim().toUpperCase() !== TOKEN_STATUS.USED) continue;
+      if (interviewCol === undefined) {
+        interviewCol = repo.lastCol;
+        repo.sheet.getRange(1, interviewCol + 1).setValue('Interview At');
+      }
+      repo.sheet.getRange(found.rowNumber, idx['Status'] + 1).setValue(TOKEN_STATUS.BOOKED);
+      repo.sheet.getRange(found.rowNumber, interviewCol + 1).setValue(new Date(matches[i].startMs));
+      booked.push(matches[i]);
+    }
+    return { ok: true, matches: booked };
+  } catch (e) {
+    logEvent_(traceId, '', '', 'BOOKING_SYNC_FAILED', { error: String(e) });
+    return { ok: false, error: String(e), code: 'WRITE_FAILED' };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Stamp "Interview Written At" (added to TOKENS when missing) on tokens whose
+ * date reached Smartsheet. If the lock is busy the rows stay unstamped and the
+ * next run writes the same date again.
+ * @param {Array<string>} tokens - Tokens written this run
+ * @param {string} traceId - Trace ID
+ */
+function markInterviewsWritten_(tokens, traceId) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) return;
+  try {
+    var repo = openTokenRepo_();
+    if (!repo) return;
+    var writtenCol = repo.idx['Interview Written At'];
+    if (writtenCol === undefined) {
+      writtenCol = repo.lastCol;
+      repo.sheet.getRange(1, writtenCol + 1).setValue('Interview Written At');
+    }
+    var now = new Date();
+    for (var i = 0; i < tokens.length; i++) {
+      var found = findTokenRow_(repo, tokens[i]);
+      if (found) repo.sheet.getRange(found.rowNumber, writtenCol + 1).setValue(now);
+    }
+  } catch (e) {
+    logEvent_(traceId, '', '', 'BOOKING_SYNC_FAILED', { error: String(e) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Write the interview date to the candidate's Smartsheet row
+ * @param {Object} match - Booked candidate (brand, email, textForEmail, startMs, timeZone)
+ * @param {Object} cfg - getConfig_()
+ * @param {Object} sheetCache - Per-run sheet cache for searchCandidateInSmartsheet_
+ * @returns {{ok:boolean, error?:string}}
+ */
+function writeInterviewDateToSmartsheet_(match, cfg, sheetCache) {
+  var search = searchCandidateInSmartsheet_(match.brand, match.email, match.textForEmail, sheetCache);
+  if (!search.ok) return { ok: false, error: search.error };
+  if (!search.found) return { ok: false, error: 'Candidate row not found in Smartsheet' };
+
+  var sheet = sheetCache[search.matchedSheetId];
+  var wanted = cfg.BOOKING_SYNC_DATE_COLUMN.toLowerCase();
+  var column = null;
+  var colMetaById = {};
+  (sheet && sheet.columns || []).forEach(function(col) {
+    colMetaById[String(col.id)] = col;
+    if (!column && String(col.title || '').toLowerCase().trim() === wanted) column = col;
+  });
+  if (!column) return { ok: false, error: 'Column "' + cfg.BOOKING_SYNC_DATE_COLUMN + '" not found' };
+
+  var value = Utilities.formatDate(new Date(match.startMs), match.timeZone, 'yyyy-MM-dd');
+  return patchRowCellsByColumnId_(search.matchedSheetId, search.candidate.rowId,
+    [{ columnId: column.id, value: value }], cfg.SMARTSHEET_API_TOKEN, colMetaById);
+}
@@ -2,10 +2,36 @@
  * BrandRegistry.gs
  * Central registry for brands with Smartsheet IDs and feature flags.
  * CrewLife Interview Bookings Uniform Core
- * 
- * PLACEHOLDER VALUES: Replace smartsheetId with actual Smartsheet IDs for each brand.
+ *
+ * Brands come from the BRAND_CONFIG tab. BRANDS below is only the bootstrap:
+ * a BRAND_CONFIG row overrides the cells it fills for a bootstrap brand, adds
+ * a brand that is not in the code, or turns a brand off (Active = FALSE).
+ * The merged registry is cached for BRAND_REGISTRY_CACHE_SECONDS; run
+ * refreshBrandRegistry after editing the tab to apply and check it at once.
+ * Invalid cells are ignored and logged as BRAND_CONFIG_INVALID.
  */
 
+var BRAND_REGISTRY_CACHE_KEY = 'BRAND_REGISTRY_V1';
+var BRAND_REGISTRY_CACHE_SECONDS = 300;
+var BRAND_FEATURE_FLAGS = ['otpEnabled', 'scannerProtection'];
+
+/** BRAND_CONFIG text columns → brand fields */
+var BRAND_CONFIG_TEXT_COLUMNS = {
+  'Name': 'name',
+  'Email Column': 'emailColumn',
+  'Text For Email Column': 'textForEmailColumn'
+};
+
+/** BRAND_CONFIG Smartsheet column ID columns → brand fields */
+var BRAND_CONFIG_COLUMN_ID_COLUMNS = {
+  'Email Column ID': 'emailColumnId',
+  'Text For Email Column ID': 'textForEmailColumnId',
+  'Interview Link Column ID': 'interviewLinkColumnId',
+  'Full Name Column ID': 'fullNameColumnId'
+};
+
+var brandRegistryMemo_ = null;
+
 var BRANDS = {
   ROYAL: {
     name: 'Royal Caribbean',
@@ -53,7 +79,7 @@ var BRANDS = {
   CPD: {
     name: 'CPD',
     code: 'CPD',
-    smartsheetId: 'PLACEHOLDER_CPD_SMARTSHEET_ID', // ← REPLACE WITH ACTUAL ID
+    smartsheetId: '', // set in BRAND_CONFIG "Smartsheet ID"
     emailColumn: 'Email',
     textForEmailColumn: 'Text For Email',
     featureFlags: {
@@ -65,21 +91,23 @@ var BRANDS = {
 
 /**
  * Get brand configuration by key
- * @param {string} key - Brand code (ROYAL, COSTA, SEACHEFS, CPD)
- * @returns {Object|null} Brand config or null
+ * @param {string} key - Brand code (ROYAL, COSTA, SEACHEFS, CPD or a BRAND_CONFIG brand)
+ * @returns {Object|null} Brand config, or null for unknown and inactive brands
  */
 function getBrand_(key) {
   if (!key) return null;
   var k = String(key).toUpperCase().trim();
-  return BRANDS[k] || null;
+  var brand = getBrandRegistry_().brands[k];
+  return brand && brand.active ? brand : null;
 }
 
 /**
  * Get all brand codes
- * @returns {Array} Array of brand codes
+ * @returns {Array} Array of active brand codes (bootstrap order, then BRAND_CONFIG order)
  */
 function getAllBrandCodes_() {
-  return Object.keys(BRANDS);
+  var registry = getBrandRegistry_();
+  return registry.order.filter(function(code) { return registry.brands[code].active; });
 }
 
 /**
@@ -90,3 +118,196 @@ function getAllBrandCodes_() {
 function isValidBrand_(key) {
   return getBrand_(key) !== null;
 }
+
+/**
+ * Merged brand registry, from this execution, the script cache or a fresh load
+ * @returns {{brands:Object, order:Array<string>}}
+ */
+function getBrandRegistry_() {
+  if (brandRegistryMemo_) return brandRegistryMemo_;
+
+  var cache = CacheService.getScriptCache();
+  var cached = cache.get(BRAND_REGISTRY_CACHE_KEY);
+  if (cached) {
+    try {
+      brandRegistryMemo_ = JSON.parse(cached);
+      return brandRegistryMemo_;
+    } catch (e) {
+      cache.remove(BRAND_REGISTRY_CACHE_KEY);
+    }
+  }
+
+  var loaded = loadBrandRegistry_();
+  brandRegistryMemo_ = loaded.registry;
+  // A failed read falls back to the bootstrap for this execution only
+  if (loaded.fromSheet) cache.put(BRAND_REGISTRY_CACHE_KEY, JSON.stringify(loaded.registry), BRAND_REGISTRY_CACHE_SECONDS);
+  if (loaded.warnings.length) {
+    logEvent_('', '', '', 'BRAND_CONFIG_INVALID', { warnings: loaded.warnings });
+  }
+  return brandRegistryMemo_;
+}
+
+/**
+ * Build the registry from BRANDS and the BRAND_CONFIG tab
+ * @returns {{registry:Object, warnings:Array<string>, fromSheet:boolean}}
+ */
+function loadBrandRegistry_() {
+  var registry = { brands: {}, order: [] };
+  Object.keys(BRANDS).forEach(function(code) {
+    var brand = JSON.parse(JSON.stringify(BRANDS[code]));
+    brand.active = true;
+    brand.source = 'code';
+    registry.brands[code] = brand;
+    registry.order.push(code);
+  });
+
+  var warnings = [];
+  var data;
+  try {
+    var sheet = getConfigSheet_().getSheetByName('BRAND_CONFIG');
+    data = sheet ? sheet.getDataRange().getValues() : [];
+  } catch (e) {
+    Logger.log('[loadBrandRegistry_] Cannot read BRAND_CONFIG, using the bootstrap brands: %s', e);
+    return { registry: registry, warnings: [], fromSheet: false };
+  }
+  if (data.length < 2) return { registry: registry, warnings: warnings, fromSheet: true };
+
+  var headers = data[0];
+  var col = function(name) { return headers.indexOf(name); };
+  var cell = function(row, name) {
+    var i = col(name);
+    return i === -1 || row[i] === null || row[i] === undefined ? '' : String(row[i]).trim();
+  };
+  if (col('Brand') === -1) {
+    warnings.push('BRAND_CONFIG has no Brand column');
+    return { registry: registry, warnings: warnings, fromSheet: true };
+  }
+
+  var seen = {};
+  for (var r = 1; r < data.length; r++) {
+    var row = data[r];
+    var code = cell(row, 'Brand').toUpperCase();
+    if (!code) continue;
+    var where = 'row ' + (r + 1) + ' (' + code + ')';
+    if (!/^[A-Z][A-Z0-9_]{1,19}$/.test(code)) {
+      warnings.push(where + ': invalid brand code');
+      continue;
+    }
+    if (seen[code]) {
+      warnings.push(where + ': duplicate of row ' + seen[code] + ', ignored');
+      continue;
+    }
+    seen[code] = r + 1;
+
+    var brand = registry.brands[code];
+    if (!brand) {
+      brand = {
+        name: code,
+        code: code,
+        smartsheetId: '',
+        emailColumn: 'Email',
+        textForEmailColumn: 'Text For Email',
+        featureFlags: { otpEnabled: true, scannerProtection: true },
+        active: true,
+        source: 'BRAND_CONFIG'
+      };
+      registry.brands[code] = brand;
+      registry.order.push(code);
+    } else {
+      brand.source = 'code+BRAND_CONFIG';
+    }
+
+    for (var textCol in BRAND_CONFIG_TEXT_COLUMNS) {
+      if (cell(row, textCol)) brand[BRAND_CONFIG_TEXT_COLUMNS[textCol]] = cell(row, textCol);
+    }
+
+    var sheetIds = cell(row, 'Smartsheet ID');
+    if (sheetIds) {
+      var valid = [];
+      sheetIds.split(',').forEach(function(id) {
+        id = id.trim();
+        if (/^\d+$/.test(id)) valid.push(id);
+        else if (id) warnings.push(where + ': invalid Smartsheet ID "' + id + '"');
+      });
+      if (valid.length) brand.smartsheetId = valid.join(',');
+    }
+
+    for (var idCol in BRAND_CONFIG_COLUMN_ID_COLUMNS) {
+      var columnId = cell(row, idCol);
+      if (!columnId) continue;
+      if (/^\d+$/.test(columnId)) brand[BRAND_CONFIG_COLUMN_ID_COLUMNS[idCol]] = columnId;
+      else warnings.push(where + ': invalid ' + idCol + ' "' + columnId + '"');
+    }
+
+    var flags = parseBrandFeatureFlags_(cell(row, 'Feature Flags'));
+    flags.unknown.forEach(function(name) { warnings.push(where + ': unknown feature flag "' + name + '"'); });
+    for (var flag in flags.values) brand.featureFlags[flag] = flags.values[flag];
+
+    var activeIdx = col('Active');
+    if (activeIdx !== -1 && (row[activeIdx] === false || String(row[activeIdx]).toUpperCase().trim() === 'FALSE')) {
+      brand.active = false;
+    }
+  }
+
+  return { registry: registry, warnings: warnings, fromSheet: true };
+}
+
+/**
+ * Parse a Feature Flags cell: "otpEnabled, scannerProtection=false"
+ * @param {string} text - Cell value (blank keeps the defaults)
+ * @returns {{values:Object, unknown:Array<string>}}
+ */
+function parseBrandFeatureFlags_(text) {
+  var out = { values: {}, unknown: [] };
+  String(text || '').split(',').forEach(function(part) {
+    var pair = part.split('=');
+    var name = pair[0].trim();
+    if (!name) return;
+    var match = null;
+    for (var i = 0; i < BRAND_FEATURE_FLAGS.length; i++) {
+      if (BRAND_FEATURE_FLAGS[i].toLowerCase() === name.toLowerCase()) match = BRAND_FEATURE_FLAGS[i];
+    }
+    if (!match) {
+      out.unknown.push(name);
+      return;
+    }
+    out.values[match] = pair.length < 2 || String(pair[1]).toLowerCase().trim() !== 'false';
+  });
+  return out;
+}
+
+/**
+ * Reload brands from BRAND_CONFIG now (run from the editor after editing the tab)
+ * @returns {Object} Active brands with their source, inactive brands, warnings
+ */
+function refreshBrandRegistry() {
+  brandRegistryMemo_ = null;
+  CacheService.getScriptCache().remove(BRAND_REGISTRY_CACHE_KEY);
+  var loaded = loadBrandRegistry_();
+  brandRegistryMemo_ = loaded.registry;
+  if (loaded.fromSheet) CacheService.getScriptCache().put(BRAND_REGISTRY_CACHE_KEY, JSON.stringify(loaded.registry), BRAND_REGISTRY_CACHE_SECONDS);
+
+  var warnings = loaded.warnings.slice();
+  var props = PropertiesService.getScriptProperties();
+  var brands = [];
+  var inactive = [];
+  loaded.registry.order.forEach(function(code) {
+    var brand = loaded.registry.brands[code];
+    if (!brand.active) {
+      inactive.push(code);
+      return;
+    }
+    brands.push({ code: code, name: brand.name, source: brand.source });
+    if (!brand.smartsheetId && !props.getProperty('SMARTSHEET_IDS_' + code) && !props.getProperty('SMARTSHEET_ID_' + code)) {
+      warnings.push(code + ': no Smartsheet ID (BRAND_CONFIG or SMARTSHEET_IDS_' + code + ')');
+    }
+  });
+
+  if (loaded.warnings.length) {
+    logEvent_('', '', '', 'BRAND_CONFIG_INVALID', { warnings: loaded.warnings });
+  }
+  var result = { ok: loaded.fromSheet, brands: brands, inactive: inactive, warnings: warnings };
+  if (!loaded.fromSheet) result.error = 'Cannot read BRAND_CONFIG; using the bootstrap brands';
+  Logger.log('[refreshBrandRegistry] %s', JSON.stringify(result));
+  return result;
+}
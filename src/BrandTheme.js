@@ -0,0 +1,147 @@
+/**
+ * BrandTheme.gs
+ * Per-brand look for candidate pages and emails, from the BRAND_CONFIG tab.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Columns: Logo URL, Primary Color, Secondary Color, Favicon URL, Footer Text,
+ * Support Email. Each one is optional; an empty or invalid value keeps the
+ * CrewLife default for that part (colours: #rgb or #rrggbb, URLs: https://).
+ */
+
+var BRAND_THEME_COLUMNS = {
+  'Logo URL': 'logoUrl',
+  'Primary Color': 'primaryColor',
+  'Secondary Color': 'secondaryColor',
+  'Favicon URL': 'faviconUrl',
+  'Footer Text': 'footerText',
+  'Support Email': 'supportEmail'
+};
+
+/**
+ * Validated theme for a brand
+ * @param {string} brand - Brand code
+ * @returns {Object} { brand, brandName, logoUrl, primaryColor, primaryDark, secondaryColor, faviconUrl, footerText, supportEmail } ('' = default)
+ */
+function getBrandTheme_(brand) {
+  brand = String(brand || '').toUpperCase().trim();
+  var brandInfo = getBrand_(brand);
+  var theme = {
+    brand: brand,
+    brandName: brandInfo ? brandInfo.name : brand,
+    logoUrl: '',
+    primaryColor: '',
+    primaryDark: '',
+    secondaryColor: '',
+    faviconUrl: '',
+    footerText: '',
+    supportEmail: ''
+  };
+  if (!brandInfo) return theme;
+
+  var raw = {};
+  try {
+    raw = getBrandConfigOverrides_(brand).theme || {};
+  } catch (e) {
+    Logger.log('[getBrandTheme_] Cannot read BRAND_CONFIG: %s', e);
+  }
+
+  var invalid = [];
+  var pick = function(key, valid) {
+    var value = String(raw[key] || '').trim();
+    if (!value) return '';
+    if (valid(value)) return value;
+    invalid.push(key);
+    return '';
+  };
+  var isColor = function(v) { return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v); };
+  var isHttpsUrl = function(v) { return /^https:\/\/[^\s"'<>()\\]+$/i.test(v); };
+
+  theme.logoUrl = pick('logoUrl', isHttpsUrl);
+  theme.primaryColor = pick('primaryColor', isColor).toLowerCase();
+  theme.secondaryColor = pick('secondaryColor', isColor).toLowerCase();
+  theme.faviconUrl = pick('faviconUrl', isHttpsUrl);
+  theme.footerText = pick('footerText', function() { return true; });
+  theme.supportEmail = pick('supportEmail', isValidEmail_);
+  theme.primaryDark = theme.primaryColor ? shadeHexColor_(theme.primaryColor, 0.8) : '';
+
+  if (invalid.length) {
+    Logger.log('[getBrandTheme_] %s: ignoring invalid %s', brand, invalid.join(', '));
+  }
+  return theme;
+}
+
+/**
+ * Darken (factor < 1) a #rgb / #rrggbb colour
+ * @param {string} hex - Colour
+ * @param {number} factor - Multiplier per channel
+ * @returns {string} #rrggbb
+ */
+function shadeHexColor_(hex, factor) {
+  var h = hex.replace('#', '');
+  if (h.length === 3) h = h.charAt(0) + h.charAt(0) + h.charAt(1) + h.charAt(1) + h.charAt(2) + h.charAt(2);
+  var out = '#';
+  for (var i = 0; i < 6; i += 2) {
+    var channel = Math.round(parseInt(h.substr(i, 2), 16) * factor);
+    out += ('0' + Math.max(0, Math.min(255, channel)).toString(16)).slice(-2);
+  }
+  return out;
+}
+
+/**
+ * Favicon and colour overrides for a page <head>. Pages read
+ * --brand-primary / --brand-secondary with their own fallbacks, and
+ * Styles.html reads --primary-color / --primary-dark.
+ * @param {Object} theme - From getBrandTheme_
+ * @returns {string} HTML ('' for the default theme)
+ */
+function buildBrandThemeHead_(theme) {
+  var html = '';
+  if (theme.faviconUrl) {
+    html += '<link rel="icon" href="' + escapeHtml_(theme.faviconUrl) + '">';
+  }
+  var vars = [];
+  if (theme.primaryColor) {
+    vars.push('--brand-primary: ' + theme.primaryColor, '--primary-color: ' + theme.primaryColor, '--primary-dark: ' + theme.primaryDark);
+  }
+  if (theme.secondaryColor) vars.push('--brand-secondary: ' + theme.secondaryColor);
+  if (vars.length) html += '<style>:root { ' + vars.join('; ') + '; }</style>';
+  return html;
+}
+
+/**
+ * Footer with the brand's legal text and support contact
+ * @param {Object} theme - From getBrandTheme_
+ * @param {string} lang - Language code
+ * @param {boolean=} inline - Inline styles (emails) instead of the .brand-footer class
+ * @returns {string} HTML ('' when the brand has neither)
+ */
+function buildBrandFooter_(theme, lang, inline) {
+  if (!theme.footerText && !theme.supportEmail) return '';
+  var pStyle = inline ? ' style="margin:6px 0;color:#777;font-size:12px;text-align:center;"' : '';
+  var html = inline ? '<div style="margin-top:24px;">' : '<footer class="brand-footer">';
+  if (theme.supportEmail) {
+    var email = escapeHtml_(theme.supportEmail);
+    var link = '<a href="mailto:' + email + '"' + (inline ? ' style="color:' + (theme.primaryColor || '#0066cc') + ';"' : '') + '>' + email + '</a>';
+    html += '<p' + pStyle + '>' + escapeHtml_(t_(lang, 'common.supportContact')).replace('{email}', link) + '</p>';
+  }
+  if (theme.footerText) {
+    html += '<p' + pStyle + '>' + escapeHtml_(theme.footerText).replace(/\r?\n/g, '<br>') + '</p>';
+  }
+  html += inline ? '</div>' : '</footer>';
+  return html;
+}
+
+/**
+ * Give a page or email template its brand theme: theme, themeHead and themeFooter
+ * @param {Object} template - HtmlTemplate (applyI18n_ first, for template.lang)
+ * @param {string} brand - Brand code
+ * @param {boolean=} inline - Email: inline-styled footer
+ * @returns {Object} The template
+ */
+function applyBrandTheme_(template, brand, inline) {
+  var theme = getBrandTheme_(brand);
+  template.theme = theme;
+  template.themeHead = buildBrandThemeHead_(theme);
+  template.themeFooter = buildBrandFooter_(theme, template.lang || I18N_DEFAULT_LANG, inline);
+  return template;
+}
@@ -0,0 +1,367 @@
+/**
+ * BulkInvite.gs
+ * Bulk invites from a pasted or uploaded CSV (Email, Text For Email) in the
+ * admin console: validate every row into a preview batch, send the READY rows
+ * in quota-aware chunks, then download a CSV report.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Batches live in CacheService for BULK_INVITE_TTL_SECONDS and belong to the
+ * admin who previewed them. The console calls bulksend repeatedly until the
+ * batch is done or the MailApp quota (minus BULK_INVITE_QUOTA_RESERVE for
+ * OTP emails) runs out; a later bulksend resumes where it stopped.
+ */
+
+var BULK_INVITE_MAX_ROWS = 200;
+var BULK_INVITE_CHUNK_SIZE = 20;
+var BULK_INVITE_TTL_SECONDS = 21600;
+var BULK_INVITE_CACHE_PREFIX = 'BULKINV_';
+var BULK_INVITE_DEFAULT_QUOTA_RESERVE = 20;
+
+/**
+ * Parse CSV/TSV text into Email + Text For Email rows. A first line naming
+ * an "Email" column is a header; otherwise columns are Email, Text For Email.
+ * @param {string} text - CSV text (comma, semicolon or tab separated)
+ * @returns {{ok:boolean, rows?:Array<{line:number, email:string, textForEmail:string}>, error?:string, code?:string}}
+ */
+function parseBulkInviteCsv_(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  var firstLine = text.split(/\r?\n/)[0] || '';
+  var delimiter = firstLine.indexOf('\t') !== -1 ? '\t' : (firstLine.indexOf(';') !== -1 && firstLine.indexOf(',') === -1 ? ';' : ',');
+
+  var records = [];
+  var record = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text.charAt(i);
+    if (quoted) {
+      if (ch === '"' && text.charAt(i + 1) === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+      record.push(field); records.push(record);
+      record = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+
+  var emailCol = 0;
+  var textCol = 1;
+  var start = 0;
+  var header = (records[0] || []).map(function(h) { return String(h).toLowerCase().trim(); });
+  if (header.indexOf('email') !== -1) {
+    emailCol = header.indexOf('email');
+    textCol = header.indexOf('text for email');
+    if (textCol === -1) return { ok: false, error: 'Header row has no "Text For Email" column', code: 'BAD_HEADER' };
+    start = 1;
+  }
+
+  var rows = [];
+  for (var r = start; r < records.length; r++) {
+    var email = String(records[r][emailCol] || '').trim();
+    var tfe = String(records[r][textCol] || '').trim();
+    if (!email && !tfe) continue;
+    rows.push({ line: r + 1, email: email, textForEmail: tfe });
+  }
+  if (!rows.length) return { ok: false, error: 'No rows found', code: 'EMPTY' };
+  if (rows.length > BULK_INVITE_MAX_ROWS) {
+    return { ok: false, error: 'Too many rows (' + rows.length + '). The limit is ' + BULK_INVITE_MAX_ROWS + ' per batch.', code: 'TOO_MANY_ROWS' };
+  }
+  return { ok: true, rows: rows };
+}
+
+/**
+ * Validate CSV rows for a brand and store them as a batch
+ * @param {string} brand - Brand code
+ * @param {string} csv - CSV text
+ * @param {string} adminEmail - Admin email
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, batchId?:string, rows?:Array<Object>, counts?:Object, error?:string, code?:string}}
+ */
+function previewBulkInvites_(brand, csv, adminEmail, traceId) {
+  brand = String(brand || '').toUpperCase();
+  var parsed = parseBulkInviteCsv_(csv);
+  if (!parsed.ok) return parsed;
+
+  var sheetCache = {};
+  var seen = {};
+  var rows = parsed.rows.map(function(input) {
+    var row = { line: input.line, email: input.email, textForEmail: input.textForEmail, status: '', clCode: '', recruiterName: '', message: '' };
+    var key = input.email.toLowerCase() + '|' + input.textForEmail.toLowerCase();
+
+    if (!isValidEmail_(input.email) || !input.textForEmail) {
+      row.status = 'INVALID';
+      row.message = !input.textForEmail ? 'Text For Email is required' : 'Invalid email address';
+    } else if (seen[key]) {
+      row.status = 'DUPLICATE';
+      row.message = 'Same as line ' + seen[key];
+    } else {
+      seen[key] = input.line;
+      var match = searchCandidateInSmartsheet_(brand, input.email, input.textForEmail, sheetCache);
+      if (!match.ok) {
+        row.status = 'ERROR';
+        row.message = match.error;
+      } else if (!match.found || !match.exactMatch) {
+        row.status = 'NOT_FOUND';
+        row.message = 'No exact Smartsheet match for Email + Text For Email';
+      } else {
+        row.lang = getCandidateLang_(match.candidate);
+        row.candidateName = getCandidateName_(match.candidate);
+        var cl = resolveCLCodeFromTextForEmail_(brand, input.textForEmail);
+        if (!cl.ok) {
+          row.status = 'NO_CL_CODE';
+          row.message = cl.error;
+        } else {
+          row.clCode = cl.clCode;
+          row.recruiterName = cl.recruiterName || '';
+          var check = checkBulkInviteSendable_(brand, input.email, input.textForEmail);
+          row.status = check.status;
+          row.message = check.message;
+        }
+      }
+    }
+    return row;
+  });
+
+  var batch = {
+    id: secureRandomString_('abcdefghijklmnopqrstuvwxyz0123456789', 16),
+    brand: brand,
+    admin: String(adminEmail || '').toLowerCase(),
+    createdAt: new Date().toISOString(),
+    rows: rows
+  };
+  saveBulkInviteBatch_(batch);
+
+  var counts = countBulkInviteRows_(rows);
+  logEvent_(traceId, brand, '', 'BULK_INVITE_PREVIEWED', { batchId: batch.id, admin: adminEmail, rows: rows.length, counts: counts });
+  return { ok: true, batchId: batch.id, rows: rows, counts: counts };
+}
+
+/**
+ * Active-token and reuse-guard checks for one candidate (run at preview and
+ * again right before sending)
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email
+ * @param {string} textForEmail - Text For Email
+ * @returns {{status:string, message:string}} READY, ACTIVE_TOKEN or BLOCKED
+ */
+function checkBulkInviteSendable_(brand, email, textForEmail) {
+  var active = getTokenHistory_(email, brand).some(function(t) {
+    return t.Status === 'ISSUED' || t.Status === 'CONFIRMED';
+  });
+  if (active) return { status: 'ACTIVE_TOKEN', message: 'Active token already exists. Use Re-issue.' };
+
+  var guard = findBlockingInviteInTokens_({ brand: brand, email: email, textForEmail: textForEmail });
+  if (guard.blocked) return { status: 'BLOCKED', message: 'Blocked by invite reuse guard (' + (guard.reason || guard.status || 'blocked') + ')' };
+
+  return { status: 'READY', message: '' };
+}
+
+/**
+ * Send the next chunk of READY rows in a batch
+ * @param {string} brand - Brand code
+ * @param {string} batchId - Batch ID from the preview
+ * @param {string} adminEmail - Admin email
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, sent?:number, failed?:number, remaining?:number, done?:boolean, quotaExhausted?:boolean, rows?:Array<Object>, counts?:Object, error?:string, code?:string}}
+ */
+function sendBulkInviteChunk_(brand, batchId, adminEmail, traceId) {
+  var batch = loadBulkInviteBatch_(batchId, brand, adminEmail);
+  if (!batch) return { ok: false, error: 'Batch not found or expired. Run the preview again.', code: 'BATCH_NOT_FOUND' };
+
+  // One sender per batch: a second click or tab must not send the same rows
+  var cache = CacheService.getScriptCache();
+  var runKey = BULK_INVITE_CACHE_PREFIX + 'RUN_' + batchId;
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return { ok: false, error: 'Server busy, please retry', code: 'BUSY' };
+  try {
+    if (cache.get(runKey)) return { ok: false, error: 'This batch is already sending', code: 'IN_PROGRESS' };
+    cache.put(runKey, '1', 300);
+  } finally {
+    lock.releaseLock();
+  }
+
+  try {
+    batch = loadBulkInviteBatch_(batchId, brand, adminEmail) || batch;
+    var reserveProp = PropertiesService.getScriptProperties().getProperty('BULK_INVITE_QUOTA_RESERVE');
+    var reserve = reserveProp !== null && reserveProp !== '' && Number(reserveProp) >= 0 ? Number(reserveProp) : BULK_INVITE_DEFAULT_QUOTA_RESERVE;
+    var budget = Math.min(BULK_INVITE_CHUNK_SIZE, getEmailQuota_() - reserve);
+
+    var sent = 0;
+    var failed = 0;
+    var quotaExhausted = false;
+    for (var i = 0; i < batch.rows.length; i++) {
+      var row = batch.rows[i];
+      if (row.status !== 'READY') continue;
+      if (sent + failed >= budget) {
+        quotaExhausted = budget < BULK_INVITE_CHUNK_SIZE;
+        break;
+      }
+
+      // TOKENS may have changed since the preview
+      var check = checkBulkInviteSendable_(batch.brand, row.email, row.textForEmail);
+      if (check.status !== 'READY') {
+        row.status = check.status;
+        row.message = check.message;
+        continue;
+      }
+
+      var result = issueAndSendInvite_({
+        brand: batch.brand,
+        email: row.email,
+        textForEmail: row.textForEmail,
+        clResolution: { clCode: row.clCode, recruiterName: row.recruiterName },
+        adminEmail: batch.admin,
+        traceId: traceId,
+        isReissue: false,
+        lang: row.lang,
+        candidateName: row.candidateName
+      });
+      if (result.ok) {
+        row.status = 'SENT';
+        row.message = '';
+        row.sentAt = new Date().toISOString();
+        sent++;
+      } else {
+        row.status = 'FAILED';
+        row.message = result.error;
+        failed++;
+      }
+    }
+    saveBulkInviteBatch_(batch);
+
+    var counts = countBulkInviteRows_(batch.rows);
+    var remaining = counts.READY || 0;
+    logEvent_(traceId, batch.brand, '', 'BULK_INVITE_CHUNK', { batchId: batchId, admin: batch.admin, sent: sent, failed: failed, remaining: remaining, quotaExhausted: quotaExhausted });
+    return {
+      ok: true,
+      sent: sent,
+      failed: failed,
+      remaining: remaining,
+      done: remaining === 0,
+      quotaExhausted: quotaExhausted && remaining > 0,
+      rows: batch.rows,
+      counts: counts
+    };
+  } finally {
+    cache.remove(runKey);
+  }
+}
+
+/**
+ * CSV report of a batch (one line per input row, with its final status)
+ * @param {string} brand - Brand code
+ * @param {string} batchId - Batch ID
+ * @param {string} adminEmail - Admin email
+ * @returns {{ok:boolean, filename?:string, csv?:string, error?:string, code?:string}}
+ */
+function buildBulkInviteReport_(brand, batchId, adminEmail) {
+  var batch = loadBulkInviteBatch_(batchId, brand, adminEmail);
+  if (!batch) return { ok: false, error: 'Batch not found or expired.', code: 'BATCH_NOT_FOUND' };
+
+  var lines = [['Line', 'Email', 'Text For Email', 'Status', 'CL Code', 'Recruiter', 'Message', 'Sent At']];
+  batch.rows.forEach(function(r) {
+    lines.push([r.line, r.email, r.textForEmail, r.status, r.clCode, r.recruiterName, r.message, r.sentAt || '']);
+  });
+  var csv = lines.map(function(cols) {
+    return cols.map(function(v) {
+      v = String(v === null || v === undefined ? '' : v);
+      // Leading = + - @ would run as a formula when opened in a spreadsheet
+      if (/^[=+\-@]/.test(v)) v = "'" + v;
+      return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+    }).join(',');
+  }).join('\r\n');
+
+  return { ok: true, filename: 'bulk-invites-' + batch.brand + '-' + batch.createdAt.substring(0, 10) + '-' + batch.id.substring(0, 6) + '.csv', csv: csv };
+}
+
+/**
+ * Rows per status
+ * @param {Array<Object>} rows - Batch rows
+ * @returns {Object<string, number>}
+ */
+function countBulkInviteRows_(rows) {
+  var counts = {};
+  rows.forEach(function(r) { counts[r.status] = (counts[r.status] || 0) + 1; });
+  return counts;
+}
+
+/**
+ * Store a batch (resets its TTL)
+ * @param {Object} batch - Batch with id, brand, admin, createdAt, rows
+ */
+function saveBulkInviteBatch_(batch) {
+  CacheService.getScriptCache().put(BULK_INVITE_CACHE_PREFIX + batch.id, JSON.stringify(batch), BULK_INVITE_TTL_SECONDS);
+}
+
+/**
+ * Load a batch previewed by this admin for this brand
+ * @param {string} batchId - Batch ID
+ * @param {string} brand - Brand code
+ * @param {string} adminEmail - Admin email
+ * @returns {Object|null} Null when missing, expired or someone else's
+ */
+function loadBulkInviteBatch_(batchId, brand, adminEmail) {
+  if (!/^[a-z0-9]{16}$/.test(String(batchId || ''))) return null;
+  var raw = CacheService.getScriptCache().get(BULK_INVITE_CACHE_PREFIX + batchId);
+  if (!raw) return null;
+  var batch = JSON.parse(raw);
+  if (batch.brand !== String(brand || '').toUpperCase()) return null;
+  return batch.admin === String(adminEmail || '').toLowerCase() ? batch : null;
+}
+
+// ---------------------------------------------------------------------------
+// Admin console handlers (routed by handleAdminPost_)
+// ---------------------------------------------------------------------------
+
+/**
+ * Handle bulk preview
+ * @param {Object} params - { brand, csv }
+ * @param {string} traceId - Trace ID
+ * @param {string} adminEmail - Admin email
+ * @returns {TextOutput}
+ */
+function handleBulkPreview_(params, traceId, adminEmail) {
+  var permission = checkAdminPermission_(params.brand, adminEmail, 'send', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  return jsonResponse_(previewBulkInvites_(params.brand, params.csv, adminEmail, traceId));
+}
+
+/**
+ * Handle bulk send (one chunk per call)
+ * @param {Object} params - { brand, batchId }
+ * @param {string} traceId - Trace ID
+ * @param {string} adminEmail - Admin email
+ * @returns {TextOutput}
+ */
+function handleBulkSend_(params, traceId, adminEmail) {
+  var permission = checkAdminPermission_(params.brand, adminEmail, 'send', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  return jsonResponse_(sendBulkInviteChunk_(params.brand, params.batchId, adminEmail, traceId));
+}
+
+/**
+ * Handle bulk report download
+ * @param {Object} params - { brand, batchId }
+ * @param {string} traceId - Trace ID
+ * @param {string} adminEmail - Admin email
+ * @returns {TextOutput}
+ */
+function handleBulkReport_(params, traceId, adminEmail) {
+  var permission = checkAdminPermission_(params.brand, adminEmail, 'send', traceId);
+  if (!permission.ok) {
+    return jsonResponse_(permission);
+  }
+  return jsonResponse_(buildBulkInviteReport_(params.brand, params.batchId, adminEmail));
+}
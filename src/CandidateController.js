@@ -180,16 +180,21 @@ function serveTokenErrorPage_(code, message, traceId) {
  * @param {string} message - Error message
  * @param {string} traceId - Trace ID
  * @param {string} icon - Optional icon
+ * @param {string=} lang - Language for the page chrome (default English); title and message are already translated
+ * @param {string=} brand - Brand whose theme to show (default: the CrewLife look)
  * @returns {HtmlOutput}
  */
-function serveErrorPage_(title, message, traceId, icon) {
+function serveErrorPage_(title, message, traceId, icon, lang, brand) {
+  lang = lang || I18N_DEFAULT_LANG;
   var template = HtmlService.createTemplateFromFile('ErrorPage');
+  applyI18n_(template, lang);
+  applyBrandTheme_(template, brand);
   template.title = title;
   template.message = message;
   template.traceId = traceId || '';
   template.icon = icon || '❌';
   
   return template.evaluate()
-    .setTitle(title + ' – CrewLife Bookings')
+    .setTitle(t_(lang, 'error.pageTitle', { title: title }))
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
@@ -58,7 +58,22 @@ function getConfig_() {
     WORKSPACE_DOMAIN: props.getProperty('WORKSPACE_DOMAIN') || 'crewlifeatsea.com',
     HMAC_SECRET: props.getProperty('HMAC_SECRET') || '',
     OTP_EXPIRY_MINUTES: Number(props.getProperty('OTP_EXPIRY_MINUTES') || '10'),
-    LINK_EXPIRY_DAYS: Number(props.getProperty('LINK_EXPIRY_DAYS') || '7')
+    LINK_EXPIRY_DAYS: Number(props.getProperty('LINK_EXPIRY_DAYS') || '7'),
+    TOKENS_ARCHIVE_AFTER_DAYS: Number(props.getProperty('TOKENS_ARCHIVE_AFTER_DAYS') || '30'),
+    TOKENS_ARCHIVE_SHEET_ID: props.getProperty('TOKENS_ARCHIVE_SHEET_ID') || '',
+    OTP_RATE_LIMIT_DISABLED: props.getProperty('OTP_RATE_LIMIT_DISABLED') === 'true',
+    OTP_RATE_EMAIL_MAX: Number(props.getProperty('OTP_RATE_EMAIL_MAX') || '3'),
+    OTP_RATE_EMAIL_WINDOW_MINUTES: Number(props.getProperty('OTP_RATE_EMAIL_WINDOW_MINUTES') || '15'),
+    OTP_RATE_BRAND_PER_HOUR: Number(props.getProperty('OTP_RATE_BRAND_PER_HOUR') || '300'),
+    OTP_RATE_GLOBAL_PER_HOUR: Number(props.getProperty('OTP_RATE_GLOBAL_PER_HOUR') || '1000'),
+    OTP_RESEND_COOLDOWN_SECONDS: Number(props.getProperty('OTP_RESEND_COOLDOWN_SECONDS') || '60'),
+    OTP_RESEND_MAX: Number(props.getProperty('OTP_RESEND_MAX') || '3'),
+    BOOKING_SYNC_LOOKBACK_DAYS: Number(props.getProperty('BOOKING_SYNC_LOOKBACK_DAYS') || '7'),
+    BOOKING_SYNC_LOOKAHEAD_DAYS: Number(props.getProperty('BOOKING_SYNC_LOOKAHEAD_DAYS') || '60'),
+    BOOKING_SYNC_DATE_COLUMN: props.getProperty('BOOKING_SYNC_DATE_COLUMN') || 'Interview Date',
+    REMINDER_BEFORE_HOURS: Number(props.getProperty('REMINDER_BEFORE_HOURS') || '24'),
+    REMINDER_MAX: Number(props.getProperty('REMINDER_MAX') || '1'),
+    REMINDER_INTERVAL_HOURS: Number(props.getProperty('REMINDER_INTERVAL_HOURS') || '12')
   };
 }
 
@@ -15,15 +15,23 @@ var CONFIG_TABS = {
   },
   TOKENS: {
     name: 'TOKENS',
-    headers: ['Token', 'Email', 'Email Hash', 'Text For Email', 'Brand', 'CL Code', 'Status', 'Expiry', 'Created At', 'Used At', 'Issued By', 'Trace ID', 'OTP', 'Attempts']
+    headers: ['Token', 'Email', 'Email Hash', 'Text For Email', 'Brand', 'CL Code', 'Status', 'Expiry', 'Created At', 'Used At', 'Issued By', 'Trace ID', 'OTP', 'Attempts', 'Interview At', 'Reminder Count', 'Last Reminder At', 'Interview Written At']
   },
   LOGS: {
     name: 'LOGS',
-    headers: ['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor']
+    headers: ['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor', 'Level']
   },
   BRAND_CONFIG: {
     name: 'BRAND_CONFIG',
-    headers: ['Brand', 'Smartsheet ID', 'Token Expiry Hours', 'Active', 'Admin Emails']
+    headers: ['Brand', 'Smartsheet ID', 'Token Expiry Hours', 'Active', 'Admin Emails', 'Logo URL', 'Primary Color', 'Secondary Color', 'Favicon URL', 'Footer Text', 'Support Email', 'Name', 'Email Column', 'Text For Email Column', 'Email Column ID', 'Text For Email Column ID', 'Interview Link Column ID', 'Full Name Column ID', 'Feature Flags']
+  },
+  ADMIN_ROLES: {
+    name: 'ADMIN_ROLES',
+    headers: ['Email', 'Brand', 'Role', 'Active', 'Notes']
+  },
+  EMAIL_TEMPLATES: {
+    name: 'EMAIL_TEMPLATES',
+    headers: ['Brand', 'Template', 'Language', 'Subject', 'HTML Body', 'Text Body', 'Active', 'Notes']
   }
 };
 
@@ -97,6 +105,7 @@ function resetConfigTab_(tabName) {
   sheet.getRange(1, 1, 1, tabDef.headers.length).setValues([tabDef.headers]);
   sheet.getRange(1, 1, 1, tabDef.headers.length).setFontWeight('bold');
   sheet.setFrozenRows(1);
+  if (tabName === 'TOKENS') invalidateTokenIndex_();
   
   Logger.log('resetConfigTab_: Created fresh ' + tabName + ' with headers: ' + tabDef.headers.join(', '));
   return { ok: true, headers: tabDef.headers };
@@ -441,11 +450,17 @@ function getBrandConfigOverrides_(brand) {
   
   for (var i = 1; i < data.length; i++) {
     if (String(data[i][brandIdx]).toUpperCase() === String(brand).toUpperCase()) {
+      var theme = {};
+      for (var column in BRAND_THEME_COLUMNS) {
+        var themeIdx = headers.indexOf(column);
+        theme[BRAND_THEME_COLUMNS[column]] = themeIdx !== -1 ? data[i][themeIdx] : '';
+      }
       return {
         smartsheetId: data[i][smartsheetIdx] || '',
         tokenExpiryHours: Number(data[i][expiryIdx]) || null,
         active: data[i][activeIdx] === true || String(data[i][activeIdx]).toUpperCase() === 'TRUE',
-        adminEmails: String(data[i][adminIdx] || '').split(',').map(function(e) { return e.trim(); }).filter(function(e) { return e; })
+        adminEmails: String(data[i][adminIdx] || '').split(',').map(function(e) { return e.trim(); }).filter(function(e) { return e; }),
+        theme: theme
       };
     }
   }
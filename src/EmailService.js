@@ -1,6 +1,6 @@
 /**
  * EmailService.gs
- * Send invite and re-issue emails.
+ * Send invite, re-issue and reminder emails.
  * CrewLife Interview Bookings Uniform Core
  */
 
@@ -13,72 +13,103 @@
  * @param {string} params.textForEmail - Job/position text
  * @param {string} params.clCode - CL code
  * @param {string} params.recruiterName - Recruiter name
+ * @param {string=} params.candidateName - Candidate name (EMAIL_TEMPLATES only)
+ * @param {number=} params.expiryHours - Link lifetime (default: the brand's token expiry)
  * @param {string} params.traceId - Trace ID
  * @param {boolean} params.isReissue - Is this a re-issue?
+ * @param {string=} params.lang - Language code (default: the brand default)
  * @returns {Object} Send result
  */
 function sendInviteEmail_(params) {
   try {
     var brandInfo = getBrand_(params.brand);
     var brandName = brandInfo ? brandInfo.name : params.brand;
+    var lang = normalizeLang_(params.lang) || getBrandDefaultLang_(params.brand);
+    var theme = getBrandTheme_(params.brand);
+    var expiryHours = Number(params.expiryHours) || getTokenExpiryHours_(params.brand);
     // ── CANONICAL CTA BASE — never use getWebAppUrl_() for email links ──
     var ctaBase = getEmailCtaBaseUrl_();
-    var bookingLink = ctaBase + '?page=access&token=' + encodeURIComponent(params.token || '');
+    var bookingLink = appendLangParam_(ctaBase + '?page=access&token=' + encodeURIComponent(params.token || ''), lang, params.brand);
 
     // Diagnostic log
     var isCalendar = bookingLink.indexOf('calendar.google.com') !== -1;
     Logger.log('BOOKING_EMAIL_CTA_BUILT: ' + JSON.stringify({ brand: params.brand, ctaBase: ctaBase, isCalendar: isCalendar }));
     logEvent_(params.traceId || '', params.brand || '', params.email || '', 'BOOKING_EMAIL_CTA_BUILT', { ctaBase: ctaBase, isCalendar: isCalendar, hasToken: !!(params.token) });
     
-    var subject = params.isReissue
-      ? '(Re-sent) Your Interview Booking Link – ' + brandName
-      : 'Your Interview Booking Link – ' + brandName;
+    var subject = t_(lang, params.isReissue ? 'invite.subjectReissue' : 'invite.subject', { brand: brandName });
     
-    var body = 'Hello,\n\n';
-    body += 'You have been invited to book your interview';
-    if (params.textForEmail) {
-      body += ' for: ' + params.textForEmail;
-    }
+    var body = t_(lang, 'invite.hello') + '\n\n';
+    body += params.textForEmail
+      ? t_(lang, 'invite.invitedFor', { position: params.textForEmail })
+      : t_(lang, 'invite.invited');
     body += '\n\n';
-    body += 'Brand: ' + brandName + '\n';
+    body += t_(lang, 'common.brand') + ' ' + brandName + '\n';
     if (params.recruiterName) {
-      body += 'Recruiter: ' + params.recruiterName + '\n';
+      body += t_(lang, 'common.recruiter') + ' ' + params.recruiterName + '\n';
     }
     body += '\n';
-    body += 'Click the link below to proceed to the booking page:\n\n';
+    body += t_(lang, 'invite.clickLink') + '\n\n';
     body += bookingLink + '\n\n';
-    body += '⚠️ Important:\n';
-    body += '• This link is personal and can only be used once.\n';
-    body += '• Do not share this link with others.\n';
-    body += '• This link will expire in 48 hours.\n\n';
-    body += 'If you did not request this, please ignore this email.\n\n';
-    body += 'Best regards,\n';
-    body += 'CrewLife Recruitment Team';
+    body += '⚠️ ' + t_(lang, 'common.important') + '\n';
+    body += '• ' + t_(lang, 'invite.personal') + '\n';
+    body += '• ' + t_(lang, 'invite.noShare') + '\n';
+    body += '• ' + t_(lang, 'invite.expires', { hours: expiryHours }) + '\n\n';
+    body += t_(lang, 'invite.ignore') + '\n\n';
+    body += t_(lang, 'common.bestRegards') + '\n';
+    body += t_(lang, 'invite.team');
+    if (theme.supportEmail) body += '\n\n' + t_(lang, 'common.supportContact', { email: theme.supportEmail });
+    if (theme.footerText) body += '\n\n' + theme.footerText;
     
-    var htmlBody = '<html><body>';
-    htmlBody += '<p>Hello,</p>';
-    htmlBody += '<p>You have been invited to book your interview';
-    if (params.textForEmail) {
-      htmlBody += ' for: <strong>' + escapeHtml_(params.textForEmail) + '</strong>';
+    var htmlBody = '<html lang="' + lang + '"><body>';
+    if (theme.logoUrl) {
+      htmlBody += '<p><img src="' + escapeHtml_(theme.logoUrl) + '" alt="' + escapeHtml_(brandName) + '" style="max-height:48px;max-width:200px;"></p>';
     }
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'invite.hello')) + '</p>';
+    htmlBody += '<p>';
+    htmlBody += params.textForEmail
+      ? escapeHtml_(t_(lang, 'invite.invitedFor')).replace('{position}', '<strong>' + escapeHtml_(params.textForEmail) + '</strong>')
+      : escapeHtml_(t_(lang, 'invite.invited'));
     htmlBody += '</p>';
-    htmlBody += '<p><strong>Brand:</strong> ' + escapeHtml_(brandName) + '<br>';
+    htmlBody += '<p><strong>' + escapeHtml_(t_(lang, 'common.brand')) + '</strong> ' + escapeHtml_(brandName) + '<br>';
     if (params.recruiterName) {
-      htmlBody += '<strong>Recruiter:</strong> ' + escapeHtml_(params.recruiterName);
+      htmlBody += '<strong>' + escapeHtml_(t_(lang, 'common.recruiter')) + '</strong> ' + escapeHtml_(params.recruiterName);
     }
     htmlBody += '</p>';
-    htmlBody += '<p>Click the button below to proceed to the booking page:</p>';
-    htmlBody += '<p><a href="' + bookingLink + '" style="display:inline-block;padding:12px 24px;background-color:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px;font-weight:bold;">Book Your Interview</a></p>';
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'invite.clickButton')) + '</p>';
+    htmlBody += '<p><a href="' + bookingLink + '" style="display:inline-block;padding:12px 24px;background-color:' + (theme.primaryColor || '#0066cc') + ';color:#ffffff;text-decoration:none;border-radius:4px;font-weight:bold;">' + escapeHtml_(t_(lang, 'common.bookInterview')) + '</a></p>';
     htmlBody += '<p style="color:#666;font-size:12px;">';
-    htmlBody += '⚠️ <strong>Important:</strong><br>';
-    htmlBody += '• This link is personal and can only be used once.<br>';
-    htmlBody += '• Do not share this link with others.<br>';
-    htmlBody += '• This link will expire in 48 hours.';
+    htmlBody += '⚠️ <strong>' + escapeHtml_(t_(lang, 'common.important')) + '</strong><br>';
+    htmlBody += '• ' + escapeHtml_(t_(lang, 'invite.personal')) + '<br>';
+    htmlBody += '• ' + escapeHtml_(t_(lang, 'invite.noShare')) + '<br>';
+    htmlBody += '• ' + escapeHtml_(t_(lang, 'invite.expires', { hours: expiryHours }));
     htmlBody += '</p>';
-    htmlBody += '<p style="color:#999;font-size:11px;">If you did not request this, please ignore this email.</p>';
-    htmlBody += '<p>Best regards,<br>CrewLife Recruitment Team</p>';
+    htmlBody += '<p style="color:#999;font-size:11px;">' + escapeHtml_(t_(lang, 'invite.ignore')) + '</p>';
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'common.bestRegards')) + '<br>' + escapeHtml_(t_(lang, 'invite.team')) + '</p>';
+    htmlBody += buildBrandFooter_(theme, lang, true);
     htmlBody += '</body></html>';
     
+    var custom = renderEmailTemplate_({
+      brand: params.brand,
+      type: params.isReissue ? 'reissue' : 'invite',
+      lang: lang,
+      traceId: params.traceId,
+      email: params.email,
+      vars: {
+        candidateName: params.candidateName || t_(lang, 'common.candidate'),
+        position: params.textForEmail || '',
+        recruiterName: params.recruiterName || '',
+        brandName: brandName,
+        clCode: params.clCode || '',
+        expiryHours: expiryHours,
+        ctaUrl: bookingLink
+      }
+    });
+    if (custom) {
+      subject = custom.subject;
+      body = custom.body;
+      htmlBody = custom.htmlBody;
+    }
+    
     MailApp.sendEmail({
       to: params.email,
       subject: subject,
@@ -87,9 +118,11 @@ function sendInviteEmail_(params) {
     });
     
     logEvent_(params.traceId, params.brand, params.email, params.isReissue ? 'EMAIL_REISSUE_SENT' : 'EMAIL_SENT', {
+      token: String(params.token || '').substring(0, 8) + '...',
       textForEmail: params.textForEmail,
       clCode: params.clCode,
-      recruiter: params.recruiterName
+      recruiter: params.recruiterName,
+      template: custom ? 'EMAIL_TEMPLATES row ' + custom.row : 'built-in'
     });
     
     return { ok: true, sent: true };
@@ -103,6 +136,117 @@ function sendInviteEmail_(params) {
   }
 }
 
+/**
+ * Send a reminder for a booking link that has not been used yet
+ * @param {Object} params - Email parameters
+ * @param {string} params.email - Recipient email
+ * @param {string} params.brand - Brand code
+ * @param {string} params.token - Access token (the link is the one from the original email)
+ * @param {string} params.textForEmail - Job/position text
+ * @param {string=} params.clCode - CL code
+ * @param {string=} params.candidateName - Candidate name (EMAIL_TEMPLATES only)
+ * @param {number} params.hoursLeft - Hours until the link expires
+ * @param {number} params.reminderNumber - 1 for the first reminder
+ * @param {string} params.traceId - Trace ID
+ * @param {string=} params.lang - Language code (default: the brand default)
+ * @returns {Object} Send result
+ */
+function sendReminderEmail_(params) {
+  try {
+    var brandInfo = getBrand_(params.brand);
+    var brandName = brandInfo ? brandInfo.name : params.brand;
+    var lang = normalizeLang_(params.lang) || getBrandDefaultLang_(params.brand);
+    var theme = getBrandTheme_(params.brand);
+    var hoursLeft = Math.max(1, Math.ceil(Number(params.hoursLeft) || 0));
+    var bookingLink = appendLangParam_(getEmailCtaBaseUrl_() + '?page=access&token=' + encodeURIComponent(params.token || ''), lang, params.brand);
+
+    var subject = t_(lang, 'reminder.subject', { brand: brandName });
+    var intro = params.textForEmail
+      ? t_(lang, 'reminder.notUsedFor', { position: params.textForEmail })
+      : t_(lang, 'reminder.notUsed');
+
+    var body = t_(lang, 'invite.hello') + '\n\n';
+    body += intro + ' ' + t_(lang, 'reminder.expires', { hours: hoursLeft }) + '\n\n';
+    body += t_(lang, 'invite.clickLink') + '\n\n';
+    body += bookingLink + '\n\n';
+    body += '• ' + t_(lang, 'invite.personal') + '\n';
+    body += '• ' + t_(lang, 'invite.noShare') + '\n\n';
+    body += t_(lang, 'reminder.ignore') + '\n\n';
+    body += t_(lang, 'common.bestRegards') + '\n';
+    body += t_(lang, 'invite.team');
+    if (theme.supportEmail) body += '\n\n' + t_(lang, 'common.supportContact', { email: theme.supportEmail });
+    if (theme.footerText) body += '\n\n' + theme.footerText;
+
+    var htmlBody = '<html lang="' + lang + '"><body>';
+    if (theme.logoUrl) {
+      htmlBody += '<p><img src="' + escapeHtml_(theme.logoUrl) + '" alt="' + escapeHtml_(brandName) + '" style="max-height:48px;max-width:200px;"></p>';
+    }
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'invite.hello')) + '</p>';
+    htmlBody += '<p>';
+    htmlBody += params.textForEmail
+      ? escapeHtml_(t_(lang, 'reminder.notUsedFor')).replace('{position}', '<strong>' + escapeHtml_(params.textForEmail) + '</strong>')
+      : escapeHtml_(t_(lang, 'reminder.notUsed'));
+    htmlBody += ' ' + escapeHtml_(t_(lang, 'reminder.expires', { hours: hoursLeft })) + '</p>';
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'invite.clickButton')) + '</p>';
+    htmlBody += '<p><a href="' + bookingLink + '" style="display:inline-block;padding:12px 24px;background-color:' + (theme.primaryColor || '#0066cc') + ';color:#ffffff;text-decoration:none;border-radius:4px;font-weight:bold;">' + escapeHtml_(t_(lang, 'common.bookInterview')) + '</a></p>';
+    htmlBody += '<p style="color:#666;font-size:12px;">';
+    htmlBody += '• ' + escapeHtml_(t_(lang, 'invite.personal')) + '<br>';
+    htmlBody += '• ' + escapeHtml_(t_(lang, 'invite.noShare'));
+    htmlBody += '</p>';
+    htmlBody += '<p style="color:#999;font-size:11px;">' + escapeHtml_(t_(lang, 'reminder.ignore')) + '</p>';
+    htmlBody += '<p>' + escapeHtml_(t_(lang, 'common.bestRegards')) + '<br>' + escapeHtml_(t_(lang, 'invite.team')) + '</p>';
+    htmlBody += buildBrandFooter_(theme, lang, true);
+    htmlBody += '</body></html>';
+
+    var custom = renderEmailTemplate_({
+      brand: params.brand,
+      type: 'reminder',
+      lang: lang,
+      traceId: params.traceId,
+      email: params.email,
+      vars: {
+        candidateName: params.candidateName || t_(lang, 'common.candidate'),
+        position: params.textForEmail || '',
+        brandName: brandName,
+        clCode: params.clCode || '',
+        expiryHours: hoursLeft,
+        reminderNumber: params.reminderNumber,
+        ctaUrl: bookingLink
+      }
+    });
+    if (custom) {
+      subject = custom.subject;
+      body = custom.body;
+      htmlBody = custom.htmlBody;
+    }
+
+    MailApp.sendEmail({
+      to: params.email,
+      subject: subject,
+      body: body,
+      htmlBody: htmlBody
+    });
+
+    logEvent_(params.traceId, params.brand, params.email, 'REMINDER_SENT', {
+      token: String(params.token || '').substring(0, 8) + '...',
+      clCode: params.clCode,
+      reminder: params.reminderNumber,
+      hoursLeft: hoursLeft,
+      template: custom ? 'EMAIL_TEMPLATES row ' + custom.row : 'built-in'
+    });
+
+    return { ok: true, sent: true };
+
+  } catch (e) {
+    Logger.log('EmailService reminder error: ' + e);
+    logEvent_(params.traceId, params.brand, params.email, 'REMINDER_FAILED', {
+      token: String(params.token || '').substring(0, 8) + '...',
+      error: String(e)
+    });
+    return { ok: false, error: String(e) };
+  }
+}
+
 /**
  * Escape HTML entities
  * @param {string} str - String to escape
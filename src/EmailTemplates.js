@@ -0,0 +1,139 @@
+/**
+ * EmailTemplates.gs
+ * Per-brand email templates from the EMAIL_TEMPLATES config tab.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Each row overrides one built-in email (Template: invite, reissue, booking,
+ * otp, reminder) for one brand ("*" = every brand) and one language (blank = any).
+ * The most specific active row wins: brand + language, brand, "*" +
+ * language, "*". Without one, the built-in email is sent.
+ *
+ * Subject, HTML Body and Text Body take {{placeholders}}. Values are
+ * HTML-escaped in the HTML body; unknown placeholders are left as typed.
+ * A row needs a subject and at least one body, otherwise it is skipped
+ * (EMAIL_TEMPLATE_INVALID) and the next match applies.
+ */
+
+var EMAIL_TEMPLATE_TYPES = ['invite', 'reissue', 'booking', 'otp', 'reminder'];
+
+/**
+ * Read active EMAIL_TEMPLATES rows for one template type
+ * @param {string} type - Template type
+ * @returns {Array<Object>} Rows with brand, lang, subject, html, text, row
+ */
+function getEmailTemplateRows_(type) {
+  var sheet = getConfigSheet_().getSheetByName('EMAIL_TEMPLATES');
+  if (!sheet) return [];
+
+  var data = sheet.getDataRange().getValues();
+  if (data.length < 2) return [];
+
+  var headers = data[0];
+  var brandIdx = headers.indexOf('Brand');
+  var typeIdx = headers.indexOf('Template');
+  var langIdx = headers.indexOf('Language');
+  var subjectIdx = headers.indexOf('Subject');
+  var htmlIdx = headers.indexOf('HTML Body');
+  var textIdx = headers.indexOf('Text Body');
+  var activeIdx = headers.indexOf('Active');
+  if (brandIdx === -1 || typeIdx === -1 || subjectIdx === -1) return [];
+
+  var rows = [];
+  for (var i = 1; i < data.length; i++) {
+    if (String(data[i][typeIdx] || '').toLowerCase().trim() !== type) continue;
+    if (activeIdx !== -1 && data[i][activeIdx] !== true && String(data[i][activeIdx]).toUpperCase() !== 'TRUE') continue;
+    var rawLang = langIdx !== -1 ? String(data[i][langIdx] || '').trim() : '';
+    rows.push({
+      row: i + 1,
+      brand: String(data[i][brandIdx] || '').toUpperCase().trim(),
+      lang: rawLang ? (normalizeLang_(rawLang) || '?') : '',  // '?' never matches: unsupported language
+      subject: String(data[i][subjectIdx] || '').trim(),
+      html: htmlIdx !== -1 ? String(data[i][htmlIdx] || '') : '',
+      text: textIdx !== -1 ? String(data[i][textIdx] || '') : ''
+    });
+  }
+  return rows;
+}
+
+/**
+ * Fill {{name}} placeholders
+ * @param {string} text - Template text
+ * @param {Object} vars - Placeholder values
+ * @param {boolean} html - Escape values for HTML
+ * @returns {string} Filled text
+ */
+function fillEmailPlaceholders_(text, vars, html) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, function(match, name) {
+    if (!vars.hasOwnProperty(name) || vars[name] === undefined || vars[name] === null) return match;
+    return html ? escapeHtml_(vars[name]) : String(vars[name]);
+  });
+}
+
+/**
+ * Render the EMAIL_TEMPLATES override for an email, if there is one
+ * @param {Object} params - { brand, type, lang, vars, traceId, email }
+ * @returns {{subject:string, body:string, htmlBody:string, row:number}|null} null = send the built-in email
+ */
+function renderEmailTemplate_(params) {
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var type = String(params.type || '').toLowerCase().trim();
+  var lang = params.lang || '';
+  var vars = params.vars || {};
+  if (EMAIL_TEMPLATE_TYPES.indexOf(type) === -1) return null;
+
+  var rows;
+  try {
+    rows = getEmailTemplateRows_(type);
+  } catch (e) {
+    Logger.log('[renderEmailTemplate_] Cannot read EMAIL_TEMPLATES: %s', e);
+    return null;
+  }
+
+  var candidates = [];
+  [[brand, lang], [brand, ''], ['*', lang], ['*', '']].forEach(function(key) {
+    rows.forEach(function(r) {
+      if (r.brand === key[0] && r.lang === key[1] && candidates.indexOf(r) === -1) candidates.push(r);
+    });
+  });
+
+  for (var i = 0; i < candidates.length; i++) {
+    var tpl = candidates[i];
+    if (!tpl.subject || (!tpl.html.trim() && !tpl.text.trim())) {
+      logEvent_(params.traceId || '', brand, params.email || '', 'EMAIL_TEMPLATE_INVALID', {
+        template: type, row: tpl.row, error: !tpl.subject ? 'Subject is empty' : 'HTML Body and Text Body are empty'
+      });
+      continue;
+    }
+
+    var text = tpl.text.trim() ? fillEmailPlaceholders_(tpl.text, vars, false) : '';
+    var htmlBody = tpl.html.trim()
+      ? fillEmailPlaceholders_(tpl.html, vars, true)
+      : '<html lang="' + lang + '"><body><p>' + escapeHtml_(text).replace(/\r?\n/g, '<br>') + '</p></body></html>';
+    if (!text) {
+      text = htmlBody
+        .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    return {
+      subject: fillEmailPlaceholders_(tpl.subject, vars, false).replace(/[\r\n]+/g, ' '),
+      body: text,
+      htmlBody: htmlBody,
+      row: tpl.row
+    };
+  }
+  return null;
+}
+
+/**
+ * Display name from a Smartsheet candidate row
+ * @param {Object} candidate - Row keyed by column title
+ * @returns {string} Name, or '' when the sheet has none
+ */
+function getCandidateName_(candidate) {
+  if (!candidate) return '';
+  return String(candidate['Full Name'] || candidate['Name'] || candidate['First Name'] || '').trim();
+}
@@ -0,0 +1,363 @@
+/**
+ * FunnelReport.gs
+ * Recruitment funnel per brand and CL code, computed from LOGS (including
+ * rotated LOGS_yyyy_MM_dd tabs) and TOKENS (including TOKENS_ARCHIVE_yyyy_MM).
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * A candidate is Brand + email + CL code. Each funnel event is tied to a
+ * TOKENS row by its logged token prefix; older events without one fall back
+ * to the latest row for the same Brand + masked email created before the
+ * event. Events that match no row are counted as unattributed.
+ * "OTP requested" counts only passcode emails the candidate asked for: the
+ * Sideways worker creates an OTP row at invite time, so OTP_CREATED would
+ * track "Invite sent".
+ * Dates are UTC days, both ends inclusive.
+ */
+
+var FUNNEL_STEPS = [
+  { key: 'sent', label: 'Invite sent', events: ['SIDEWAYS_EMAIL_SENT', 'EMAIL_SENT', 'EMAIL_REISSUE_SENT'] },
+  { key: 'otpRequested', label: 'OTP requested', events: ['OTP_EMAIL_SENT', 'OTP_RESENT'] },
+  { key: 'otpVerified', label: 'OTP verified', events: ['OTP_VERIFIED'] },
+  { key: 'gateShown', label: 'Access gate shown', events: ['ACCESS_GATE_SHOWN'] },
+  { key: 'redirected', label: 'Redirect consumed', events: ['SECURE_REDIRECT'] }
+];
+var FUNNEL_DEFAULT_DAYS = 30;
+var FUNNEL_MAX_DAYS = 92;
+var FUNNEL_MATCH_GRACE_MS = 60 * 1000;   // events are logged just after their TOKENS row is written
+
+/**
+ * Build the funnel for one brand
+ * @param {string} brand - Brand code
+ * @param {Object=} opts
+ * @param {string=} opts.from - First day (yyyy-mm-dd, default 30 days before opts.to)
+ * @param {string=} opts.to - Last day (yyyy-mm-dd, default today)
+ * @param {string=} opts.clCode - Only this CL code
+ * @returns {{ok:boolean, brand?:string, from?:string, to?:string, clCode?:string, steps?:Array<Object>,
+ *   clCodes?:Array<Object>, candidates?:number, unattributed?:number, error?:string, code?:string}}
+ */
+function buildFunnelReport_(brand, opts) {
+  opts = opts || {};
+  brand = String(brand || '').toUpperCase().trim();
+  var clFilter = String(opts.clCode || '').toUpperCase().trim();
+
+  var range = parseFunnelRange_(opts.from, opts.to);
+  if (!range.ok) return range;
+
+  var journeys = loadFunnelJourneys_(brand, range);
+  var stepOf = {};
+  FUNNEL_STEPS.forEach(function(step, i) {
+    step.events.forEach(function(ev) { stepOf[ev] = i; });
+  });
+
+  // candidate key → { clCode, times: [first ms per step] }
+  var candidates = {};
+  var unattributed = 0;
+
+  forEachFunnelLogRow_(range, function(row) {
+    if (String(row.brand).toUpperCase() !== brand || !stepOf.hasOwnProperty(row.event)) return;
+    var details = {};
+    try { details = JSON.parse(row.details || '{}') || {}; } catch (e) { details = {}; }
+    if (row.event === 'SIDEWAYS_EMAIL_SENT' && details.ok === false) return;
+
+    var journey = matchFunnelJourney_(journeys, row, details);
+    if (!journey) {
+      unattributed++;
+      return;
+    }
+
+    var key = journey.identity + '|' + journey.clCode;
+    var c = candidates[key];
+    if (!c) c = candidates[key] = { clCode: journey.clCode, times: [] };
+    var step = stepOf[row.event];
+    if (!c.times[step] || row.ms < c.times[step]) c.times[step] = row.ms;
+  });
+
+  var keys = Object.keys(candidates);
+  var byCl = {};
+  var selected = [];
+  keys.forEach(function(key) {
+    var c = candidates[key];
+    var cl = c.clCode || '';
+    if (!byCl[cl]) byCl[cl] = FUNNEL_STEPS.map(function() { return 0; });
+    FUNNEL_STEPS.forEach(function(step, i) {
+      if (c.times[i]) byCl[cl][i]++;
+    });
+    if (!clFilter || cl === clFilter) selected.push(c);
+  });
+
+  var steps = FUNNEL_STEPS.map(function(step, i) {
+    var reached = selected.filter(function(c) { return !!c.times[i]; });
+    var gaps = [];
+    if (i > 0) {
+      reached.forEach(function(c) {
+        if (c.times[i - 1] && c.times[i] >= c.times[i - 1]) gaps.push(c.times[i] - c.times[i - 1]);
+      });
+    }
+    return {
+      key: step.key,
+      label: step.label,
+      count: reached.length,
+      medianMinutes: gaps.length ? Math.round(funnelMedian_(gaps) / 60000 * 10) / 10 : null
+    };
+  });
+  steps.forEach(function(step, i) {
+    var first = steps[0].count;
+    var prev = i > 0 ? steps[i - 1].count : 0;
+    step.pctOfFirst = first ? Math.round(step.count / first * 1000) / 10 : null;
+    step.pctOfPrevious = (i > 0 && prev) ? Math.round(step.count / prev * 1000) / 10 : null;
+  });
+
+  var clCodes = Object.keys(byCl).map(function(cl) {
+    return { clCode: cl, counts: byCl[cl] };
+  }).sort(function(a, b) {
+    return (b.counts[0] - a.counts[0]) || (a.clCode < b.clCode ? -1 : a.clCode > b.clCode ? 1 : 0);
+  });
+
+  return {
+    ok: true,
+    brand: brand,
+    from: range.from,
+    to: range.to,
+    clCode: clFilter,
+    steps: steps,
+    clCodes: clCodes,
+    candidates: selected.length,
+    unattributed: unattributed
+  };
+}
+
+/**
+ * Validate a yyyy-mm-dd date range (UTC days, inclusive)
+ * @param {string=} from - First day
+ * @param {string=} to - Last day
+ * @returns {{ok:boolean, from?:string, to?:string, startMs?:number, endMs?:number, error?:string, code?:string}}
+ */
+function parseFunnelRange_(from, to) {
+  var dayMs = 24 * 60 * 60 * 1000;
+  var re = /^\d{4}-\d{2}-\d{2}$/;
+  from = String(from || '').trim();
+  to = String(to || '').trim();
+  if ((from && !re.test(from)) || (to && !re.test(to))) {
+    return { ok: false, error: 'Dates must be in yyyy-mm-dd format.', code: 'BAD_DATE' };
+  }
+
+  var endMs = to ? Date.parse(to + 'T00:00:00Z') : Date.parse(new Date().toISOString().substring(0, 10) + 'T00:00:00Z');
+  var startMs = from ? Date.parse(from + 'T00:00:00Z') : endMs - (FUNNEL_DEFAULT_DAYS - 1) * dayMs;
+  if (isNaN(startMs) || isNaN(endMs)) {
+    return { ok: false, error: 'Dates must be in yyyy-mm-dd format.', code: 'BAD_DATE' };
+  }
+  if (startMs > endMs) {
+    return { ok: false, error: 'The start date is after the end date.', code: 'BAD_RANGE' };
+  }
+  if ((endMs - startMs) / dayMs + 1 > FUNNEL_MAX_DAYS) {
+    return { ok: false, error: 'Choose a range of at most ' + FUNNEL_MAX_DAYS + ' days.', code: 'RANGE_TOO_LONG' };
+  }
+
+  return {
+    ok: true,
+    from: new Date(startMs).toISOString().substring(0, 10),
+    to: new Date(endMs).toISOString().substring(0, 10),
+    startMs: startMs,
+    endMs: endMs + dayMs - 1
+  };
+}
+
+/**
+ * TOKENS rows for a brand, indexed for event matching
+ * @param {string} brand - Brand code
+ * @param {Object} range - From parseFunnelRange_
+ * @returns {{byPrefix:Object, byMasked:Object}} Token prefix → journey, masked email → journeys (oldest first)
+ */
+function loadFunnelJourneys_(brand, range) {
+  var journeys = { byPrefix: {}, byMasked: {} };
+  var ss = getConfigSheet_();
+  var sheets = [ss.getSheetByName('TOKENS')];
+
+  // Archive tabs are per month of last activity; older months cannot hold rows active in the range
+  var cfg = getConfig_();
+  var archiveSs = ss;
+  try {
+    if (cfg.TOKENS_ARCHIVE_SHEET_ID) archiveSs = SpreadsheetApp.openById(cfg.TOKENS_ARCHIVE_SHEET_ID);
+  } catch (e) {
+    Logger.log('[loadFunnelJourneys_] Archive spreadsheet unavailable: ' + e);
+  }
+  var firstMonth = range.from.substring(0, 7).replace('-', '_');
+  archiveSs.getSheets().forEach(function(sheet) {
+    var m = /^TOKENS_ARCHIVE_(\d{4}_\d{2})$/.exec(sheet.getName());
+    if (m && m[1] >= firstMonth) sheets.push(sheet);
+  });
+
+  sheets.forEach(function(sheet) {
+    if (!sheet) return;
+    var data = sheet.getDataRange().getValues();
+    if (data.length < 2) return;
+    var headers = data[0];
+    var idx = {};
+    for (var h = 0; h < headers.length; h++) idx[headers[h]] = h;
+    if (idx['Token'] === undefined || idx['Brand'] === undefined) return;
+
+    for (var i = 1; i < data.length; i++) {
+      var row = data[i];
+      if (String(row[idx['Brand']]).toUpperCase().trim() !== brand) continue;
+      var token = String(row[idx['Token']] || '');
+      if (!token) continue;
+
+      var emailCell = idx['Email'] !== undefined ? String(row[idx['Email']] || '') : '';
+      var masked = emailCell.indexOf('***@') !== -1 ? emailCell.toLowerCase() : maskEmail_(emailCell);
+      var hashHex = idx['Email Hash'] !== undefined ? tokenRepoHashCellToHex_(row[idx['Email Hash']]) : '';
+      var clCode = idx['CL Code'] !== undefined ? String(row[idx['CL Code']] || '').toUpperCase().trim() : '';
+      if (!clCode && idx['Text For Email'] !== undefined) {
+        // Same rule as resolveCLCodeFromTextForEmail_
+        var clMatch = String(row[idx['Text For Email']] || '').match(/CL\d+/i);
+        clCode = clMatch ? clMatch[0].toUpperCase() : '';
+      }
+      var created = idx['Created At'] !== undefined ? new Date(row[idx['Created At']]).getTime() : NaN;
+
+      var journey = {
+        identity: hashHex || masked,
+        masked: masked,
+        clCode: clCode,
+        createdMs: isNaN(created) ? 0 : created
+      };
+      journeys.byPrefix[token.substring(0, 8)] = journey;
+      if (masked) (journeys.byMasked[masked] = journeys.byMasked[masked] || []).push(journey);
+    }
+  });
+
+  Object.keys(journeys.byMasked).forEach(function(masked) {
+    journeys.byMasked[masked].sort(function(a, b) { return a.createdMs - b.createdMs; });
+  });
+  return journeys;
+}
+
+/**
+ * TOKENS journey for one LOGS row
+ * @param {Object} journeys - From loadFunnelJourneys_
+ * @param {{ms:number, email:string}} row - LOGS row
+ * @param {Object} details - Parsed Details
+ * @returns {Object|null} Journey, or null when unattributed
+ */
+function matchFunnelJourney_(journeys, row, details) {
+  var prefix = String(details.token || '').replace(/\.+$/, '').substring(0, 8);
+  if (prefix && journeys.byPrefix[prefix]) return journeys.byPrefix[prefix];
+
+  var list = journeys.byMasked[String(row.email || '').toLowerCase()];
+  if (!list) return null;
+
+  var clMatch = String(details.clCode || details.textForEmail || '').match(/CL\d+/i);
+  var clCode = clMatch ? clMatch[0].toUpperCase() : '';
+  for (var i = list.length - 1; i >= 0; i--) {
+    if (list[i].createdMs > row.ms + FUNNEL_MATCH_GRACE_MS) continue;
+    if (clCode && list[i].clCode !== clCode) continue;
+    return list[i];
+  }
+  return null;
+}
+
+/**
+ * Call fn for each LOGS row inside the range, across LOGS and rotated
+ * LOGS_yyyy_MM_dd tabs. A rotated tab only holds rows up to its date, so
+ * tabs dated before the range are skipped.
+ * @param {Object} range - From parseFunnelRange_
+ * @param {function({ms:number, brand:string, email:string, event:string, details:string})} fn
+ */
+function forEachFunnelLogRow_(range, fn) {
+  var settings = getLogSettings_();
+  if (!settings.sheetId) return;
+  var ss = SpreadsheetApp.openById(settings.sheetId);
+  var firstDay = range.from.replace(/-/g, '_');
+
+  ss.getSheets().forEach(function(sheet) {
+    var name = sheet.getName();
+    if (name !== 'LOGS') {
+      var m = /^LOGS_(\d{4}_\d{2}_\d{2})(_\d+)?$/.exec(name);
+      if (!m || m[1] < firstDay) return;
+    }
+
+    var data = sheet.getDataRange().getValues();
+    if (data.length < 2) return;
+    var headers = data[0];
+    var tsIdx = headers.indexOf('Timestamp');
+    var brandIdx = headers.indexOf('Brand');
+    var emailIdx = headers.indexOf('Email (Masked)');
+    var eventIdx = headers.indexOf('Event');
+    var detailsIdx = headers.indexOf('Details');
+    if (tsIdx === -1 || eventIdx === -1) return;
+
+    for (var i = 1; i < data.length; i++) {
+      var ms = new Date(data[i][tsIdx]).getTime();
+      if (isNaN(ms) || ms < range.startMs || ms > range.endMs) continue;
+      fn({
+        ms: ms,
+        brand: brandIdx !== -1 ? data[i][brandIdx] : '',
+        email: emailIdx !== -1 ? data[i][emailIdx] : '',
+        event: String(data[i][eventIdx] || ''),
+        details: detailsIdx !== -1 ? data[i][detailsIdx] : ''
+      });
+    }
+  });
+}
+
+/**
+ * @param {Array<number>} values - Non-empty list
+ * @returns {number} Median
+ */
+function funnelMedian_(values) {
+  var sorted = values.slice().sort(function(a, b) { return a - b; });
+  var mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Funnel dashboard page. Same sign-in as the admin console; needs the lookup
+ * permission.
+ * @param {string} brand - Brand code
+ * @param {Object} params - URL parameters (from, to, cl), plus adminSession from adminOpenPage
+ * @param {string} traceId - Trace ID
+ * @returns {HtmlOutput}
+ */
+function serveFunnelDashboard_(brand, params, traceId) {
+  if (!brand) {
+    return serveAdminLogin_('', '');
+  }
+  if (!isValidBrand_(brand)) {
+    return serveErrorPage_('Invalid Brand', 'Brand not found: ' + brand, traceId);
+  }
+
+  var accessCheck = checkAdminAccess_(brand, params);
+  if (!accessCheck.ok) {
+    return serveAdminAccessDenied_(brand, accessCheck, 'funnel', traceId);
+  }
+  var permission = checkAdminPermission_(brand, accessCheck.userEmail, 'lookup', traceId);
+  if (!permission.ok) {
+    return serveErrorPage_('Access Denied', permission.error, traceId);
+  }
+
+  var report;
+  try {
+    report = buildFunnelReport_(brand, { from: params.from, to: params.to, clCode: params.cl });
+  } catch (e) {
+    logEvent_(traceId, brand, '', 'FUNNEL_REPORT_ERROR', { error: String(e) });
+    report = { ok: false, error: 'Could not build the funnel. Please try again.', code: 'INTERNAL_ERROR' };
+  }
+
+  var brandInfo = getBrand_(brand);
+  var template = HtmlService.createTemplateFromFile('FunnelDashboard');
+  template.brand = brand;
+  template.brandName = brandInfo.name;
+  template.report = report;
+  template.from = report.ok ? report.from : String(params.from || '');
+  template.to = report.ok ? report.to : String(params.to || '');
+  template.clCode = String(params.cl || '').toUpperCase().trim();
+  template.clOptions = getCLCodesForBrand_(brand).map(function(c) { return c.clCode; });
+  template.userEmail = accessCheck.userEmail;
+  template.version = APP_VERSION;
+
+  logEvent_(traceId, brand, accessCheck.userEmail, 'FUNNEL_VIEWED', {
+    from: template.from, to: template.to, clCode: template.clCode, ok: report.ok
+  });
+
+  return template.evaluate()
+    .setTitle('Funnel – ' + brandInfo.name)
+    .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
+}
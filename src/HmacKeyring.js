@@ -0,0 +1,185 @@
+/**
+ * HmacKeyring.gs
+ * Versioned HMAC keys for signed links and webhook keys. The keyring lives in
+ * the HMAC_KEYRING Script Property; each key has a kid and a status:
+ *   active  - signs new links (exactly one)
+ *   verify  - no longer signs, still accepted so outstanding links keep working
+ *   retired - rejected; the secret is erased
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Before the first rotation the keyring is derived from HMAC_SECRET as kid
+ * "k0", which also verifies legacy links signed without a kid. Nothing here
+ * creates a secret implicitly: rotateHmacKey_ is the only writer.
+ */
+
+var HMAC_KEYRING_PROP = 'HMAC_KEYRING';
+var HMAC_LEGACY_KID = 'k0';
+var HMAC_KEY_STATUS = {
+  ACTIVE: 'active',
+  VERIFY: 'verify',
+  RETIRED: 'retired'
+};
+
+/**
+ * Read the keyring (derived from HMAC_SECRET when never rotated)
+ * @returns {{keys:Array<{kid:string, secret:string, status:string, createdAt:string, rotatedAt?:string, retiredAt?:string}>}}
+ */
+function getHmacKeyring_() {
+  var props = PropertiesService.getScriptProperties();
+  var raw = props.getProperty(HMAC_KEYRING_PROP);
+  if (raw) {
+    try {
+      var ring = JSON.parse(raw);
+      if (ring && ring.keys && ring.keys.length) return ring;
+    } catch (e) {
+      Logger.log('[getHmacKeyring_] HMAC_KEYRING is not valid JSON: %s', e);
+    }
+  }
+  var legacy = props.getProperty('HMAC_SECRET');
+  if (legacy && legacy.length >= 32) {
+    return { keys: [{ kid: HMAC_LEGACY_KID, secret: legacy, status: HMAC_KEY_STATUS.ACTIVE, createdAt: '' }] };
+  }
+  return { keys: [] };
+}
+
+/**
+ * Key used to sign new links
+ * @returns {{kid:string, secret:string}|null} Null when no key is configured
+ */
+function getActiveHmacKey_() {
+  var keys = getHmacKeyring_().keys;
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].status === HMAC_KEY_STATUS.ACTIVE && keys[i].secret) {
+      return { kid: keys[i].kid, secret: keys[i].secret };
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up a key that may still verify signatures
+ * @param {string} kid - Key ID
+ * @returns {{kid:string, secret:string}|null} Null when unknown or retired
+ */
+function getHmacVerifyKey_(kid) {
+  var keys = getHmacKeyring_().keys;
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].kid === String(kid || '') && keys[i].status !== HMAC_KEY_STATUS.RETIRED && keys[i].secret) {
+      return { kid: keys[i].kid, secret: keys[i].secret };
+    }
+  }
+  return null;
+}
+
+/**
+ * All keys that may still verify signatures, active first
+ * @returns {Array<{kid:string, secret:string}>}
+ */
+function getHmacVerifyKeys_() {
+  var keys = getHmacKeyring_().keys;
+  var out = [];
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i].status === HMAC_KEY_STATUS.RETIRED || !keys[i].secret) continue;
+    var entry = { kid: keys[i].kid, secret: keys[i].secret };
+    if (keys[i].status === HMAC_KEY_STATUS.ACTIVE) out.unshift(entry);
+    else out.push(entry);
+  }
+  return out;
+}
+
+/**
+ * Create a new active key; the previous active key becomes verify-only.
+ * Also creates the very first key on a fresh project.
+ * @returns {{ok:boolean, kid?:string, previousKid?:string, error?:string, code?:string}}
+ */
+function rotateHmacKey_() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  }
+  try {
+    var ring = getHmacKeyring_();
+    var now = new Date().toISOString();
+    var previousKid = '';
+    var maxId = 0;
+    for (var i = 0; i < ring.keys.length; i++) {
+      var n = Number(String(ring.keys[i].kid).replace(/^k/, ''));
+      if (n > maxId) maxId = n;
+      if (ring.keys[i].status === HMAC_KEY_STATUS.ACTIVE) {
+        ring.keys[i].status = HMAC_KEY_STATUS.VERIFY;
+        ring.keys[i].rotatedAt = now;
+        previousKid = ring.keys[i].kid;
+      }
+    }
+    var kid = 'k' + (maxId + 1);
+    ring.keys.push({
+      kid: kid,
+      secret: Utilities.base64EncodeWebSafe(secureRandomBytes_(32)).replace(/[=]+$/, ''),
+      status: HMAC_KEY_STATUS.ACTIVE,
+      createdAt: now
+    });
+    PropertiesService.getScriptProperties().setProperty(HMAC_KEYRING_PROP, JSON.stringify(ring));
+    logEvent_(generateTraceId_(), '', '', 'HMAC_KEY_ROTATED', { kid: kid, previousKid: previousKid || null });
+    return { ok: true, kid: kid, previousKid: previousKid };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Retire a verify-only key: links signed with it stop working and its secret
+ * is erased. Refused while links it signed may still be inside
+ * LINK_EXPIRY_DAYS unless opts.force is set.
+ * @param {string} kid - Key ID
+ * @param {Object=} opts - { force: boolean }
+ * @returns {{ok:boolean, kid?:string, error?:string, code?:string}}
+ */
+function retireHmacKey_(kid, opts) {
+  opts = opts || {};
+  kid = String(kid || '').trim();
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  }
+  try {
+    var ring = getHmacKeyring_();
+    var key = null;
+    for (var i = 0; i < ring.keys.length; i++) {
+      if (ring.keys[i].kid === kid) key = ring.keys[i];
+    }
+    if (!key) return { ok: false, error: 'Unknown key: ' + kid, code: 'NOT_FOUND' };
+    if (key.status === HMAC_KEY_STATUS.RETIRED) return { ok: true, kid: kid, alreadyRetired: true };
+    if (key.status === HMAC_KEY_STATUS.ACTIVE) {
+      return { ok: false, error: 'Rotate before retiring the active key', code: 'KEY_ACTIVE' };
+    }
+    var safeAfter = new Date(key.rotatedAt || 0).getTime() + getLinkExpirySeconds_() * 1000;
+    if (!opts.force && Date.now() < safeAfter) {
+      return {
+        ok: false,
+        error: 'Links signed with ' + kid + ' may be valid until ' + new Date(safeAfter).toISOString() + ' (pass force to retire anyway)',
+        code: 'LINKS_OUTSTANDING'
+      };
+    }
+
+    key.status = HMAC_KEY_STATUS.RETIRED;
+    key.retiredAt = new Date().toISOString();
+    key.secret = '';
+    var props = PropertiesService.getScriptProperties();
+    props.setProperty(HMAC_KEYRING_PROP, JSON.stringify(ring));
+    if (kid === HMAC_LEGACY_KID) props.deleteProperty('HMAC_SECRET');
+    logEvent_(generateTraceId_(), '', '', 'HMAC_KEY_RETIRED', { kid: kid, forced: !!opts.force });
+    return { ok: true, kid: kid };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Keyring summary without secrets
+ * @returns {Array<{kid:string, status:string, createdAt:string, rotatedAt:string, retiredAt:string}>}
+ */
+function describeHmacKeys_() {
+  return getHmacKeyring_().keys.map(function(k) {
+    return { kid: k.kid, status: k.status, createdAt: k.createdAt || '', rotatedAt: k.rotatedAt || '', retiredAt: k.retiredAt || '' };
+  });
+}
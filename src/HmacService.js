@@ -5,20 +5,20 @@
  * CrewLife Interview Bookings Uniform Core
  */
 
+var SIGNED_URL_SIG_LENGTH = 32;  // hex chars of HMAC-SHA256 on kid-signed links
+
 /**
- * Get HMAC secret from script properties
+ * Get the active HMAC secret (HmacKeyring.gs).
+ * Never generates one: a missing key is a setup error, not a reason to
+ * invalidate every outstanding link. Run rotateHmacKey() to create the first key.
  * @returns {string} HMAC secret
  */
 function getHmacSecret_() {
-  var props = PropertiesService.getScriptProperties();
-  var secret = props.getProperty('HMAC_SECRET');
-  if (!secret || secret.length < 32) {
-    // Generate a new secret if not set
-    secret = Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
-    props.setProperty('HMAC_SECRET', secret);
-    Logger.log('HmacService: Generated new HMAC_SECRET');
+  var key = getActiveHmacKey_();
+  if (!key) {
+    throw new Error('HMAC key not configured. Set HMAC_SECRET or run rotateHmacKey() once.');
   }
-  return secret;
+  return key.secret;
 }
 
 /**
@@ -34,6 +34,22 @@ function computeHmac_(secret, data) {
   }).join('');
 }
 
+/**
+ * Compare two strings without short-circuiting on the first difference
+ * @param {string} a - Provided value
+ * @param {string} b - Expected value
+ * @returns {boolean} True if equal
+ */
+function constantTimeEquals_(a, b) {
+  a = String(a || '');
+  b = String(b || '');
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < b.length; i++) {
+    diff |= (i < a.length ? a.charCodeAt(i) : 0) ^ b.charCodeAt(i);
+  }
+  return diff === 0 && b.length > 0;
+}
+
 /**
  * Generate a signed URL for candidate booking link
  * @param {Object} params - URL parameters
@@ -55,16 +71,17 @@ function generateSignedUrl_(params) {
     return { ok: false, error: 'Invalid brand: ' + brand };
   }
   
+  var key = getActiveHmacKey_();
+  if (!key) {
+    return { ok: false, error: 'HMAC key not configured', code: 'NO_HMAC_KEY' };
+  }
+  
   // Current timestamp in seconds
   var timestamp = Math.floor(Date.now() / 1000);
   
-  // Data to sign: brand|email|textForEmail|timestamp
+  // Data to sign: brand|email|textForEmail|timestamp, with the key named by kid
   var dataToSign = brand + '|' + email + '|' + textForEmail + '|' + timestamp;
-  
-  // Compute signature (first 16 chars of HMAC-SHA256)
-  var secret = getHmacSecret_();
-  var fullSig = computeHmac_(secret, dataToSign);
-  var sig = fullSig.substring(0, 16);
+  var sig = computeHmac_(key.secret, dataToSign).substring(0, SIGNED_URL_SIG_LENGTH);
   
   // Build URL
   var baseUrl = getWebAppUrl_();
@@ -74,11 +91,13 @@ function generateSignedUrl_(params) {
     '&e=' + encodeURIComponent(email) +
     '&t=' + encodeURIComponent(textForEmail) +
     '&ts=' + timestamp +
+    '&kid=' + encodeURIComponent(key.kid) +
     '&sig=' + sig;
   
   return {
     ok: true,
     url: url,
+    kid: key.kid,
     brand: brand,
     email: email,
     textForEmail: textForEmail,
@@ -98,6 +117,7 @@ function validateSignedUrl_(params) {
   var textForEmail = String(params.t || '').trim();
   var timestamp = Number(params.ts || 0);
   var providedSig = String(params.sig || '').toLowerCase();
+  var kid = String(params.kid || '').trim();
   
   // Check required params
   if (!brand || !email || !textForEmail || !timestamp || !providedSig) {
@@ -116,12 +136,17 @@ function validateSignedUrl_(params) {
     return { ok: false, error: 'Link has expired', code: 'LINK_EXPIRED' };
   }
   
+  // Links without a kid predate the keyring: 16-char signatures by k0
+  var key = getHmacVerifyKey_(kid || HMAC_LEGACY_KID);
+  if (!key) {
+    return { ok: false, error: 'This link is no longer valid. Please ask for a new one.', code: 'KEY_RETIRED' };
+  }
+  
   // Recompute signature
   var dataToSign = brand + '|' + email + '|' + textForEmail + '|' + timestamp;
-  var secret = getHmacSecret_();
-  var expectedSig = computeHmac_(secret, dataToSign).substring(0, 16);
+  var expectedSig = computeHmac_(key.secret, dataToSign).substring(0, kid ? SIGNED_URL_SIG_LENGTH : 16);
   
-  if (providedSig !== expectedSig) {
+  if (!constantTimeEquals_(providedSig, expectedSig)) {
     return { ok: false, error: 'Invalid link signature', code: 'INVALID_SIGNATURE' };
   }
   
@@ -130,7 +155,8 @@ function validateSignedUrl_(params) {
     brand: brand,
     email: email,
     textForEmail: textForEmail,
-    timestamp: timestamp
+    timestamp: timestamp,
+    kid: key.kid
   };
 }
 
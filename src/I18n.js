@@ -0,0 +1,174 @@
+/**
+ * I18n.gs
+ * Candidate-facing translations: language resolution and catalog lookup.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Catalogs live in I18nCatalogs.gs. The language for a candidate page is, in
+ * order: ?lang=, the candidate's Smartsheet language column, the browser
+ * preference (applied client-side by LangSwitch.html), the brand default
+ * (Script Property DEFAULT_LANG_<BRAND>, else DEFAULT_LANG), English.
+ * Emails follow the same order without the browser step. Links we send carry
+ * &lang= only when it differs from the brand default.
+ */
+
+var I18N_DEFAULT_LANG = 'en';
+var I18N_LANGUAGES = ['en', 'es', 'pt', 'it', 'fil', 'id'];
+var I18N_LANGUAGE_COLUMNS = ['language', 'preferred language'];
+var I18N_LANG_ALIASES = {
+  'english': 'en',
+  'spanish': 'es', 'español': 'es', 'espanol': 'es',
+  'portuguese': 'pt', 'português': 'pt', 'portugues': 'pt',
+  'italian': 'it', 'italiano': 'it',
+  'filipino': 'fil', 'tagalog': 'fil', 'tl': 'fil',
+  'indonesian': 'id', 'bahasa indonesia': 'id', 'in': 'id'
+};
+
+/**
+ * Map a language code or name to a supported code
+ * @param {string} value - e.g. 'es', 'pt-BR', 'Tagalog', 'Bahasa Indonesia'
+ * @returns {string} Supported code, or '' when not supported
+ */
+function normalizeLang_(value) {
+  var raw = String(value || '').toLowerCase().trim();
+  if (!raw) return '';
+  if (I18N_LANG_ALIASES[raw]) return I18N_LANG_ALIASES[raw];
+  var primary = raw.replace(/_/g, '-').split('-')[0];
+  if (I18N_LANGUAGES.indexOf(primary) !== -1) return primary;
+  return I18N_LANG_ALIASES[primary] || '';
+}
+
+/**
+ * Default language for a brand (DEFAULT_LANG_<BRAND>, else DEFAULT_LANG, else en)
+ * @param {string} brand - Brand code
+ * @returns {string} Language code
+ */
+function getBrandDefaultLang_(brand) {
+  var props = PropertiesService.getScriptProperties();
+  brand = String(brand || '').toUpperCase().trim();
+  return normalizeLang_(brand ? props.getProperty('DEFAULT_LANG_' + brand) : '') ||
+    normalizeLang_(props.getProperty('DEFAULT_LANG')) ||
+    I18N_DEFAULT_LANG;
+}
+
+/**
+ * Language from a Smartsheet candidate row ("Language" or "Preferred Language" column)
+ * @param {Object} candidate - Row keyed by column title
+ * @returns {string} Language code, or '' when missing or unsupported
+ */
+function getCandidateLang_(candidate) {
+  if (!candidate) return '';
+  for (var key in candidate) {
+    if (I18N_LANGUAGE_COLUMNS.indexOf(String(key).toLowerCase().trim()) !== -1) {
+      var lang = normalizeLang_(candidate[key]);
+      if (lang) return lang;
+    }
+  }
+  return '';
+}
+
+/**
+ * Resolve the language for a page or email
+ * @param {Object} opts - { param: ?lang= value, candidate: Smartsheet row, brand }
+ * @returns {{lang:string, source:string}} source is 'param', 'sheet' or 'default'
+ */
+function resolveLang_(opts) {
+  opts = opts || {};
+  var lang = normalizeLang_(opts.param);
+  if (lang) return { lang: lang, source: 'param' };
+  lang = getCandidateLang_(opts.candidate);
+  if (lang) return { lang: lang, source: 'sheet' };
+  return { lang: getBrandDefaultLang_(opts.brand), source: 'default' };
+}
+
+/**
+ * Translate a catalog key, falling back to English
+ * @param {string} lang - Language code
+ * @param {string} key - Catalog key
+ * @param {Object=} vars - Values for {name} placeholders
+ * @param {string=} fallback - Returned when no catalog has the key (default: the key)
+ * @returns {string} Text
+ */
+function t_(lang, key, vars, fallback) {
+  var catalog = I18N_CATALOGS[lang] || {};
+  var text = catalog[key];
+  if (text === undefined) text = I18N_CATALOGS[I18N_DEFAULT_LANG][key];
+  if (text === undefined) return fallback !== undefined ? fallback : key;
+  if (!vars) return text;
+  return String(text).replace(/\{(\w+)\}/g, function(match, name) {
+    return vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match;
+  });
+}
+
+/**
+ * Add &lang= to a link we send, unless it is the brand default
+ * @param {string} url - URL that already has a query string
+ * @param {string} lang - Language code
+ * @param {string} brand - Brand code
+ * @returns {string} URL
+ */
+function appendLangParam_(url, lang, brand) {
+  if (!lang || lang === getBrandDefaultLang_(brand)) return url;
+  return url + '&lang=' + encodeURIComponent(lang);
+}
+
+/**
+ * Give a template its language: lang, t(key, vars) for text and
+ * tHtml(key, vars) for catalog entries with markup (vars are escaped;
+ * print with <?!= ?>).
+ * @param {Object} template - HtmlTemplate
+ * @param {string} lang - Language code
+ * @returns {Object} The template
+ */
+function applyI18n_(template, lang) {
+  template.lang = lang;
+  template.t = function(key, vars) { return t_(lang, key, vars); };
+  template.tHtml = function(key, vars) {
+    var safe = {};
+    for (var k in (vars || {})) safe[k] = escapeHtml_(vars[k]);
+    return t_(lang, key, safe);
+  };
+  return template;
+}
+
+/**
+ * Give a candidate page its language plus the I18N object LangSwitch.html
+ * reads: picker options, the URL to switch language and the js./code.
+ * strings used by page scripts.
+ * @param {Object} template - HtmlTemplate
+ * @param {{lang:string, source:string}} resolved - From resolveLang_
+ * @param {Object} params - The page's URL parameters (rebuilt into the switch URL)
+ * @returns {Object} The template
+ */
+function applyPageI18n_(template, resolved, params) {
+  var lang = resolved.lang;
+  applyI18n_(template, lang);
+
+  var query = [];
+  for (var key in (params || {})) {
+    if (key === 'lang') continue;
+    query.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
+  }
+  query.push('lang=');
+
+  var languages = I18N_LANGUAGES.map(function(code) {
+    return { code: code, name: t_(code, 'lang.name'), viewIn: t_(code, 'lang.viewIn') };
+  });
+
+  var strings = {};
+  var catalogs = [I18N_CATALOGS[I18N_DEFAULT_LANG], I18N_CATALOGS[lang] || {}];
+  for (var c = 0; c < catalogs.length; c++) {
+    for (var k in catalogs[c]) {
+      if (k.indexOf('js.') === 0 || k.indexOf('code.') === 0) strings[k] = catalogs[c][k];
+    }
+  }
+
+  // Served inside <script>: keep user-supplied values from closing the tag
+  template.i18nJson = JSON.stringify({
+    lang: lang,
+    source: resolved.source,
+    switchUrl: getWebAppUrl_() + '?' + query.join('&'),
+    languages: languages,
+    strings: strings
+  }).replace(/</g, '\\u003c');
+  return template;
+}
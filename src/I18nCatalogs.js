@@ -0,0 +1,1190 @@
+/**
+ * I18nCatalogs.gs
+ * Translation catalogs for candidate pages and emails (see I18n.gs).
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Keys are grouped by page or email. Entries noted "(markup)" contain HTML and
+ * are printed with tHtml / <?!= ?>; all others are plain text. js.* and code.*
+ * entries are also sent to page scripts (code.* keyed by a server result code).
+ * Missing keys fall back to English.
+ */
+
+var I18N_CATALOGS = {
+  en: {
+    'lang.name': 'English',
+    'lang.viewIn': 'View this page in English',
+
+    'common.appName': 'CrewLife Bookings',
+    'common.tagline': 'Crew Life at Sea',
+    'common.candidate': 'Candidate',
+    'common.position': 'Position:',
+    'common.brand': 'Brand:',
+    'common.recruiter': 'Recruiter:',
+    'common.reference': 'Reference:',
+    'common.important': 'Important:',
+    'common.tryAgain': 'Try Again',
+    'common.backHome': '← Back to Home',
+    'common.contactRecruiter': 'Please contact your recruiter for assistance.',
+    'common.supportContact': 'Questions? Contact {email}',
+    'common.copy': 'Copy',
+    'common.close': 'Close',
+    'common.bookInterview': 'Book Your Interview',
+    'common.bestRegards': 'Best regards,',
+
+    'prep.title': 'Make sure you\'re ready:',
+    'prep.early': 'Be online at least {minutes} minutes early',
+    'prep.connection': 'Test your connection and camera (if online)',
+    'prep.dress': 'Dress professionally',
+    'prep.documents': 'Have your CV and any required documents ready',
+
+    'otpRequest.title': 'Request OTP – {brand}',
+    'otpRequest.banner': 'SECURE YOUR INTERVIEW BOOKING',
+    'otpRequest.congrats': 'Congratulations, {name}!',
+    'otpRequest.reached': 'You\'ve reached the interview stage for the position of:',
+    'otpRequest.intro': 'Click the button below to receive a One-Time Passcode (OTP) to your email.',
+    'otpRequest.send': 'Send OTP to My Email',
+    'otpRequest.sentTitle': 'OTP Sent!',
+    'otpRequest.sentCheck': 'Check your inbox (and spam folder) for your passcode.',
+    'otpRequest.sentExpiry': 'It will expire in {minutes} minutes.',
+    'otpRequest.enterCode': 'Enter Your Passcode →',
+    'otpRequest.sendAgain': 'Didn\'t receive it? Send again',
+
+    'otpVerify.title': 'Verify OTP – {brand}',
+    'otpVerify.banner': 'VERIFY YOUR PASSCODE',
+    'otpVerify.headingDigits': 'Enter Your {length}-Digit Passcode',
+    'otpVerify.headingChars': 'Enter Your {length}-Character Passcode',
+    'otpVerify.sentTo': 'We sent a passcode to <strong>{email}</strong>', // (markup)
+    'otpVerify.openDeployed': 'Open deployed app in new tab',
+    'otpVerify.verify': 'Verify',
+    'otpVerify.resendPrompt': 'Didn\'t receive the code, or did it expire?',
+    'otpVerify.resend': 'Resend code',
+    'otpVerify.verified': 'Verified!',
+    'otpVerify.verifiedText': 'Your passcode has been verified successfully.',
+    'otpVerify.emailSent': 'We\'ve also sent you a confirmation email.',
+    'otpVerify.onceOnly': 'This access link can only be used <strong>once</strong>. Once clicked, it cannot be reopened or shared.', // (markup)
+    'otpVerify.access': 'Access Interview Booking',
+    'otpVerify.noBookingTitle': 'Booking URL Not Found',
+    'otpVerify.iframeTitle': 'Embedded Mode Detected',
+    'otpVerify.iframeText': 'This page is running in an iframe or preview. Server calls may fail.',
+    'otpVerify.iframeOpen': 'Open in Full Window',
+    'otpVerify.showDebug': 'Show debug info',
+    'otpVerify.debugResponse': 'Debug: Server Response',
+    'otpVerify.debugTitle': 'Debug details',
+    'otpVerify.debugHint': 'Copy and paste the text below into chat:',
+
+    'gate.title': 'Confirm Booking Access – {brand}',
+    'gate.heading': 'Ready to Book Your Interview?',
+    'gate.intro': 'Click <strong>Continue</strong> below to open the scheduling page.', // (markup)
+    'gate.onceOnly': 'This link can only be used <strong>once</strong>. After clicking Continue, it cannot be reopened or shared.', // (markup)
+    'gate.continue': 'Continue to Schedule Interview',
+    'gate.later': 'If you\'re not ready, you can return later using the same link — as long as it hasn\'t been used yet.',
+
+    'redirect.title': 'Redirecting…',
+    'redirect.heading': 'Opening Scheduling Page…',
+    'redirect.wait': 'Please wait. You will be redirected momentarily.',
+    'redirect.jsTitle': 'JavaScript Required',
+    'redirect.jsText': 'Please enable JavaScript in your browser to proceed to the scheduling page.',
+    'redirect.errorTitle': 'Redirect Error',
+    'redirect.errorText': 'Could not open the scheduling page. Please contact your recruiter.',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Invalid Link',
+    'error.invalidBrand': 'Invalid Brand',
+    'error.invalidRequest': 'Invalid Request',
+    'error.systemError': 'System Error',
+    'error.accessDenied': 'Access Denied',
+    'error.linkUsed': 'Link Already Used',
+    'error.linkExpired': 'Link Expired',
+    'error.configError': 'Configuration Error',
+    'error.candidateNotFound': 'Candidate Not Found',
+    'error.candidateNotFoundText': 'Your email and position could not be verified. Please contact your recruiter.',
+    'error.candidateCheckFailed': 'Could not verify candidate. Please try again later.',
+    'error.missingParams': 'Missing required parameters',
+    'error.brandNotRecognized': 'Brand not recognized',
+    'error.missingConfirm': 'Missing confirmation. Please use the button on the confirmation page.',
+
+    'link.MISSING_PARAMS': 'Missing required URL parameters',
+    'link.INVALID_BRAND': 'Invalid brand',
+    'link.LINK_EXPIRED': 'Link has expired',
+    'link.KEY_RETIRED': 'This link is no longer valid. Please ask for a new one.',
+    'link.INVALID_SIGNATURE': 'Invalid link signature',
+
+    'access.MISSING_TOKEN': 'Missing access token. Please use the link from your email.',
+    'access.NOT_FOUND': 'This link is not valid. Please use the link from your email.',
+    'access.ALREADY_USED': 'This link has already been used. Please request a new OTP.',
+    'access.EXPIRED': 'This link has expired. Please request a new OTP.',
+    'access.NOT_VERIFIED': 'This link is not ready. Please verify your OTP first.',
+    'access.LOCK_TIMEOUT': 'System busy. Please try again.',
+    'access.NO_BOOKING_URL': 'Booking link not configured. Please contact your recruiter.',
+    'access.BAD_BOOKING_URL': 'Booking link misconfigured. Contact support.',
+    'access.BAD_APPOINTMENT_URL': 'Booking link is not a valid calendar schedule. Admin has been notified.',
+
+    'js.language': 'Language',
+    'js.sending': 'Sending...',
+    'js.verifying': 'Verifying...',
+    'js.verify': 'Verify',
+    'js.resend': 'Resend code',
+    'js.resendWait': 'Resend code ({seconds}s)',
+    'js.error': 'An error occurred',
+    'js.sendFailed': 'Failed to send OTP',
+    'js.tryAgain': 'Try Again',
+    'js.tryAgainIn': 'Try again in {time}',
+    'js.expiresIn': 'Code expires in {time}',
+    'js.expired': 'This code has expired. Request a new one below.',
+    'js.resent': 'A new passcode has been sent to your email.',
+    'js.resendFailed': 'Could not send a new passcode.',
+    'js.requestNew': 'Request a new passcode to continue.',
+    'js.timeout': 'Request timed out. Please try again.',
+    'js.enterAllDigits': 'Please enter all {length} digits',
+    'js.enterAllChars': 'Please enter all {length} characters',
+    'js.verifyFailed': 'Verification failed',
+    'js.noBooking': 'Booking access not configured for this position',
+    'js.clientError': 'Client error: {message}',
+    'js.copied': 'Copied!',
+
+    'code.RATE_LIMITED': 'Too many passcode requests. Please try again later.',
+    'code.BUSY': 'The system is busy. Please try again in a few seconds.',
+    'code.INVITE_BLOCKED': 'This invite link has already been used. Please request a new invite.',
+    'code.CANDIDATE_NOT_FOUND': 'Your email and position could not be verified. Please contact your recruiter.',
+    'code.COOLDOWN': 'Please wait {seconds} seconds before requesting a new passcode.',
+    'code.RESEND_LIMIT': 'You have requested the maximum number of new passcodes. Please contact your recruiter.',
+    'code.SUPERSEDED': 'A newer passcode has been sent. Please use the link in your latest email.',
+    'code.ALREADY_VERIFIED': 'This passcode has already been verified. Check your email for the booking link.',
+    'code.NOT_FOUND': 'This passcode link is not valid. Please start again from your invitation email.',
+    'code.OTP_EXPIRED': 'This passcode has expired. Please request a new one.',
+    'code.OTP_LOCKED': 'Too many failed attempts. Please request a new passcode.',
+    'code.OTP_VERIFIED': 'This passcode has already been used.',
+    'code.OTP_SUPERSEDED': 'This passcode has been replaced. Check your email for the latest code.',
+    'code.OTP_INCORRECT': 'Incorrect passcode. {attemptsLeft} attempt(s) remaining.',
+
+    'otpEmail.subject': 'Your Interview Booking Passcode – {brand}',
+    'otpEmail.title': 'Your Interview Booking Passcode',
+    'otpEmail.hello': 'Hello <strong>{name}</strong>,', // (markup)
+    'otpEmail.thanks': 'Thanks for your interest in <strong>Crew Life at Sea!</strong>', // (markup)
+    'otpEmail.intro': 'Please use the secure One-Time Passcode (OTP) below to verify your email and unlock the booking page:',
+    'otpEmail.expires': 'Expires in <strong>{minutes} minutes</strong>', // (markup)
+    'otpEmail.cta': 'Enter Your Passcode',
+    'otpEmail.noShare': 'Do not share this link or OTP. All usage is monitored.',
+    'otpEmail.genuine': 'We\'re here to help genuine candidates — not fraudsters.',
+    'otpEmail.team': 'Crew Life at Sea Team',
+
+    'fraud.title': 'FRAUD ALERT – ZERO TOLERANCE POLICY',
+    'fraud.blacklist': 'Permanent blacklisting from all cruise lines and partners',
+    'fraud.suspension': 'Application suspension without notice',
+    'fraud.reporting': 'Reporting to SAPS, Hawks, Cybercrime Unit',
+    'fraud.prosecution': 'Legal prosecution under South African & international law',
+    'fraud.ban': 'Fake documents or fraud = permanent ban & legal action.',
+
+    'bookingEmail.subject': 'Schedule Your Interview – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – Schedule Your Interview',
+    'bookingEmail.congrats': 'Congratulations, {name}!',
+    'bookingEmail.opener': 'Congratulations on progressing to the next phase of our hiring journey!',
+    'bookingEmail.family': 'You\'ve taken another important step toward joining the Crew Life at Sea family, and we\'re genuinely excited about the skills you could bring on board.',
+    'bookingEmail.reached': 'You\'ve reached the interview stage for the position of <b>{position}</b>.', // (markup)
+    'bookingEmail.review': 'Please review the details below and follow the instructions carefully to secure your slot.',
+    'bookingEmail.mustSelect': 'MUST SELECT THE OPTION BELOW',
+    'bookingEmail.pickNote': 'Make sure to select this when booking your interview !!!',
+    'bookingEmail.validity': '<b>Please note:</b> This link is valid for <b>{minutes}&nbsp;minutes</b> and can only be used once.', // (markup)
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – All Rights Reserved',
+    'bookingEmail.confidential': 'This email and any attachments are confidential and intended only for the recipient. If you are not the intended recipient, please notify us and delete this message.',
+
+    'invite.subject': 'Your Interview Booking Link – {brand}',
+    'invite.subjectReissue': '(Re-sent) Your Interview Booking Link – {brand}',
+    'invite.hello': 'Hello,',
+    'invite.invited': 'You have been invited to book your interview',
+    'invite.invitedFor': 'You have been invited to book your interview for: {position}',
+    'invite.clickLink': 'Click the link below to proceed to the booking page:',
+    'invite.clickButton': 'Click the button below to proceed to the booking page:',
+    'invite.personal': 'This link is personal and can only be used once.',
+    'invite.noShare': 'Do not share this link with others.',
+    'invite.expires': 'This link will expire in {hours} hours.',
+    'invite.ignore': 'If you did not request this, please ignore this email.',
+    'invite.team': 'CrewLife Recruitment Team',
+
+    'reminder.subject': 'Reminder: your interview booking link expires soon – {brand}',
+    'reminder.notUsed': 'You have not booked your interview yet.',
+    'reminder.notUsedFor': 'You have not booked your interview for {position} yet.',
+    'reminder.expires': 'Your link expires in about {hours} hours.',
+    'reminder.ignore': 'If you have already booked your interview, please ignore this email.'
+  },
+
+  es: {
+    'lang.name': 'Español',
+    'lang.viewIn': 'Ver esta página en español',
+
+    'common.candidate': 'Candidato/a',
+    'common.position': 'Puesto:',
+    'common.brand': 'Marca:',
+    'common.recruiter': 'Reclutador/a:',
+    'common.reference': 'Referencia:',
+    'common.important': 'Importante:',
+    'common.tryAgain': 'Intentar de nuevo',
+    'common.backHome': '← Volver al inicio',
+    'common.contactRecruiter': 'Contacta a tu reclutador/a para recibir ayuda.',
+    'common.supportContact': '¿Tienes preguntas? Escribe a {email}',
+    'common.copy': 'Copiar',
+    'common.close': 'Cerrar',
+    'common.bookInterview': 'Reserva tu entrevista',
+    'common.bestRegards': 'Saludos cordiales,',
+
+    'prep.title': 'Asegúrate de estar preparado/a:',
+    'prep.early': 'Conéctate al menos {minutes} minutos antes',
+    'prep.connection': 'Prueba tu conexión y tu cámara (si es en línea)',
+    'prep.dress': 'Vístete de forma profesional',
+    'prep.documents': 'Ten a mano tu CV y los documentos requeridos',
+
+    'otpRequest.title': 'Solicitar código – {brand}',
+    'otpRequest.banner': 'ASEGURA LA RESERVA DE TU ENTREVISTA',
+    'otpRequest.congrats': '¡Felicidades, {name}!',
+    'otpRequest.reached': 'Has llegado a la etapa de entrevista para el puesto de:',
+    'otpRequest.intro': 'Haz clic en el botón de abajo para recibir un código de un solo uso (OTP) en tu correo.',
+    'otpRequest.send': 'Enviar código a mi correo',
+    'otpRequest.sentTitle': '¡Código enviado!',
+    'otpRequest.sentCheck': 'Revisa tu bandeja de entrada (y la carpeta de spam) para encontrar tu código.',
+    'otpRequest.sentExpiry': 'Caducará en {minutes} minutos.',
+    'otpRequest.enterCode': 'Introduce tu código →',
+    'otpRequest.sendAgain': '¿No lo recibiste? Enviar de nuevo',
+
+    'otpVerify.title': 'Verificar código – {brand}',
+    'otpVerify.banner': 'VERIFICA TU CÓDIGO',
+    'otpVerify.headingDigits': 'Introduce tu código de {length} dígitos',
+    'otpVerify.headingChars': 'Introduce tu código de {length} caracteres',
+    'otpVerify.sentTo': 'Enviamos un código a <strong>{email}</strong>',
+    'otpVerify.openDeployed': 'Abrir la aplicación en una pestaña nueva',
+    'otpVerify.verify': 'Verificar',
+    'otpVerify.resendPrompt': '¿No recibiste el código o ya caducó?',
+    'otpVerify.resend': 'Reenviar código',
+    'otpVerify.verified': '¡Verificado!',
+    'otpVerify.verifiedText': 'Tu código se verificó correctamente.',
+    'otpVerify.emailSent': 'También te enviamos un correo de confirmación.',
+    'otpVerify.onceOnly': 'Este enlace de acceso solo puede usarse <strong>una vez</strong>. Una vez abierto, no se puede volver a abrir ni compartir.',
+    'otpVerify.access': 'Acceder a la reserva de entrevista',
+    'otpVerify.noBookingTitle': 'No se encontró el enlace de reserva',
+    'otpVerify.iframeTitle': 'Modo incrustado detectado',
+    'otpVerify.iframeText': 'Esta página se está ejecutando en un iframe o vista previa. Las llamadas al servidor pueden fallar.',
+    'otpVerify.iframeOpen': 'Abrir en ventana completa',
+    'otpVerify.showDebug': 'Mostrar información de depuración',
+    'otpVerify.debugResponse': 'Depuración: respuesta del servidor',
+    'otpVerify.debugTitle': 'Detalles de depuración',
+    'otpVerify.debugHint': 'Copia y pega el texto de abajo en el chat:',
+
+    'gate.title': 'Confirmar acceso a la reserva – {brand}',
+    'gate.heading': '¿Listo/a para reservar tu entrevista?',
+    'gate.intro': 'Haz clic en <strong>Continuar</strong> para abrir la página de reservas.',
+    'gate.onceOnly': 'Este enlace solo puede usarse <strong>una vez</strong>. Después de hacer clic en Continuar, no se puede volver a abrir ni compartir.',
+    'gate.continue': 'Continuar para reservar la entrevista',
+    'gate.later': 'Si aún no estás listo/a, puedes volver más tarde con el mismo enlace, siempre que no se haya usado.',
+
+    'redirect.title': 'Redirigiendo…',
+    'redirect.heading': 'Abriendo la página de reservas…',
+    'redirect.wait': 'Espera un momento. Serás redirigido/a en breve.',
+    'redirect.jsTitle': 'Se requiere JavaScript',
+    'redirect.jsText': 'Activa JavaScript en tu navegador para continuar a la página de reservas.',
+    'redirect.errorTitle': 'Error de redirección',
+    'redirect.errorText': 'No se pudo abrir la página de reservas. Contacta a tu reclutador/a.',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Enlace no válido',
+    'error.invalidBrand': 'Marca no válida',
+    'error.invalidRequest': 'Solicitud no válida',
+    'error.systemError': 'Error del sistema',
+    'error.accessDenied': 'Acceso denegado',
+    'error.linkUsed': 'Enlace ya utilizado',
+    'error.linkExpired': 'Enlace caducado',
+    'error.configError': 'Error de configuración',
+    'error.candidateNotFound': 'Candidato/a no encontrado/a',
+    'error.candidateNotFoundText': 'No pudimos verificar tu correo y el puesto. Contacta a tu reclutador/a.',
+    'error.candidateCheckFailed': 'No pudimos verificar tus datos. Inténtalo de nuevo más tarde.',
+    'error.missingParams': 'Faltan parámetros obligatorios',
+    'error.brandNotRecognized': 'Marca no reconocida',
+    'error.missingConfirm': 'Falta la confirmación. Usa el botón de la página de confirmación.',
+
+    'link.MISSING_PARAMS': 'Faltan parámetros obligatorios en el enlace',
+    'link.INVALID_BRAND': 'Marca no válida',
+    'link.LINK_EXPIRED': 'El enlace ha caducado',
+    'link.KEY_RETIRED': 'Este enlace ya no es válido. Solicita uno nuevo.',
+    'link.INVALID_SIGNATURE': 'La firma del enlace no es válida',
+
+    'access.MISSING_TOKEN': 'Falta el código de acceso. Usa el enlace de tu correo.',
+    'access.NOT_FOUND': 'Este enlace no es válido. Usa el enlace de tu correo.',
+    'access.ALREADY_USED': 'Este enlace ya se utilizó. Solicita un nuevo código.',
+    'access.EXPIRED': 'Este enlace ha caducado. Solicita un nuevo código.',
+    'access.NOT_VERIFIED': 'Este enlace aún no está listo. Verifica primero tu código.',
+    'access.LOCK_TIMEOUT': 'El sistema está ocupado. Inténtalo de nuevo.',
+    'access.NO_BOOKING_URL': 'El enlace de reserva no está configurado. Contacta a tu reclutador/a.',
+    'access.BAD_BOOKING_URL': 'El enlace de reserva está mal configurado. Contacta con soporte.',
+    'access.BAD_APPOINTMENT_URL': 'El enlace de reserva no es un calendario válido. Se ha avisado al administrador.',
+
+    'js.language': 'Idioma',
+    'js.sending': 'Enviando...',
+    'js.verifying': 'Verificando...',
+    'js.verify': 'Verificar',
+    'js.resend': 'Reenviar código',
+    'js.resendWait': 'Reenviar código ({seconds} s)',
+    'js.error': 'Se produjo un error',
+    'js.sendFailed': 'No se pudo enviar el código',
+    'js.tryAgain': 'Intentar de nuevo',
+    'js.tryAgainIn': 'Intentar de nuevo en {time}',
+    'js.expiresIn': 'El código caduca en {time}',
+    'js.expired': 'Este código ha caducado. Solicita uno nuevo abajo.',
+    'js.resent': 'Te enviamos un nuevo código a tu correo.',
+    'js.resendFailed': 'No se pudo enviar un nuevo código.',
+    'js.requestNew': 'Solicita un nuevo código para continuar.',
+    'js.timeout': 'La solicitud tardó demasiado. Inténtalo de nuevo.',
+    'js.enterAllDigits': 'Introduce los {length} dígitos',
+    'js.enterAllChars': 'Introduce los {length} caracteres',
+    'js.verifyFailed': 'La verificación falló',
+    'js.noBooking': 'El acceso a reservas no está configurado para este puesto',
+    'js.clientError': 'Error del navegador: {message}',
+    'js.copied': '¡Copiado!',
+
+    'code.RATE_LIMITED': 'Demasiadas solicitudes de código. Inténtalo de nuevo más tarde.',
+    'code.BUSY': 'El sistema está ocupado. Inténtalo de nuevo en unos segundos.',
+    'code.INVITE_BLOCKED': 'Este enlace de invitación ya se utilizó. Solicita una nueva invitación.',
+    'code.CANDIDATE_NOT_FOUND': 'No pudimos verificar tu correo y el puesto. Contacta a tu reclutador/a.',
+    'code.COOLDOWN': 'Espera {seconds} segundos antes de solicitar un nuevo código.',
+    'code.RESEND_LIMIT': 'Has solicitado el número máximo de códigos nuevos. Contacta a tu reclutador/a.',
+    'code.SUPERSEDED': 'Se envió un código más reciente. Usa el enlace de tu último correo.',
+    'code.ALREADY_VERIFIED': 'Este código ya se verificó. Revisa tu correo para encontrar el enlace de reserva.',
+    'code.NOT_FOUND': 'Este enlace de código no es válido. Empieza de nuevo desde tu correo de invitación.',
+    'code.OTP_EXPIRED': 'Este código ha caducado. Solicita uno nuevo.',
+    'code.OTP_LOCKED': 'Demasiados intentos fallidos. Solicita un nuevo código.',
+    'code.OTP_VERIFIED': 'Este código ya se utilizó.',
+    'code.OTP_SUPERSEDED': 'Este código fue reemplazado. Revisa tu correo para ver el más reciente.',
+    'code.OTP_INCORRECT': 'Código incorrecto. Intentos restantes: {attemptsLeft}.',
+
+    'otpEmail.subject': 'Tu código para reservar la entrevista – {brand}',
+    'otpEmail.title': 'Tu código para reservar la entrevista',
+    'otpEmail.hello': 'Hola, <strong>{name}</strong>:',
+    'otpEmail.thanks': 'Gracias por tu interés en <strong>Crew Life at Sea</strong>.',
+    'otpEmail.intro': 'Usa el código seguro de un solo uso (OTP) de abajo para verificar tu correo y desbloquear la página de reservas:',
+    'otpEmail.expires': 'Caduca en <strong>{minutes} minutos</strong>',
+    'otpEmail.cta': 'Introduce tu código',
+    'otpEmail.noShare': 'No compartas este enlace ni el código. Todo uso es supervisado.',
+    'otpEmail.genuine': 'Estamos aquí para ayudar a candidatos genuinos, no a estafadores.',
+    'otpEmail.team': 'Equipo de Crew Life at Sea',
+
+    'fraud.title': 'ALERTA DE FRAUDE – POLÍTICA DE TOLERANCIA CERO',
+    'fraud.blacklist': 'Inclusión permanente en la lista negra de todas las navieras y socios',
+    'fraud.suspension': 'Suspensión de la solicitud sin previo aviso',
+    'fraud.reporting': 'Denuncia ante SAPS, Hawks y la Unidad de Delitos Cibernéticos',
+    'fraud.prosecution': 'Acciones legales según la legislación sudafricana e internacional',
+    'fraud.ban': 'Documentos falsos o fraude = prohibición permanente y acciones legales.',
+
+    'bookingEmail.subject': 'Programa tu entrevista – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – Programa tu entrevista',
+    'bookingEmail.congrats': '¡Felicidades, {name}!',
+    'bookingEmail.opener': '¡Felicidades por avanzar a la siguiente fase de nuestro proceso de selección!',
+    'bookingEmail.family': 'Has dado otro paso importante para unirte a la familia Crew Life at Sea, y nos entusiasma de verdad lo que podrías aportar a bordo.',
+    'bookingEmail.reached': 'Has llegado a la etapa de entrevista para el puesto de <b>{position}</b>.',
+    'bookingEmail.review': 'Revisa los detalles de abajo y sigue las instrucciones con atención para asegurar tu turno.',
+    'bookingEmail.mustSelect': 'DEBES SELECCIONAR LA OPCIÓN DE ABAJO',
+    'bookingEmail.pickNote': '¡Asegúrate de seleccionar esta opción al reservar tu entrevista!',
+    'bookingEmail.validity': '<b>Ten en cuenta:</b> este enlace es válido durante <b>{minutes}&nbsp;minutos</b> y solo puede usarse una vez.',
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – Todos los derechos reservados',
+    'bookingEmail.confidential': 'Este correo y sus adjuntos son confidenciales y están destinados únicamente a su destinatario. Si no eres el destinatario, avísanos y elimina este mensaje.',
+
+    'invite.subject': 'Tu enlace para reservar la entrevista – {brand}',
+    'invite.subjectReissue': '(Reenviado) Tu enlace para reservar la entrevista – {brand}',
+    'invite.hello': 'Hola:',
+    'invite.invited': 'Te invitamos a reservar tu entrevista',
+    'invite.invitedFor': 'Te invitamos a reservar tu entrevista para: {position}',
+    'invite.clickLink': 'Haz clic en el enlace de abajo para ir a la página de reservas:',
+    'invite.clickButton': 'Haz clic en el botón de abajo para ir a la página de reservas:',
+    'invite.personal': 'Este enlace es personal y solo puede usarse una vez.',
+    'invite.noShare': 'No compartas este enlace con otras personas.',
+    'invite.expires': 'Este enlace caducará en {hours} horas.',
+    'invite.ignore': 'Si no solicitaste esto, ignora este correo.',
+    'invite.team': 'Equipo de Reclutamiento de CrewLife',
+
+    'reminder.subject': 'Recordatorio: tu enlace para reservar la entrevista caduca pronto – {brand}',
+    'reminder.notUsed': 'Aún no has reservado tu entrevista.',
+    'reminder.notUsedFor': 'Aún no has reservado tu entrevista para {position}.',
+    'reminder.expires': 'Tu enlace caduca en unas {hours} horas.',
+    'reminder.ignore': 'Si ya reservaste tu entrevista, ignora este correo.'
+  },
+
+  pt: {
+    'lang.name': 'Português',
+    'lang.viewIn': 'Ver esta página em português',
+
+    'common.candidate': 'Candidato(a)',
+    'common.position': 'Vaga:',
+    'common.brand': 'Marca:',
+    'common.recruiter': 'Recrutador(a):',
+    'common.reference': 'Referência:',
+    'common.important': 'Importante:',
+    'common.tryAgain': 'Tentar novamente',
+    'common.backHome': '← Voltar ao início',
+    'common.contactRecruiter': 'Entre em contato com seu recrutador(a) para obter ajuda.',
+    'common.supportContact': 'Dúvidas? Escreva para {email}',
+    'common.copy': 'Copiar',
+    'common.close': 'Fechar',
+    'common.bookInterview': 'Agende sua entrevista',
+    'common.bestRegards': 'Atenciosamente,',
+
+    'prep.title': 'Prepare-se:',
+    'prep.early': 'Esteja online pelo menos {minutes} minutos antes',
+    'prep.connection': 'Teste sua conexão e câmera (se for online)',
+    'prep.dress': 'Vista-se de forma profissional',
+    'prep.documents': 'Tenha seu currículo e os documentos necessários em mãos',
+
+    'otpRequest.title': 'Solicitar código – {brand}',
+    'otpRequest.banner': 'GARANTA O AGENDAMENTO DA SUA ENTREVISTA',
+    'otpRequest.congrats': 'Parabéns, {name}!',
+    'otpRequest.reached': 'Você chegou à etapa de entrevista para a vaga de:',
+    'otpRequest.intro': 'Clique no botão abaixo para receber um código de uso único (OTP) no seu e-mail.',
+    'otpRequest.send': 'Enviar código para meu e-mail',
+    'otpRequest.sentTitle': 'Código enviado!',
+    'otpRequest.sentCheck': 'Verifique sua caixa de entrada (e a pasta de spam) para encontrar seu código.',
+    'otpRequest.sentExpiry': 'Ele expira em {minutes} minutos.',
+    'otpRequest.enterCode': 'Digite seu código →',
+    'otpRequest.sendAgain': 'Não recebeu? Enviar novamente',
+
+    'otpVerify.title': 'Verificar código – {brand}',
+    'otpVerify.banner': 'VERIFIQUE SEU CÓDIGO',
+    'otpVerify.headingDigits': 'Digite seu código de {length} dígitos',
+    'otpVerify.headingChars': 'Digite seu código de {length} caracteres',
+    'otpVerify.sentTo': 'Enviamos um código para <strong>{email}</strong>',
+    'otpVerify.openDeployed': 'Abrir o aplicativo em uma nova aba',
+    'otpVerify.verify': 'Verificar',
+    'otpVerify.resendPrompt': 'Não recebeu o código ou ele expirou?',
+    'otpVerify.resend': 'Reenviar código',
+    'otpVerify.verified': 'Verificado!',
+    'otpVerify.verifiedText': 'Seu código foi verificado com sucesso.',
+    'otpVerify.emailSent': 'Também enviamos um e-mail de confirmação.',
+    'otpVerify.onceOnly': 'Este link de acesso só pode ser usado <strong>uma vez</strong>. Depois de clicado, não pode ser reaberto nem compartilhado.',
+    'otpVerify.access': 'Acessar o agendamento da entrevista',
+    'otpVerify.noBookingTitle': 'Link de agendamento não encontrado',
+    'otpVerify.iframeTitle': 'Modo incorporado detectado',
+    'otpVerify.iframeText': 'Esta página está sendo exibida em um iframe ou pré-visualização. As chamadas ao servidor podem falhar.',
+    'otpVerify.iframeOpen': 'Abrir em janela inteira',
+    'otpVerify.showDebug': 'Mostrar informações de depuração',
+    'otpVerify.debugResponse': 'Depuração: resposta do servidor',
+    'otpVerify.debugTitle': 'Detalhes de depuração',
+    'otpVerify.debugHint': 'Copie e cole o texto abaixo no chat:',
+
+    'gate.title': 'Confirmar acesso ao agendamento – {brand}',
+    'gate.heading': 'Pronto(a) para agendar sua entrevista?',
+    'gate.intro': 'Clique em <strong>Continuar</strong> abaixo para abrir a página de agendamento.',
+    'gate.onceOnly': 'Este link só pode ser usado <strong>uma vez</strong>. Depois de clicar em Continuar, ele não pode ser reaberto nem compartilhado.',
+    'gate.continue': 'Continuar para agendar a entrevista',
+    'gate.later': 'Se ainda não estiver pronto(a), você pode voltar depois usando o mesmo link, desde que ele ainda não tenha sido usado.',
+
+    'redirect.title': 'Redirecionando…',
+    'redirect.heading': 'Abrindo a página de agendamento…',
+    'redirect.wait': 'Aguarde. Você será redirecionado(a) em instantes.',
+    'redirect.jsTitle': 'JavaScript necessário',
+    'redirect.jsText': 'Ative o JavaScript no seu navegador para continuar para a página de agendamento.',
+    'redirect.errorTitle': 'Erro de redirecionamento',
+    'redirect.errorText': 'Não foi possível abrir a página de agendamento. Entre em contato com seu recrutador(a).',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Link inválido',
+    'error.invalidBrand': 'Marca inválida',
+    'error.invalidRequest': 'Solicitação inválida',
+    'error.systemError': 'Erro do sistema',
+    'error.accessDenied': 'Acesso negado',
+    'error.linkUsed': 'Link já utilizado',
+    'error.linkExpired': 'Link expirado',
+    'error.configError': 'Erro de configuração',
+    'error.candidateNotFound': 'Candidato(a) não encontrado(a)',
+    'error.candidateNotFoundText': 'Não foi possível verificar seu e-mail e a vaga. Entre em contato com seu recrutador(a).',
+    'error.candidateCheckFailed': 'Não foi possível verificar seus dados. Tente novamente mais tarde.',
+    'error.missingParams': 'Parâmetros obrigatórios ausentes',
+    'error.brandNotRecognized': 'Marca não reconhecida',
+    'error.missingConfirm': 'Confirmação ausente. Use o botão na página de confirmação.',
+
+    'link.MISSING_PARAMS': 'Parâmetros obrigatórios ausentes no link',
+    'link.INVALID_BRAND': 'Marca inválida',
+    'link.LINK_EXPIRED': 'O link expirou',
+    'link.KEY_RETIRED': 'Este link não é mais válido. Peça um novo.',
+    'link.INVALID_SIGNATURE': 'Assinatura do link inválida',
+
+    'access.MISSING_TOKEN': 'Código de acesso ausente. Use o link do seu e-mail.',
+    'access.NOT_FOUND': 'Este link não é válido. Use o link do seu e-mail.',
+    'access.ALREADY_USED': 'Este link já foi usado. Solicite um novo código.',
+    'access.EXPIRED': 'Este link expirou. Solicite um novo código.',
+    'access.NOT_VERIFIED': 'Este link ainda não está pronto. Verifique seu código primeiro.',
+    'access.LOCK_TIMEOUT': 'Sistema ocupado. Tente novamente.',
+    'access.NO_BOOKING_URL': 'O link de agendamento não está configurado. Entre em contato com seu recrutador(a).',
+    'access.BAD_BOOKING_URL': 'O link de agendamento está configurado incorretamente. Contate o suporte.',
+    'access.BAD_APPOINTMENT_URL': 'O link de agendamento não é uma agenda válida. O administrador foi notificado.',
+
+    'js.language': 'Idioma',
+    'js.sending': 'Enviando...',
+    'js.verifying': 'Verificando...',
+    'js.verify': 'Verificar',
+    'js.resend': 'Reenviar código',
+    'js.resendWait': 'Reenviar código ({seconds} s)',
+    'js.error': 'Ocorreu um erro',
+    'js.sendFailed': 'Não foi possível enviar o código',
+    'js.tryAgain': 'Tentar novamente',
+    'js.tryAgainIn': 'Tente novamente em {time}',
+    'js.expiresIn': 'O código expira em {time}',
+    'js.expired': 'Este código expirou. Solicite um novo abaixo.',
+    'js.resent': 'Um novo código foi enviado para seu e-mail.',
+    'js.resendFailed': 'Não foi possível enviar um novo código.',
+    'js.requestNew': 'Solicite um novo código para continuar.',
+    'js.timeout': 'A solicitação demorou demais. Tente novamente.',
+    'js.enterAllDigits': 'Digite todos os {length} dígitos',
+    'js.enterAllChars': 'Digite todos os {length} caracteres',
+    'js.verifyFailed': 'A verificação falhou',
+    'js.noBooking': 'O acesso ao agendamento não está configurado para esta vaga',
+    'js.clientError': 'Erro no navegador: {message}',
+    'js.copied': 'Copiado!',
+
+    'code.RATE_LIMITED': 'Muitas solicitações de código. Tente novamente mais tarde.',
+    'code.BUSY': 'O sistema está ocupado. Tente novamente em alguns segundos.',
+    'code.INVITE_BLOCKED': 'Este link de convite já foi usado. Solicite um novo convite.',
+    'code.CANDIDATE_NOT_FOUND': 'Não foi possível verificar seu e-mail e a vaga. Entre em contato com seu recrutador(a).',
+    'code.COOLDOWN': 'Aguarde {seconds} segundos antes de solicitar um novo código.',
+    'code.RESEND_LIMIT': 'Você solicitou o número máximo de novos códigos. Entre em contato com seu recrutador(a).',
+    'code.SUPERSEDED': 'Um código mais recente foi enviado. Use o link do seu e-mail mais recente.',
+    'code.ALREADY_VERIFIED': 'Este código já foi verificado. Confira seu e-mail para encontrar o link de agendamento.',
+    'code.NOT_FOUND': 'Este link de código não é válido. Recomece pelo seu e-mail de convite.',
+    'code.OTP_EXPIRED': 'Este código expirou. Solicite um novo.',
+    'code.OTP_LOCKED': 'Muitas tentativas incorretas. Solicite um novo código.',
+    'code.OTP_VERIFIED': 'Este código já foi usado.',
+    'code.OTP_SUPERSEDED': 'Este código foi substituído. Confira seu e-mail para ver o mais recente.',
+    'code.OTP_INCORRECT': 'Código incorreto. Tentativas restantes: {attemptsLeft}.',
+
+    'otpEmail.subject': 'Seu código para agendar a entrevista – {brand}',
+    'otpEmail.title': 'Seu código para agendar a entrevista',
+    'otpEmail.hello': 'Olá, <strong>{name}</strong>,',
+    'otpEmail.thanks': 'Obrigado pelo seu interesse na <strong>Crew Life at Sea</strong>!',
+    'otpEmail.intro': 'Use o código seguro de uso único (OTP) abaixo para verificar seu e-mail e liberar a página de agendamento:',
+    'otpEmail.expires': 'Expira em <strong>{minutes} minutos</strong>',
+    'otpEmail.cta': 'Digite seu código',
+    'otpEmail.noShare': 'Não compartilhe este link nem o código. Todo uso é monitorado.',
+    'otpEmail.genuine': 'Estamos aqui para ajudar candidatos genuínos, não fraudadores.',
+    'otpEmail.team': 'Equipe Crew Life at Sea',
+
+    'fraud.title': 'ALERTA DE FRAUDE – POLÍTICA DE TOLERÂNCIA ZERO',
+    'fraud.blacklist': 'Inclusão permanente na lista negra de todas as companhias de cruzeiro e parceiros',
+    'fraud.suspension': 'Suspensão da candidatura sem aviso prévio',
+    'fraud.reporting': 'Denúncia à SAPS, aos Hawks e à Unidade de Crimes Cibernéticos',
+    'fraud.prosecution': 'Processo judicial segundo a legislação sul-africana e internacional',
+    'fraud.ban': 'Documentos falsos ou fraude = banimento permanente e ação judicial.',
+
+    'bookingEmail.subject': 'Agende sua entrevista – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – Agende sua entrevista',
+    'bookingEmail.congrats': 'Parabéns, {name}!',
+    'bookingEmail.opener': 'Parabéns por avançar para a próxima fase do nosso processo seletivo!',
+    'bookingEmail.family': 'Você deu mais um passo importante para fazer parte da família Crew Life at Sea, e estamos muito animados com as habilidades que você pode trazer a bordo.',
+    'bookingEmail.reached': 'Você chegou à etapa de entrevista para a vaga de <b>{position}</b>.',
+    'bookingEmail.review': 'Leia os detalhes abaixo e siga as instruções com atenção para garantir seu horário.',
+    'bookingEmail.mustSelect': 'SELECIONE OBRIGATORIAMENTE A OPÇÃO ABAIXO',
+    'bookingEmail.pickNote': 'Não deixe de selecionar esta opção ao agendar sua entrevista!',
+    'bookingEmail.validity': '<b>Atenção:</b> este link é válido por <b>{minutes}&nbsp;minutos</b> e só pode ser usado uma vez.',
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – Todos os direitos reservados',
+    'bookingEmail.confidential': 'Este e-mail e seus anexos são confidenciais e destinados apenas ao destinatário. Se você não for o destinatário, avise-nos e apague esta mensagem.',
+
+    'invite.subject': 'Seu link para agendar a entrevista – {brand}',
+    'invite.subjectReissue': '(Reenviado) Seu link para agendar a entrevista – {brand}',
+    'invite.hello': 'Olá,',
+    'invite.invited': 'Você foi convidado(a) a agendar sua entrevista',
+    'invite.invitedFor': 'Você foi convidado(a) a agendar sua entrevista para: {position}',
+    'invite.clickLink': 'Clique no link abaixo para ir à página de agendamento:',
+    'invite.clickButton': 'Clique no botão abaixo para ir à página de agendamento:',
+    'invite.personal': 'Este link é pessoal e só pode ser usado uma vez.',
+    'invite.noShare': 'Não compartilhe este link com outras pessoas.',
+    'invite.expires': 'Este link expira em {hours} horas.',
+    'invite.ignore': 'Se você não solicitou isto, ignore este e-mail.',
+    'invite.team': 'Equipe de Recrutamento CrewLife',
+
+    'reminder.subject': 'Lembrete: seu link para agendar a entrevista expira em breve – {brand}',
+    'reminder.notUsed': 'Você ainda não agendou sua entrevista.',
+    'reminder.notUsedFor': 'Você ainda não agendou sua entrevista para {position}.',
+    'reminder.expires': 'Seu link expira em cerca de {hours} horas.',
+    'reminder.ignore': 'Se você já agendou sua entrevista, ignore este e-mail.'
+  },
+
+  it: {
+    'lang.name': 'Italiano',
+    'lang.viewIn': 'Visualizza questa pagina in italiano',
+
+    'common.candidate': 'Candidato/a',
+    'common.position': 'Posizione:',
+    'common.brand': 'Marchio:',
+    'common.recruiter': 'Recruiter:',
+    'common.reference': 'Riferimento:',
+    'common.important': 'Importante:',
+    'common.tryAgain': 'Riprova',
+    'common.backHome': '← Torna alla home',
+    'common.contactRecruiter': 'Contatta il tuo recruiter per assistenza.',
+    'common.supportContact': 'Domande? Scrivi a {email}',
+    'common.copy': 'Copia',
+    'common.close': 'Chiudi',
+    'common.bookInterview': 'Prenota il tuo colloquio',
+    'common.bestRegards': 'Cordiali saluti,',
+
+    'prep.title': 'Assicurati di essere pronto/a:',
+    'prep.early': 'Collegati almeno {minutes} minuti prima',
+    'prep.connection': 'Verifica la connessione e la videocamera (se online)',
+    'prep.dress': 'Vestiti in modo professionale',
+    'prep.documents': 'Tieni a portata di mano il CV e i documenti richiesti',
+
+    'otpRequest.title': 'Richiedi il codice – {brand}',
+    'otpRequest.banner': 'CONFERMA LA PRENOTAZIONE DEL TUO COLLOQUIO',
+    'otpRequest.congrats': 'Congratulazioni, {name}!',
+    'otpRequest.reached': 'Sei arrivato/a alla fase di colloquio per la posizione di:',
+    'otpRequest.intro': 'Fai clic sul pulsante qui sotto per ricevere via email un codice monouso (OTP).',
+    'otpRequest.send': 'Invia il codice alla mia email',
+    'otpRequest.sentTitle': 'Codice inviato!',
+    'otpRequest.sentCheck': 'Controlla la posta in arrivo (e la cartella spam) per trovare il codice.',
+    'otpRequest.sentExpiry': 'Scadrà tra {minutes} minuti.',
+    'otpRequest.enterCode': 'Inserisci il codice →',
+    'otpRequest.sendAgain': 'Non l\'hai ricevuto? Invia di nuovo',
+
+    'otpVerify.title': 'Verifica il codice – {brand}',
+    'otpVerify.banner': 'VERIFICA IL TUO CODICE',
+    'otpVerify.headingDigits': 'Inserisci il codice di {length} cifre',
+    'otpVerify.headingChars': 'Inserisci il codice di {length} caratteri',
+    'otpVerify.sentTo': 'Abbiamo inviato un codice a <strong>{email}</strong>',
+    'otpVerify.openDeployed': 'Apri l\'app in una nuova scheda',
+    'otpVerify.verify': 'Verifica',
+    'otpVerify.resendPrompt': 'Non hai ricevuto il codice o è scaduto?',
+    'otpVerify.resend': 'Invia di nuovo il codice',
+    'otpVerify.verified': 'Verificato!',
+    'otpVerify.verifiedText': 'Il tuo codice è stato verificato correttamente.',
+    'otpVerify.emailSent': 'Ti abbiamo anche inviato un\'email di conferma.',
+    'otpVerify.onceOnly': 'Questo link di accesso può essere usato <strong>una sola volta</strong>. Una volta aperto, non può essere riaperto né condiviso.',
+    'otpVerify.access': 'Accedi alla prenotazione del colloquio',
+    'otpVerify.noBookingTitle': 'Link di prenotazione non trovato',
+    'otpVerify.iframeTitle': 'Modalità incorporata rilevata',
+    'otpVerify.iframeText': 'Questa pagina è aperta in un iframe o in anteprima. Le chiamate al server potrebbero non riuscire.',
+    'otpVerify.iframeOpen': 'Apri a schermo intero',
+    'otpVerify.showDebug': 'Mostra informazioni di debug',
+    'otpVerify.debugResponse': 'Debug: risposta del server',
+    'otpVerify.debugTitle': 'Dettagli di debug',
+    'otpVerify.debugHint': 'Copia e incolla il testo qui sotto nella chat:',
+
+    'gate.title': 'Conferma l\'accesso alla prenotazione – {brand}',
+    'gate.heading': 'Pronto/a a prenotare il tuo colloquio?',
+    'gate.intro': 'Fai clic su <strong>Continua</strong> qui sotto per aprire la pagina di prenotazione.',
+    'gate.onceOnly': 'Questo link può essere usato <strong>una sola volta</strong>. Dopo aver fatto clic su Continua, non può essere riaperto né condiviso.',
+    'gate.continue': 'Continua per prenotare il colloquio',
+    'gate.later': 'Se non sei ancora pronto/a, puoi tornare più tardi con lo stesso link, purché non sia già stato usato.',
+
+    'redirect.title': 'Reindirizzamento…',
+    'redirect.heading': 'Apertura della pagina di prenotazione…',
+    'redirect.wait': 'Attendi. Verrai reindirizzato/a a breve.',
+    'redirect.jsTitle': 'JavaScript necessario',
+    'redirect.jsText': 'Attiva JavaScript nel browser per passare alla pagina di prenotazione.',
+    'redirect.errorTitle': 'Errore di reindirizzamento',
+    'redirect.errorText': 'Impossibile aprire la pagina di prenotazione. Contatta il tuo recruiter.',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Link non valido',
+    'error.invalidBrand': 'Marchio non valido',
+    'error.invalidRequest': 'Richiesta non valida',
+    'error.systemError': 'Errore di sistema',
+    'error.accessDenied': 'Accesso negato',
+    'error.linkUsed': 'Link già utilizzato',
+    'error.linkExpired': 'Link scaduto',
+    'error.configError': 'Errore di configurazione',
+    'error.candidateNotFound': 'Candidato/a non trovato/a',
+    'error.candidateNotFoundText': 'Non è stato possibile verificare la tua email e la posizione. Contatta il tuo recruiter.',
+    'error.candidateCheckFailed': 'Non è stato possibile verificare i tuoi dati. Riprova più tardi.',
+    'error.missingParams': 'Parametri obbligatori mancanti',
+    'error.brandNotRecognized': 'Marchio non riconosciuto',
+    'error.missingConfirm': 'Conferma mancante. Usa il pulsante nella pagina di conferma.',
+
+    'link.MISSING_PARAMS': 'Parametri obbligatori mancanti nel link',
+    'link.INVALID_BRAND': 'Marchio non valido',
+    'link.LINK_EXPIRED': 'Il link è scaduto',
+    'link.KEY_RETIRED': 'Questo link non è più valido. Richiedine uno nuovo.',
+    'link.INVALID_SIGNATURE': 'Firma del link non valida',
+
+    'access.MISSING_TOKEN': 'Codice di accesso mancante. Usa il link ricevuto via email.',
+    'access.NOT_FOUND': 'Questo link non è valido. Usa il link ricevuto via email.',
+    'access.ALREADY_USED': 'Questo link è già stato usato. Richiedi un nuovo codice.',
+    'access.EXPIRED': 'Questo link è scaduto. Richiedi un nuovo codice.',
+    'access.NOT_VERIFIED': 'Questo link non è ancora attivo. Verifica prima il tuo codice.',
+    'access.LOCK_TIMEOUT': 'Sistema occupato. Riprova.',
+    'access.NO_BOOKING_URL': 'Link di prenotazione non configurato. Contatta il tuo recruiter.',
+    'access.BAD_BOOKING_URL': 'Link di prenotazione configurato in modo errato. Contatta l\'assistenza.',
+    'access.BAD_APPOINTMENT_URL': 'Il link di prenotazione non è un calendario valido. L\'amministratore è stato avvisato.',
+
+    'js.language': 'Lingua',
+    'js.sending': 'Invio in corso...',
+    'js.verifying': 'Verifica in corso...',
+    'js.verify': 'Verifica',
+    'js.resend': 'Invia di nuovo il codice',
+    'js.resendWait': 'Invia di nuovo il codice ({seconds} s)',
+    'js.error': 'Si è verificato un errore',
+    'js.sendFailed': 'Invio del codice non riuscito',
+    'js.tryAgain': 'Riprova',
+    'js.tryAgainIn': 'Riprova tra {time}',
+    'js.expiresIn': 'Il codice scade tra {time}',
+    'js.expired': 'Questo codice è scaduto. Richiedine uno nuovo qui sotto.',
+    'js.resent': 'Ti abbiamo inviato un nuovo codice via email.',
+    'js.resendFailed': 'Impossibile inviare un nuovo codice.',
+    'js.requestNew': 'Richiedi un nuovo codice per continuare.',
+    'js.timeout': 'La richiesta è scaduta. Riprova.',
+    'js.enterAllDigits': 'Inserisci tutte le {length} cifre',
+    'js.enterAllChars': 'Inserisci tutti i {length} caratteri',
+    'js.verifyFailed': 'Verifica non riuscita',
+    'js.noBooking': 'Accesso alla prenotazione non configurato per questa posizione',
+    'js.clientError': 'Errore del browser: {message}',
+    'js.copied': 'Copiato!',
+
+    'code.RATE_LIMITED': 'Troppe richieste di codice. Riprova più tardi.',
+    'code.BUSY': 'Il sistema è occupato. Riprova tra qualche secondo.',
+    'code.INVITE_BLOCKED': 'Questo link di invito è già stato usato. Richiedi un nuovo invito.',
+    'code.CANDIDATE_NOT_FOUND': 'Non è stato possibile verificare la tua email e la posizione. Contatta il tuo recruiter.',
+    'code.COOLDOWN': 'Attendi {seconds} secondi prima di richiedere un nuovo codice.',
+    'code.RESEND_LIMIT': 'Hai richiesto il numero massimo di nuovi codici. Contatta il tuo recruiter.',
+    'code.SUPERSEDED': 'È stato inviato un codice più recente. Usa il link nella tua ultima email.',
+    'code.ALREADY_VERIFIED': 'Questo codice è già stato verificato. Controlla la tua email per il link di prenotazione.',
+    'code.NOT_FOUND': 'Questo link del codice non è valido. Ricomincia dalla tua email di invito.',
+    'code.OTP_EXPIRED': 'Questo codice è scaduto. Richiedine uno nuovo.',
+    'code.OTP_LOCKED': 'Troppi tentativi non riusciti. Richiedi un nuovo codice.',
+    'code.OTP_VERIFIED': 'Questo codice è già stato usato.',
+    'code.OTP_SUPERSEDED': 'Questo codice è stato sostituito. Controlla la tua email per il più recente.',
+    'code.OTP_INCORRECT': 'Codice errato. Tentativi rimasti: {attemptsLeft}.',
+
+    'otpEmail.subject': 'Il tuo codice per prenotare il colloquio – {brand}',
+    'otpEmail.title': 'Il tuo codice per prenotare il colloquio',
+    'otpEmail.hello': 'Ciao <strong>{name}</strong>,',
+    'otpEmail.thanks': 'Grazie per il tuo interesse in <strong>Crew Life at Sea</strong>!',
+    'otpEmail.intro': 'Usa il codice monouso sicuro (OTP) qui sotto per verificare la tua email e sbloccare la pagina di prenotazione:',
+    'otpEmail.expires': 'Scade tra <strong>{minutes} minuti</strong>',
+    'otpEmail.cta': 'Inserisci il codice',
+    'otpEmail.noShare': 'Non condividere questo link né il codice. Ogni utilizzo è monitorato.',
+    'otpEmail.genuine': 'Siamo qui per aiutare i candidati autentici, non i truffatori.',
+    'otpEmail.team': 'Il team di Crew Life at Sea',
+
+    'fraud.title': 'ALLERTA FRODE – POLITICA DI TOLLERANZA ZERO',
+    'fraud.blacklist': 'Inserimento permanente nella lista nera di tutte le compagnie di crociera e dei partner',
+    'fraud.suspension': 'Sospensione della candidatura senza preavviso',
+    'fraud.reporting': 'Segnalazione a SAPS, Hawks e Unità Crimini Informatici',
+    'fraud.prosecution': 'Azione penale ai sensi della legge sudafricana e internazionale',
+    'fraud.ban': 'Documenti falsi o frode = esclusione permanente e azioni legali.',
+
+    'bookingEmail.subject': 'Prenota il tuo colloquio – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – Prenota il tuo colloquio',
+    'bookingEmail.congrats': 'Congratulazioni, {name}!',
+    'bookingEmail.opener': 'Congratulazioni per essere passato/a alla fase successiva del nostro percorso di selezione!',
+    'bookingEmail.family': 'Hai fatto un altro passo importante per entrare nella famiglia Crew Life at Sea, e siamo davvero entusiasti delle competenze che potresti portare a bordo.',
+    'bookingEmail.reached': 'Sei arrivato/a alla fase di colloquio per la posizione di <b>{position}</b>.',
+    'bookingEmail.review': 'Leggi i dettagli qui sotto e segui attentamente le istruzioni per assicurarti il tuo appuntamento.',
+    'bookingEmail.mustSelect': 'DEVI SELEZIONARE L\'OPZIONE QUI SOTTO',
+    'bookingEmail.pickNote': 'Assicurati di selezionare questa opzione quando prenoti il colloquio!',
+    'bookingEmail.validity': '<b>Nota bene:</b> questo link è valido per <b>{minutes}&nbsp;minuti</b> e può essere usato una sola volta.',
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – Tutti i diritti riservati',
+    'bookingEmail.confidential': 'Questa email e gli eventuali allegati sono riservati e destinati esclusivamente al destinatario. Se non sei il destinatario, avvisaci ed elimina questo messaggio.',
+
+    'invite.subject': 'Il tuo link per prenotare il colloquio – {brand}',
+    'invite.subjectReissue': '(Reinviato) Il tuo link per prenotare il colloquio – {brand}',
+    'invite.hello': 'Ciao,',
+    'invite.invited': 'Sei invitato/a a prenotare il tuo colloquio',
+    'invite.invitedFor': 'Sei invitato/a a prenotare il tuo colloquio per: {position}',
+    'invite.clickLink': 'Fai clic sul link qui sotto per andare alla pagina di prenotazione:',
+    'invite.clickButton': 'Fai clic sul pulsante qui sotto per andare alla pagina di prenotazione:',
+    'invite.personal': 'Questo link è personale e può essere usato una sola volta.',
+    'invite.noShare': 'Non condividere questo link con altre persone.',
+    'invite.expires': 'Questo link scadrà tra {hours} ore.',
+    'invite.ignore': 'Se non hai richiesto questa email, ignorala.',
+    'invite.team': 'Il team Recruiting di CrewLife',
+
+    'reminder.subject': 'Promemoria: il tuo link per prenotare il colloquio scade a breve – {brand}',
+    'reminder.notUsed': 'Non hai ancora prenotato il tuo colloquio.',
+    'reminder.notUsedFor': 'Non hai ancora prenotato il tuo colloquio per {position}.',
+    'reminder.expires': 'Il tuo link scade tra circa {hours} ore.',
+    'reminder.ignore': 'Se hai già prenotato il colloquio, ignora questa email.'
+  },
+
+  fil: {
+    'lang.name': 'Filipino',
+    'lang.viewIn': 'Tingnan ang pahinang ito sa Filipino',
+
+    'common.candidate': 'Kandidato',
+    'common.position': 'Posisyon:',
+    'common.brand': 'Brand:',
+    'common.recruiter': 'Recruiter:',
+    'common.reference': 'Reference:',
+    'common.important': 'Mahalaga:',
+    'common.tryAgain': 'Subukan muli',
+    'common.backHome': '← Bumalik sa Home',
+    'common.contactRecruiter': 'Makipag-ugnayan sa iyong recruiter para sa tulong.',
+    'common.supportContact': 'May tanong? Makipag-ugnayan sa {email}',
+    'common.copy': 'Kopyahin',
+    'common.close': 'Isara',
+    'common.bookInterview': 'I-book ang Iyong Interview',
+    'common.bestRegards': 'Lubos na gumagalang,',
+
+    'prep.title': 'Siguraduhing handa ka:',
+    'prep.early': 'Mag-online nang hindi bababa sa {minutes} minuto bago ang oras',
+    'prep.connection': 'Subukan ang iyong koneksyon at camera (kung online)',
+    'prep.dress': 'Magsuot nang propesyonal',
+    'prep.documents': 'Ihanda ang iyong CV at ang mga kinakailangang dokumento',
+
+    'otpRequest.title': 'Humiling ng OTP – {brand}',
+    'otpRequest.banner': 'I-SECURE ANG IYONG INTERVIEW BOOKING',
+    'otpRequest.congrats': 'Binabati kita, {name}!',
+    'otpRequest.reached': 'Nakarating ka na sa interview stage para sa posisyong:',
+    'otpRequest.intro': 'I-click ang button sa ibaba para makatanggap ng One-Time Passcode (OTP) sa iyong email.',
+    'otpRequest.send': 'Ipadala ang OTP sa Aking Email',
+    'otpRequest.sentTitle': 'Naipadala na ang OTP!',
+    'otpRequest.sentCheck': 'Tingnan ang iyong inbox (at spam folder) para sa iyong passcode.',
+    'otpRequest.sentExpiry': 'Mag-e-expire ito sa loob ng {minutes} minuto.',
+    'otpRequest.enterCode': 'Ilagay ang Iyong Passcode →',
+    'otpRequest.sendAgain': 'Hindi natanggap? Ipadala muli',
+
+    'otpVerify.title': 'I-verify ang OTP – {brand}',
+    'otpVerify.banner': 'I-VERIFY ANG IYONG PASSCODE',
+    'otpVerify.headingDigits': 'Ilagay ang Iyong {length}-Digit na Passcode',
+    'otpVerify.headingChars': 'Ilagay ang Iyong {length}-Character na Passcode',
+    'otpVerify.sentTo': 'Nagpadala kami ng passcode sa <strong>{email}</strong>',
+    'otpVerify.openDeployed': 'Buksan ang app sa bagong tab',
+    'otpVerify.verify': 'I-verify',
+    'otpVerify.resendPrompt': 'Hindi mo natanggap ang code, o nag-expire na ba ito?',
+    'otpVerify.resend': 'Ipadala muli ang code',
+    'otpVerify.verified': 'Na-verify na!',
+    'otpVerify.verifiedText': 'Matagumpay na na-verify ang iyong passcode.',
+    'otpVerify.emailSent': 'Nagpadala rin kami sa iyo ng confirmation email.',
+    'otpVerify.onceOnly': 'Ang access link na ito ay magagamit lamang nang <strong>isang beses</strong>. Kapag na-click na, hindi na ito mabubuksan muli o maibabahagi.',
+    'otpVerify.access': 'Buksan ang Interview Booking',
+    'otpVerify.noBookingTitle': 'Hindi Nahanap ang Booking URL',
+    'otpVerify.iframeTitle': 'Naka-embed na Mode',
+    'otpVerify.iframeText': 'Tumatakbo ang pahinang ito sa loob ng iframe o preview. Maaaring pumalya ang mga tawag sa server.',
+    'otpVerify.iframeOpen': 'Buksan sa Buong Window',
+    'otpVerify.showDebug': 'Ipakita ang debug info',
+    'otpVerify.debugResponse': 'Debug: Tugon ng Server',
+    'otpVerify.debugTitle': 'Mga detalye ng debug',
+    'otpVerify.debugHint': 'Kopyahin at i-paste sa chat ang teksto sa ibaba:',
+
+    'gate.title': 'Kumpirmahin ang Booking Access – {brand}',
+    'gate.heading': 'Handa Ka Na Bang I-book ang Iyong Interview?',
+    'gate.intro': 'I-click ang <strong>Continue</strong> sa ibaba para buksan ang scheduling page.',
+    'gate.onceOnly': 'Ang link na ito ay magagamit lamang nang <strong>isang beses</strong>. Pagkatapos i-click ang Continue, hindi na ito mabubuksan muli o maibabahagi.',
+    'gate.continue': 'Magpatuloy sa Pag-schedule ng Interview',
+    'gate.later': 'Kung hindi ka pa handa, maaari kang bumalik mamaya gamit ang parehong link — basta hindi pa ito nagagamit.',
+
+    'redirect.title': 'Nire-redirect…',
+    'redirect.heading': 'Binubuksan ang Scheduling Page…',
+    'redirect.wait': 'Pakihintay. Ire-redirect ka sa ilang sandali.',
+    'redirect.jsTitle': 'Kailangan ang JavaScript',
+    'redirect.jsText': 'Paganahin ang JavaScript sa iyong browser para magpatuloy sa scheduling page.',
+    'redirect.errorTitle': 'Error sa Redirect',
+    'redirect.errorText': 'Hindi mabuksan ang scheduling page. Makipag-ugnayan sa iyong recruiter.',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Hindi Wastong Link',
+    'error.invalidBrand': 'Hindi Wastong Brand',
+    'error.invalidRequest': 'Hindi Wastong Kahilingan',
+    'error.systemError': 'Error sa System',
+    'error.accessDenied': 'Tinanggihan ang Access',
+    'error.linkUsed': 'Nagamit na ang Link',
+    'error.linkExpired': 'Nag-expire na ang Link',
+    'error.configError': 'Error sa Configuration',
+    'error.candidateNotFound': 'Hindi Nahanap ang Kandidato',
+    'error.candidateNotFoundText': 'Hindi ma-verify ang iyong email at posisyon. Makipag-ugnayan sa iyong recruiter.',
+    'error.candidateCheckFailed': 'Hindi ma-verify ang iyong detalye. Pakisubukang muli mamaya.',
+    'error.missingParams': 'Kulang ang mga kinakailangang parameter',
+    'error.brandNotRecognized': 'Hindi kilala ang brand',
+    'error.missingConfirm': 'Walang kumpirmasyon. Gamitin ang button sa confirmation page.',
+
+    'link.MISSING_PARAMS': 'Kulang ang mga kinakailangang parameter sa link',
+    'link.INVALID_BRAND': 'Hindi wastong brand',
+    'link.LINK_EXPIRED': 'Nag-expire na ang link',
+    'link.KEY_RETIRED': 'Hindi na wasto ang link na ito. Humingi ng bago.',
+    'link.INVALID_SIGNATURE': 'Hindi wasto ang signature ng link',
+
+    'access.MISSING_TOKEN': 'Walang access token. Gamitin ang link mula sa iyong email.',
+    'access.NOT_FOUND': 'Hindi wasto ang link na ito. Gamitin ang link mula sa iyong email.',
+    'access.ALREADY_USED': 'Nagamit na ang link na ito. Humiling ng bagong OTP.',
+    'access.EXPIRED': 'Nag-expire na ang link na ito. Humiling ng bagong OTP.',
+    'access.NOT_VERIFIED': 'Hindi pa handa ang link na ito. I-verify muna ang iyong OTP.',
+    'access.LOCK_TIMEOUT': 'Abala ang system. Pakisubukang muli.',
+    'access.NO_BOOKING_URL': 'Hindi naka-configure ang booking link. Makipag-ugnayan sa iyong recruiter.',
+    'access.BAD_BOOKING_URL': 'Mali ang configuration ng booking link. Makipag-ugnayan sa support.',
+    'access.BAD_APPOINTMENT_URL': 'Hindi wastong calendar schedule ang booking link. Naabisuhan na ang admin.',
+
+    'js.language': 'Wika',
+    'js.sending': 'Ipinapadala...',
+    'js.verifying': 'Vine-verify...',
+    'js.verify': 'I-verify',
+    'js.resend': 'Ipadala muli ang code',
+    'js.resendWait': 'Ipadala muli ang code ({seconds}s)',
+    'js.error': 'Nagkaroon ng error',
+    'js.sendFailed': 'Hindi naipadala ang OTP',
+    'js.tryAgain': 'Subukan muli',
+    'js.tryAgainIn': 'Subukan muli sa loob ng {time}',
+    'js.expiresIn': 'Mag-e-expire ang code sa loob ng {time}',
+    'js.expired': 'Nag-expire na ang code na ito. Humiling ng bago sa ibaba.',
+    'js.resent': 'Nagpadala kami ng bagong passcode sa iyong email.',
+    'js.resendFailed': 'Hindi makapagpadala ng bagong passcode.',
+    'js.requestNew': 'Humiling ng bagong passcode para magpatuloy.',
+    'js.timeout': 'Nag-time out ang kahilingan. Pakisubukang muli.',
+    'js.enterAllDigits': 'Pakilagay ang lahat ng {length} digit',
+    'js.enterAllChars': 'Pakilagay ang lahat ng {length} character',
+    'js.verifyFailed': 'Hindi nagtagumpay ang verification',
+    'js.noBooking': 'Hindi naka-configure ang booking access para sa posisyong ito',
+    'js.clientError': 'Error sa browser: {message}',
+    'js.copied': 'Nakopya na!',
+
+    'code.RATE_LIMITED': 'Masyadong maraming kahilingan ng passcode. Pakisubukang muli mamaya.',
+    'code.BUSY': 'Abala ang system. Pakisubukang muli pagkalipas ng ilang segundo.',
+    'code.INVITE_BLOCKED': 'Nagamit na ang invite link na ito. Humiling ng bagong invite.',
+    'code.CANDIDATE_NOT_FOUND': 'Hindi ma-verify ang iyong email at posisyon. Makipag-ugnayan sa iyong recruiter.',
+    'code.COOLDOWN': 'Maghintay ng {seconds} segundo bago humiling ng bagong passcode.',
+    'code.RESEND_LIMIT': 'Naabot mo na ang maximum na bilang ng bagong passcode. Makipag-ugnayan sa iyong recruiter.',
+    'code.SUPERSEDED': 'May mas bagong passcode na naipadala. Gamitin ang link sa pinakabago mong email.',
+    'code.ALREADY_VERIFIED': 'Na-verify na ang passcode na ito. Tingnan ang iyong email para sa booking link.',
+    'code.NOT_FOUND': 'Hindi wasto ang passcode link na ito. Magsimulang muli mula sa iyong invitation email.',
+    'code.OTP_EXPIRED': 'Nag-expire na ang passcode na ito. Humiling ng bago.',
+    'code.OTP_LOCKED': 'Masyadong maraming maling pagsubok. Humiling ng bagong passcode.',
+    'code.OTP_VERIFIED': 'Nagamit na ang passcode na ito.',
+    'code.OTP_SUPERSEDED': 'Napalitan na ang passcode na ito. Tingnan ang iyong email para sa pinakabagong code.',
+    'code.OTP_INCORRECT': 'Maling passcode. {attemptsLeft} pagsubok na lang ang natitira.',
+
+    'otpEmail.subject': 'Ang Iyong Passcode para sa Interview Booking – {brand}',
+    'otpEmail.title': 'Ang Iyong Passcode para sa Interview Booking',
+    'otpEmail.hello': 'Kumusta <strong>{name}</strong>,',
+    'otpEmail.thanks': 'Salamat sa iyong interes sa <strong>Crew Life at Sea!</strong>',
+    'otpEmail.intro': 'Gamitin ang secure na One-Time Passcode (OTP) sa ibaba para i-verify ang iyong email at buksan ang booking page:',
+    'otpEmail.expires': 'Mag-e-expire sa loob ng <strong>{minutes} minuto</strong>',
+    'otpEmail.cta': 'Ilagay ang Iyong Passcode',
+    'otpEmail.noShare': 'Huwag ibahagi ang link o OTP na ito. Mino-monitor ang lahat ng paggamit.',
+    'otpEmail.genuine': 'Narito kami para tumulong sa mga tunay na kandidato — hindi sa mga manloloko.',
+    'otpEmail.team': 'Crew Life at Sea Team',
+
+    'fraud.title': 'BABALA SA PANLOLOKO – ZERO TOLERANCE POLICY',
+    'fraud.blacklist': 'Permanenteng pag-blacklist sa lahat ng cruise line at partner',
+    'fraud.suspension': 'Pagsuspinde ng aplikasyon nang walang abiso',
+    'fraud.reporting': 'Pag-uulat sa SAPS, Hawks, at Cybercrime Unit',
+    'fraud.prosecution': 'Legal na pag-uusig sa ilalim ng batas ng South Africa at internasyonal',
+    'fraud.ban': 'Pekeng dokumento o panloloko = permanenteng ban at legal na aksyon.',
+
+    'bookingEmail.subject': 'I-schedule ang Iyong Interview – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – I-schedule ang Iyong Interview',
+    'bookingEmail.congrats': 'Binabati kita, {name}!',
+    'bookingEmail.opener': 'Binabati ka namin sa pag-usad mo sa susunod na yugto ng aming hiring process!',
+    'bookingEmail.family': 'Gumawa ka ng isa pang mahalagang hakbang patungo sa pagsali sa Crew Life at Sea family, at tunay kaming nasasabik sa mga kakayahang maaari mong dalhin sa barko.',
+    'bookingEmail.reached': 'Nakarating ka na sa interview stage para sa posisyong <b>{position}</b>.',
+    'bookingEmail.review': 'Pakibasa ang mga detalye sa ibaba at sundin nang mabuti ang mga tagubilin para makuha ang iyong slot.',
+    'bookingEmail.mustSelect': 'KAILANGANG PILIIN ANG OPSYON SA IBABA',
+    'bookingEmail.pickNote': 'Siguraduhing piliin ito kapag nagbu-book ng iyong interview!',
+    'bookingEmail.validity': '<b>Paalala:</b> Ang link na ito ay wasto sa loob ng <b>{minutes}&nbsp;minuto</b> at magagamit lamang nang isang beses.',
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – Nakalaan ang Lahat ng Karapatan',
+    'bookingEmail.confidential': 'Ang email na ito at anumang attachment ay kumpidensyal at para lamang sa tatanggap. Kung hindi ikaw ang tatanggap, pakiabisuhan kami at burahin ang mensaheng ito.',
+
+    'invite.subject': 'Ang Iyong Interview Booking Link – {brand}',
+    'invite.subjectReissue': '(Ipinadala Muli) Ang Iyong Interview Booking Link – {brand}',
+    'invite.hello': 'Kumusta,',
+    'invite.invited': 'Inaanyayahan kang i-book ang iyong interview',
+    'invite.invitedFor': 'Inaanyayahan kang i-book ang iyong interview para sa: {position}',
+    'invite.clickLink': 'I-click ang link sa ibaba para pumunta sa booking page:',
+    'invite.clickButton': 'I-click ang button sa ibaba para pumunta sa booking page:',
+    'invite.personal': 'Personal ang link na ito at magagamit lamang nang isang beses.',
+    'invite.noShare': 'Huwag ibahagi ang link na ito sa iba.',
+    'invite.expires': 'Mag-e-expire ang link na ito sa loob ng {hours} oras.',
+    'invite.ignore': 'Kung hindi ikaw ang humiling nito, huwag pansinin ang email na ito.',
+    'invite.team': 'CrewLife Recruitment Team',
+
+    'reminder.subject': 'Paalala: malapit nang mag-expire ang iyong interview booking link – {brand}',
+    'reminder.notUsed': 'Hindi mo pa naibo-book ang iyong interview.',
+    'reminder.notUsedFor': 'Hindi mo pa naibo-book ang iyong interview para sa {position}.',
+    'reminder.expires': 'Mag-e-expire ang iyong link sa loob ng mga {hours} oras.',
+    'reminder.ignore': 'Kung naka-book ka na ng interview, huwag pansinin ang email na ito.'
+  },
+
+  id: {
+    'lang.name': 'Bahasa Indonesia',
+    'lang.viewIn': 'Lihat halaman ini dalam Bahasa Indonesia',
+
+    'common.candidate': 'Kandidat',
+    'common.position': 'Posisi:',
+    'common.brand': 'Merek:',
+    'common.recruiter': 'Perekrut:',
+    'common.reference': 'Referensi:',
+    'common.important': 'Penting:',
+    'common.tryAgain': 'Coba Lagi',
+    'common.backHome': '← Kembali ke Beranda',
+    'common.contactRecruiter': 'Silakan hubungi perekrut Anda untuk bantuan.',
+    'common.supportContact': 'Ada pertanyaan? Hubungi {email}',
+    'common.copy': 'Salin',
+    'common.close': 'Tutup',
+    'common.bookInterview': 'Pesan Jadwal Wawancara',
+    'common.bestRegards': 'Salam hangat,',
+
+    'prep.title': 'Pastikan Anda siap:',
+    'prep.early': 'Online setidaknya {minutes} menit lebih awal',
+    'prep.connection': 'Uji koneksi dan kamera Anda (jika online)',
+    'prep.dress': 'Berpakaian secara profesional',
+    'prep.documents': 'Siapkan CV dan dokumen yang diperlukan',
+
+    'otpRequest.title': 'Minta OTP – {brand}',
+    'otpRequest.banner': 'AMANKAN PEMESANAN WAWANCARA ANDA',
+    'otpRequest.congrats': 'Selamat, {name}!',
+    'otpRequest.reached': 'Anda telah mencapai tahap wawancara untuk posisi:',
+    'otpRequest.intro': 'Klik tombol di bawah untuk menerima Kode Sekali Pakai (OTP) di email Anda.',
+    'otpRequest.send': 'Kirim OTP ke Email Saya',
+    'otpRequest.sentTitle': 'OTP Terkirim!',
+    'otpRequest.sentCheck': 'Periksa kotak masuk (dan folder spam) Anda untuk menemukan kode.',
+    'otpRequest.sentExpiry': 'Kode akan kedaluwarsa dalam {minutes} menit.',
+    'otpRequest.enterCode': 'Masukkan Kode Anda →',
+    'otpRequest.sendAgain': 'Tidak menerimanya? Kirim ulang',
+
+    'otpVerify.title': 'Verifikasi OTP – {brand}',
+    'otpVerify.banner': 'VERIFIKASI KODE ANDA',
+    'otpVerify.headingDigits': 'Masukkan Kode {length} Digit Anda',
+    'otpVerify.headingChars': 'Masukkan Kode {length} Karakter Anda',
+    'otpVerify.sentTo': 'Kami telah mengirim kode ke <strong>{email}</strong>',
+    'otpVerify.openDeployed': 'Buka aplikasi di tab baru',
+    'otpVerify.verify': 'Verifikasi',
+    'otpVerify.resendPrompt': 'Tidak menerima kode, atau kodenya sudah kedaluwarsa?',
+    'otpVerify.resend': 'Kirim ulang kode',
+    'otpVerify.verified': 'Terverifikasi!',
+    'otpVerify.verifiedText': 'Kode Anda berhasil diverifikasi.',
+    'otpVerify.emailSent': 'Kami juga telah mengirimkan email konfirmasi.',
+    'otpVerify.onceOnly': 'Tautan akses ini hanya dapat digunakan <strong>satu kali</strong>. Setelah diklik, tautan tidak dapat dibuka kembali atau dibagikan.',
+    'otpVerify.access': 'Buka Pemesanan Wawancara',
+    'otpVerify.noBookingTitle': 'URL Pemesanan Tidak Ditemukan',
+    'otpVerify.iframeTitle': 'Mode Tersemat Terdeteksi',
+    'otpVerify.iframeText': 'Halaman ini berjalan di dalam iframe atau pratinjau. Panggilan ke server mungkin gagal.',
+    'otpVerify.iframeOpen': 'Buka di Jendela Penuh',
+    'otpVerify.showDebug': 'Tampilkan info debug',
+    'otpVerify.debugResponse': 'Debug: Respons Server',
+    'otpVerify.debugTitle': 'Detail debug',
+    'otpVerify.debugHint': 'Salin dan tempel teks di bawah ini ke chat:',
+
+    'gate.title': 'Konfirmasi Akses Pemesanan – {brand}',
+    'gate.heading': 'Siap Memesan Jadwal Wawancara?',
+    'gate.intro': 'Klik <strong>Lanjutkan</strong> di bawah untuk membuka halaman penjadwalan.',
+    'gate.onceOnly': 'Tautan ini hanya dapat digunakan <strong>satu kali</strong>. Setelah mengklik Lanjutkan, tautan tidak dapat dibuka kembali atau dibagikan.',
+    'gate.continue': 'Lanjutkan untuk Menjadwalkan Wawancara',
+    'gate.later': 'Jika belum siap, Anda dapat kembali nanti dengan tautan yang sama — selama tautan tersebut belum digunakan.',
+
+    'redirect.title': 'Mengalihkan…',
+    'redirect.heading': 'Membuka Halaman Penjadwalan…',
+    'redirect.wait': 'Mohon tunggu. Anda akan segera dialihkan.',
+    'redirect.jsTitle': 'JavaScript Diperlukan',
+    'redirect.jsText': 'Aktifkan JavaScript di browser Anda untuk melanjutkan ke halaman penjadwalan.',
+    'redirect.errorTitle': 'Kesalahan Pengalihan',
+    'redirect.errorText': 'Tidak dapat membuka halaman penjadwalan. Silakan hubungi perekrut Anda.',
+
+    'error.pageTitle': '{title} – CrewLife Bookings',
+    'error.invalidLink': 'Tautan Tidak Valid',
+    'error.invalidBrand': 'Merek Tidak Valid',
+    'error.invalidRequest': 'Permintaan Tidak Valid',
+    'error.systemError': 'Kesalahan Sistem',
+    'error.accessDenied': 'Akses Ditolak',
+    'error.linkUsed': 'Tautan Sudah Digunakan',
+    'error.linkExpired': 'Tautan Kedaluwarsa',
+    'error.configError': 'Kesalahan Konfigurasi',
+    'error.candidateNotFound': 'Kandidat Tidak Ditemukan',
+    'error.candidateNotFoundText': 'Email dan posisi Anda tidak dapat diverifikasi. Silakan hubungi perekrut Anda.',
+    'error.candidateCheckFailed': 'Data Anda tidak dapat diverifikasi. Silakan coba lagi nanti.',
+    'error.missingParams': 'Parameter wajib tidak lengkap',
+    'error.brandNotRecognized': 'Merek tidak dikenali',
+    'error.missingConfirm': 'Konfirmasi tidak ada. Gunakan tombol di halaman konfirmasi.',
+
+    'link.MISSING_PARAMS': 'Parameter wajib pada tautan tidak lengkap',
+    'link.INVALID_BRAND': 'Merek tidak valid',
+    'link.LINK_EXPIRED': 'Tautan sudah kedaluwarsa',
+    'link.KEY_RETIRED': 'Tautan ini sudah tidak berlaku. Silakan minta yang baru.',
+    'link.INVALID_SIGNATURE': 'Tanda tangan tautan tidak valid',
+
+    'access.MISSING_TOKEN': 'Token akses tidak ada. Gunakan tautan dari email Anda.',
+    'access.NOT_FOUND': 'Tautan ini tidak valid. Gunakan tautan dari email Anda.',
+    'access.ALREADY_USED': 'Tautan ini sudah digunakan. Silakan minta OTP baru.',
+    'access.EXPIRED': 'Tautan ini sudah kedaluwarsa. Silakan minta OTP baru.',
+    'access.NOT_VERIFIED': 'Tautan ini belum siap. Verifikasi OTP Anda terlebih dahulu.',
+    'access.LOCK_TIMEOUT': 'Sistem sedang sibuk. Silakan coba lagi.',
+    'access.NO_BOOKING_URL': 'Tautan pemesanan belum dikonfigurasi. Silakan hubungi perekrut Anda.',
+    'access.BAD_BOOKING_URL': 'Tautan pemesanan salah dikonfigurasi. Hubungi dukungan.',
+    'access.BAD_APPOINTMENT_URL': 'Tautan pemesanan bukan jadwal kalender yang valid. Admin telah diberi tahu.',
+
+    'js.language': 'Bahasa',
+    'js.sending': 'Mengirim...',
+    'js.verifying': 'Memverifikasi...',
+    'js.verify': 'Verifikasi',
+    'js.resend': 'Kirim ulang kode',
+    'js.resendWait': 'Kirim ulang kode ({seconds} dtk)',
+    'js.error': 'Terjadi kesalahan',
+    'js.sendFailed': 'Gagal mengirim OTP',
+    'js.tryAgain': 'Coba Lagi',
+    'js.tryAgainIn': 'Coba lagi dalam {time}',
+    'js.expiresIn': 'Kode kedaluwarsa dalam {time}',
+    'js.expired': 'Kode ini sudah kedaluwarsa. Minta kode baru di bawah.',
+    'js.resent': 'Kode baru telah dikirim ke email Anda.',
+    'js.resendFailed': 'Tidak dapat mengirim kode baru.',
+    'js.requestNew': 'Minta kode baru untuk melanjutkan.',
+    'js.timeout': 'Waktu permintaan habis. Silakan coba lagi.',
+    'js.enterAllDigits': 'Masukkan semua {length} digit',
+    'js.enterAllChars': 'Masukkan semua {length} karakter',
+    'js.verifyFailed': 'Verifikasi gagal',
+    'js.noBooking': 'Akses pemesanan belum dikonfigurasi untuk posisi ini',
+    'js.clientError': 'Kesalahan browser: {message}',
+    'js.copied': 'Tersalin!',
+
+    'code.RATE_LIMITED': 'Terlalu banyak permintaan kode. Silakan coba lagi nanti.',
+    'code.BUSY': 'Sistem sedang sibuk. Silakan coba lagi dalam beberapa detik.',
+    'code.INVITE_BLOCKED': 'Tautan undangan ini sudah digunakan. Silakan minta undangan baru.',
+    'code.CANDIDATE_NOT_FOUND': 'Email dan posisi Anda tidak dapat diverifikasi. Silakan hubungi perekrut Anda.',
+    'code.COOLDOWN': 'Tunggu {seconds} detik sebelum meminta kode baru.',
+    'code.RESEND_LIMIT': 'Anda telah mencapai batas maksimum permintaan kode baru. Silakan hubungi perekrut Anda.',
+    'code.SUPERSEDED': 'Kode yang lebih baru telah dikirim. Gunakan tautan di email terbaru Anda.',
+    'code.ALREADY_VERIFIED': 'Kode ini sudah diverifikasi. Periksa email Anda untuk tautan pemesanan.',
+    'code.NOT_FOUND': 'Tautan kode ini tidak valid. Mulai lagi dari email undangan Anda.',
+    'code.OTP_EXPIRED': 'Kode ini sudah kedaluwarsa. Silakan minta kode baru.',
+    'code.OTP_LOCKED': 'Terlalu banyak percobaan yang gagal. Silakan minta kode baru.',
+    'code.OTP_VERIFIED': 'Kode ini sudah digunakan.',
+    'code.OTP_SUPERSEDED': 'Kode ini telah diganti. Periksa email Anda untuk kode terbaru.',
+    'code.OTP_INCORRECT': 'Kode salah. Sisa percobaan: {attemptsLeft}.',
+
+    'otpEmail.subject': 'Kode Pemesanan Wawancara Anda – {brand}',
+    'otpEmail.title': 'Kode Pemesanan Wawancara Anda',
+    'otpEmail.hello': 'Halo <strong>{name}</strong>,',
+    'otpEmail.thanks': 'Terima kasih atas minat Anda pada <strong>Crew Life at Sea!</strong>',
+    'otpEmail.intro': 'Gunakan Kode Sekali Pakai (OTP) yang aman di bawah ini untuk memverifikasi email Anda dan membuka halaman pemesanan:',
+    'otpEmail.expires': 'Kedaluwarsa dalam <strong>{minutes} menit</strong>',
+    'otpEmail.cta': 'Masukkan Kode Anda',
+    'otpEmail.noShare': 'Jangan bagikan tautan atau OTP ini. Semua penggunaan dipantau.',
+    'otpEmail.genuine': 'Kami hadir untuk membantu kandidat yang sungguh-sungguh — bukan penipu.',
+    'otpEmail.team': 'Tim Crew Life at Sea',
+
+    'fraud.title': 'PERINGATAN PENIPUAN – KEBIJAKAN TANPA TOLERANSI',
+    'fraud.blacklist': 'Masuk daftar hitam secara permanen di semua perusahaan kapal pesiar dan mitra',
+    'fraud.suspension': 'Penangguhan lamaran tanpa pemberitahuan',
+    'fraud.reporting': 'Pelaporan ke SAPS, Hawks, dan Unit Kejahatan Siber',
+    'fraud.prosecution': 'Tuntutan hukum berdasarkan hukum Afrika Selatan dan internasional',
+    'fraud.ban': 'Dokumen palsu atau penipuan = larangan permanen dan tindakan hukum.',
+
+    'bookingEmail.subject': 'Jadwalkan Wawancara Anda – {position}',
+    'bookingEmail.title': 'Crew Life at Sea – Jadwalkan Wawancara Anda',
+    'bookingEmail.congrats': 'Selamat, {name}!',
+    'bookingEmail.opener': 'Selamat telah melangkah ke tahap berikutnya dalam proses rekrutmen kami!',
+    'bookingEmail.family': 'Anda telah mengambil satu langkah penting lagi untuk bergabung dengan keluarga Crew Life at Sea, dan kami sangat antusias dengan keterampilan yang dapat Anda bawa ke kapal.',
+    'bookingEmail.reached': 'Anda telah mencapai tahap wawancara untuk posisi <b>{position}</b>.',
+    'bookingEmail.review': 'Silakan baca detail di bawah ini dan ikuti petunjuknya dengan cermat untuk mengamankan jadwal Anda.',
+    'bookingEmail.mustSelect': 'WAJIB MEMILIH OPSI DI BAWAH INI',
+    'bookingEmail.pickNote': 'Pastikan memilih opsi ini saat memesan jadwal wawancara Anda!',
+    'bookingEmail.validity': '<b>Harap diperhatikan:</b> Tautan ini berlaku selama <b>{minutes}&nbsp;menit</b> dan hanya dapat digunakan satu kali.',
+    'bookingEmail.rights': '© Crew Life at Sea Pty Ltd – Hak Cipta Dilindungi',
+    'bookingEmail.confidential': 'Email ini beserta lampirannya bersifat rahasia dan hanya ditujukan untuk penerima. Jika Anda bukan penerima yang dimaksud, mohon beri tahu kami dan hapus pesan ini.',
+
+    'invite.subject': 'Tautan Pemesanan Wawancara Anda – {brand}',
+    'invite.subjectReissue': '(Dikirim Ulang) Tautan Pemesanan Wawancara Anda – {brand}',
+    'invite.hello': 'Halo,',
+    'invite.invited': 'Anda diundang untuk memesan jadwal wawancara',
+    'invite.invitedFor': 'Anda diundang untuk memesan jadwal wawancara untuk: {position}',
+    'invite.clickLink': 'Klik tautan di bawah untuk menuju halaman pemesanan:',
+    'invite.clickButton': 'Klik tombol di bawah untuk menuju halaman pemesanan:',
+    'invite.personal': 'Tautan ini bersifat pribadi dan hanya dapat digunakan satu kali.',
+    'invite.noShare': 'Jangan bagikan tautan ini kepada orang lain.',
+    'invite.expires': 'Tautan ini akan kedaluwarsa dalam {hours} jam.',
+    'invite.ignore': 'Jika Anda tidak meminta ini, abaikan email ini.',
+    'invite.team': 'Tim Rekrutmen CrewLife',
+
+    'reminder.subject': 'Pengingat: tautan pemesanan wawancara Anda segera kedaluwarsa – {brand}',
+    'reminder.notUsed': 'Anda belum memesan jadwal wawancara.',
+    'reminder.notUsedFor': 'Anda belum memesan jadwal wawancara untuk {position}.',
+    'reminder.expires': 'Tautan Anda akan kedaluwarsa dalam sekitar {hours} jam.',
+    'reminder.ignore': 'Jika Anda sudah memesan jadwal wawancara, abaikan email ini.'
+  }
+};
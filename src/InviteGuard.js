@@ -39,13 +39,17 @@ function getEmailHashVariants_(email) {
 }
 
 /**
- * Scan TOKENS for matching rows and decide whether issuance must be blocked.
+ * Look up matching TOKENS rows (via TokenRepository) and decide whether
+ * issuance must be blocked.
  *
  * Matching key: Brand + Text For Email + (Email OR Email Hash variants).
  * Latest row: chosen by Created At timestamp (fallback: sheet row order).
+ * Rows moved out by the archival job are still seen through the latest-per-key
+ * copy kept in TOKENS_ARCHIVE_GUARD (see TokenArchive.gs); for those, rowIndex
+ * is null and archiveTab names the monthly archive tab.
  *
  * Decision rules (applied to LATEST row only):
- * 1) If latest.Status == "USED" => BLOCK always
+ * 1) If latest.Status == "USED" (or "BOOKED") => BLOCK always
  * 2) Else if latest.Locked == "LOCKED" => BLOCK
  * 3) Else if latest.Locked == "UNLOCK" => ALLOW
  * 4) Else if latest.Status == "LOCKED" => BLOCK
@@ -55,42 +59,35 @@ function getEmailHashVariants_(email) {
  * Locked is treated as blank and only Status rules apply.
  *
  * @param {{sheet?:GoogleAppsScript.Spreadsheet.Sheet, brand:string, email:string, textForEmail:string}} params
- * @returns {{blocked:boolean, found?:boolean, rowIndex?:number, status?:string, locked?:string, tokenPrefix?:string, overrideUnlock?:boolean, reason?:string}}
+ * @returns {{blocked:boolean, found?:boolean, rowIndex?:number, status?:string, locked?:string, tokenPrefix?:string, overrideUnlock?:boolean, reason?:string, archiveTab?:string}}
  */
 function findBlockingInviteInTokens_(params) {
-  var sheet = params.sheet;
-  if (!sheet) {
-    var ss = getConfigSheet_();
-    sheet = ss.getSheetByName('TOKENS');
-  }
-  if (!sheet) return { blocked: false };
-
   var brandKey = normalizeBrandKey_(params.brand);
   var emailKey = normalizeEmailKey_(params.email);
   var textKey = normalizeTextKey_(params.textForEmail);
   if (!brandKey || !emailKey || !textKey) return { blocked: false };
 
-  var lastRow = sheet.getLastRow();
-  var lastCol = sheet.getLastColumn();
-  if (lastRow < 2) return { blocked: false };
+  var repo = openTokenRepo_(params.sheet);
+  if (!repo) return { blocked: false };
 
-  var values = sheet.getRange(1, 1, lastRow, lastCol).getValues();
-  var headers = values[0].map(function(h) { return String(h || '').trim(); });
+  var headers = repo.headers;
 
   function idxOf(name) {
     return headers.indexOf(name);
   }
 
-  var idxBrand = idxOf('Brand');
-  var idxEmail = idxOf('Email');
-  var idxEmailHash = idxOf('Email Hash');
-  var idxText = idxOf('Text For Email');
-  var idxStatus = idxOf('Status');
-  var idxLocked = idxOf('Locked');
-  var idxToken = idxOf('Token');
-  var idxCreatedAt = idxOf('Created At');
+  var liveIdx = {
+    brand: idxOf('Brand'),
+    email: idxOf('Email'),
+    emailHash: idxOf('Email Hash'),
+    text: idxOf('Text For Email'),
+    status: idxOf('Status'),
+    locked: idxOf('Locked'),
+    token: idxOf('Token'),
+    createdAt: idxOf('Created At')
+  };
 
-  if (idxBrand === -1 || idxText === -1 || idxStatus === -1) {
+  if (liveIdx.brand === -1 || liveIdx.text === -1 || liveIdx.status === -1) {
     return { blocked: false };
   }
 
@@ -107,28 +104,50 @@ function findBlockingInviteInTokens_(params) {
     return isFinite(ms) ? ms : NaN;
   }
 
-  var latestRow = null;
+  // Candidates in age order: archived rows (TOKENS_ARCHIVE_GUARD) first, then live TOKENS rows.
+  var entries = [];
+  var archived = findArchivedInviteRows_(repo.sheet.getParent(), brandKey, emailKey, textKey);
+  for (var a = 0; a < archived.length; a++) {
+    var gi = archived[a].idx;
+    entries.push({
+      row: archived[a].values,
+      rowIndex: null,
+      archiveTab: String(archived[a].values[gi['Archive Tab']] || ''),
+      idx: {
+        brand: gi['Brand'], email: -1, emailHash: gi['Email Hash'], text: gi['Text For Email'],
+        status: gi['Status'], locked: gi['Locked'] === undefined ? -1 : gi['Locked'],
+        token: gi['Token'] === undefined ? -1 : gi['Token'], createdAt: gi['Created At'] === undefined ? -1 : gi['Created At']
+      }
+    });
+  }
+  var live = repo.lastRow < 2 ? [] : findCandidateTokenRows_(repo, brandKey, emailKey, textKey);
+  for (var m = 0; m < live.length; m++) {
+    entries.push({ row: live[m].values, rowIndex: live[m].rowNumber, archiveTab: '', idx: liveIdx });
+  }
+
+  var latest = null;
   var latestR = -1;
   var latestMs = NaN;
   var sawValidMs = false;
 
   // Query all matching rows, then choose latest by Created At (fallback row order).
-  for (var r = 1; r < values.length; r++) {
-    var row = values[r];
+  for (var r = 0; r < entries.length; r++) {
+    var row = entries[r].row;
+    var ix = entries[r].idx;
 
-    var rowBrand = normalizeBrandKey_(row[idxBrand]);
+    var rowBrand = normalizeBrandKey_(row[ix.brand]);
     if (rowBrand !== brandKey) continue;
 
-    var rowText = normalizeTextKey_(row[idxText]);
+    var rowText = normalizeTextKey_(row[ix.text]);
     if (rowText !== textKey) continue;
 
     var emailMatch = false;
-    if (idxEmail !== -1) {
-      var rowEmail = normalizeEmailKey_(row[idxEmail]);
+    if (ix.email !== -1) {
+      var rowEmail = normalizeEmailKey_(row[ix.email]);
       if (rowEmail && rowEmail === emailKey) emailMatch = true;
     }
-    if (!emailMatch && idxEmailHash !== -1) {
-      var rowHash = String(row[idxEmailHash] || '').trim();
+    if (!emailMatch && ix.emailHash !== -1) {
+      var rowHash = String(row[ix.emailHash] || '').trim();
       if (rowHash && (rowHash === emailHashes.hex || rowHash === emailHashes.base64)) {
         emailMatch = true;
       }
@@ -136,11 +155,11 @@ function findBlockingInviteInTokens_(params) {
     if (!emailMatch) continue;
 
     var ms = NaN;
-    if (idxCreatedAt !== -1) {
-      ms = toMillis_(row[idxCreatedAt]);
+    if (ix.createdAt !== -1) {
+      ms = toMillis_(row[ix.createdAt]);
       if (isFinite(ms)) {
         if (!sawValidMs || ms > latestMs || (ms === latestMs && r > latestR)) {
-          latestRow = row;
+          latest = entries[r];
           latestR = r;
           latestMs = ms;
         }
@@ -152,43 +171,48 @@ function findBlockingInviteInTokens_(params) {
     // Fallback: if no valid Created At seen, pick by row order.
     if (!sawValidMs) {
       if (r > latestR) {
-        latestRow = row;
+        latest = entries[r];
         latestR = r;
       }
     }
   }
 
-  if (!latestRow) return { blocked: false, found: false };
+  if (!latest) return { blocked: false, found: false };
 
-  var latestStatus = String(latestRow[idxStatus] || '').trim().toUpperCase();
-  var latestLocked = idxLocked === -1 ? '' : String(latestRow[idxLocked] || '').trim().toUpperCase();
+  var latestRow = latest.row;
+  var latestIdx = latest.idx;
+  var latestStatus = String(latestRow[latestIdx.status] || '').trim().toUpperCase();
+  var latestLocked = latestIdx.locked === -1 ? '' : String(latestRow[latestIdx.locked] || '').trim().toUpperCase();
 
   var tokenPrefix = '';
   try {
-    if (idxToken !== -1) {
-      var tok = String(latestRow[idxToken] || '');
+    if (latestIdx.token !== -1) {
+      var tok = String(latestRow[latestIdx.token] || '');
       if (tok) tokenPrefix = tok.substring(0, 8) + '...';
     }
   } catch (e) {}
 
+  var rowIndex = latest.rowIndex;
+  var archiveTab = latest.archiveTab;
+
   // Apply decision rules to latest row only.
   // 1) latest.Locked == LOCKED => BLOCK
   if (latestLocked === 'LOCKED') {
-    return { blocked: true, found: true, rowIndex: latestR + 1, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, reason: 'LATEST_LOCKED_FLAG' };
+    return { blocked: true, found: true, rowIndex: rowIndex, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, archiveTab: archiveTab, reason: 'LATEST_LOCKED_FLAG' };
   }
 
   // 2) latest.Locked == UNLOCK or UNLOCKED => ALLOW (even if Status == USED)
   if (latestLocked === 'UNLOCK' || latestLocked === 'UNLOCKED') {
-    return { blocked: false, found: true, rowIndex: latestR + 1, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, overrideUnlock: true, reason: 'LATEST_UNLOCKED_OVERRIDE' };
+    return { blocked: false, found: true, rowIndex: rowIndex, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, archiveTab: archiveTab, overrideUnlock: true, reason: 'LATEST_UNLOCKED_OVERRIDE' };
   }
 
   // 3) Locked blank => follow Status rules
-  if (latestStatus === 'USED') {
-    return { blocked: true, found: true, rowIndex: latestR + 1, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, reason: 'LATEST_USED' };
+  if (latestStatus === 'USED' || latestStatus === 'BOOKED') {
+    return { blocked: true, found: true, rowIndex: rowIndex, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, archiveTab: archiveTab, reason: 'LATEST_USED' };
   }
   if (latestStatus === 'LOCKED') {
-    return { blocked: true, found: true, rowIndex: latestR + 1, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, reason: 'LATEST_LOCKED_STATUS' };
+    return { blocked: true, found: true, rowIndex: rowIndex, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, archiveTab: archiveTab, reason: 'LATEST_LOCKED_STATUS' };
   }
 
-  return { blocked: false, found: true, rowIndex: latestR + 1, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, reason: 'LATEST_ALLOWED' };
+  return { blocked: false, found: true, rowIndex: rowIndex, status: latestStatus, locked: latestLocked, tokenPrefix: tokenPrefix, archiveTab: archiveTab, reason: 'LATEST_ALLOWED' };
 }
@@ -2,8 +2,44 @@
  * LogService.gs
  * Structured logging to LOGS tab and Logger.
  * CrewLife Interview Bookings Uniform Core
+ *
+ * Rows are written straight through by default. Entry points (doGet/doPost,
+ * scheduled jobs) wrap their work in withLogBatch_ so every event of the
+ * execution is buffered and flushed with a single setValues call.
+ *
+ * Levels: DEBUG < INFO < WARN < ERROR. The minimum level written to LOGS comes
+ * from Script Property LOG_LEVEL_<BRAND>, else LOG_LEVEL, else INFO. Logger
+ * always receives every event.
+ *
+ * Rotation: once LOGS reaches LOG_ROTATE_ROWS rows (default 50000) it is
+ * renamed to LOGS_yyyy_MM_dd and a fresh LOGS tab is started.
  */
 
+var LOG_HEADERS = ['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor', 'Level'];
+var LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+var LOG_DEFAULT_LEVEL = 'INFO';
+var LOG_DEFAULT_ROTATE_ROWS = 50000;
+var LOG_BUFFER_MAX = 100;        // auto-flush so a long run never holds too much
+var LOG_FLUSH_LOCK_MS = 3000;    // batch appends compute lastRow under the script lock
+
+/** Event levels that the name-based rules below would get wrong. */
+var LOG_EVENT_LEVELS = {
+  SIDEWAYS_ROW_FOUND: 'DEBUG',
+  SIDEWAYS_BRAND_SHEETS: 'DEBUG',
+  SIDEWAYS_BATCH_UPDATE: 'DEBUG',
+  BOOKING_EMAIL_CTA_BUILT: 'DEBUG',
+  OPTIONS_LOADED: 'DEBUG',
+  OTP_FAILED: 'WARN',            // wrong code typed by the candidate
+  MATCH_FAIL: 'WARN',
+  TOKEN_VALIDATION_FAILED: 'WARN',
+  OTP_RATE_LIMITED: 'WARN',
+  OTP_RESEND_LIMIT: 'WARN'
+};
+
+var logBuffer_ = null;      // null = write-through, array = batching
+var logBatchDepth_ = 0;
+var logSettingsMemo_ = null;
+
 /**
  * Log an event to the LOGS sheet and Logger
  * @param {string} traceId - Trace ID for request correlation
@@ -14,12 +50,33 @@
  * @param {string} actor - Optional actor (admin email or 'SYSTEM')
  */
 function logEvent_(traceId, brand, email, event, details, actor) {
+  logEventAt_(eventLogLevel_(event), traceId, brand, email, event, details, actor);
+}
+
+/**
+ * Log an event with an explicit level (DEBUG, INFO, WARN, ERROR)
+ * @param {string} level - Log level
+ * @param {string} traceId - Trace ID for request correlation
+ * @param {string} brand - Brand code
+ * @param {string} email - Email (will be masked)
+ * @param {string} event - Event name
+ * @param {Object} details - Additional details object
+ * @param {string} actor - Optional actor (admin email or 'SYSTEM')
+ */
+function logEventAt_(level, traceId, brand, email, event, details, actor) {
   try {
-    var cfg = getConfig_();
+    level = normalizeLogLevel_(level) || LOG_DEFAULT_LEVEL;
     var masked = maskEmail_(email);
     var detailsJson = JSON.stringify(details || {});
+
+    // Always log to Logger as backup
+    Logger.log('[' + event + '] ' + brand + ' | ' + masked + ' | ' + detailsJson);
+
+    var settings = getLogSettings_();
+    if (LOG_LEVELS[level] < LOG_LEVELS[minLogLevelForBrand_(settings, brand)]) return;
+
     var actorValue = actor || (email ? 'SYSTEM' : '');
-    
+
     // Try to get current user as actor if not provided
     if (!actorValue) {
       try {
@@ -31,7 +88,7 @@ function logEvent_(traceId, brand, email, event, details, actor) {
         actorValue = 'SYSTEM';
       }
     }
-    
+
     var row = [
       new Date(),           // Timestamp
       traceId || '',        // Trace ID
@@ -39,36 +96,217 @@ function logEvent_(traceId, brand, email, event, details, actor) {
       masked,               // Email (Masked)
       event || '',          // Event
       detailsJson,          // Details
-      actorValue            // Actor
+      actorValue,           // Actor
+      level                 // Level
     ];
-    
-    // Log to sheet
-    var sheetId = cfg.LOG_SHEET_ID || cfg.CONFIG_SHEET_ID;
-    if (sheetId) {
-      try {
-        var ss = SpreadsheetApp.openById(sheetId);
-        var sheet = ss.getSheetByName('LOGS');
-        if (sheet) {
-          sheet.appendRow(row);
-        } else {
-          // Create LOGS sheet if missing
-          sheet = ss.insertSheet('LOGS');
-          sheet.appendRow(['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor']);
-          sheet.getRange(1, 1, 1, 7).setFontWeight('bold');
-          sheet.setFrozenRows(1);
-          sheet.appendRow(row);
-        }
-      } catch (e) {
-        Logger.log('LogService: Error writing to sheet: ' + e);
-      }
+
+    if (logBuffer_) {
+      logBuffer_.push(row);
+      if (logBuffer_.length >= LOG_BUFFER_MAX) flushLogs_();
+    } else {
+      writeLogRows_([row]);
+    }
+  } catch (e) {
+    Logger.log('LogService.logEventAt_ failed: ' + e);
+  }
+}
+
+/**
+ * Run fn with LOGS writes buffered, flushing once when it returns or throws.
+ * Nested calls share the outer batch.
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+function withLogBatch_(fn) {
+  if (!logBuffer_) logBuffer_ = [];
+  logBatchDepth_++;
+  try {
+    return fn();
+  } finally {
+    logBatchDepth_--;
+    if (logBatchDepth_ <= 0) {
+      logBatchDepth_ = 0;
+      flushLogs_();
+      logBuffer_ = null;
+    }
+  }
+}
+
+/**
+ * Write buffered LOGS rows now. Safe to call when nothing is buffered.
+ * @returns {number} Rows written
+ */
+function flushLogs_() {
+  if (!logBuffer_ || !logBuffer_.length) return 0;
+  var rows = logBuffer_;
+  logBuffer_ = [];
+  try {
+    writeLogRows_(rows);
+  } catch (e) {
+    Logger.log('LogService: flush failed, ' + rows.length + ' row(s) lost: ' + e);
+    return 0;
+  }
+  return rows.length;
+}
+
+/**
+ * Append rows to LOGS, rotating the tab first when it is full.
+ * One row uses appendRow (atomic without a lock). Several rows go in one
+ * setValues under the script lock; if the lock is busy they fall back to
+ * appendRow so nothing is dropped. The script lock is re-entrant, so when the
+ * caller already holds it (token writes log inside their critical section)
+ * it is used as-is and left held.
+ * @param {Array<Array>} rows - LOG_HEADERS-shaped rows
+ */
+function writeLogRows_(rows) {
+  var settings = getLogSettings_();
+  if (!settings.sheetId || !rows.length) return;
+
+  try {
+    var ss = SpreadsheetApp.openById(settings.sheetId);
+    var sheet = getLogSheet_(ss);
+    if (sheet.getLastRow() > settings.rotateRows) {
+      sheet = rotateLogSheet_(ss, sheet, settings.rotateRows);
+    }
+
+    if (rows.length === 1) {
+      sheet.appendRow(rows[0]);
+      return;
+    }
+
+    var lock = LockService.getScriptLock();
+    var ownLock = !lock.hasLock();
+    if (ownLock && !lock.tryLock(LOG_FLUSH_LOCK_MS)) {
+      for (var i = 0; i < rows.length; i++) sheet.appendRow(rows[i]);
+      return;
+    }
+    try {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_HEADERS.length).setValues(rows);
+    } finally {
+      if (ownLock) lock.releaseLock();
     }
-    
-    // Always log to Logger as backup
-    Logger.log('[' + event + '] ' + brand + ' | ' + masked + ' | ' + detailsJson);
-    
   } catch (e) {
-    Logger.log('LogService.logEvent_ failed: ' + e);
+    Logger.log('LogService: Error writing to sheet: ' + e);
+  }
+}
+
+/**
+ * Get the LOGS tab, creating it (or adding the Level header) when needed
+ * @param {Spreadsheet} ss - Log spreadsheet
+ * @returns {Sheet} LOGS sheet
+ */
+function getLogSheet_(ss) {
+  var sheet = ss.getSheetByName('LOGS');
+  if (!sheet) return createLogSheet_(ss);
+
+  // Tabs created before levels existed have 7 columns
+  if (sheet.getLastColumn() < LOG_HEADERS.length) {
+    sheet.getRange(1, LOG_HEADERS.length).setValue(LOG_HEADERS[LOG_HEADERS.length - 1]).setFontWeight('bold');
   }
+  return sheet;
+}
+
+/**
+ * Create an empty LOGS tab with headers
+ * @param {Spreadsheet} ss - Log spreadsheet
+ * @returns {Sheet} New LOGS sheet
+ */
+function createLogSheet_(ss) {
+  var sheet = ss.insertSheet('LOGS');
+  sheet.getRange(1, 1, 1, LOG_HEADERS.length).setValues([LOG_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  return sheet;
+}
+
+/**
+ * Rename a full LOGS tab to LOGS_yyyy_MM_dd and start a fresh one.
+ * Done under the script lock (kept if the caller already holds it); a
+ * concurrent rotation wins and we reuse its tab.
+ * @param {Spreadsheet} ss - Log spreadsheet
+ * @param {Sheet} sheet - Current LOGS sheet
+ * @param {number} rotateRows - Row threshold
+ * @returns {Sheet} The LOGS sheet to write into
+ */
+function rotateLogSheet_(ss, sheet, rotateRows) {
+  var lock = LockService.getScriptLock();
+  var ownLock = !lock.hasLock();
+  if (ownLock && !lock.tryLock(LOG_FLUSH_LOCK_MS)) return sheet;
+  try {
+    var current = ss.getSheetByName('LOGS');
+    if (current && current.getSheetId() !== sheet.getSheetId()) return current;
+    if (sheet.getLastRow() <= rotateRows) return sheet;
+
+    var base = 'LOGS_' + Utilities.formatDate(new Date(), 'UTC', 'yyyy_MM_dd');
+    var name = base;
+    for (var n = 2; ss.getSheetByName(name); n++) name = base + '_' + n;
+    sheet.setName(name);
+    Logger.log('LogService: rotated LOGS to ' + name + ' at ' + sheet.getLastRow() + ' rows');
+    return createLogSheet_(ss);
+  } finally {
+    if (ownLock) lock.releaseLock();
+  }
+}
+
+/**
+ * Logging settings, read once per execution from Script Properties
+ * @returns {{sheetId:string, defaultLevel:string, brandLevels:Object, rotateRows:number}}
+ */
+function getLogSettings_() {
+  if (logSettingsMemo_) return logSettingsMemo_;
+  var cfg = getConfig_();
+  var props = PropertiesService.getScriptProperties().getProperties();
+
+  var brandLevels = {};
+  for (var key in props) {
+    if (key.indexOf('LOG_LEVEL_') === 0) {
+      var lvl = normalizeLogLevel_(props[key]);
+      if (lvl) brandLevels[key.substring('LOG_LEVEL_'.length).toUpperCase()] = lvl;
+    }
+  }
+
+  var rotateRows = Number(props.LOG_ROTATE_ROWS || LOG_DEFAULT_ROTATE_ROWS);
+  logSettingsMemo_ = {
+    sheetId: cfg.LOG_SHEET_ID || cfg.CONFIG_SHEET_ID,
+    defaultLevel: normalizeLogLevel_(props.LOG_LEVEL) || LOG_DEFAULT_LEVEL,
+    brandLevels: brandLevels,
+    rotateRows: rotateRows > 0 ? rotateRows : LOG_DEFAULT_ROTATE_ROWS
+  };
+  return logSettingsMemo_;
+}
+
+/**
+ * Minimum level written to LOGS for a brand
+ * @param {Object} settings - From getLogSettings_
+ * @param {string} brand - Brand code (may be blank)
+ * @returns {string} Level name
+ */
+function minLogLevelForBrand_(settings, brand) {
+  var b = String(brand || '').toUpperCase().trim();
+  return (b && settings.brandLevels[b]) || settings.defaultLevel;
+}
+
+/**
+ * Default level for an event name
+ * @param {string} event - Event name
+ * @returns {string} Level name
+ */
+function eventLogLevel_(event) {
+  var e = String(event || '').toUpperCase();
+  if (LOG_EVENT_LEVELS[e]) return LOG_EVENT_LEVELS[e];
+  if (/(^|_)DEBUG(_|$)/.test(e)) return 'DEBUG';
+  if (/(ERROR|FAIL|FAILED|EXCEPTION|FATAL)(_|$)/.test(e)) return 'ERROR';
+  if (/(BLOCKED|REJECTED|SKIPPED|INVALID|MISMATCH|NOT_FOUND|LOCKED)(_|$)|(^|_)NO_/.test(e)) return 'WARN';
+  return 'INFO';
+}
+
+/**
+ * @param {string} level - Level name in any case
+ * @returns {string} Upper-case level, or '' when unknown
+ */
+function normalizeLogLevel_(level) {
+  var l = String(level || '').toUpperCase().trim();
+  if (l === 'WARNING') l = 'WARN';
+  return LOG_LEVELS[l] ? l : '';
 }
 
 /**
@@ -14,8 +14,9 @@ function serveOtpRequestPage_(params, traceId) {
   // Validate signed URL
   var validation = validateSignedUrl_(params);
   if (!validation.ok) {
+    var rejectLang = resolveLang_({ param: params.lang, brand: params.brand }).lang;
     logEvent_(traceId, params.brand || '', params.e || '', 'OTP_PAGE_REJECTED', { error: validation.error, code: validation.code });
-    return serveErrorPage_('Invalid Link', validation.error, traceId);
+    return serveErrorPage_(t_(rejectLang, 'error.invalidLink'), t_(rejectLang, 'link.' + validation.code, null, validation.error), traceId, null, rejectLang, params.brand);
   }
   
   var brand = validation.brand;
@@ -24,13 +25,15 @@ function serveOtpRequestPage_(params, traceId) {
   
   // Validate against Smartsheet
   var candidate = searchCandidateInSmartsheet_(brand, email, textForEmail);
+  var resolved = resolveLang_({ param: params.lang, candidate: candidate.candidate, brand: brand });
+  var lang = resolved.lang;
   if (!candidate.ok) {
     logEvent_(traceId, brand, email, 'OTP_PAGE_SMARTSHEET_ERROR', { error: candidate.error });
-    return serveErrorPage_('System Error', 'Could not verify candidate. Please try again later.', traceId);
+    return serveErrorPage_(t_(lang, 'error.systemError'), t_(lang, 'error.candidateCheckFailed'), traceId, null, lang, brand);
   }
   if (!candidate.found || !candidate.exactMatch) {
     logEvent_(traceId, brand, email, 'OTP_PAGE_NOT_FOUND', { textForEmail: textForEmail });
-    return serveErrorPage_('Candidate Not Found', 'Your email and position could not be verified. Please contact your recruiter.', traceId);
+    return serveErrorPage_(t_(lang, 'error.candidateNotFound'), t_(lang, 'error.candidateNotFoundText'), traceId, null, lang, brand);
   }
   
   // Resolve CL code for display
@@ -38,11 +41,13 @@ function serveOtpRequestPage_(params, traceId) {
   
   // Extract first name if available
   var firstName = candidate.candidate && candidate.candidate['Name'] ? 
-    String(candidate.candidate['Name']).split(' ')[0] : 'Candidate';
+    String(candidate.candidate['Name']).split(' ')[0] : t_(lang, 'common.candidate');
   
   var brandInfo = getBrand_(brand);
   
   var template = HtmlService.createTemplateFromFile('OtpRequest');
+  applyPageI18n_(template, resolved, params);
+  applyBrandTheme_(template, brand);
   template.brand = brand;
   template.brandName = brandInfo ? brandInfo.name : brand;
   template.email = email;
@@ -53,12 +58,13 @@ function serveOtpRequestPage_(params, traceId) {
   template.webAppUrl = getWebAppUrl_();
   template.timestamp = params.ts;
   template.sig = params.sig;
+  template.kid = params.kid || '';
   template.version = APP_VERSION;
   
   logEvent_(traceId, brand, email, 'OTP_PAGE_VIEWED', { textForEmail: textForEmail });
   
   return template.evaluate()
-    .setTitle('Request OTP – ' + (brandInfo ? brandInfo.name : brand))
+    .setTitle(t_(lang, 'otpRequest.title', { brand: brandInfo ? brandInfo.name : brand }))
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
@@ -146,26 +152,34 @@ function handleOtpRequest_(params, traceId) {
     e: email,
     t: textForEmail,
     ts: params.timestamp,
-    sig: params.sig
+    sig: params.sig,
+    kid: params.kid
   });
   
   if (!validation.ok) {
     logEvent_(traceId, brand, email, 'OTP_REQUEST_REJECTED', { error: validation.error });
     return { ok: false, error: validation.error };
   }
+
+  var rate = checkOtpRateLimit_(brand, email, traceId, false);
+  if (!rate.ok) return rate;
   
   // Validate against Smartsheet
   var candidate = searchCandidateInSmartsheet_(brand, email, textForEmail);
   if (!candidate.ok || !candidate.found || !candidate.exactMatch) {
     logEvent_(traceId, brand, email, 'OTP_REQUEST_NOT_FOUND', {});
-    return { ok: false, error: 'Candidate not found in system' };
+    return { ok: false, code: 'CANDIDATE_NOT_FOUND', error: 'Candidate not found in system' };
   }
+  var lang = resolveLang_({ param: params.lang, candidate: candidate.candidate, brand: brand }).lang;
 
   // Issuance guard: block if a USED/LOCKED invite already exists for this key.
   var guard = checkInviteReuseGuard_(brand, email, textForEmail, traceId);
   if (guard.blocked) {
     return { ok: false, code: 'INVITE_BLOCKED', error: getInviteBlockedMessage_() };
   }
+
+  rate = checkOtpRateLimit_(brand, email, traceId, true);
+  if (!rate.ok) return rate;
   
   // Create OTP
   var otpResult = createOtp_({
@@ -188,7 +202,8 @@ function handleOtpRequest_(params, traceId) {
     textForEmail: textForEmail,
     token: otpResult.token,  // Include token in verify URL
     expiryMinutes: otpResult.expiryMinutes,
-    traceId: traceId
+    traceId: traceId,
+    lang: lang
   });
   
   if (!emailResult.ok) {
@@ -200,6 +215,7 @@ function handleOtpRequest_(params, traceId) {
     '&e=' + encodeURIComponent(email) +
     '&t=' + encodeURIComponent(textForEmail) +
     '&token=' + encodeURIComponent(otpResult.token);
+  verifyUrl = appendLangParam_(verifyUrl, lang, brand);
 
   return {
     ok: true,
@@ -221,30 +237,48 @@ function serveOtpVerifyPage_(params, traceId) {
   var email = String(params.e || '').toLowerCase().trim();
   var textForEmail = String(params.t || '').trim();
   var token = String(params.token || '').trim();  // Token for deterministic lookup
+  var resolved = resolveLang_({ param: params.lang, brand: brand });
+  var lang = resolved.lang;
   
   if (!brand || !email) {
-    return serveErrorPage_('Invalid Link', 'Missing required parameters', traceId);
+    return serveErrorPage_(t_(lang, 'error.invalidLink'), t_(lang, 'error.missingParams'), traceId, null, lang);
   }
   
   if (!isValidBrand_(brand)) {
-    return serveErrorPage_('Invalid Brand', 'Brand not recognized', traceId);
+    return serveErrorPage_(t_(lang, 'error.invalidBrand'), t_(lang, 'error.brandNotRecognized'), traceId, null, lang);
   }
   
   var brandInfo = getBrand_(brand);
   
   var template = HtmlService.createTemplateFromFile('OtpVerify');
+  applyPageI18n_(template, resolved, params);
+  applyBrandTheme_(template, brand);
   template.brand = brand;
   template.brandName = brandInfo ? brandInfo.name : brand;
   template.email = email;
   template.textForEmail = textForEmail;
   template.token = token;  // Pass token to template for deterministic verification
+  var otpFormat = getOtpFormat_(brand);
+  template.otpLength = otpFormat.length;
+  template.otpNumeric = otpFormat.numeric;
+
+  // Countdown and resend timer (-1 = unknown, e.g. legacy links without a token)
+  template.expiresInSeconds = -1;
+  template.resendInSeconds = 0;
+  var repo = token ? openTokenRepo_() : null;
+  var found = repo ? findTokenRow_(repo, token) : null;
+  if (found && String(found.values[repo.idx['Email']] || '').toLowerCase().trim() === email) {
+    var timing = getOtpRowTiming_(found.values, repo.idx);
+    template.expiresInSeconds = timing.expiresInSeconds;
+    template.resendInSeconds = timing.resendInSeconds;
+  }
   template.webAppUrl = getWebAppUrl_();
   template.version = APP_VERSION;
   
   logEvent_(traceId, brand, email, 'OTP_VERIFY_PAGE_VIEWED', {});
   
   return template.evaluate()
-    .setTitle('Verify OTP – ' + (brandInfo ? brandInfo.name : brand))
+    .setTitle(t_(lang, 'otpVerify.title', { brand: brandInfo ? brandInfo.name : brand }))
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
@@ -267,6 +301,9 @@ function startOtpByBrandCl_(params, traceId) {
     return { ok: false, error: 'Unknown brand' };
   }
 
+  var rate = checkOtpRateLimit_(brand, email, traceId, false);
+  if (!rate.ok) return rate;
+
   // Ensure CL code exists and has a booking URL
   var clDetails = getCLCodeDetails_(brand, clCode);
   if (!clDetails) {
@@ -304,13 +341,17 @@ function startOtpByBrandCl_(params, traceId) {
     return { ok: false, code: 'INVITE_BLOCKED', error: getInviteBlockedMessage_() };
   }
 
+  rate = checkOtpRateLimit_(brand, email, traceId, true);
+  if (!rate.ok) return rate;
+
   var otpResult = createOtp_({ email: email, brand: brand, textForEmail: textForEmail, traceId: traceId });
   if (!otpResult.ok) {
     return { ok: false, error: otpResult.error };
   }
 
   // Send OTP email with token
-  var emailResult = sendOtpEmail_({ email: email, otp: otpResult.otp, brand: brand, textForEmail: textForEmail, token: otpResult.token, expiryMinutes: otpResult.expiryMinutes, traceId: traceId });
+  var lang = resolveLang_({ param: params.lang, brand: brand }).lang;
+  var emailResult = sendOtpEmail_({ email: email, otp: otpResult.otp, brand: brand, textForEmail: textForEmail, token: otpResult.token, expiryMinutes: otpResult.expiryMinutes, traceId: traceId, lang: lang });
   if (!emailResult.ok) return { ok: false, error: emailResult.error };
 
   var verifyUrl = getWebAppUrl_() +
@@ -318,6 +359,7 @@ function startOtpByBrandCl_(params, traceId) {
     '&e=' + encodeURIComponent(email) +
     '&t=' + encodeURIComponent(textForEmail) +
     '&token=' + encodeURIComponent(otpResult.token);
+  verifyUrl = appendLangParam_(verifyUrl, lang, brand);
 
   return { ok: true, token: otpResult.token, verifyUrl: verifyUrl, expiryMinutes: otpResult.expiryMinutes };
 }
@@ -329,7 +371,7 @@ function startOtpByBrandCl_(params, traceId) {
  * BULLETPROOF: Wrapped in try/catch to NEVER cause blank screen.
  * @param {Object} params  { brand, email, textForEmail }
  * @param {string} traceId
- * @returns {{ ok:boolean, verifyUrl?:string, expiryMinutes?:number, error?:string }}
+ * @returns {{ ok:boolean, verifyUrl?:string, expiryMinutes?:number, error?:string, code?:string, retryAfterSeconds?:number }}
  */
 function startOtpByTextForEmail(params, traceId) {
   try {
@@ -345,6 +387,9 @@ function startOtpByTextForEmail(params, traceId) {
       return { ok: false, error: 'Unknown brand: ' + brand };
     }
 
+    var rate = checkOtpRateLimit_(brand, email, traceId, false);
+    if (!rate.ok) return rate;
+
     // 0. Pre-check: Verify TOKENS sheet is accessible
     try {
       var ss = getConfigSheet_();
@@ -369,6 +414,7 @@ function startOtpByTextForEmail(params, traceId) {
 
     // 2. Attach Interview Link to candidate so createOtp_ stores it as Position Link
     var candidate = searchResult.candidate || {};
+    var lang = resolveLang_({ param: params.lang, candidate: candidate, brand: brand }).lang;
     candidate['Position Link'] = searchResult.interviewLink || '';
 
     // 2.5 Issuance guard: block if a USED/LOCKED invite already exists for this key.
@@ -377,6 +423,10 @@ function startOtpByTextForEmail(params, traceId) {
       return { ok: false, code: 'INVITE_BLOCKED', error: getInviteBlockedMessage_() };
     }
 
+    // 2.6 Rate limits: record this request (rejects if a limit filled up meanwhile)
+    rate = checkOtpRateLimit_(brand, email, traceId, true);
+    if (!rate.ok) return rate;
+
     // 3. Create OTP (single call — writes token row with Position Link)
     var otpResult = createOtp_({
       email:        email,
@@ -397,7 +447,8 @@ function startOtpByTextForEmail(params, traceId) {
       textForEmail:  textForEmail,
       token:         otpResult.token,
       expiryMinutes: otpResult.expiryMinutes,
-      traceId:       traceId
+      traceId:       traceId,
+      lang:          lang
     });
     if (!emailResult.ok) {
       return { ok: false, error: emailResult.error || 'Failed to send OTP email.' };
@@ -413,6 +464,7 @@ function startOtpByTextForEmail(params, traceId) {
       '&e='     + encodeURIComponent(email) +
       '&t='     + encodeURIComponent(textForEmail) +
       '&token=' + encodeURIComponent(otpResult.token);
+    verifyUrl = appendLangParam_(verifyUrl, lang, brand);
 
     return { ok: true, token: otpResult.token, verifyUrl: verifyUrl, expiryMinutes: otpResult.expiryMinutes };
   
@@ -452,6 +504,7 @@ function handleOtpVerify_(params, traceId) {
   var otp = String(params.otp || '').trim();
   var textForEmail = String(params.textForEmail || '').trim();
   var token = String(params.token || '').trim();
+  var lang = resolveLang_({ param: params.lang, brand: brand }).lang;
   
   logStep('START', { token: token ? token.substring(0,8)+'...' : 'none', email: email, brand: brand, otp: otp ? '***' : 'missing' });
   
@@ -479,7 +532,7 @@ function handleOtpVerify_(params, traceId) {
   
   if (!result.ok) {
     logStep('VALIDATE_FAILED', { error: result.error });
-    return { ok: false, error: result.error, diag: diag };
+    return { ok: false, error: result.error, code: result.code || null, attemptsLeft: result.attemptsLeft, diag: diag };
   }
   
   // Build secure access URL — never expose the actual booking URL to the client
@@ -494,7 +547,7 @@ function handleOtpVerify_(params, traceId) {
   }
 
   // The access URL points to the confirm gate — use CANONICAL URL, never a calendar link
-  var accessUrl = getEmailCtaBaseUrl_() + '?page=access&token=' + encodeURIComponent(token);
+  var accessUrl = appendLangParam_(getEmailCtaBaseUrl_() + '?page=access&token=' + encodeURIComponent(token), lang, brand);
 
   logStep('ACCESS_URL_GENERATED', { accessUrl: maskUrl_(accessUrl) });
   logEvent_(traceId, brand, email, 'ACCESS_URL_GENERATED', {
@@ -510,7 +563,8 @@ function handleOtpVerify_(params, traceId) {
       brand:        brand,
       textForEmail: result.textForEmail || textForEmail,
       accessUrl:    accessUrl,
-      traceId:      traceId
+      traceId:      traceId,
+      lang:         lang
     });
     logStep('SEND_BOOKING_EMAIL_RESULT', { ok: emailResult.ok, error: emailResult.error || null });
   } catch (e) {
@@ -542,6 +596,160 @@ function otpVerifyApi(params, traceId) {
   return handleOtpVerify_(params, traceId);
 }
 
+/**
+ * Resend a passcode from the verify page. The old row (looked up by token)
+ * must belong to the same brand + email, be the latest row for its position
+ * and still be PENDING, EXPIRED or LOCKED by failed attempts. createOtp_ supersedes the pending row through
+ * expirePendingOtps_ and issues a new one for the same Text For Email and
+ * Position Link. Enforces OTP_RESEND_COOLDOWN_SECONDS since the last code,
+ * OTP_RESEND_MAX resends and the usual OTP rate limits.
+ * @param {Object} params - token, brand, email, lang
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, token?:string, expiresInSeconds?:number, resendInSeconds?:number,
+ *   resendsLeft?:number, error?:string, code?:string, retryAfterSeconds?:number}}
+ */
+function handleOtpResend_(params, traceId) {
+  traceId = traceId || generateTraceId_();
+  var token = String(params.token || '').trim();
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var email = String(params.email || '').toLowerCase().trim();
+  var notFound = { ok: false, code: 'NOT_FOUND', error: 'This passcode link is not valid. Please start again from your invitation email.' };
+
+  if (!token || !brand || !email) return notFound;
+
+  var repo = openTokenRepo_();
+  var found = repo ? findTokenRow_(repo, token) : null;
+  if (!found) {
+    logEvent_(traceId, brand, email, 'OTP_RESEND_REJECTED', { reason: 'NOT_FOUND', token: token.substring(0, 8) + '...' });
+    return notFound;
+  }
+
+  var idx = repo.idx;
+  var row = found.values;
+  var rowEmail = String(row[idx['Email']] || '').toLowerCase().trim();
+  var rowBrand = String(row[idx['Brand']] || '').toUpperCase().trim();
+  var rowText = String(row[idx['Text For Email']] || '').trim();
+  var rowStatus = String(row[idx['Status']] || '').toUpperCase().trim();
+  if (rowEmail !== email || rowBrand !== brand) {
+    logEvent_(traceId, brand, email, 'OTP_RESEND_REJECTED', { reason: 'MISMATCH', token: token.substring(0, 8) + '...' });
+    return notFound;
+  }
+
+  if (rowStatus === 'VERIFIED' || rowStatus === 'USED' || rowStatus === 'BOOKED') {
+    return { ok: false, code: 'ALREADY_VERIFIED', error: 'This passcode has already been verified. Check your email for the booking link.' };
+  }
+  if (rowStatus === 'SUPERSEDED') {
+    return { ok: false, code: 'SUPERSEDED', error: 'A newer passcode has been sent. Please use the link in your latest email.' };
+  }
+  if (rowStatus !== 'PENDING' && rowStatus !== 'EXPIRED' && rowStatus !== 'LOCKED') {
+    return notFound;
+  }
+
+  // Only the latest row for the position may be resent. Its own LOCKED status
+  // (failed attempts) is what a resend fixes; any other block stands.
+  var guard = findBlockingInviteInTokens_({ brand: brand, email: email, textForEmail: rowText });
+  var isLatest = !guard.found || guard.tokenPrefix === token.substring(0, 8) + '...';
+  if (guard.blocked && !(isLatest && guard.reason === 'LATEST_LOCKED_STATUS')) {
+    logEvent_(traceId, brand, email, 'INVITE_BLOCKED', { reason: guard.reason, status: guard.status, tokenPrefix: guard.tokenPrefix, source: 'resend' });
+    return { ok: false, code: 'INVITE_BLOCKED', error: getInviteBlockedMessage_() };
+  }
+  if (!isLatest) {
+    return { ok: false, code: 'SUPERSEDED', error: 'A newer passcode has been sent. Please use the link in your latest email.' };
+  }
+
+  var timing = getOtpRowTiming_(row, idx);
+  if (timing.resendInSeconds > 0) {
+    return {
+      ok: false,
+      code: 'COOLDOWN',
+      retryAfterSeconds: timing.resendInSeconds,
+      error: 'Please wait ' + timing.resendInSeconds + ' seconds before requesting a new passcode.'
+    };
+  }
+
+  var rate = checkOtpRateLimit_(brand, email, traceId, false);
+  if (!rate.ok) return rate;
+  var resend = recordOtpResend_(brand, email, rowText, traceId);
+  if (!resend.ok) return resend;
+  // The slot was reserved first so parallel resends cannot pass the cap;
+  // hand it back whenever no new passcode goes out.
+  var releaseSlot = function(result) {
+    releaseOtpResend_(brand, email, rowText, resend.slot);
+    return result;
+  };
+  rate = checkOtpRateLimit_(brand, email, traceId, true);
+  if (!rate.ok) return releaseSlot(rate);
+
+  var positionLink = idx['Position Link'] !== undefined ? String(row[idx['Position Link']] || '') : '';
+  var otpResult = createOtp_({
+    email: email,
+    brand: brand,
+    textForEmail: rowText,
+    traceId: traceId,
+    candidate: { 'Position Link': positionLink }
+  });
+  if (!otpResult.ok) {
+    return releaseSlot({ ok: false, code: 'OTP_FAILED', error: otpResult.error });
+  }
+
+  var emailResult = sendOtpEmail_({
+    email: email,
+    otp: otpResult.otp,
+    brand: brand,
+    textForEmail: rowText,
+    token: otpResult.token,
+    expiryMinutes: otpResult.expiryMinutes,
+    traceId: traceId,
+    lang: resolveLang_({ param: params.lang, brand: brand }).lang
+  });
+  if (!emailResult.ok) {
+    return releaseSlot({ ok: false, code: 'EMAIL_FAILED', error: emailResult.error });
+  }
+
+  logEvent_(traceId, brand, email, 'OTP_RESENT', {
+    previousToken: token.substring(0, 8) + '...',
+    token: otpResult.token.substring(0, 8) + '...',
+    previousStatus: rowStatus,
+    resendsLeft: resend.resendsLeft
+  });
+
+  return {
+    ok: true,
+    message: 'A new passcode has been sent to your email.',
+    token: otpResult.token,
+    expiresInSeconds: otpResult.expiryMinutes * 60,
+    resendInSeconds: getConfig_().OTP_RESEND_COOLDOWN_SECONDS,
+    resendsLeft: resend.resendsLeft
+  };
+}
+
+/**
+ * Public google.script.run entrypoint for handleOtpResend_.
+ * @param {Object} params
+ * @param {string} traceId
+ * @returns {Object}
+ */
+function otpResendApi(params, traceId) {
+  return withLogBatch_(function() { return handleOtpResend_(params || {}, traceId); });
+}
+
+/**
+ * Seconds until an OTP row expires and until a resend is allowed
+ * @param {Array} row - TOKENS row values
+ * @param {Object} idx - Header index map
+ * @returns {{expiresInSeconds:number, resendInSeconds:number}}
+ */
+function getOtpRowTiming_(row, idx) {
+  var now = Date.now();
+  var expiry = idx['Expiry'] !== undefined ? new Date(row[idx['Expiry']]).getTime() : NaN;
+  var created = idx['Created At'] !== undefined ? new Date(row[idx['Created At']]).getTime() : NaN;
+  var cooldownMs = Math.max(0, getConfig_().OTP_RESEND_COOLDOWN_SECONDS) * 1000;
+  return {
+    expiresInSeconds: isNaN(expiry) ? 0 : Math.max(0, Math.ceil((expiry - now) / 1000)),
+    resendInSeconds: isNaN(created) ? 0 : Math.max(0, Math.ceil((created + cooldownMs - now) / 1000))
+  };
+}
+
 /**
  * Serve booking confirmation page (scanner-safe)
  * @param {Object} params - URL parameters
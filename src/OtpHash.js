@@ -0,0 +1,171 @@
+/**
+ * OtpHash.gs
+ * OTPs at rest: the TOKENS "OTP" column holds a salted HMAC of the code,
+ * never the code itself, so live passcodes cannot be read off the sheet.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Stored format: h1$<salt>$<hex HMAC-SHA256(OTP_HASH_KEY, salt|token|otp)>.
+ * Binding the token means a hash copied onto another row never verifies.
+ * Rows written before this change hold the plain code; validateOtp_ still
+ * accepts them until migrateOtpsToHashed_ has converted the tab.
+ *
+ * The key is created once, under the script lock, by createOtpHashKey_ or
+ * the migration. A missing key is an error, never silently replaced: a new
+ * key would quietly invalidate every pending code.
+ */
+
+var OTP_HASH_PREFIX = 'h1$';
+var OTP_HASH_KEY_PROP = 'OTP_HASH_KEY';
+
+/**
+ * OTP hashing key from Script Properties, or '' when not set up
+ * @returns {string} Key
+ */
+function readOtpHashKey_() {
+  var key = PropertiesService.getScriptProperties().getProperty(OTP_HASH_KEY_PROP);
+  return key && key.length >= 32 ? key : '';
+}
+
+/**
+ * OTP hashing key. Replacing it invalidates codes that are still pending,
+ * nothing else.
+ * @returns {string} Key
+ * @throws {Error} When the key has not been created
+ */
+function getOtpHashKey_() {
+  var key = readOtpHashKey_();
+  if (!key) {
+    throw new Error('OTP hash key not configured. Run createOtpHashKey() once.');
+  }
+  return key;
+}
+
+/**
+ * Create the OTP hashing key if it does not exist yet. Caller holds the
+ * script lock.
+ * @returns {boolean} True if a key was created
+ */
+function createOtpHashKeyLocked_() {
+  if (readOtpHashKey_()) return false;
+  var key = Utilities.base64EncodeWebSafe(secureRandomBytes_(32)).replace(/[=]+$/, '');
+  PropertiesService.getScriptProperties().setProperty(OTP_HASH_KEY_PROP, key);
+  logEvent_(generateTraceId_(), '', '', 'OTP_HASH_KEY_CREATED', {});
+  return true;
+}
+
+/**
+ * One-off setup: create the OTP hashing key. Safe to re-run; an existing key
+ * is kept.
+ * @returns {{ok:boolean, created?:boolean, error?:string, code?:string}}
+ */
+function createOtpHashKey_() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  }
+  try {
+    return { ok: true, created: createOtpHashKeyLocked_() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Hash an OTP for storage on its TOKENS row
+ * @param {string} token - Row token
+ * @param {string} otp - Plain code
+ * @param {string=} salt - Salt (random when omitted)
+ * @returns {string} Stored value
+ */
+function hashOtp_(token, otp, salt) {
+  salt = salt || Utilities.getUuid().replace(/-/g, '').substring(0, 16);
+  var mac = computeHmac_(getOtpHashKey_(), salt + '|' + String(token || '') + '|' + String(otp || ''));
+  return OTP_HASH_PREFIX + salt + '$' + mac;
+}
+
+/**
+ * True when a TOKENS OTP cell is already hashed
+ * @param {*} stored - Cell value
+ * @returns {boolean}
+ */
+function isHashedOtp_(stored) {
+  return String(stored || '').indexOf(OTP_HASH_PREFIX) === 0;
+}
+
+/**
+ * Check a submitted code against the stored value in constant time
+ * @param {*} stored - OTP cell value (hash, or legacy plain code)
+ * @param {string} token - Row token
+ * @param {string} otp - Submitted code
+ * @returns {boolean} True if the code matches
+ */
+function verifyOtpHash_(stored, token, otp) {
+  stored = String(stored === null || stored === undefined ? '' : stored);
+  otp = String(otp || '').trim();
+  if (!stored || !otp) return false;
+
+  if (!isHashedOtp_(stored)) {
+    // Legacy plain code written before hashing; removed by the migration
+    return constantTimeEquals_(otp, stored);
+  }
+  var parts = stored.split('$');
+  if (parts.length !== 3 || !parts[1]) return false;
+  return constantTimeEquals_(hashOtp_(token, otp, parts[1]), stored);
+}
+
+/**
+ * One-off migration: replace every plain OTP in TOKENS with its hash.
+ * PENDING rows stay verifiable; codes on finished rows are hashed as well
+ * so the column carries no readable codes at all. A real run also creates
+ * the hashing key when it does not exist yet.
+ * @param {Object=} opts - { dryRun: boolean }
+ * @returns {{ok:boolean, dryRun?:boolean, scanned?:number, converted?:number, byStatus?:Object, keyCreated?:boolean, error?:string}}
+ */
+function migrateOtpsToHashed_(opts) {
+  opts = opts || {};
+  var traceId = generateTraceId_();
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { ok: false, error: 'Another run holds the script lock', code: 'BUSY' };
+  }
+
+  try {
+    var sheet = getConfigSheet_().getSheetByName('TOKENS');
+    if (!sheet) return { ok: false, error: 'TOKENS sheet missing' };
+    var lastRow = sheet.getLastRow();
+    var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var tokenIdx = headers.indexOf('Token');
+    var otpIdx = headers.indexOf('OTP');
+    var statusIdx = headers.indexOf('Status');
+    if (tokenIdx === -1 || otpIdx === -1) {
+      return { ok: false, error: 'TOKENS is missing the Token or OTP header' };
+    }
+    var keyCreated = !opts.dryRun && createOtpHashKeyLocked_();
+    if (lastRow < 2) return { ok: true, dryRun: !!opts.dryRun, scanned: 0, converted: 0, byStatus: {}, keyCreated: keyCreated };
+
+    var data = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+    var column = [];
+    var converted = 0;
+    var byStatus = {};
+
+    for (var i = 0; i < data.length; i++) {
+      var stored = data[i][otpIdx];
+      var plain = String(stored === null || stored === undefined ? '' : stored).trim();
+      if (plain && !isHashedOtp_(plain)) {
+        if (!opts.dryRun) stored = hashOtp_(String(data[i][tokenIdx] || ''), plain);
+        var status = statusIdx !== -1 ? String(data[i][statusIdx] || '') || 'UNKNOWN' : 'UNKNOWN';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+        converted++;
+      }
+      column.push([stored]);
+    }
+
+    if (converted > 0 && !opts.dryRun) {
+      sheet.getRange(2, otpIdx + 1, column.length, 1).setValues(column);
+      logEvent_(traceId, '', '', 'OTP_HASH_MIGRATED', { converted: converted, byStatus: byStatus });
+    }
+    return { ok: true, dryRun: !!opts.dryRun, scanned: data.length, converted: converted, byStatus: byStatus, keyCreated: keyCreated };
+  } finally {
+    lock.releaseLock();
+  }
+}
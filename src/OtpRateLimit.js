@@ -0,0 +1,206 @@
+/**
+ * OtpRateLimit.gs
+ * Enforced limits on candidate OTP requests: per email + brand window, per
+ * brand per hour, and a global hourly ceiling. Each limit keeps a sliding log
+ * of request times in CacheService; recording runs under the script lock.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Applied by the candidate entry points (handleOtpRequest_,
+ * startOtpByBrandCl_, startOtpByTextForEmail, handleOtpResend_). Worker and
+ * admin issuance call createOtp_ directly and are not throttled.
+ *
+ * Resends from the verify page are also capped at OTP_RESEND_MAX per
+ * Brand + email + Text For Email within OTP_RESEND_WINDOW_SECONDS. A slot is
+ * reserved before the new code is issued, so parallel resends cannot pass
+ * the cap, and handed back with releaseOtpResend_ if no email goes out.
+ */
+
+var OTP_RATE_CACHE_PREFIX = 'OTPRL_';
+var OTP_RESEND_WINDOW_SECONDS = 21600;   // CacheService maximum
+
+/**
+ * Configured limits (max <= 0 disables that limit)
+ * @returns {Array<{scope:string, max:number, windowSec:number}>}
+ */
+function getOtpRateLimits_() {
+  var cfg = getConfig_();
+  return [
+    { scope: 'EMAIL', max: cfg.OTP_RATE_EMAIL_MAX, windowSec: cfg.OTP_RATE_EMAIL_WINDOW_MINUTES * 60 },
+    { scope: 'BRAND', max: cfg.OTP_RATE_BRAND_PER_HOUR, windowSec: 3600 },
+    { scope: 'GLOBAL', max: cfg.OTP_RATE_GLOBAL_PER_HOUR, windowSec: 3600 }
+  ];
+}
+
+/**
+ * Check the OTP rate limits for a request, optionally recording it.
+ * Call with consume=false before expensive lookups and consume=true right
+ * before createOtp_.
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email
+ * @param {string} traceId - Trace ID
+ * @param {boolean} consume - Record this request when allowed
+ * @returns {{ok:boolean, code?:string, error?:string, scope?:string, retryAfterSeconds?:number}}
+ */
+function checkOtpRateLimit_(brand, email, traceId, consume) {
+  if (getConfig_().OTP_RATE_LIMIT_DISABLED) return { ok: true };
+
+  brand = String(brand || '').toUpperCase().trim();
+  email = String(email || '').toLowerCase().trim();
+  var limits = getOtpRateLimits_();
+  var keys = {
+    EMAIL: OTP_RATE_CACHE_PREFIX + 'E_' + computeEmailHashHex_(email + '|' + brand),
+    BRAND: OTP_RATE_CACHE_PREFIX + 'B_' + brand,
+    GLOBAL: OTP_RATE_CACHE_PREFIX + 'G'
+  };
+
+  var lock = null;
+  if (consume) {
+    lock = LockService.getScriptLock();
+    if (!lock.tryLock(5000)) return otpRateBusy_();
+  }
+
+  try {
+    var cache = CacheService.getScriptCache();
+    var now = Date.now();
+    var logs = {};
+    var blocked = null;
+
+    for (var i = 0; i < limits.length; i++) {
+      var lim = limits[i];
+      if (!(lim.max > 0) || !(lim.windowSec > 0)) continue;
+      var times = readOtpRateLog_(cache, keys[lim.scope], now - lim.windowSec * 1000);
+      logs[lim.scope] = times;
+      if (times.length >= lim.max) {
+        var retry = Math.max(1, Math.ceil((times[0] + lim.windowSec * 1000 - now) / 1000));
+        if (!blocked || retry > blocked.retryAfterSeconds) blocked = { scope: lim.scope, retryAfterSeconds: retry };
+      }
+    }
+
+    if (blocked) return otpRateLimited_(brand, email, traceId, blocked.scope, blocked.retryAfterSeconds);
+
+    if (consume) {
+      for (var j = 0; j < limits.length; j++) {
+        var l = limits[j];
+        if (!logs[l.scope]) continue;
+        logs[l.scope].push(now);
+        cache.put(keys[l.scope], JSON.stringify(logs[l.scope]), Math.min(l.windowSec, 21600));
+      }
+    }
+    return { ok: true };
+  } finally {
+    if (lock) lock.releaseLock();
+  }
+}
+
+/**
+ * Cache key for the resend log of one Brand + email + Text For Email
+ * @returns {string}
+ */
+function otpResendKey_(brand, email, textForEmail) {
+  return OTP_RATE_CACHE_PREFIX + 'R_' + computeEmailHashHex_(normalizeEmailKey_(email) + '|' + normalizeBrandKey_(brand) + '|' + normalizeTextKey_(textForEmail));
+}
+
+/**
+ * Check and record one verify-page resend for a Brand + email + Text For
+ * Email key
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email
+ * @param {string} textForEmail - Text For Email
+ * @param {string} traceId - Trace ID
+ * @returns {{ok:boolean, resendsLeft?:number, slot?:number, code?:string, error?:string}}
+ */
+function recordOtpResend_(brand, email, textForEmail, traceId) {
+  var max = getConfig_().OTP_RESEND_MAX;
+  if (!(max > 0)) return { ok: true, resendsLeft: null };
+
+  var key = otpResendKey_(brand, email, textForEmail);
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return otpRateBusy_();
+  try {
+    var cache = CacheService.getScriptCache();
+    var now = Date.now();
+    var times = readOtpRateLog_(cache, key, now - OTP_RESEND_WINDOW_SECONDS * 1000);
+    if (times.length >= max) {
+      logEvent_(traceId, brand, email, 'OTP_RESEND_LIMIT', { resends: times.length, max: max });
+      return { ok: false, code: 'RESEND_LIMIT', error: 'You have requested the maximum number of new passcodes. Please contact your recruiter.' };
+    }
+    times.push(now);
+    cache.put(key, JSON.stringify(times), OTP_RESEND_WINDOW_SECONDS);
+    return { ok: true, resendsLeft: max - times.length, slot: now };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Hand back a resend slot from recordOtpResend_ when the resend failed
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email
+ * @param {string} textForEmail - Text For Email
+ * @param {number} slot - The result's slot
+ * @returns {boolean} True if the slot was released
+ */
+function releaseOtpResend_(brand, email, textForEmail, slot) {
+  if (!slot) return false;
+  var key = otpResendKey_(brand, email, textForEmail);
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) return false;
+  try {
+    var cache = CacheService.getScriptCache();
+    var times = readOtpRateLog_(cache, key, Date.now() - OTP_RESEND_WINDOW_SECONDS * 1000);
+    var at = times.indexOf(slot);
+    if (at === -1) return false;
+    times.splice(at, 1);
+    cache.put(key, JSON.stringify(times), OTP_RESEND_WINDOW_SECONDS);
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Request times still inside the window, oldest first
+ * @param {Cache} cache - Script cache
+ * @param {string} key - Cache key
+ * @param {number} cutoffMs - Drop entries at or before this time
+ * @returns {Array<number>}
+ */
+function readOtpRateLog_(cache, key, cutoffMs) {
+  var times = [];
+  try {
+    times = JSON.parse(cache.get(key) || '[]');
+  } catch (e) {}
+  return times.filter(function(t) { return t > cutoffMs; }).sort(function(a, b) { return a - b; });
+}
+
+/**
+ * Response when the script lock is busy. This is not a limit hit, so it is
+ * not logged as OTP_RATE_LIMITED.
+ * @returns {{ok:boolean, code:string, error:string, retryAfterSeconds:number}}
+ */
+function otpRateBusy_() {
+  return {
+    ok: false,
+    code: 'BUSY',
+    retryAfterSeconds: 10,
+    error: 'The system is busy. Please try again in a few seconds.'
+  };
+}
+
+/**
+ * Structured "retry after" response, logged as OTP_RATE_LIMITED
+ * @returns {{ok:boolean, code:string, error:string, scope:string, retryAfterSeconds:number}}
+ */
+function otpRateLimited_(brand, email, traceId, scope, retryAfterSeconds) {
+  logEvent_(traceId, brand, email, 'OTP_RATE_LIMITED', { scope: scope, retryAfterSeconds: retryAfterSeconds });
+  var wait = retryAfterSeconds < 60
+    ? retryAfterSeconds + ' second' + (retryAfterSeconds === 1 ? '' : 's')
+    : Math.ceil(retryAfterSeconds / 60) + ' minute' + (Math.ceil(retryAfterSeconds / 60) === 1 ? '' : 's');
+  return {
+    ok: false,
+    code: 'RATE_LIMITED',
+    scope: scope,
+    retryAfterSeconds: retryAfterSeconds,
+    error: 'Too many passcode requests. Please try again in ' + wait + '.'
+  };
+}
@@ -14,12 +14,73 @@ function getOtpExpiryMinutes_() {
   return Number(props.getProperty('OTP_EXPIRY_MINUTES') || 10);
 }
 
+var OTP_ALPHABETS = {
+  NUMERIC: '0123456789',
+  // Upper case without look-alikes (0/O, 1/I/L)
+  ALPHANUMERIC: '23456789ABCDEFGHJKMNPQRSTUVWXYZ'
+};
+var OTP_DEFAULT_LENGTH = 6;
+var OTP_MIN_LENGTH = 4;
+var OTP_MAX_LENGTH = 10;
+
 /**
- * Generate a 6-digit OTP
- * @returns {string} 6-digit OTP
+ * OTP length and alphabet for a brand.
+ * Script Properties OTP_LENGTH / OTP_ALPHABET set the default and
+ * OTP_LENGTH_<BRAND> / OTP_ALPHABET_<BRAND> override it. The alphabet is
+ * NUMERIC, ALPHANUMERIC or a literal set of at least 2 distinct characters.
+ * Invalid values fall back to 6 numeric digits.
+ * @param {string} brand - Brand code
+ * @returns {{length:number, alphabet:string, numeric:boolean}}
  */
-function generateOtp_() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+function getOtpFormat_(brand) {
+  var props = PropertiesService.getScriptProperties();
+  brand = String(brand || '').toUpperCase().trim();
+
+  var rawLength = (brand && props.getProperty('OTP_LENGTH_' + brand)) || props.getProperty('OTP_LENGTH') || '';
+  var length = Number(rawLength || OTP_DEFAULT_LENGTH);
+  if (!(length >= OTP_MIN_LENGTH && length <= OTP_MAX_LENGTH) || Math.floor(length) !== length) {
+    Logger.log('[getOtpFormat_] Invalid OTP length "%s" for %s, using %s', rawLength, brand, OTP_DEFAULT_LENGTH);
+    length = OTP_DEFAULT_LENGTH;
+  }
+
+  var rawAlphabet = String((brand && props.getProperty('OTP_ALPHABET_' + brand)) || props.getProperty('OTP_ALPHABET') || 'NUMERIC').trim();
+  var alphabet = OTP_ALPHABETS[rawAlphabet.toUpperCase()];
+  if (!alphabet) {
+    var seen = {};
+    alphabet = '';
+    for (var i = 0; i < rawAlphabet.length; i++) {
+      var ch = rawAlphabet.charAt(i);
+      if (!/\s/.test(ch) && !seen[ch]) { seen[ch] = true; alphabet += ch; }
+    }
+    if (alphabet.length < 2) {
+      Logger.log('[getOtpFormat_] Invalid OTP alphabet "%s" for %s, using NUMERIC', rawAlphabet, brand);
+      alphabet = OTP_ALPHABETS.NUMERIC;
+    }
+  }
+  return { length: length, alphabet: alphabet, numeric: /^[0-9]+$/.test(alphabet) };
+}
+
+/**
+ * Generate an OTP from the secure random source (SecureRandom.gs)
+ * @param {string=} brand - Brand code (selects length and alphabet)
+ * @returns {string} OTP
+ */
+function generateOtp_(brand) {
+  var fmt = getOtpFormat_(brand);
+  return secureRandomString_(fmt.alphabet, fmt.length);
+}
+
+/**
+ * Normalize a submitted code: drop spaces and dashes, and upper-case it when
+ * the brand alphabet has no lower-case letters
+ * @param {string} otp - Submitted code
+ * @param {{alphabet:string}} fmt - Brand OTP format
+ * @returns {string} Normalized code
+ */
+function normalizeOtpInput_(otp, fmt) {
+  var s = String(otp || '').replace(/[\s-]/g, '');
+  if (fmt.alphabet === fmt.alphabet.toUpperCase()) s = s.toUpperCase();
+  return s;
 }
 
 /**
@@ -41,9 +102,8 @@ function createOtp_(params) {
     return { ok: false, error: 'Missing required parameters' };
   }
   
-  // Rate limiting removed: allow immediate OTP creation (for testing/development)
-  // If you need to re-enable rate limiting, set a script property 'ENABLE_OTP_RATE_LIMIT' = 'true'
-  // and implement the check accordingly.
+  // Rate limits are enforced by the candidate entry points (OtpRateLimit.gs),
+  // so worker/admin issuance through here is never throttled.
   
   // Resolve TOKENS sheet early
   var ss = getConfigSheet_();
@@ -56,11 +116,17 @@ function createOtp_(params) {
     return { ok: false, error: 'System not configured' };
   }
 
+  // No hash key means the code could not be stored; fail before superseding
+  if (!readOtpHashKey_()) {
+    return { ok: false, error: 'OTP hash key not configured. Run createOtpHashKey() once.', code: 'OTP_HASH_KEY_MISSING' };
+  }
+
   // Expire any pending OTPs for this email/brand
-  expirePendingOtps_(email, brand);
+  var superseded = expirePendingOtps_(email, brand);
+  if (!superseded.ok) return superseded;
   
   // Generate new OTP
-  var otp = generateOtp_();
+  var otp = generateOtp_(brand);
   var expiryMinutes = getOtpExpiryMinutes_();
   var expiryTime = new Date(Date.now() + expiryMinutes * 60 * 1000);
   var token = Utilities.getUuid();
@@ -102,7 +168,7 @@ function createOtp_(params) {
     if (i === tokenIdx) newRow.push(token);
     else if (i === emailIdx) newRow.push(email);
     else if (i === emailHashIdx) newRow.push(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, email).map(function(b){return ('0'+(b&0xFF).toString(16)).slice(-2);}).join(''));
-    else if (i === otpIdx) newRow.push(otp);
+    else if (i === otpIdx) newRow.push(hashOtp_(token, otp));  // never the plain code (OtpHash.gs)
     else if (i === brandIdx) newRow.push(brand);
     else if (i === textForEmailIdx) newRow.push(textForEmail);
     else if (i === statusIdx) newRow.push('PENDING');
@@ -125,7 +191,7 @@ function createOtp_(params) {
 
   sheet.appendRow(newRow);
   
-  logEvent_(traceId, brand, email, 'OTP_CREATED', { expiryMinutes: expiryMinutes });
+  logEvent_(traceId, brand, email, 'OTP_CREATED', { token: token.substring(0, 8) + '...', expiryMinutes: expiryMinutes });
   
   return {
     ok: true,
@@ -163,22 +229,27 @@ function validateOtp_(params) {
     Logger.log('[validateOtp_] Missing OTP');
     return { ok: false, error: 'Missing OTP' };
   }
-  
-  var ss = getConfigSheet_();
-  var sheet = ss.getSheetByName('TOKENS');
-  if (!sheet) {
+
+  return withTokenWriteLock_(function() {
+    return validateOtpLocked_(token, email, brand, otp, textForEmail, traceId);
+  });
+}
+
+/**
+ * Look up and update the OTP row for validateOtp_. Runs under the script
+ * lock (withTokenWriteLock_) so the row cannot move before it is written.
+ * @returns {Object} Validation result
+ */
+function validateOtpLocked_(token, email, brand, otp, textForEmail, traceId) {
+  var repo = openTokenRepo_();
+  if (!repo) {
     Logger.log('[validateOtp_] TOKENS sheet missing');
     return { ok: false, error: 'System not configured' };
   }
   
-  var data = sheet.getDataRange().getValues();
-  var headers = data[0];
-  
-  // Build header index map (never use hardcoded positions)
-  var idx = {};
-  for (var h = 0; h < headers.length; h++) {
-    idx[headers[h]] = h;
-  }
+  var sheet = repo.sheet;
+  // Header index map (never use hardcoded positions)
+  var idx = repo.idx;
   
   // Validate required headers
   var requiredHeaders = ['Token', 'Email', 'OTP', 'Brand', 'Status', 'Expiry', 'Attempts'];
@@ -189,42 +260,39 @@ function validateOtp_(params) {
     }
   }
   
-  var targetRow = -1;
+  var sheetRow = -1;
   var targetRowData = null;
   
   // PRIMARY: Look up by token (deterministic)
   if (token) {
     Logger.log('[validateOtp_] Looking up by token: %s...', token.substring(0, 8));
-    for (var i = 1; i < data.length; i++) {
-      if (String(data[i][idx['Token']]) === token) {
-        targetRow = i;
-        targetRowData = data[i];
-        Logger.log('[validateOtp_] Found token at row %s', i + 1);
-        break;
-      }
-    }
-    if (targetRow === -1) {
+    var found = findTokenRow_(repo, token);
+    if (!found) {
       Logger.log('[validateOtp_] Token not found');
       return { ok: false, error: 'Invalid or expired verification link. Please request a new OTP.' };
     }
+    sheetRow = found.rowNumber;
+    targetRowData = found.values;
+    Logger.log('[validateOtp_] Found token at row %s', sheetRow);
   } else {
-    // FALLBACK: Scan by email+brand (legacy)
-    Logger.log('[validateOtp_] No token, falling back to email+brand scan for %s / %s', email, brand);
+    // FALLBACK: Latest PENDING row by email+brand (legacy)
+    Logger.log('[validateOtp_] No token, falling back to email+brand lookup for %s / %s', email, brand);
     if (!email || !brand) {
       return { ok: false, error: 'Missing required parameters' };
     }
-    for (var j = data.length - 1; j >= 1; j--) {
-      var row = data[j];
+    var candidateRows = findCandidateTokenRows_(repo, brand, email);
+    for (var j = candidateRows.length - 1; j >= 0; j--) {
+      var row = candidateRows[j].values;
       if (String(row[idx['Email']]).toLowerCase() === email &&
           String(row[idx['Brand']]).toUpperCase() === brand &&
           row[idx['Status']] === 'PENDING') {
-        targetRow = j;
+        sheetRow = candidateRows[j].rowNumber;
         targetRowData = row;
-        Logger.log('[validateOtp_] Found PENDING row at %s (fallback)', j + 1);
+        Logger.log('[validateOtp_] Found PENDING row at %s (fallback)', sheetRow);
         break;
       }
     }
-    if (targetRow === -1) {
+    if (sheetRow === -1) {
       return { ok: false, error: 'No pending OTP found. Please request a new one.' };
     }
   }
@@ -232,12 +300,12 @@ function validateOtp_(params) {
   // Validate the target row
   var rowEmail = String(targetRowData[idx['Email']]).toLowerCase();
   var rowBrand = String(targetRowData[idx['Brand']]).toUpperCase();
-  var rowOtp = String(targetRowData[idx['OTP']]);
+  var rowOtp = targetRowData[idx['OTP']];
+  var rowToken = String(targetRowData[idx['Token']] || '');
   var rowStatus = String(targetRowData[idx['Status']]);
   var rowExpiry = new Date(targetRowData[idx['Expiry']]);
   var rowAttempts = Number(targetRowData[idx['Attempts']] || 0);
   var rowTextForEmail = targetRowData[idx['Text For Email']] || textForEmail;
-  var sheetRow = targetRow + 1;
   
   Logger.log('[validateOtp_] Row %s: status=%s, expiry=%s, attempts=%s', sheetRow, rowStatus, rowExpiry, rowAttempts);
   
@@ -249,29 +317,30 @@ function validateOtp_(params) {
       'LOCKED': 'This OTP is locked due to too many failed attempts.',
       'SUPERSEDED': 'This OTP has been replaced. Check your email for the latest code.'
     };
-    return { ok: false, error: statusMsg[rowStatus] || 'Invalid OTP status.' };
+    return { ok: false, error: statusMsg[rowStatus] || 'Invalid OTP status.', code: 'OTP_' + (rowStatus || 'INVALID') };
   }
   
   // Check expiry
   if (new Date() > rowExpiry) {
     sheet.getRange(sheetRow, idx['Status'] + 1).setValue('EXPIRED');
     logEvent_(traceId, rowBrand, rowEmail, 'OTP_EXPIRED', {});
-    return { ok: false, error: 'OTP has expired. Please request a new one.' };
+    return { ok: false, error: 'OTP has expired. Please request a new one.', code: 'OTP_EXPIRED' };
   }
       
   // Check attempts
   if (rowAttempts >= 3) {
     sheet.getRange(sheetRow, idx['Status'] + 1).setValue('LOCKED');
     logEvent_(traceId, rowBrand, rowEmail, 'OTP_LOCKED', { attempts: rowAttempts });
-    return { ok: false, error: 'Too many failed attempts. Please request a new OTP.' };
+    return { ok: false, error: 'Too many failed attempts. Please request a new OTP.', code: 'OTP_LOCKED' };
   }
   
-  // Validate OTP value
-  if (rowOtp === otp) {
+  // Validate OTP value (constant-time hash compare)
+  otp = normalizeOtpInput_(otp, getOtpFormat_(rowBrand));
+  if (verifyOtpHash_(rowOtp, rowToken, otp)) {
     // SUCCESS - mark as VERIFIED (Used At will be set when secure access link is consumed)
     sheet.getRange(sheetRow, idx['Status'] + 1).setValue('VERIFIED');
     
-    logEvent_(traceId, rowBrand, rowEmail, 'OTP_VERIFIED', { textForEmail: rowTextForEmail });
+    logEvent_(traceId, rowBrand, rowEmail, 'OTP_VERIFIED', { token: rowToken.substring(0, 8) + '...', textForEmail: rowTextForEmail });
     
     // Resolve booking URL and prefer Position Link stored on the token row
     var clResolution = resolveCLCodeFromTextForEmail_(rowBrand, rowTextForEmail);
@@ -298,11 +367,11 @@ function validateOtp_(params) {
     
     if (newAttempts >= 3) {
       sheet.getRange(sheetRow, idx['Status'] + 1).setValue('LOCKED');
-      return { ok: false, error: 'Too many failed attempts. Please request a new OTP.' };
+      return { ok: false, error: 'Too many failed attempts. Please request a new OTP.', code: 'OTP_LOCKED' };
     }
     
     var remaining = 3 - newAttempts;
-    return { ok: false, error: 'Invalid OTP. ' + remaining + ' attempt(s) remaining.' };
+    return { ok: false, error: 'Invalid OTP. ' + remaining + ' attempt(s) remaining.', code: 'OTP_INCORRECT', attemptsLeft: remaining };
   }
 }
 
@@ -341,9 +410,10 @@ function countRecentOtps_(email, brand, minutes) {
 }
 
 /**
- * Expire pending OTPs for an email/brand
+ * Expire pending OTPs for an email/brand (under the script lock)
  * @param {string} email - Email
  * @param {string} brand - Brand
+ * @returns {{ok:boolean, error?:string, code?:string}}
  */
 function expirePendingOtps_(email, brand) {
   var sheet = arguments.length >= 3 ? arguments[2] : null;
@@ -351,21 +421,24 @@ function expirePendingOtps_(email, brand) {
     var ss = getConfigSheet_();
     sheet = ss.getSheetByName('TOKENS');
   }
-  if (!sheet) return;
+  if (!sheet) return { ok: true };
   
-  var data = sheet.getDataRange().getValues();
-  var headers = data[0];
-  var emailIdx = headers.indexOf('Email');
-  var brandIdx = headers.indexOf('Brand');
-  var statusIdx = headers.indexOf('Status');
-  
-  for (var i = 1; i < data.length; i++) {
-    if (String(data[i][emailIdx]).toLowerCase() === email.toLowerCase() &&
-        String(data[i][brandIdx]).toUpperCase() === brand.toUpperCase() &&
-        data[i][statusIdx] === 'PENDING') {
-      sheet.getRange(i + 1, statusIdx + 1).setValue('SUPERSEDED');
+  return withTokenWriteLock_(function() {
+    var data = sheet.getDataRange().getValues();
+    var headers = data[0];
+    var emailIdx = headers.indexOf('Email');
+    var brandIdx = headers.indexOf('Brand');
+    var statusIdx = headers.indexOf('Status');
+    
+    for (var i = 1; i < data.length; i++) {
+      if (String(data[i][emailIdx]).toLowerCase() === email.toLowerCase() &&
+          String(data[i][brandIdx]).toUpperCase() === brand.toUpperCase() &&
+          data[i][statusIdx] === 'PENDING') {
+        sheet.getRange(i + 1, statusIdx + 1).setValue('SUPERSEDED');
+      }
     }
-  }
+    return { ok: true };
+  });
 }
 
 /**
@@ -381,12 +454,13 @@ function sendOtpEmail_(params) {
   var token = params.token || '';  // Token for deterministic verification
   var expiryMinutes = params.expiryMinutes || 10;
   var traceId = params.traceId || generateTraceId_();
+  var lang = normalizeLang_(params.lang) || getBrandDefaultLang_(brand);
   
   var brandInfo = getBrand_(brand);
   var brandName = brandInfo ? brandInfo.name : brand;
   
   // Extract first name from textForEmail or use generic
-  var firstName = 'Candidate';
+  var firstName = t_(lang, 'common.candidate');
   
   // Build verify URL with token for deterministic lookup
   var verifyUrl = getWebAppUrl_() + 
@@ -395,10 +469,13 @@ function sendOtpEmail_(params) {
     '&e=' + encodeURIComponent(email) +
     '&t=' + encodeURIComponent(textForEmail) +
     '&token=' + encodeURIComponent(token);
+  verifyUrl = appendLangParam_(verifyUrl, lang, brand);
   
-  var subject = 'Your Interview Booking Passcode – ' + brandName;
+  var subject = t_(lang, 'otpEmail.subject', { brand: brandName });
   
   var htmlBody = HtmlService.createTemplateFromFile('OtpEmail');
+  applyI18n_(htmlBody, lang);
+  applyBrandTheme_(htmlBody, brand, true);
   htmlBody.otp = otp;
   htmlBody.firstName = firstName;
   htmlBody.brandName = brandName;
@@ -406,14 +483,31 @@ function sendOtpEmail_(params) {
   htmlBody.verifyUrl = verifyUrl;
   
   try {
-    MailApp.sendEmail({
+    var message = {
       to: email,
       subject: subject,
       htmlBody: htmlBody.evaluate().getContent(),
       name: 'Crew Life at Sea'
+    };
+    var custom = renderEmailTemplate_({
+      brand: brand,
+      type: 'otp',
+      lang: lang,
+      traceId: traceId,
+      email: email,
+      vars: { candidateName: firstName, otp: otp, expiryMinutes: expiryMinutes, position: textForEmail, brandName: brandName, ctaUrl: verifyUrl }
     });
+    if (custom) {
+      message.subject = custom.subject;
+      message.body = custom.body;
+      message.htmlBody = custom.htmlBody;
+    }
+    MailApp.sendEmail(message);
     
-    logEvent_(traceId, brand, email, 'OTP_EMAIL_SENT', {});
+    logEvent_(traceId, brand, email, 'OTP_EMAIL_SENT', {
+      token: token ? token.substring(0, 8) + '...' : '',
+      template: custom ? 'EMAIL_TEMPLATES row ' + custom.row : 'built-in'
+    });
     return { ok: true };
   } catch (e) {
     logEvent_(traceId, brand, email, 'OTP_EMAIL_FAILED', { error: String(e) });
@@ -494,7 +588,8 @@ function sendBookingConfirmEmail_(params) {
   var ctaUrl = String(params.ctaUrl || '').trim();
   var token = String(params.token || '').trim();
   var bookingUrl = String(params.bookingUrl || '').trim();
-  var candidateName = String(params.candidateName || '').trim() || 'Candidate';
+  var lang = normalizeLang_(params.lang) || getBrandDefaultLang_(brand);
+  var candidateName = String(params.candidateName || '').trim() || t_(lang, 'common.candidate');
   var position = String(params.position || params.textForEmail || '').trim();
   var traceId = params.traceId || generateTraceId_();
 
@@ -565,7 +660,7 @@ function sendBookingConfirmEmail_(params) {
   // BUILD CTA URL from dynamic base + token (required)
   var finalCtaUrl = '';
   if (token) {
-    finalCtaUrl = ctaBase + '?token=' + encodeURIComponent(token);
+    finalCtaUrl = appendLangParam_(ctaBase + '?token=' + encodeURIComponent(token), lang, brand);
   } else {
     // Last-resort fallback for legacy callers that pass accessUrl without token
     finalCtaUrl = ctaUrl || accessUrl;
@@ -605,7 +700,7 @@ function sendBookingConfirmEmail_(params) {
   var brandInfo = getBrand_(brand);
   var brandName = brandInfo ? brandInfo.name : brand;
   
-  var subject = 'Schedule Your Interview – ' + textForEmail;
+  var subject = t_(lang, 'bookingEmail.subject', { position: textForEmail });
   
   // Check template exists
   var htmlBody;
@@ -616,6 +711,8 @@ function sendBookingConfirmEmail_(params) {
     return { ok: false, error: 'Email template "BookingEmail" not found' };
   }
   
+  applyI18n_(htmlBody, lang);
+  applyBrandTheme_(htmlBody, brand, true);
   htmlBody.brandName = brandName;
   htmlBody.textForEmail = textForEmail;
   htmlBody.candidateName = candidateName;
@@ -628,14 +725,31 @@ function sendBookingConfirmEmail_(params) {
   Logger.log('[sendBookingConfirmEmail_] Sending to %s (masked: %s), accessUrl=%s', email, maskedEmail, maskUrl_(finalCtaUrl));
   
   try {
-    MailApp.sendEmail({
+    var message = {
       to: email,
       subject: subject,
       htmlBody: htmlBody.evaluate().getContent(),
       name: 'Crew Life at Sea'
+    };
+    var custom = renderEmailTemplate_({
+      brand: brand,
+      type: 'booking',
+      lang: lang,
+      traceId: traceId,
+      email: email,
+      vars: { candidateName: candidateName, position: position, brandName: brandName, ctaUrl: finalCtaUrl }
     });
+    if (custom) {
+      message.subject = custom.subject;
+      message.body = custom.body;
+      message.htmlBody = custom.htmlBody;
+    }
+    MailApp.sendEmail(message);
     
-    logEvent_(traceId, brand, maskedEmail, 'BOOKING_EMAIL_SENT', { accessUrl: maskUrl_(finalCtaUrl) });
+    logEvent_(traceId, brand, maskedEmail, 'BOOKING_EMAIL_SENT', {
+      accessUrl: maskUrl_(finalCtaUrl),
+      template: custom ? 'EMAIL_TEMPLATES row ' + custom.row : 'built-in'
+    });
     Logger.log('[sendBookingConfirmEmail_] SUCCESS - email sent to %s', maskedEmail);
     Logger.log('[sendBookingConfirmEmail_] OUTCOME ok=true error=null');
     return { ok: true };
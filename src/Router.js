@@ -5,11 +5,20 @@
  */
 
 /**
- * Handle GET requests - BULLETPROOF: NEVER returns blank page.
+ * Handle GET requests. LOGS rows written while routing are flushed once.
  * @param {Object} e - Event object with parameters
  * @returns {HtmlOutput|TextOutput} Response
  */
 function doGet(e) {
+  return withLogBatch_(function() { return routeGet_(e); });
+}
+
+/**
+ * Route GET requests - BULLETPROOF: NEVER returns blank page.
+ * @param {Object} e - Event object with parameters
+ * @returns {HtmlOutput|TextOutput} Response
+ */
+function routeGet_(e) {
   var traceId = '';
   var step = 'INIT';
   var stepLog = [];
@@ -48,13 +57,19 @@ function doGet(e) {
       return serveDiagPage_(brand, traceId);
     }
 
-    // Route: Admin console (disabled) — redirect to start page
+    // Route: Admin console (sign-in, lookup, send, re-issue, CL URLs, logs)
     if (page === 'admin') {
-      logStep('ROUTE_ADMIN_DISABLED');
-      return serveBrandSelector_();
+      logStep('ROUTE_ADMIN_CONSOLE');
+      return serveAdminConsole_(brand, params, traceId);
+    }
+
+    // Route: Recruitment funnel dashboard (same sign-in as the admin console)
+    if (page === 'funnel') {
+      logStep('ROUTE_FUNNEL');
+      return serveFunnelDashboard_(brand, params, traceId);
     }
 
-    // Route: Admin data debug (returns JSON used to render admin UI)
+    // Route: Admin data debug (JSON used to render the admin UI; sign-in page when not authenticated)
     if (page === 'admindata') {
       logStep('ROUTE_ADMIN_DATA');
       return serveAdminData_(brand, params, traceId);
@@ -187,11 +202,20 @@ function createHardcodedErrorPage_(title, message, traceId, detail) {
 }
 
 /**
- * Handle POST requests
+ * Handle POST requests. LOGS rows written while routing are flushed once.
  * @param {Object} e - Event object with parameters
  * @returns {HtmlOutput|TextOutput} Response
  */
 function doPost(e) {
+  return withLogBatch_(function() { return routePost_(e); });
+}
+
+/**
+ * Route POST requests
+ * @param {Object} e - Event object with parameters
+ * @returns {HtmlOutput|TextOutput} Response
+ */
+function routePost_(e) {
   var traceId = generateTraceId_();
   try {
     var params = e && e.parameter ? e.parameter : {};
@@ -213,16 +237,31 @@ function doPost(e) {
       return handleOtpVerify_(params, traceId);
     }
 
+    // Machine-to-machine actions require a signed request (ApiAuth.gs);
+    // their arguments come from the signed JSON body, never the query string
+    var apiAuth = null;
+    if (API_SIGNED_ACTIONS.indexOf(action) !== -1) {
+      apiAuth = authenticateApiRequest_(e, action, traceId);
+      if (!apiAuth.ok) {
+        return jsonResponse_({ ok: false, error: apiAuth.error, code: apiAuth.code });
+      }
+    }
+
     // Route: Generate signed URL (for Smartsheet webhook)
     if (action === 'generatesignedurl') {
-      return handleGenerateSignedUrl_(params, traceId);
+      return handleGenerateSignedUrl_(apiAuth.body, traceId);
+    }
+
+    // Route: Smartsheet webhook callbacks (challenge + row change events)
+    if (action === 'smartsheetwebhook') {
+      return handleSmartsheetWebhook_(e, traceId);
     }
 
     // Route: Run Sideways invites worker (POST)
     // This processes Smartsheet rows with SEND Interview Invite = "Sideways"
     if (action === 'processsideways') {
-      var brand = params.brand || null;
-      var limit = params.limit ? Number(params.limit) : undefined;
+      var brand = apiAuth.body.brand || null;
+      var limit = apiAuth.body.limit ? Number(apiAuth.body.limit) : undefined;
       var res = processSidewaysInvites_({ brand: brand, limit: limit });
       return jsonResponse_(res);
     }
@@ -410,8 +449,9 @@ function serveDiagPage_(brand, traceId) {
  */
 function serveSecureAccess_(params, traceId) {
   var token = String(params.token || '').trim();
+  var lang = resolveLang_({ param: params.lang }).lang;
   if (!token) {
-    return serveErrorPage_('Invalid Link', 'Missing access token. Please use the link from your email.', traceId);
+    return serveErrorPage_(t_(lang, 'error.invalidLink'), t_(lang, 'access.MISSING_TOKEN'), traceId, null, lang);
   }
 
   // Read-only check — do NOT modify the token
@@ -419,14 +459,18 @@ function serveSecureAccess_(params, traceId) {
   if (!peek.ok) {
     logEvent_(traceId, '', '', 'ACCESS_GATE_REJECTED', { code: peek.code, token: token.substring(0, 8) + '...' });
     var icon = peek.code === 'ALREADY_USED' ? '🔒' : (peek.code === 'EXPIRED' ? '⏰' : '❌');
-    var title = peek.code === 'ALREADY_USED' ? 'Link Already Used' :
-                peek.code === 'EXPIRED' ? 'Link Expired' : 'Invalid Link';
-    return serveErrorPage_(title, peek.error, traceId, icon);
+    var title = peek.code === 'ALREADY_USED' ? t_(lang, 'error.linkUsed') :
+                peek.code === 'EXPIRED' ? t_(lang, 'error.linkExpired') : t_(lang, 'error.invalidLink');
+    return serveErrorPage_(title, t_(lang, 'access.' + peek.code, null, peek.error), traceId, icon, lang, peek.brand);
   }
 
   // Show confirm gate
   var brandInfo = getBrand_(peek.brand);
+  var resolved = resolveLang_({ param: params.lang, brand: peek.brand });
   var template = HtmlService.createTemplateFromFile('ConfirmGate');
+  applyPageI18n_(template, resolved, { page: 'access', token: token });
+  applyBrandTheme_(template, peek.brand);
+  template.langQuery = appendLangParam_('', resolved.lang, peek.brand);
   template.token = token;
   template.brand = peek.brand;
   template.brandName = brandInfo ? brandInfo.name : peek.brand;
@@ -437,7 +481,7 @@ function serveSecureAccess_(params, traceId) {
   logEvent_(traceId, peek.brand, '', 'ACCESS_GATE_SHOWN', { token: token.substring(0, 8) + '...' });
 
   return template.evaluate()
-    .setTitle('Confirm Booking Access')
+    .setTitle(t_(resolved.lang, 'gate.title', { brand: template.brandName }))
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
@@ -449,8 +493,9 @@ function serveSecureAccess_(params, traceId) {
  */
 function handleSecureAccessConfirm_(params, traceId) {
   var token = String(params.token || '').trim();
+  var lang = resolveLang_({ param: params.lang }).lang;
   if (!token || params.confirm !== '1') {
-    return serveErrorPage_('Invalid Request', 'Missing confirmation. Please use the button on the confirmation page.', traceId);
+    return serveErrorPage_(t_(lang, 'error.invalidRequest'), t_(lang, 'error.missingConfirm'), traceId, null, lang);
   }
 
   // Consume token atomically — marks USED before returning booking URL
@@ -459,14 +504,16 @@ function handleSecureAccessConfirm_(params, traceId) {
     var icon = result.code === 'ALREADY_USED' ? '🔒' :
                result.code === 'EXPIRED' ? '⏰' :
                result.code === 'BAD_BOOKING_URL' ? '⚠️' : '❌';
-    var title = result.code === 'ALREADY_USED' ? 'Link Already Used' :
-                result.code === 'EXPIRED' ? 'Link Expired' :
-                result.code === 'BAD_BOOKING_URL' ? 'Configuration Error' : 'Access Denied';
-    return serveErrorPage_(title, result.error, traceId, icon);
+    var title = result.code === 'ALREADY_USED' ? t_(lang, 'error.linkUsed') :
+                result.code === 'EXPIRED' ? t_(lang, 'error.linkExpired') :
+                result.code === 'BAD_BOOKING_URL' ? t_(lang, 'error.configError') : t_(lang, 'error.accessDenied');
+    return serveErrorPage_(title, t_(lang, 'access.' + result.code, null, result.error), traceId, icon, lang, result.brand);
   }
 
   // Serve the secure redirect page (booking URL only in JS, never visible)
   var template = HtmlService.createTemplateFromFile('SecureRedirect');
+  applyI18n_(template, resolveLang_({ param: params.lang, brand: result.brand }).lang);
+  applyBrandTheme_(template, result.brand, true);
   template.deptUrl = result.bookingUrl;
   template.brand = result.brand;
   template.textForEmail = result.textForEmail;
@@ -478,7 +525,7 @@ function handleSecureAccessConfirm_(params, traceId) {
   });
 
   return template.evaluate()
-    .setTitle('Redirecting…')
+    .setTitle(template.t('redirect.title'))
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
@@ -0,0 +1,60 @@
+/**
+ * SecureRandom.gs
+ * Random bytes and integers for tokens and OTPs. Apps Script has no
+ * crypto.getRandomValues; Utilities.getUuid() is backed by the platform's
+ * secure generator (random v4 UUIDs), so bytes are drawn from SHA-256 blocks
+ * over fresh UUID pairs. Never use Math.random() for secrets.
+ * CrewLife Interview Bookings Uniform Core
+ */
+
+/**
+ * Secure random bytes, signed (-128..127) like Utilities digests
+ * @param {number} n - Number of bytes
+ * @returns {Array<number>} Bytes
+ */
+function secureRandomBytes_(n) {
+  var out = [];
+  while (out.length < n) {
+    // Two UUIDs carry 244 random bits into each 256-bit block
+    var block = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+      Utilities.getUuid() + Utilities.getUuid());
+    for (var i = 0; i < block.length && out.length < n; i++) {
+      out.push(block[i]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Uniform secure integers in [0, max) using rejection sampling, so no value
+ * is favoured when max does not divide 2^32
+ * @param {number} max - Exclusive upper bound (2..2^32)
+ * @param {number} count - How many integers
+ * @returns {Array<number>} Integers
+ */
+function secureRandomInts_(max, count) {
+  var limit = Math.floor(4294967296 / max) * max;
+  var out = [];
+  while (out.length < count) {
+    var bytes = secureRandomBytes_((count - out.length) * 4 + 4);
+    for (var i = 0; i + 3 < bytes.length && out.length < count; i += 4) {
+      var v = (((bytes[i] & 0xFF) << 24) >>> 0) + ((bytes[i + 1] & 0xFF) << 16) +
+        ((bytes[i + 2] & 0xFF) << 8) + (bytes[i + 3] & 0xFF);
+      if (v < limit) out.push(v % max);
+    }
+  }
+  return out;
+}
+
+/**
+ * Secure random string over an alphabet
+ * @param {string} alphabet - Distinct characters to draw from
+ * @param {number} length - Output length
+ * @returns {string} Random string
+ */
+function secureRandomString_(alphabet, length) {
+  var picks = secureRandomInts_(alphabet.length, length);
+  var s = '';
+  for (var i = 0; i < picks.length; i++) s += alphabet.charAt(picks[i]);
+  return s;
+}
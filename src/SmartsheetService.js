@@ -71,9 +71,11 @@ function getPreferredColumnIdsForBrand_(brand) {
  * @param {string} brand - Brand code
  * @param {string} email - Candidate email
  * @param {string} textForEmail - Text For Email value
+ * @param {Object=} sheetCache - Parsed sheets by ID, filled and reused across
+ *   calls so a batch of searches fetches each sheet once
  * @returns {Object} Search result
  */
-function searchCandidateInSmartsheet_(brand, email, textForEmail) {
+function searchCandidateInSmartsheet_(brand, email, textForEmail, sheetCache) {
   var cfg      = getConfig_();
   var apiToken = cfg.SMARTSHEET_API_TOKEN;
   var traceId  = generateTraceId_();
@@ -119,36 +121,44 @@ function searchCandidateInSmartsheet_(brand, email, textForEmail) {
   for (var s = 0; s < sheetIds.length; s++) {
     var sheetId = sheetIds[s];
     var response, httpCode;
+    var data = sheetCache ? sheetCache[sheetId] : null;
+    if (data === false) continue; // already failed in this batch
 
     if (seaChefs) {
       Logger.log('SEACHEFS_DEBUG searching sheetId=%s', sheetId);
       logEvent_(traceId, brand, email, 'SEACHEFS_DEBUG_SHEET_SEARCH', { sheetId: sheetId });
     }
 
-    try {
-      response = UrlFetchApp.fetch(
-        SMARTSHEET_API_BASE + '/sheets/' + sheetId,
-        {
-          method: 'get',
-          headers: { 'Authorization': 'Bearer ' + apiToken, 'Content-Type': 'application/json' },
-          muteHttpExceptions: true
-        }
-      );
-      httpCode = response.getResponseCode();
-    } catch (fetchErr) {
-      logEvent_(traceId, brand, email, 'SMARTSHEET_API_ERROR',
-        { sheetId: sheetId, message: String(fetchErr) });
-      continue;
-    }
+    if (!data) {
+      try {
+        response = UrlFetchApp.fetch(
+          SMARTSHEET_API_BASE + '/sheets/' + sheetId,
+          {
+            method: 'get',
+            headers: { 'Authorization': 'Bearer ' + apiToken, 'Content-Type': 'application/json' },
+            muteHttpExceptions: true
+          }
+        );
+        httpCode = response.getResponseCode();
+      } catch (fetchErr) {
+        logEvent_(traceId, brand, email, 'SMARTSHEET_API_ERROR',
+          { sheetId: sheetId, message: String(fetchErr) });
+        if (sheetCache) sheetCache[sheetId] = false;
+        continue;
+      }
 
-    if (httpCode !== 200) {
-      logEvent_(traceId, brand, email, 'SMARTSHEET_API_ERROR',
-        { sheetId: sheetId, code: httpCode });
-      continue;
+      if (httpCode !== 200) {
+        logEvent_(traceId, brand, email, 'SMARTSHEET_API_ERROR',
+          { sheetId: sheetId, code: httpCode });
+        if (sheetCache) sheetCache[sheetId] = false;
+        continue;
+      }
+
+      data = JSON.parse(response.getContentText());
+      if (sheetCache) sheetCache[sheetId] = data;
     }
 
     atLeastOneReadable = true;
-    var data    = JSON.parse(response.getContentText());
     var columns = data.columns || [];
     var rows    = data.rows    || [];
 
@@ -298,19 +308,22 @@ function getSmartsheetIdsForBrand_(brand) {
   if (propSingle) propListIds = propListIds.concat(String(propSingle).split(',').map(function(s) { return s.trim(); }).filter(function(s) { return s; }));
   if (propListIds.length > 0) ids = ids.concat(propListIds);
 
-  // Brand registry entry (SEACHEFS/COSTA: only use fallback when no explicit script-property IDs are configured)
+  // Code registry default (SEACHEFS/COSTA: only use fallback when no explicit script-property IDs are configured).
+  // Read from BRANDS, not getBrand_: the merged entry holds the BRAND_CONFIG IDs in place of the code default.
+  var b = getBrand_(brand);
   var shouldUseBrandFallback = !(isStrictBrand && propListIds.length > 0);
-  if (shouldUseBrandFallback) {
-    var b = getBrand_(brand);
-    if (b && b.smartsheetId) ids = ids.concat(String(b.smartsheetId).split(',').map(function(s) { return s.trim(); }).filter(function(s) { return s; }));
+  if (shouldUseBrandFallback && b && BRANDS[bKey] && BRANDS[bKey].smartsheetId) {
+    ids = ids.concat(String(BRANDS[bKey].smartsheetId).split(',').map(function(s) { return s.trim(); }).filter(function(s) { return s; }));
   }
 
   // BRAND_CONFIG overrides
-  try {
-    var overrides = getBrandConfigOverrides_(brand);
-    if (overrides && overrides.smartsheetId) ids = ids.concat(String(overrides.smartsheetId).split(',').map(function(s) { return s.trim(); }).filter(function(s) { return s; }));
-  } catch (e) {
-    // ignore
+  if (b) {
+    try {
+      var overrides = getBrandConfigOverrides_(brand);
+      if (overrides && overrides.smartsheetId) ids = ids.concat(String(overrides.smartsheetId).split(',').map(function(s) { return s.trim(); }).filter(function(s) { return s; }));
+    } catch (e) {
+      // ignore
+    }
   }
 
   // Remove placeholders and dedupe
@@ -0,0 +1,333 @@
+/**
+ * SmartsheetWebhook.gs
+ * Smartsheet webhook receiver for "Sideways" invites. doPost answers the
+ * verification challenge, authenticates callbacks, and queues the changed row
+ * IDs per sheet; a one-minute trigger drains the queue through
+ * processSidewaysInvites_ so only those rows are fetched. The polling trigger
+ * (installProcessSidewaysTrigger) stays on as the reconciliation pass.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Apps Script web apps cannot read request headers, so the
+ * Smartsheet-Hmac-SHA256 header never reaches doPost. Each registered
+ * callback URL instead carries key = HMAC(active key, brand|sheetId), and
+ * callbacks without a matching key (or for another sheet) are rejected.
+ * Re-run installSidewaysWebhooks after rotating the HMAC key.
+ */
+
+var SMARTSHEET_WEBHOOK_QUEUE_KEY = 'SIDEWAYS_WEBHOOK_QUEUE';
+var SMARTSHEET_WEBHOOK_REGISTRY_KEY = 'SIDEWAYS_WEBHOOKS';
+var SMARTSHEET_WEBHOOK_MAX_QUEUED = 400;    // Script Property size cap; beyond this a sheet gets a full scan
+var SMARTSHEET_WEBHOOK_ROWS_PER_RUN = 100;  // row IDs drained per trigger run
+var SMARTSHEET_WEBHOOK_FULL_SCAN = '*';
+
+/**
+ * Handle a Smartsheet webhook POST (action=smartsheetwebhook)
+ * @param {Object} e - doPost event
+ * @param {string} traceId - Trace ID
+ * @returns {TextOutput} JSON response
+ */
+function handleSmartsheetWebhook_(e, traceId) {
+  var params = e && e.parameter ? e.parameter : {};
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var sheetId = String(params.sheet || '').trim();
+
+  if (!brand || !sheetId || !isValidSmartsheetWebhookKey_(brand, sheetId, params.key)) {
+    logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_REJECTED', { sheetId: sheetId, reason: 'BAD_KEY' });
+    return jsonResponse_({ ok: false, error: 'Unauthorized', code: 'UNAUTHORIZED' });
+  }
+
+  var body;
+  try {
+    body = JSON.parse(e.postData.contents);
+  } catch (err) {
+    logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_REJECTED', { sheetId: sheetId, reason: 'BAD_BODY' });
+    return jsonResponse_({ ok: false, error: 'Invalid JSON body', code: 'BAD_BODY' });
+  }
+
+  // Verification handshake (sent when the webhook is enabled, and periodically after)
+  if (body.challenge) {
+    logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_VERIFIED', { sheetId: sheetId, webhookId: body.webhookId || null });
+    return jsonResponse_({ smartsheetHookResponse: body.challenge });
+  }
+
+  // Status change callback (e.g. disabled after too many failures)
+  if (body.newWebhookStatus) {
+    logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_STATUS', { sheetId: sheetId, webhookId: body.webhookId || null, status: body.newWebhookStatus });
+    return jsonResponse_({ ok: true });
+  }
+
+  if (String(body.scopeObjectId || '') !== sheetId) {
+    logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_REJECTED', { sheetId: sheetId, reason: 'SCOPE_MISMATCH', scopeObjectId: body.scopeObjectId || null });
+    return jsonResponse_({ ok: false, error: 'Scope mismatch', code: 'SCOPE_MISMATCH' });
+  }
+
+  var rowIds = extractWebhookRowIds_(body.events);
+  var queued = rowIds.length ? enqueueSidewaysRows_(brand, sheetId, rowIds) : { ok: true };
+  logEvent_(traceId, brand, '', 'SMARTSHEET_WEBHOOK_RECEIVED', {
+    sheetId: sheetId, events: (body.events || []).length, rows: rowIds.length, queued: queued.ok, fullScan: !!queued.fullScan
+  });
+  if (!queued.ok) return jsonResponse_({ ok: false, error: queued.error, code: queued.code });
+  return jsonResponse_({ ok: true, queued: rowIds.length });
+}
+
+/**
+ * Callback URL key for a brand + sheet
+ * @param {string} brand - Brand code
+ * @param {string|number} sheetId - Smartsheet sheet ID
+ * @param {string=} secret - HMAC secret (defaults to the active key)
+ * @returns {string} Hex HMAC
+ */
+function getSmartsheetWebhookKey_(brand, sheetId, secret) {
+  return computeHmac_(secret || getHmacSecret_(), 'SMARTSHEET_WEBHOOK|' + String(brand).toUpperCase() + '|' + String(sheetId)).substring(0, 32);
+}
+
+/**
+ * Check a callback key against every non-retired HMAC key, so webhooks
+ * registered before a rotation keep working until their key is retired
+ * @param {string} brand - Brand code
+ * @param {string} sheetId - Smartsheet sheet ID
+ * @param {string} key - Key from the callback URL
+ * @returns {boolean}
+ */
+function isValidSmartsheetWebhookKey_(brand, sheetId, key) {
+  var keys = getHmacVerifyKeys_();
+  var valid = false;
+  for (var i = 0; i < keys.length; i++) {
+    if (constantTimeEquals_(String(key || ''), getSmartsheetWebhookKey_(brand, sheetId, keys[i].secret))) valid = true;
+  }
+  return valid;
+}
+
+/**
+ * Row IDs touched by created/updated row or cell events (deduplicated)
+ * @param {Array} events - Smartsheet callback events
+ * @returns {Array<number>} Row IDs
+ */
+function extractWebhookRowIds_(events) {
+  var seen = {};
+  var out = [];
+  for (var i = 0; i < (events || []).length; i++) {
+    var ev = events[i] || {};
+    if (ev.eventType !== 'created' && ev.eventType !== 'updated') continue;
+    var id = ev.objectType === 'row' ? ev.id : (ev.objectType === 'cell' ? ev.rowId : null);
+    id = Number(id);
+    if (!id || !isFinite(id) || seen[id]) continue;
+    seen[id] = true;
+    out.push(id);
+  }
+  return out;
+}
+
+/**
+ * Add row IDs to the queue for a brand + sheet. When the queue is too large
+ * for a Script Property the sheet is marked for a full scan instead.
+ * @param {string} brand - Brand code
+ * @param {string} sheetId - Smartsheet sheet ID
+ * @param {Array<number>|null} rowIds - Row IDs, or null for a full scan
+ * @returns {{ok:boolean, fullScan?:boolean, error?:string, code?:string}}
+ */
+function enqueueSidewaysRows_(brand, sheetId, rowIds) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) {
+    return { ok: false, error: 'Queue busy, will be picked up by polling', code: 'LOCK_TIMEOUT' };
+  }
+  try {
+    var queue = readSidewaysQueue_();
+    var key = brand + '|' + sheetId;
+    var current = queue[key];
+    var fullScan = !rowIds || current === SMARTSHEET_WEBHOOK_FULL_SCAN;
+
+    if (!fullScan) {
+      var merged = current || [];
+      for (var i = 0; i < rowIds.length; i++) {
+        if (merged.indexOf(rowIds[i]) === -1) merged.push(rowIds[i]);
+      }
+      if (countQueuedRows_(queue) - (current ? current.length : 0) + merged.length > SMARTSHEET_WEBHOOK_MAX_QUEUED) {
+        fullScan = true;
+      } else {
+        queue[key] = merged;
+      }
+    }
+    if (fullScan) queue[key] = SMARTSHEET_WEBHOOK_FULL_SCAN;
+
+    PropertiesService.getScriptProperties().setProperty(SMARTSHEET_WEBHOOK_QUEUE_KEY, JSON.stringify(queue));
+    return { ok: true, fullScan: fullScan };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Remove up to SMARTSHEET_WEBHOOK_ROWS_PER_RUN row IDs from the queue
+ * @returns {Array<{brand:string, sheetId:string, rowIds:Array<number>|null}>} Batches (rowIds null = full scan)
+ */
+function takeSidewaysQueueBatches_() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return [];
+  try {
+    var queue = readSidewaysQueue_();
+    var budget = SMARTSHEET_WEBHOOK_ROWS_PER_RUN;
+    var batches = [];
+    for (var key in queue) {
+      if (budget <= 0) break;
+      var parts = key.split('|');
+      if (queue[key] === SMARTSHEET_WEBHOOK_FULL_SCAN) {
+        batches.push({ brand: parts[0], sheetId: parts[1], rowIds: null });
+        delete queue[key];
+        continue;
+      }
+      var ids = queue[key].splice(0, budget);
+      budget -= ids.length;
+      if (!queue[key].length) delete queue[key];
+      if (ids.length) batches.push({ brand: parts[0], sheetId: parts[1], rowIds: ids });
+    }
+    if (batches.length) {
+      PropertiesService.getScriptProperties().setProperty(SMARTSHEET_WEBHOOK_QUEUE_KEY, JSON.stringify(queue));
+    }
+    return batches;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Scheduled runner (one-minute trigger target). Sends invites for queued rows
+ * only; batches that cannot run because a polling run holds the lease go
+ * back on the queue for the next minute. Other failures are left to polling.
+ * @returns {Object} Result
+ */
+function processSidewaysWebhookQueue_() {
+  return withLogBatch_(function() {
+    var batches = takeSidewaysQueueBatches_();
+    var out = [];
+    for (var i = 0; i < batches.length; i++) {
+      var b = batches[i];
+      var res = processSidewaysInvites_({
+        brand: b.brand,
+        sheetId: b.sheetId,
+        rowIds: b.rowIds,
+        limit: b.rowIds ? b.rowIds.length : undefined
+      });
+      var requeue = res.code === 'BUSY';
+      if (requeue) enqueueSidewaysRows_(b.brand, b.sheetId, b.rowIds);
+      out.push({
+        brand: b.brand, sheetId: b.sheetId, rows: b.rowIds ? b.rowIds.length : SMARTSHEET_WEBHOOK_FULL_SCAN,
+        ok: res.ok, sent: res.summary ? res.summary.sent : 0, error: res.error || null, requeued: requeue
+      });
+    }
+    return { ok: true, batches: out };
+  });
+}
+
+/**
+ * Register (or re-register) one Smartsheet webhook per brand sheet. Existing
+ * webhooks from SIDEWAYS_WEBHOOKS are deleted first so reruns do not stack.
+ * @returns {Object} Result with per-sheet status
+ */
+function registerSidewaysWebhooks_() {
+  var apiToken = getConfig_().SMARTSHEET_API_TOKEN;
+  if (!apiToken) return { ok: false, error: 'SMARTSHEET API token not configured' };
+  var baseUrl = getEmailCtaBaseUrl_();
+
+  removeSidewaysWebhooks_();
+
+  var registry = {};
+  var results = [];
+  var brands = getAllBrandCodes_();
+  for (var b = 0; b < brands.length; b++) {
+    var brand = String(brands[b]).toUpperCase();
+    var sheetIds = getSmartsheetIdsForBrand_(brand) || [];
+    for (var s = 0; s < sheetIds.length; s++) {
+      var sheetId = String(sheetIds[s]);
+      var callbackUrl = baseUrl + '?action=smartsheetwebhook&brand=' + encodeURIComponent(brand) +
+        '&sheet=' + encodeURIComponent(sheetId) + '&key=' + getSmartsheetWebhookKey_(brand, sheetId);
+
+      var created = smartsheetWebhookRequest_('post', '/webhooks', apiToken, {
+        name: 'CrewLife Sideways ' + brand + ' ' + sheetId,
+        callbackUrl: callbackUrl,
+        scope: 'sheet',
+        scopeObjectId: Number(sheetId),
+        events: ['*.*'],
+        version: 1
+      });
+      if (!created.ok) {
+        results.push({ brand: brand, sheetId: sheetId, ok: false, error: created.error });
+        continue;
+      }
+      var webhookId = created.data.result.id;
+      registry[brand + '|' + sheetId] = webhookId;
+
+      // Enabling triggers the verification challenge against doPost
+      var enabled = smartsheetWebhookRequest_('put', '/webhooks/' + webhookId, apiToken, { enabled: true });
+      var status = enabled.ok && enabled.data.result ? enabled.data.result.status : null;
+      results.push({ brand: brand, sheetId: sheetId, ok: enabled.ok, webhookId: webhookId, status: status, error: enabled.error || null });
+    }
+  }
+
+  PropertiesService.getScriptProperties().setProperty(SMARTSHEET_WEBHOOK_REGISTRY_KEY, JSON.stringify(registry));
+  logEvent_(generateTraceId_(), '', '', 'SMARTSHEET_WEBHOOKS_REGISTERED', { results: results });
+  return { ok: true, results: results };
+}
+
+/**
+ * Delete the webhooks recorded in SIDEWAYS_WEBHOOKS
+ * @returns {{ok:boolean, removed:number}}
+ */
+function removeSidewaysWebhooks_() {
+  var props = PropertiesService.getScriptProperties();
+  var registry = {};
+  try {
+    registry = JSON.parse(props.getProperty(SMARTSHEET_WEBHOOK_REGISTRY_KEY) || '{}');
+  } catch (e) {}
+
+  var apiToken = getConfig_().SMARTSHEET_API_TOKEN;
+  var removed = 0;
+  for (var key in registry) {
+    var res = smartsheetWebhookRequest_('delete', '/webhooks/' + registry[key], apiToken);
+    if (res.ok) removed++;
+    else Logger.log('removeSidewaysWebhooks_: ' + key + ' -> ' + res.error);
+  }
+  props.deleteProperty(SMARTSHEET_WEBHOOK_REGISTRY_KEY);
+  return { ok: true, removed: removed };
+}
+
+/**
+ * Smartsheet webhook API call
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under SMARTSHEET_API_BASE
+ * @param {string} apiToken - API token
+ * @param {Object=} payload - JSON body
+ * @returns {{ok:boolean, data?:Object, error?:string}}
+ */
+function smartsheetWebhookRequest_(method, path, apiToken, payload) {
+  try {
+    var options = { method: method, headers: { 'Authorization': 'Bearer ' + apiToken }, muteHttpExceptions: true };
+    if (payload) {
+      options.contentType = 'application/json';
+      options.payload = JSON.stringify(payload);
+    }
+    var resp = UrlFetchApp.fetch(SMARTSHEET_API_BASE + path, options);
+    var code = resp.getResponseCode();
+    var text = resp.getContentText();
+    if (code < 200 || code >= 300) return { ok: false, error: 'HTTP ' + code + ' - ' + String(text).substring(0, 300) };
+    return { ok: true, data: text ? JSON.parse(text) : {} };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+}
+
+function readSidewaysQueue_() {
+  try {
+    return JSON.parse(PropertiesService.getScriptProperties().getProperty(SMARTSHEET_WEBHOOK_QUEUE_KEY) || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+function countQueuedRows_(queue) {
+  var n = 0;
+  for (var key in queue) {
+    if (queue[key] !== SMARTSHEET_WEBHOOK_FULL_SCAN) n += queue[key].length;
+  }
+  return n;
+}
@@ -3,10 +3,17 @@
  * ===========================================================================
  * Worker to scan Smartsheet rows where SEND column == "Sideways",
  * send token-gated booking invite emails, and batch-update rows.
+ * The SEND column also takes "Resend", "Revoke" and "Remind" (see
+ * SIDEWAYS_SEND_COMMANDS); each is written back as its result state.
  *
  * FLAGS (via opts):
  *   brand   (optional)      - restrict to one brand (e.g. 'ROYAL')
  *   limit   (optional)      - max rows to process
+ *   sheetId (optional)      - restrict to one of the brand's sheets
+ *   rowIds  (optional)      - only fetch these rows (webhook queue, see
+ *                             SmartsheetWebhook.js); the cursor is untouched
+ *   dryRun  (optional)      - PREVIEW mode: no OTPs, emails, row updates or
+ *                             cursor moves; see previewSidewaysInvites_
  *
  * NO testEmail parameter - emails ALWAYS go to the real candidate address.
  * ===========================================================================
@@ -17,6 +24,18 @@ var SIDEWAYS_MAX_MS_PER_RUN = 330000; // ~5.5 minutes hard ceiling
 var SIDEWAYS_MAX_ROWS_TO_SCAN = 10000; // max rows to examine per sheet per run
 var SIDEWAYS_MAX_MATCHES = 60; // stop processing after this many Sideways hits
 var SIDEWAYS_PROGRESS_INTERVAL = 300; // progress log every N rows scanned
+var SIDEWAYS_LEASE_KEY = 'SIDEWAYS_RUN_LEASE_UNTIL'; // one Sideways run at a time (poller + webhook queue)
+var WORKER_PREVIEW_TAB = 'WORKER_PREVIEW';
+var WORKER_PREVIEW_HEADERS = ['Generated At', 'Brand', 'Sheet', 'Row', 'Row ID', 'Command', 'Email', 'Text For Email', 'CL Code', 'Guard', 'Would Send', 'Reason'];
+
+// SEND column commands (matched lower-case) and the value written back when done
+var SIDEWAYS_SEND_COMMANDS = {
+  sideways: '🔔 Sent',
+  resend: '🔔 Resent',
+  revoke: '⛔ Revoked',
+  remind: '🔔 Reminded'
+};
+var SIDEWAYS_COMMAND_ACTOR = 'sideways-worker'; // Revoked By for TOKENS_REVOKED
 
 /** Read the cursor index from ScriptProperties for a brand+sheet combo. */
 function getSidewaysCursor_(brand, sheetId) {
@@ -31,13 +50,58 @@ function setSidewaysCursor_(brand, sheetId, index) {
   PropertiesService.getScriptProperties().setProperty(key, String(index));
 }
 
+/**
+ * Take the Sideways run lease. The polling trigger and the webhook queue
+ * drain both send invites, so only one of them may run at a time.
+ * @returns {boolean} True if acquired
+ */
+function acquireSidewaysLease_() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return false;
+  try {
+    var props = PropertiesService.getScriptProperties();
+    var until = Number(props.getProperty(SIDEWAYS_LEASE_KEY) || 0);
+    if (until > Date.now()) return false;
+    props.setProperty(SIDEWAYS_LEASE_KEY, String(Date.now() + SIDEWAYS_MAX_MS_PER_RUN + 60000));
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** Release the Sideways run lease. */
+function releaseSidewaysLease_() {
+  PropertiesService.getScriptProperties().deleteProperty(SIDEWAYS_LEASE_KEY);
+}
+
 /**
  * Process rows across all brands (or single brand) where SEND == "Sideways".
- * @param {Object} opts - { brand: string|null, limit: number }
+ * @param {Object} opts - { brand: string|null, limit: number, sheetId?: string, rowIds?: Array }
  * @returns {Object} summary
  */
 function processSidewaysInvites_(opts) {
+  if (!acquireSidewaysLease_()) {
+    logEvent_('', opts && opts.brand ? String(opts.brand).toUpperCase() : '', '', 'SIDEWAYS_RUN_SKIPPED_BUSY', {});
+    return { ok: false, error: 'Another Sideways run is in progress', code: 'BUSY' };
+  }
+  try {
+    return runSidewaysInvites_(opts);
+  } finally {
+    releaseSidewaysLease_();
+  }
+}
+
+/**
+ * Sideways worker body; callers go through processSidewaysInvites_ or
+ * previewSidewaysInvites_.
+ * @param {Object} opts - See processSidewaysInvites_; dryRun + report (array) for PREVIEW
+ * @returns {Object} summary
+ */
+function runSidewaysInvites_(opts) {
   opts = opts || {};
+  var rowIds = opts.rowIds && opts.rowIds.length ? opts.rowIds : null;
+  var dryRun = opts.dryRun === true;
+  var report = dryRun ? (opts.report || []) : null;
 
   var runStart = Date.now();
   var hitTimeGuard = false;
@@ -55,9 +119,10 @@ function processSidewaysInvites_(opts) {
   var brands = opts.brand ? [String(opts.brand).toUpperCase()] : getAllBrandCodes_();
 
   var traceId = generateTraceId_();
-  logEvent_(traceId, '', '', 'SIDEWAYS_RUN_START', { mode: 'LIVE', brands: brands, limit: limit });
+  logEvent_(traceId, '', '', 'SIDEWAYS_RUN_START', { mode: dryRun ? 'PREVIEW' : 'LIVE', brands: brands, limit: limit, sheetId: opts.sheetId || null, rowIds: rowIds ? rowIds.length : null });
 
-  var results = { traceId: traceId, processed: 0, sent: 0, updated: 0, skipped: 0, errors: [] };
+  var results = { traceId: traceId, processed: 0, sent: 0, updated: 0, skipped: 0, errors: [], commands: { resend: 0, revoke: 0, remind: 0 } };
+  if (dryRun) results.wouldSend = 0;
 
   var cfg = getConfig_();
   var apiToken = cfg.SMARTSHEET_API_TOKEN;
@@ -72,6 +137,9 @@ function processSidewaysInvites_(opts) {
       if (Date.now() - runStart > SIDEWAYS_MAX_MS_PER_RUN) { hitTimeGuard = true; break; }
       var brand = String(brands[b]).toUpperCase();
       var sheetIds = getSmartsheetIdsForBrand_(brand);
+      if (opts.sheetId && sheetIds) {
+        sheetIds = sheetIds.filter(function(id) { return String(id) === String(opts.sheetId); });
+      }
       if (!sheetIds || sheetIds.length === 0) {
         logEvent_(traceId, brand, '', 'SIDEWAYS_NO_SHEETS', {});
         continue;
@@ -84,7 +152,7 @@ function processSidewaysInvites_(opts) {
         var sheetId = sheetIds[s];
 
         // == SINGLE FETCH per sheet ======================================
-        var sheetData = fetchSmartsheet_(sheetId, apiToken);
+        var sheetData = fetchSmartsheet_(sheetId, apiToken, rowIds);
         if (!sheetData.ok) {
           logEvent_(traceId, brand, '', 'SIDEWAYS_SHEET_FETCH_FAILED', { sheetId: sheetId, error: sheetData.error });
           results.errors.push({ sheetId: sheetId, error: sheetData.error });
@@ -191,7 +259,7 @@ function processSidewaysInvites_(opts) {
         var found = 0;
 
         var rowCount = rows.length;
-        var cursor = rowCount ? getSidewaysCursor_(brand, sheetId) : 0;
+        var cursor = rowCount && !rowIds ? getSidewaysCursor_(brand, sheetId) : 0;
         if (!rowCount || !isFinite(cursor) || cursor < 0 || cursor >= rowCount) cursor = 0;
         var maxScans = Math.min(rowCount || 0, SIDEWAYS_MAX_ROWS_TO_SCAN);
         var scannedThisSheet = 0;
@@ -240,7 +308,8 @@ function processSidewaysInvites_(opts) {
             results.skipped++;
             continue; // already processed (e.g. "🔔 Sent")
           }
-          if (sendLower !== 'sideways') continue;
+          if (!SIDEWAYS_SEND_COMMANDS.hasOwnProperty(sendLower)) continue;
+          var command = sendLower;
 
           results.processed++;
           found++;
@@ -259,11 +328,23 @@ function processSidewaysInvites_(opts) {
             sheetId: sheetId, sheetName: sheetName, rowId: row.id,
             email: candidateEmail, brand: brand, textForEmail: textForEmail
           };
-          logEvent_(traceId, brand, candidateEmail, 'SIDEWAYS_ROW_FOUND', stepDetails);
+          if (!dryRun) logEvent_(traceId, brand, candidateEmail, 'SIDEWAYS_ROW_FOUND', stepDetails);
+
+          var previewRow = dryRun ? {
+            brand: brand, sheetName: sheetName || String(sheetId), row: row.rowNumber || (rIndex + 1), rowId: row.id,
+            command: sendVal, email: String(candidateEmail || ''), textForEmail: textForEmail, clCode: '', guard: '', wouldSend: false, reason: ''
+          } : null;
 
           // -- FIELD VALIDATION -----------------------------------------
           var candidateEmailNorm = String(candidateEmail || '').trim().toLowerCase();
           if (!candidateEmailNorm || !isValidEmail_(candidateEmailNorm) || isPlaceholderEmail_(candidateEmailNorm) || isForbiddenRecipientEmail_(candidateEmailNorm)) {
+            results.skipped++;
+            if (dryRun) {
+              previewRow.reason = isForbiddenRecipientEmail_(candidateEmailNorm) ? 'Forbidden recipient'
+                : (isPlaceholderEmail_(candidateEmailNorm) ? 'Placeholder email' : 'Invalid email');
+              report.push(previewRow);
+              continue;
+            }
             Logger.log('[SIDEWAYS_SKIP_INVALID_EMAIL] rowId=%s brand=%s email=%s', row.id, brand, String(candidateEmail || ''));
             logEvent_(traceId, brand, String(candidateEmail || ''), 'SIDEWAYS_ROW_SKIPPED_INVALID_EMAIL', {
               rowId: row.id,
@@ -271,52 +352,63 @@ function processSidewaysInvites_(opts) {
               forbidden: isForbiddenRecipientEmail_(candidateEmailNorm),
               placeholder: isPlaceholderEmail_(candidateEmailNorm)
             });
-            results.skipped++;
             continue;
           }
           if (!textForEmail) {
-            logEvent_(traceId, brand, candidateEmail, 'SIDEWAYS_ROW_SKIPPED_NO_TEXT', { rowId: row.id });
             results.skipped++;
+            if (dryRun) {
+              previewRow.reason = 'Text For Email is empty';
+              report.push(previewRow);
+              continue;
+            }
+            logEvent_(traceId, brand, candidateEmail, 'SIDEWAYS_ROW_SKIPPED_NO_TEXT', { rowId: row.id });
             continue;
           }
 
-          // -- LIVE: create OTP + send email ----------------------------
-          var otpCreated = createOtp_({
-            email: candidateEmailNorm,
-            brand: brand,
-            textForEmail: textForEmail,
-            traceId: traceId
-          });
-          if (!otpCreated.ok || !otpCreated.token) {
-            logEvent_(traceId, brand, candidateEmailNorm, 'SIDEWAYS_TOKEN_CREATE_FAILED', { rowId: row.id, error: otpCreated.error || 'unknown' });
-            results.errors.push({ rowId: row.id, error: 'Token creation failed: ' + (otpCreated.error || 'unknown') });
-            results.skipped++;
+          // -- PREVIEW: report what LIVE would do -----------------------
+          if (dryRun) {
+            fillSidewaysPreviewRow_(previewRow, command, brand, candidateEmailNorm, textForEmail);
+            if (previewRow.wouldSend) results.wouldSend++;
+            report.push(previewRow);
             continue;
           }
 
-          sendAttemptedThisSheet++;
-          sendAttempted++;
-
-          Logger.log('[OTP_CREATED] rowId=%s brand=%s email=%s', row.id, brand, candidateEmailNorm);
-          logEvent_(traceId, brand, candidateEmailNorm, 'OTP_CREATED', { rowId: row.id });
-
-          var emailResult = sendBookingConfirmEmail_({
-            email: candidateEmailNorm,
-            brand: brand,
-            textForEmail: textForEmail,
-            position: position,
-            token: otpCreated.token,
-            candidateName: candidateName,
-            traceId: traceId
-          });
+          var sendCtx = {
+            brand: brand, email: candidateEmailNorm, textForEmail: textForEmail, position: position,
+            candidateName: candidateName, lang: getCandidateLang_(rowMap), rowId: row.id, traceId: traceId
+          };
 
-          Logger.log('[SIDEWAYS_EMAIL_SENT] rowId=%s email=%s brand=%s ok=%s error=%s', row.id, candidateEmailNorm, brand, emailResult.ok, emailResult.error || '');
-          logEvent_(traceId, brand, candidateEmailNorm, 'SIDEWAYS_EMAIL_SENT', {
-            rowId: row.id, to: candidateEmailNorm, ok: emailResult.ok, error: emailResult.error || null
-          });
+          // -- COMMANDS: Resend / Revoke / Remind -----------------------
+          if (command !== 'sideways') {
+            var outcome = runSidewaysCommand_(command, sendCtx);
+            if (outcome.attempted) {
+              sendAttemptedThisSheet++;
+              sendAttempted++;
+            }
+            if (!outcome.cellValue) {
+              // Worth retrying (e.g. email quota): the cell keeps the command
+              results.errors.push({ rowId: row.id, error: outcome.error });
+              results.skipped++;
+              continue;
+            }
+            if (outcome.ok) results.commands[command]++;
+            else results.skipped++;
+            var commandCells = [{ columnId: Number(sendCol), value: outcome.cellValue }];
+            if (outcome.ok && command === 'resend' && dateSentColId) {
+              commandCells.push({ columnId: Number(dateSentColId), value: new Date().toISOString() });
+            }
+            pendingUpdates.push({ id: Number(row.id), cells: commandCells });
+            continue;
+          }
 
-          if (!emailResult.ok) {
-            results.errors.push({ rowId: row.id, error: 'Email send failed: ' + emailResult.error });
+          // -- LIVE: create OTP + send email ----------------------------
+          var sendResult = sendSidewaysBookingEmail_(sendCtx);
+          if (sendResult.attempted) {
+            sendAttemptedThisSheet++;
+            sendAttempted++;
+          }
+          if (!sendResult.ok) {
+            results.errors.push({ rowId: row.id, error: sendResult.error });
             results.skipped++;
             continue;
           }
@@ -324,14 +416,14 @@ function processSidewaysInvites_(opts) {
           results.sent++;
 
           // -- QUEUE ROW UPDATE for batch --------------------------------
-          var cellsToUpdate = [{ columnId: Number(sendCol), value: '🔔 Sent' }];
+          var cellsToUpdate = [{ columnId: Number(sendCol), value: SIDEWAYS_SEND_COMMANDS.sideways }];
           if (dateSentColId) {
             cellsToUpdate.push({ columnId: Number(dateSentColId), value: new Date().toISOString() });
           }
           pendingUpdates.push({ id: Number(row.id), cells: cellsToUpdate });
         }
 
-        if (rowCount) {
+        if (rowCount && !rowIds && !dryRun) {
           var newCursor = (cursor + scannedThisSheet) % rowCount;
           setSidewaysCursor_(brand, sheetId, newCursor);
         }
@@ -401,6 +493,7 @@ function processSidewaysInvites_(opts) {
     hitTimeGuard
   );
   logEvent_(traceId, '', '', 'SIDEWAYS_RUN_SUMMARY', {
+    mode: dryRun ? 'PREVIEW' : 'LIVE',
     processed: results.processed,
     scanned: scanned,
     skippedSent: skippedSent,
@@ -419,6 +512,207 @@ function processSidewaysInvites_(opts) {
   return { ok: true, summary: results };
 }
 
+/**
+ * PREVIEW the next Sideways run: same brands, sheets, column resolution,
+ * cursor and limit as processSidewaysInvites_, but nothing is created, sent
+ * or written back. One line per Sideways row goes to the WORKER_PREVIEW tab
+ * (config spreadsheet, replaced on every preview).
+ * @param {Object} opts - { brand?: string, limit?: number, sheetId?: string }
+ * @returns {Object} { ok, summary, rows, wouldSend, tab } or { ok:false, error }
+ */
+function previewSidewaysInvites_(opts) {
+  opts = opts || {};
+  var report = [];
+  var res = runSidewaysInvites_({ brand: opts.brand, limit: opts.limit, sheetId: opts.sheetId, dryRun: true, report: report });
+  if (!res.ok) return res;
+  writeWorkerPreview_(report);
+  return { ok: true, summary: res.summary, rows: report.length, wouldSend: res.summary.wouldSend, tab: WORKER_PREVIEW_TAB };
+}
+
+/**
+ * Fill in what LIVE would do with a valid row. For Sideways, the CL code and
+ * invite guard do not stop the send, so they are reported as warnings in
+ * Reason; Resend is refused by the guard like in runSidewaysCommand_.
+ * @param {Object} previewRow - Report line (mutated)
+ * @param {string} command - Key of SIDEWAYS_SEND_COMMANDS
+ * @param {string} brand - Brand code
+ * @param {string} email - Normalized candidate email
+ * @param {string} textForEmail - Text For Email
+ */
+function fillSidewaysPreviewRow_(previewRow, command, brand, email, textForEmail) {
+  if (command === 'revoke') {
+    previewRow.reason = 'Revokes ' + revokeActiveTokens_(email, brand, '', SIDEWAYS_COMMAND_ACTOR, { textForEmail: textForEmail, dryRun: true }).revokedCount + ' active link(s)';
+    return;
+  }
+
+  var warnings = [];
+  var cl = resolveCLCodeFromTextForEmail_(brand, textForEmail);
+  previewRow.clCode = cl.clCode || '';
+
+  if (command === 'remind') {
+    var open = findOpenLinkForReminder_(openTokenRepo_(), brand, email, textForEmail);
+    previewRow.wouldSend = !!open;
+    previewRow.reason = open ? 'Reminds the link expiring ' + new Date(open.expiryMs).toISOString() : 'No active link';
+    return;
+  }
+
+  if (!cl.ok) warnings.push('CL code not resolved: ' + cl.error);
+  var guard = findBlockingInviteInTokens_({ brand: brand, email: email, textForEmail: textForEmail });
+  if (guard.blocked) {
+    previewRow.guard = 'BLOCK (' + guard.reason + ')';
+    if (command === 'resend' && guard.reason !== 'LATEST_LOCKED_STATUS') {
+      previewRow.reason = 'Invite guard blocks a resend (latest token ' + (guard.status || guard.locked) + ')';
+      return;
+    }
+    if (command === 'sideways') {
+      warnings.push('Invite guard blocks this candidate (latest token ' + (guard.status || guard.locked) + '): the passcode request will be refused');
+    }
+  } else {
+    previewRow.guard = guard.overrideUnlock ? 'ALLOW (UNLOCK)' : 'ALLOW';
+  }
+  if (command === 'resend') {
+    var active = revokeActiveTokens_(email, brand, '', SIDEWAYS_COMMAND_ACTOR, { textForEmail: textForEmail, dryRun: true }).revokedCount;
+    if (active) warnings.push('Revokes ' + active + ' active link(s) first');
+  }
+
+  previewRow.wouldSend = true;
+  previewRow.reason = warnings.length ? warnings.join('; ') : 'Ready';
+}
+
+/**
+ * Create an OTP token and email the booking link for one row (Sideways and
+ * Resend).
+ * @param {Object} ctx - { brand, email, textForEmail, position, candidateName, lang, rowId, traceId }
+ * @returns {{ok:boolean, attempted:boolean, token?:string, error?:string}}
+ */
+function sendSidewaysBookingEmail_(ctx) {
+  var otpCreated = createOtp_({
+    email: ctx.email,
+    brand: ctx.brand,
+    textForEmail: ctx.textForEmail,
+    traceId: ctx.traceId
+  });
+  if (!otpCreated.ok || !otpCreated.token) {
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_TOKEN_CREATE_FAILED', { rowId: ctx.rowId, error: otpCreated.error || 'unknown' });
+    return { ok: false, attempted: false, error: 'Token creation failed: ' + (otpCreated.error || 'unknown') };
+  }
+
+  Logger.log('[OTP_CREATED] rowId=%s brand=%s email=%s', ctx.rowId, ctx.brand, ctx.email);
+  logEvent_(ctx.traceId, ctx.brand, ctx.email, 'OTP_CREATED', { rowId: ctx.rowId, token: otpCreated.token.substring(0, 8) + '...' });
+
+  var emailResult = sendBookingConfirmEmail_({
+    email: ctx.email,
+    brand: ctx.brand,
+    textForEmail: ctx.textForEmail,
+    position: ctx.position,
+    token: otpCreated.token,
+    candidateName: ctx.candidateName,
+    traceId: ctx.traceId,
+    lang: ctx.lang
+  });
+
+  Logger.log('[SIDEWAYS_EMAIL_SENT] rowId=%s email=%s brand=%s ok=%s error=%s', ctx.rowId, ctx.email, ctx.brand, emailResult.ok, emailResult.error || '');
+  logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_EMAIL_SENT', {
+    rowId: ctx.rowId, to: ctx.email, ok: emailResult.ok, error: emailResult.error || null,
+    token: otpCreated.token.substring(0, 8) + '...'
+  });
+
+  if (!emailResult.ok) {
+    return { ok: false, attempted: true, error: 'Email send failed: ' + emailResult.error };
+  }
+  return { ok: true, attempted: true, token: otpCreated.token };
+}
+
+/**
+ * Run a Resend, Revoke or Remind command from the SEND column.
+ * cellValue is what the SEND cell becomes: the result state, or a ⚠ note
+ * when the command cannot be done. It is empty when a retry may succeed
+ * (e.g. email quota), so the cell keeps the command for the next run.
+ * @param {string} command - 'resend', 'revoke' or 'remind'
+ * @param {Object} ctx - See sendSidewaysBookingEmail_
+ * @returns {{ok:boolean, cellValue:string, attempted?:boolean, error?:string}}
+ */
+function runSidewaysCommand_(command, ctx) {
+  var details = { rowId: ctx.rowId, command: command };
+
+  if (command === 'revoke') {
+    var revoked = revokeActiveTokens_(ctx.email, ctx.brand, ctx.traceId, SIDEWAYS_COMMAND_ACTOR, { textForEmail: ctx.textForEmail });
+    if (!revoked.ok) {
+      details.error = revoked.error;
+      logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_FAILED', details);
+      return { ok: false, cellValue: '', error: 'Revoke failed: ' + revoked.error };
+    }
+    details.revoked = revoked.revokedCount;
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_DONE', details);
+    return { ok: true, cellValue: SIDEWAYS_SEND_COMMANDS.revoke };
+  }
+
+  if (command === 'remind') {
+    var reminded = sendManualReminder_({
+      brand: ctx.brand, email: ctx.email, textForEmail: ctx.textForEmail,
+      candidateName: ctx.candidateName, lang: ctx.lang, traceId: ctx.traceId
+    });
+    if (reminded.code === 'NO_ACTIVE_LINK') {
+      details.reason = reminded.error;
+      logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_SKIPPED', details);
+      return { ok: false, cellValue: '⚠ No active link' };
+    }
+    if (!reminded.ok) {
+      details.error = reminded.error;
+      logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_FAILED', details);
+      return { ok: false, cellValue: '', attempted: true, error: 'Reminder failed: ' + reminded.error };
+    }
+    details.token = reminded.token.substring(0, 8) + '...';
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_DONE', details);
+    return { ok: true, cellValue: SIDEWAYS_SEND_COMMANDS.remind, attempted: true };
+  }
+
+  // Resend: a used or admin-locked invite stays blocked; a candidate locked
+  // out by wrong passcodes (LATEST_LOCKED_STATUS) gets a fresh token.
+  var guard = findBlockingInviteInTokens_({ brand: ctx.brand, email: ctx.email, textForEmail: ctx.textForEmail });
+  if (guard.blocked && guard.reason !== 'LATEST_LOCKED_STATUS') {
+    details.reason = guard.reason;
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_SKIPPED', details);
+    return { ok: false, cellValue: guard.reason === 'LATEST_USED' ? '⚠ Already used' : '⚠ Locked' };
+  }
+
+  var revokedFirst = revokeActiveTokens_(ctx.email, ctx.brand, ctx.traceId, SIDEWAYS_COMMAND_ACTOR, { textForEmail: ctx.textForEmail });
+  if (!revokedFirst.ok) {
+    details.error = revokedFirst.error;
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_FAILED', details);
+    return { ok: false, cellValue: '', error: 'Revoke failed: ' + revokedFirst.error };
+  }
+  details.revoked = revokedFirst.revokedCount;
+  var sent = sendSidewaysBookingEmail_(ctx);
+  if (!sent.ok) {
+    details.error = sent.error;
+    logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_FAILED', details);
+    return { ok: false, cellValue: '', attempted: sent.attempted, error: sent.error };
+  }
+  details.token = sent.token.substring(0, 8) + '...';
+  logEvent_(ctx.traceId, ctx.brand, ctx.email, 'SIDEWAYS_COMMAND_DONE', details);
+  return { ok: true, cellValue: SIDEWAYS_SEND_COMMANDS.resend, attempted: true };
+}
+
+/**
+ * Replace the WORKER_PREVIEW tab with a report.
+ * @param {Array<Object>} report - Lines from runSidewaysInvites_ in PREVIEW mode
+ */
+function writeWorkerPreview_(report) {
+  var ss = getConfigSheet_();
+  var sheet = ss.getSheetByName(WORKER_PREVIEW_TAB) || ss.insertSheet(WORKER_PREVIEW_TAB);
+  sheet.clear();
+  var now = new Date();
+  var out = [WORKER_PREVIEW_HEADERS];
+  for (var i = 0; i < report.length; i++) {
+    var r = report[i];
+    out.push([now, r.brand, r.sheetName, r.row, String(r.rowId), r.command, r.email, r.textForEmail, r.clCode, r.guard, r.wouldSend ? 'YES' : 'NO', r.reason]);
+  }
+  sheet.getRange(1, 1, out.length, WORKER_PREVIEW_HEADERS.length).setValues(out);
+  sheet.getRange(1, 1, 1, WORKER_PREVIEW_HEADERS.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+}
+
 
 // ===========================================================================
 // HELPERS
@@ -450,16 +744,20 @@ function getSmartsheetCellString_(cell) {
  * Conservative limit to avoid timeouts/quota spikes.
  */
 function processSidewaysInvitesScheduled_() {
-  return processSidewaysInvites_({ limit: 200 });
+  return withLogBatch_(function() { return processSidewaysInvites_({ limit: 200 }); });
 }
 
 
 /**
  * Fetch sheet metadata and rows — SINGLE API call per sheet.
+ * @param {string|number} sheetId
+ * @param {string} apiToken
+ * @param {Array=} rowIds - optional filter; only these rows are returned
  */
-function fetchSmartsheet_(sheetId, apiToken) {
+function fetchSmartsheet_(sheetId, apiToken, rowIds) {
   try {
     var url = SMARTSHEET_API_BASE + '/sheets/' + sheetId;
+    if (rowIds && rowIds.length) url += '?rowIds=' + rowIds.join(',');
     var options = { method: 'get', headers: { 'Authorization': 'Bearer ' + apiToken }, muteHttpExceptions: true };
     var resp = UrlFetchApp.fetch(url, options);
     if (resp.getResponseCode() !== 200) return { ok: false, error: 'HTTP ' + resp.getResponseCode() };
@@ -166,7 +166,8 @@ function TEST_SystemCheck() {
   // Config
   var cfg = getConfig_();
   Logger.log('Config Sheet ID: ' + (cfg.CONFIG_SHEET_ID ? '✅ Set' : '❌ Not set'));
-  Logger.log('HMAC Secret: ' + (cfg.HMAC_SECRET ? '✅ Set (' + cfg.HMAC_SECRET.length + ' chars)' : '⚠️ Will auto-generate'));
+  var hmacKey = getActiveHmacKey_();
+  Logger.log('HMAC Key: ' + (hmacKey ? '✅ Active kid ' + hmacKey.kid : '❌ Not set (run rotateHmacKey)'));
   Logger.log('Safe Mode: ' + cfg.SAFE_MODE);
   Logger.log('OTP Expiry: ' + cfg.OTP_EXPIRY_MINUTES + ' minutes');
   Logger.log('Link Expiry: ' + cfg.LINK_EXPIRY_DAYS + ' days');
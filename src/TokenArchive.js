@@ -0,0 +1,299 @@
+/**
+ * TokenArchive.gs
+ * Scheduled archival of terminal TOKENS rows.
+ *
+ * Rows whose Status is terminal and whose last activity (latest of Created At,
+ * Expiry, Used At) is older than TOKENS_ARCHIVE_AFTER_DAYS are copied to
+ * per-month tabs (TOKENS_ARCHIVE_yyyy_MM) and then deleted from TOKENS.
+ * Archive tabs live in TOKENS_ARCHIVE_SHEET_ID when set, otherwise in the
+ * config spreadsheet.
+ *
+ * The reuse guard (findBlockingInviteInTokens_) decides on the latest row per
+ * Brand + Email + Text For Email, so the latest archived row for each key is
+ * also kept in TOKENS_ARCHIVE_GUARD (config spreadsheet, one row per key).
+ * CrewLife Interview Bookings Uniform Core
+ */
+
+// SUPERSEDED is the terminal state createOtp_ leaves on replaced OTP rows
+var TOKEN_ARCHIVE_STATUSES = ['USED', 'BOOKED', 'EXPIRED', 'LOCKED', 'REVOKED', 'SUPERSEDED'];
+var TOKEN_ARCHIVE_TAB_PREFIX = 'TOKENS_ARCHIVE_';
+var TOKEN_ARCHIVE_GUARD_TAB = 'TOKENS_ARCHIVE_GUARD';
+var TOKEN_ARCHIVE_GUARD_HEADERS = ['Token', 'Email Hash', 'Text For Email', 'Brand', 'Status', 'Locked', 'Created At', 'Archive Tab', 'Archived At'];
+var TOKEN_ARCHIVE_MAX_ROWS_PER_RUN = 5000;
+
+/**
+ * Move old terminal rows out of TOKENS.
+ * @param {Object=} opts
+ * @param {number=} opts.afterDays - Override TOKENS_ARCHIVE_AFTER_DAYS
+ * @param {number=} opts.limit - Max rows to archive this run (default 5000)
+ * @param {boolean=} opts.dryRun - Report what would move without writing
+ * @returns {Object} { ok, archived, scanned, tabs, guardKeys, more, dryRun } or { ok:false, error, code }
+ */
+function archiveTerminalTokens_(opts) {
+  opts = opts || {};
+  var cfg = getConfig_();
+  var traceId = generateTraceId_();
+  var afterDays = (opts.afterDays === undefined || opts.afterDays === null) ? cfg.TOKENS_ARCHIVE_AFTER_DAYS : Number(opts.afterDays);
+  if (!isFinite(afterDays) || afterDays < 1) afterDays = 30;
+  var limit = Number(opts.limit) > 0 ? Number(opts.limit) : TOKEN_ARCHIVE_MAX_ROWS_PER_RUN;
+  var dryRun = opts.dryRun === true;
+
+  // Shares the script lock with consumeTokenForRedirect_ so row numbers do not shift mid-redirect
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { ok: false, error: 'System busy. Please try again.', code: 'LOCK_TIMEOUT' };
+  }
+
+  try {
+    var repo = openTokenRepo_();
+    if (!repo) {
+      return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+    }
+    if (repo.lastRow < 2) {
+      return { ok: true, archived: 0, scanned: 0, tabs: {}, guardKeys: 0, more: false, dryRun: dryRun };
+    }
+
+    var idx = repo.idx;
+    if (idx['Status'] === undefined) {
+      return { ok: false, error: 'TOKENS is missing the Status header', code: 'MISSING_HEADER' };
+    }
+
+    var cutoffMs = Date.now() - afterDays * 24 * 60 * 60 * 1000;
+    var data = repo.sheet.getRange(2, 1, repo.lastRow - 1, repo.lastCol).getValues();
+
+    // == SELECT ==========================================================
+    var picked = []; // { rowNumber, values, tab }
+    var more = false;
+    for (var i = 0; i < data.length; i++) {
+      var row = data[i];
+      var status = String(row[idx['Status']] || '').trim().toUpperCase();
+      if (TOKEN_ARCHIVE_STATUSES.indexOf(status) === -1) continue;
+
+      var lastActivity = tokenArchiveLastActivityMs_(row, idx);
+      if (!isFinite(lastActivity) || lastActivity >= cutoffMs) continue;
+
+      if (picked.length >= limit) { more = true; break; }
+      var created = tokenArchiveToMs_(row[idx['Created At']]);
+      picked.push({
+        rowNumber: i + 2,
+        values: row,
+        tab: tokenArchiveTabName_(isFinite(created) ? created : lastActivity)
+      });
+    }
+
+    var tabs = {};
+    for (var p = 0; p < picked.length; p++) {
+      tabs[picked[p].tab] = (tabs[picked[p].tab] || 0) + 1;
+    }
+
+    if (dryRun || picked.length === 0) {
+      return { ok: true, archived: 0, wouldArchive: picked.length, scanned: data.length, tabs: tabs, guardKeys: 0, more: more, dryRun: dryRun };
+    }
+
+    // == COPY to monthly archive tabs (before deleting anything) =========
+    var archiveSs = cfg.TOKENS_ARCHIVE_SHEET_ID ? SpreadsheetApp.openById(cfg.TOKENS_ARCHIVE_SHEET_ID) : repo.sheet.getParent();
+    var sourceHeaders = repo.headers.map(function(h, c) { return h || ('Column ' + (c + 1)); });
+    for (var tabName in tabs) {
+      var rowsForTab = [];
+      for (var q = 0; q < picked.length; q++) {
+        if (picked[q].tab === tabName) rowsForTab.push(picked[q].values);
+      }
+      appendArchiveRows_(archiveSs, tabName, sourceHeaders, rowsForTab);
+    }
+
+    // == GUARD: latest archived row per Brand + Email + Text =============
+    var guardKeys = upsertArchiveGuard_(repo, picked);
+
+    // == DELETE from TOKENS (bottom-up, contiguous runs) =================
+    var rowNumbers = picked.map(function(x) { return x.rowNumber; }).sort(function(a, b) { return b - a; });
+    var runEnd = rowNumbers[0];
+    var runLen = 1;
+    for (var d = 1; d <= rowNumbers.length; d++) {
+      if (d < rowNumbers.length && rowNumbers[d] === rowNumbers[d - 1] - 1) {
+        runLen++;
+        continue;
+      }
+      repo.sheet.deleteRows(runEnd - runLen + 1, runLen);
+      if (d < rowNumbers.length) {
+        runEnd = rowNumbers[d];
+        runLen = 1;
+      }
+    }
+    invalidateTokenIndex_();
+
+    logEvent_(traceId, '', '', 'TOKENS_ARCHIVED', {
+      archived: picked.length,
+      afterDays: afterDays,
+      tabs: tabs,
+      guardKeys: guardKeys,
+      archiveSheetId: archiveSs.getId(),
+      more: more
+    });
+
+    return { ok: true, archived: picked.length, scanned: data.length, tabs: tabs, guardKeys: guardKeys, more: more, dryRun: false };
+  } catch (e) {
+    logEvent_(traceId, '', '', 'TOKENS_ARCHIVE_FAILED', { error: String(e) });
+    return { ok: false, error: String(e), code: 'ARCHIVE_FAILED' };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Scheduled runner (time-based trigger target).
+ */
+function archiveTerminalTokensScheduled_() {
+  return withLogBatch_(function() { return archiveTerminalTokens_({}); });
+}
+
+/**
+ * Latest archived guard row for a Brand + Email + Text For Email key.
+ * @param {Spreadsheet} ss - Spreadsheet holding TOKENS (guard tab lives beside it)
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email
+ * @param {string} textForEmail - Text For Email
+ * @returns {Array<{rowNumber:number, values:Array, idx:Object}>} Matching guard rows (normally 0 or 1)
+ */
+function findArchivedInviteRows_(ss, brand, email, textForEmail) {
+  var sheet = ss ? ss.getSheetByName(TOKEN_ARCHIVE_GUARD_TAB) : null;
+  if (!sheet) return [];
+  var repo = openTokenRepo_(sheet);
+  var rows = findCandidateTokenRows_(repo, brand, email, textForEmail);
+  for (var i = 0; i < rows.length; i++) rows[i].idx = repo.idx;
+  return rows;
+}
+
+// ===========================================================================
+// HELPERS
+// ===========================================================================
+
+/**
+ * Append rows to an archive tab, aligning columns by header name.
+ */
+function appendArchiveRows_(ss, tabName, sourceHeaders, rows) {
+  var sheet = ss.getSheetByName(tabName);
+  if (!sheet) {
+    sheet = ss.insertSheet(tabName);
+    sheet.getRange(1, 1, 1, sourceHeaders.length).setValues([sourceHeaders]);
+    sheet.getRange(1, 1, 1, sourceHeaders.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  var lastCol = sheet.getLastColumn();
+  var targetHeaders = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(function(h) { return String(h || '').trim(); }) : [];
+  for (var h = 0; h < sourceHeaders.length; h++) {
+    if (targetHeaders.indexOf(sourceHeaders[h]) === -1) {
+      targetHeaders.push(sourceHeaders[h]);
+      sheet.getRange(1, targetHeaders.length).setValue(sourceHeaders[h]);
+    }
+  }
+
+  var out = [];
+  for (var r = 0; r < rows.length; r++) {
+    var line = [];
+    for (var c = 0; c < targetHeaders.length; c++) {
+      var from = sourceHeaders.indexOf(targetHeaders[c]);
+      line.push(from === -1 ? '' : rows[r][from]);
+    }
+    out.push(line);
+  }
+  sheet.getRange(sheet.getLastRow() + 1, 1, out.length, targetHeaders.length).setValues(out);
+}
+
+/**
+ * Keep the newest archived row per key in TOKENS_ARCHIVE_GUARD.
+ * @returns {number} Number of keys written
+ */
+function upsertArchiveGuard_(repo, picked) {
+  var idx = repo.idx;
+  if (idx['Brand'] === undefined || idx['Text For Email'] === undefined) return 0;
+
+  // Newest picked row per key
+  var latest = {};
+  var order = [];
+  for (var i = 0; i < picked.length; i++) {
+    var row = picked[i].values;
+    var hashHex = '';
+    if (idx['Email Hash'] !== undefined) hashHex = tokenRepoHashCellToHex_(row[idx['Email Hash']]);
+    if (!hashHex && idx['Email'] !== undefined) {
+      var rawEmail = normalizeEmailKey_(row[idx['Email']]);
+      if (rawEmail.indexOf('@') !== -1 && rawEmail.indexOf('*') === -1) hashHex = computeEmailHashHex_(rawEmail);
+    }
+    var brand = normalizeBrandKey_(row[idx['Brand']]);
+    if (!hashHex || !brand) continue;
+
+    var key = tokenRepoGroupKey_(brand, hashHex, row[idx['Text For Email']]);
+    var entry = {
+      brand: brand,
+      hashHex: hashHex,
+      text: String(row[idx['Text For Email']] || ''),
+      createdMs: tokenArchiveToMs_(idx['Created At'] !== undefined ? row[idx['Created At']] : ''),
+      values: [
+        idx['Token'] !== undefined ? row[idx['Token']] : '',
+        hashHex,
+        String(row[idx['Text For Email']] || ''),
+        brand,
+        String(row[idx['Status']] || '').trim().toUpperCase(),
+        idx['Locked'] !== undefined ? row[idx['Locked']] : '',
+        idx['Created At'] !== undefined ? row[idx['Created At']] : '',
+        picked[i].tab,
+        new Date()
+      ]
+    };
+    var prev = latest[key];
+    if (!prev) order.push(key);
+    // Rows are in sheet order, so ties (or missing Created At) resolve to the later row
+    if (!prev || !(entry.createdMs < prev.createdMs)) latest[key] = entry;
+  }
+  if (!order.length) return 0;
+
+  var ss = repo.sheet.getParent();
+  var guard = ss.getSheetByName(TOKEN_ARCHIVE_GUARD_TAB);
+  if (!guard) {
+    guard = ss.insertSheet(TOKEN_ARCHIVE_GUARD_TAB);
+    guard.getRange(1, 1, 1, TOKEN_ARCHIVE_GUARD_HEADERS.length).setValues([TOKEN_ARCHIVE_GUARD_HEADERS]);
+    guard.getRange(1, 1, 1, TOKEN_ARCHIVE_GUARD_HEADERS.length).setFontWeight('bold');
+    guard.setFrozenRows(1);
+  }
+
+  var guardRepo = openTokenRepo_(guard);
+  var appends = [];
+  for (var k = 0; k < order.length; k++) {
+    var e = latest[order[k]];
+    var existing = findTokenRowsByEmailHash_(guardRepo, e.brand, e.hashHex, e.text);
+    if (existing.length) {
+      var current = existing[existing.length - 1];
+      var currentMs = tokenArchiveToMs_(current.values[guardRepo.idx['Created At']]);
+      if (e.createdMs < currentMs) continue; // guard already holds a newer row
+      guard.getRange(current.rowNumber, 1, 1, TOKEN_ARCHIVE_GUARD_HEADERS.length).setValues([e.values]);
+    } else {
+      appends.push(e.values);
+    }
+  }
+  if (appends.length) {
+    guard.getRange(guard.getLastRow() + 1, 1, appends.length, TOKEN_ARCHIVE_GUARD_HEADERS.length).setValues(appends);
+  }
+  return order.length;
+}
+
+function tokenArchiveLastActivityMs_(row, idx) {
+  var best = NaN;
+  var cols = ['Created At', 'Expiry', 'Used At'];
+  for (var c = 0; c < cols.length; c++) {
+    if (idx[cols[c]] === undefined) continue;
+    var ms = tokenArchiveToMs_(row[idx[cols[c]]]);
+    if (isFinite(ms) && (!isFinite(best) || ms > best)) best = ms;
+  }
+  return best;
+}
+
+function tokenArchiveToMs_(v) {
+  if (!v) return NaN;
+  var ms = (Object.prototype.toString.call(v) === '[object Date]') ? v.getTime() : new Date(v).getTime();
+  return isFinite(ms) ? ms : NaN;
+}
+
+function tokenArchiveTabName_(ms) {
+  var d = new Date(ms);
+  return TOKEN_ARCHIVE_TAB_PREFIX + d.getFullYear() + '_' + ('0' + (d.getMonth() + 1)).slice(-2);
+}
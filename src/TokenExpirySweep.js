@@ -0,0 +1,142 @@
+/**
+ * TokenExpirySweep.gs
+ * Scheduled transition of stale TOKENS rows to EXPIRED.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * Expiry is otherwise only applied when a token is read, so rows stay
+ * PENDING/ISSUED/CONFIRMED/VERIFIED long after their Expiry. The sweeper
+ * scans TOKENS in chunks under the script lock and writes EXPIRED to runs of
+ * expired rows with one setValues per run; rows in between are never
+ * rewritten. A run stops at TOKEN_SWEEP_MAX_MS_PER_RUN and the next one
+ * resumes from the row in TOKEN_SWEEP_CURSOR. Rows deleted by the archive
+ * between runs may shift a few rows past the cursor; the next full pass
+ * picks them up.
+ */
+
+var TOKEN_SWEEP_STATUSES = ['PENDING', 'ISSUED', 'CONFIRMED', 'VERIFIED'];
+var TOKEN_SWEEP_CURSOR_KEY = 'TOKEN_SWEEP_CURSOR';
+var TOKEN_SWEEP_CHUNK_ROWS = 500;
+var TOKEN_SWEEP_MAX_MS_PER_RUN = 270000; // ~4.5 minutes, well inside the 6 minute limit
+
+/**
+ * Mark expired open rows as EXPIRED, resuming from the stored cursor.
+ * @param {Object=} opts
+ * @param {boolean=} opts.dryRun - Count what would change without writing or moving the cursor
+ * @param {number=} opts.limit - Max rows to scan this run (default: until the end or the time guard)
+ * @param {boolean=} opts.restart - Start from the first row instead of the cursor
+ * @returns {Object} { ok, expired, scanned, byBrand, fromRow, nextRow, complete, timeGuard, dryRun } or { ok:false, error, code }
+ */
+function sweepExpiredTokens_(opts) {
+  opts = opts || {};
+  var traceId = generateTraceId_();
+  var dryRun = opts.dryRun === true;
+  var limit = Number(opts.limit) > 0 ? Number(opts.limit) : Infinity;
+  var runStart = Date.now();
+  var props = PropertiesService.getScriptProperties();
+
+  var repo = openTokenRepo_();
+  if (!repo) {
+    return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+  }
+  if (repo.idx['Status'] === undefined || repo.idx['Expiry'] === undefined) {
+    return { ok: false, error: 'TOKENS is missing the Status or Expiry header', code: 'MISSING_HEADER' };
+  }
+
+  var fromRow = opts.restart ? 2 : Number(props.getProperty(TOKEN_SWEEP_CURSOR_KEY) || 2);
+  if (!isFinite(fromRow) || fromRow < 2 || fromRow > repo.lastRow) fromRow = 2;
+
+  var result = { ok: true, expired: 0, scanned: 0, byBrand: {}, fromRow: fromRow, nextRow: fromRow, complete: false, timeGuard: false, dryRun: dryRun };
+  var nextRow = fromRow;
+  while (true) {
+    if (result.scanned >= limit) break;
+    if (Date.now() - runStart > TOKEN_SWEEP_MAX_MS_PER_RUN) { result.timeGuard = true; break; }
+
+    var chunk = sweepTokenChunk_(nextRow, Math.min(TOKEN_SWEEP_CHUNK_ROWS, limit - result.scanned), dryRun);
+    if (!chunk.ok) {
+      result.lockTimeout = chunk.code === 'LOCK_TIMEOUT';
+      if (!result.lockTimeout) return chunk;
+      break;
+    }
+    result.scanned += chunk.scanned;
+    result.expired += chunk.expired;
+    for (var brand in chunk.byBrand) {
+      result.byBrand[brand] = (result.byBrand[brand] || 0) + chunk.byBrand[brand];
+    }
+    nextRow += chunk.scanned;
+    if (chunk.end) { result.complete = true; nextRow = 2; break; }
+  }
+  result.nextRow = nextRow;
+
+  if (dryRun) return result;
+  props.setProperty(TOKEN_SWEEP_CURSOR_KEY, String(nextRow));
+
+  for (var b in result.byBrand) {
+    logEvent_(traceId, b, '', 'TOKENS_EXPIRED', { count: result.byBrand[b] });
+  }
+  if (result.expired || result.timeGuard || result.lockTimeout) {
+    logEvent_(traceId, '', '', 'TOKEN_SWEEP_COMPLETE', {
+      expired: result.expired, scanned: result.scanned, fromRow: fromRow, nextRow: nextRow,
+      complete: result.complete, timeGuard: result.timeGuard, lockTimeout: !!result.lockTimeout,
+      elapsedSec: Math.round((Date.now() - runStart) / 1000)
+    });
+  }
+  return result;
+}
+
+/**
+ * Trigger entry point (installExpirySweepTrigger).
+ */
+function sweepExpiredTokensScheduled_() {
+  return withLogBatch_(function() { return sweepExpiredTokens_({}); });
+}
+
+/**
+ * Sweep one chunk of TOKENS rows under the script lock. The chunk is read and
+ * written while the lock is held, so a token changed by a redirect or an OTP
+ * check is never overwritten with stale values.
+ * @param {number} startRow - First sheet row (1-based, ≥ 2)
+ * @param {number} maxRows - Max rows in the chunk
+ * @param {boolean} dryRun - Count only
+ * @returns {Object} { ok, scanned, expired, byBrand, end } or { ok:false, error, code }
+ */
+function sweepTokenChunk_(startRow, maxRows, dryRun) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    return { ok: false, error: 'System busy. Please try again.', code: 'LOCK_TIMEOUT' };
+  }
+  try {
+    var repo = openTokenRepo_();
+    if (startRow > repo.lastRow) return { ok: true, scanned: 0, expired: 0, byBrand: {}, end: true };
+    var count = Math.min(maxRows, repo.lastRow - startRow + 1);
+    var idx = repo.idx;
+    var data = repo.sheet.getRange(startRow, 1, count, repo.lastCol).getValues();
+    var nowMs = Date.now();
+
+    var expired = [];
+    var byBrand = {};
+    for (var i = 0; i < data.length; i++) {
+      var status = String(data[i][idx['Status']] || '').trim().toUpperCase();
+      if (TOKEN_SWEEP_STATUSES.indexOf(status) === -1) continue;
+      var expiryMs = tokenArchiveToMs_(data[i][idx['Expiry']]);
+      if (!isFinite(expiryMs) || expiryMs > nowMs) continue;
+      expired.push(i);
+      var brand = String(data[i][idx['Brand']] || '').toUpperCase().trim() || 'UNKNOWN';
+      byBrand[brand] = (byBrand[brand] || 0) + 1;
+    }
+
+    if (!dryRun) {
+      for (var r = 0; r < expired.length; r++) {
+        var runLen = 1;
+        while (r + runLen < expired.length && expired[r + runLen] === expired[r] + runLen) runLen++;
+        var values = [];
+        for (var v = 0; v < runLen; v++) values.push([TOKEN_STATUS.EXPIRED]);
+        repo.sheet.getRange(startRow + expired[r], idx['Status'] + 1, runLen, 1).setValues(values);
+        r += runLen - 1;
+      }
+    }
+
+    return { ok: true, scanned: count, expired: expired.length, byBrand: byBrand, end: startRow + count > repo.lastRow };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * TokenReminder.gs
+ * Scheduled reminders for booking links that are about to expire unused.
+ * CrewLife Interview Bookings Uniform Core
+ *
+ * ISSUED (invite) and VERIFIED (booking email) tokens without a Used At that
+ * expire within REMINDER_BEFORE_HOURS get a reminder with their original
+ * link, at most REMINDER_MAX per token and REMINDER_INTERVAL_HOURS apart.
+ * Counts are kept on the TOKENS row (Reminder Count, Last Reminder At;
+ * added when missing). Invite rows only hold a masked email, so their
+ * recipient is found in the brand's Smartsheet by Email Hash + Text For Email.
+ * Recruiters can also remind one candidate at once with SEND = "Remind"
+ * (sendManualReminder_, SmartsheetWorker.gs).
+ */
+
+var REMINDER_MIN_REMAINING_MINUTES = 15;   // a link that dies before it is read is noise
+var REMINDER_MAX_PER_RUN = 100;
+var REMINDER_QUOTA_RESERVE = 20;           // MailApp quota left for invites and OTPs
+var REMINDER_STATUSES = ['ISSUED', 'VERIFIED'];
+var REMINDER_MANUAL_STATUSES = ['PENDING', 'ISSUED', 'CONFIRMED', 'VERIFIED'];
+
+/**
+ * Send reminders for unused links close to expiry.
+ * @param {Object=} opts
+ * @param {boolean=} opts.dryRun - Report who would get a reminder without sending
+ * @param {number=} opts.limit - Max reminders this run (default 100)
+ * @returns {Object} { ok, due, sent, failed, noRecipient, more, dryRun, reminders? } or { ok:false, error, code }
+ */
+function sendExpiryReminders_(opts) {
+  opts = opts || {};
+  var cfg = getConfig_();
+  var traceId = generateTraceId_();
+  var dryRun = opts.dryRun === true;
+  var limit = Number(opts.limit) > 0 ? Number(opts.limit) : REMINDER_MAX_PER_RUN;
+  var summary = { ok: true, due: 0, sent: 0, failed: 0, noRecipient: 0, more: false, dryRun: dryRun };
+  if (cfg.REMINDER_MAX < 1) return summary;
+
+  var repo = openTokenRepo_();
+  if (!repo) {
+    return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+  }
+  if (repo.idx['Status'] === undefined || repo.idx['Expiry'] === undefined || repo.idx['Token'] === undefined) {
+    return { ok: false, error: 'TOKENS is missing the Token, Status or Expiry header', code: 'MISSING_HEADER' };
+  }
+  if (repo.lastRow < 2) return summary;
+
+  var due = findDueReminders_(repo, cfg, Date.now());
+  summary.due = due.length;
+  if (dryRun) {
+    summary.reminders = due.slice(0, limit).map(function(d) {
+      return { brand: d.brand, textForEmail: d.textForEmail, status: d.status, reminder: d.count + 1, expiry: new Date(d.expiryMs).toISOString() };
+    });
+    summary.more = due.length > limit;
+    return summary;
+  }
+  if (due.length === 0) return summary;
+
+  var columns = ensureReminderColumns_();
+  var recipients = {};   // brand → { hash|text → email }, built once per run
+  for (var i = 0; i < due.length; i++) {
+    if (summary.sent + summary.failed >= limit || getEmailQuota_() <= REMINDER_QUOTA_RESERVE) {
+      summary.more = true;
+      break;
+    }
+    var d = due[i];
+    var email = d.email || findReminderRecipient_(d, recipients);
+    if (!email) {
+      summary.noRecipient++;
+      logEvent_(traceId, d.brand, '', 'REMINDER_SKIPPED', { token: d.token.substring(0, 8) + '...', reason: 'Recipient not found in Smartsheet' });
+      continue;
+    }
+    var result = sendReminderForToken_(d, email, columns, cfg, traceId);
+    if (result.sent) summary.sent++;
+    else if (result.error) summary.failed++;
+  }
+
+  if (summary.sent || summary.failed) {
+    logEvent_(traceId, '', '', 'REMINDER_RUN_COMPLETE', {
+      due: summary.due, sent: summary.sent, failed: summary.failed, noRecipient: summary.noRecipient, more: summary.more
+    });
+  }
+  return summary;
+}
+
+/**
+ * Trigger entry point (installReminderTrigger).
+ */
+function sendExpiryRemindersScheduled_() {
+  return withLogBatch_(function() { return sendExpiryReminders_({}); });
+}
+
+/**
+ * TOKENS rows due a reminder, soonest expiry first
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {Object} cfg - getConfig_()
+ * @param {number} nowMs - Current time
+ * @returns {Array<Object>} { token, brand, email ('' when masked), emailHash, textForEmail, clCode, status, expiryMs, count }
+ */
+function findDueReminders_(repo, cfg, nowMs) {
+  var idx = repo.idx;
+  var data = repo.sheet.getRange(2, 1, repo.lastRow - 1, repo.lastCol).getValues();
+  var windowMs = cfg.REMINDER_BEFORE_HOURS * 60 * 60 * 1000;
+  var intervalMs = cfg.REMINDER_INTERVAL_HOURS * 60 * 60 * 1000;
+  var due = [];
+  for (var i = 0; i < data.length; i++) {
+    var row = data[i];
+    var status = String(row[idx['Status']] || '').trim().toUpperCase();
+    if (REMINDER_STATUSES.indexOf(status) === -1) continue;
+    if (idx['Used At'] !== undefined && row[idx['Used At']]) continue;
+
+    var expiryMs = tokenArchiveToMs_(row[idx['Expiry']]);
+    var leftMs = expiryMs - nowMs;
+    if (!isFinite(expiryMs) || leftMs < REMINDER_MIN_REMAINING_MINUTES * 60 * 1000 || leftMs > windowMs) continue;
+
+    var count = idx['Reminder Count'] !== undefined ? Number(row[idx['Reminder Count']]) || 0 : 0;
+    if (count >= cfg.REMINDER_MAX) continue;
+    var lastMs = idx['Last Reminder At'] !== undefined ? tokenArchiveToMs_(row[idx['Last Reminder At']]) : NaN;
+    if (isFinite(lastMs) && nowMs - lastMs < intervalMs) continue;
+
+    var brand = String(row[idx['Brand']] || '').toUpperCase().trim();
+    if (!getBrand_(brand)) continue;
+    var email = idx['Email'] !== undefined ? String(row[idx['Email']] || '').toLowerCase().trim() : '';
+    var textForEmail = String(row[idx['Text For Email']] || '').trim();
+    due.push({
+      token: String(row[idx['Token']] || ''),
+      brand: brand,
+      email: isValidEmail_(email) && email.indexOf('*') === -1 ? email : '',
+      emailHash: idx['Email Hash'] !== undefined ? String(row[idx['Email Hash']] || '') : '',
+      textForEmail: textForEmail,
+      clCode: bookingSyncClCode_(row, idx, textForEmail),
+      status: status,
+      expiryMs: expiryMs,
+      count: count
+    });
+  }
+  due.sort(function(a, b) { return a.expiryMs - b.expiryMs; });
+  return due;
+}
+
+/**
+ * Add the Reminder Count / Last Reminder At headers to TOKENS when missing
+ * @returns {{count:number, last:number}} 1-based column numbers
+ */
+function ensureReminderColumns_() {
+  var repo = openTokenRepo_();
+  var next = repo.lastCol;
+  var cols = {};
+  [['count', 'Reminder Count'], ['last', 'Last Reminder At']].forEach(function(pair) {
+    if (repo.idx[pair[1]] === undefined) {
+      next++;
+      repo.sheet.getRange(1, next).setValue(pair[1]);
+      cols[pair[0]] = next;
+    } else {
+      cols[pair[0]] = repo.idx[pair[1]] + 1;
+    }
+  });
+  return cols;
+}
+
+/**
+ * Candidate email for an invite row that stores only a masked email. The
+ * brand's sheets are fetched once per run and matched on Email Hash and
+ * Text For Email.
+ * @param {Object} due - From findDueReminders_
+ * @param {Object} recipients - Per-run cache by brand
+ * @returns {string} Email or ''
+ */
+function findReminderRecipient_(due, recipients) {
+  if (!due.emailHash) return '';
+  if (!recipients[due.brand]) {
+    var map = recipients[due.brand] = {};
+    var apiToken = getConfig_().SMARTSHEET_API_TOKEN;
+    var brandInfo = getBrand_(due.brand);
+    var emailTitle = String(brandInfo.emailColumn || 'Email').toLowerCase();
+    var textTitle = String(brandInfo.textForEmailColumn || 'Text For Email').toLowerCase();
+    getSmartsheetIdsForBrand_(due.brand).forEach(function(sheetId) {
+      var sheet = apiToken ? fetchSmartsheet_(sheetId, apiToken) : { ok: false };
+      if (!sheet.ok) return;
+      var emailCol = null;
+      var textCol = null;
+      sheet.columns.forEach(function(col) {
+        var title = String(col.title || '').toLowerCase().trim();
+        if (title === emailTitle) emailCol = col.id;
+        if (title === textTitle) textCol = col.id;
+      });
+      if (!emailCol || !textCol) return;
+      sheet.rows.forEach(function(row) {
+        var email = '';
+        var text = '';
+        (row.cells || []).forEach(function(cell) {
+          if (cell.columnId === emailCol) email = getSmartsheetCellString_(cell).toLowerCase().trim();
+          if (cell.columnId === textCol) text = getSmartsheetCellString_(cell);
+        });
+        if (!isValidEmail_(email)) return;
+        var key = computeEmailHashHex_(email) + '|' + normalizeTextForEmailForBrandMatch_(text, due.brand);
+        if (!map[key]) map[key] = email;
+      });
+    });
+  }
+  return recipients[due.brand][tokenRepoHashCellToHex_(due.emailHash) + '|' + normalizeTextForEmailForBrandMatch_(due.textForEmail, due.brand)] || '';
+}
+
+/**
+ * Remind one candidate now (SEND column "Remind"). The latest open link for
+ * the brand + email + Text For Email is emailed again; REMINDER_MAX and the
+ * interval do not apply, but the reminder is counted on the row.
+ * @param {Object} params - { brand, email, textForEmail, traceId, candidateName?, lang? }
+ * @returns {{ok:boolean, token?:string, error?:string, code?:string}}
+ */
+function sendManualReminder_(params) {
+  var brand = String(params.brand || '').toUpperCase().trim();
+  var email = String(params.email || '').toLowerCase().trim();
+  var textForEmail = String(params.textForEmail || '').trim();
+  var repo = openTokenRepo_();
+  if (!repo) {
+    return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
+  }
+
+  var latest = findOpenLinkForReminder_(repo, brand, email, textForEmail);
+  if (!latest) {
+    return { ok: false, error: 'No active link for this candidate and position', code: 'NO_ACTIVE_LINK' };
+  }
+
+  var due = {
+    token: String(latest.values[repo.idx['Token']]),
+    brand: brand,
+    textForEmail: textForEmail,
+    clCode: bookingSyncClCode_(latest.values, repo.idx, textForEmail),
+    expiryMs: latest.expiryMs,
+    candidateName: params.candidateName,
+    lang: params.lang
+  };
+  var result = sendReminderForToken_(due, email, ensureReminderColumns_(), getConfig_(), params.traceId || generateTraceId_(), true);
+  if (result.sent) return { ok: true, token: due.token };
+  if (result.error) return { ok: false, error: result.error, code: result.error === 'LOCK_TIMEOUT' ? 'LOCK_TIMEOUT' : 'EMAIL_FAILED' };
+  return { ok: false, error: 'No active link for this candidate and position', code: 'NO_ACTIVE_LINK' };
+}
+
+/**
+ * Latest unused, unexpired link for a brand + email + Text For Email.
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {string} brand - Brand code (upper case)
+ * @param {string} email - Candidate email (lower case)
+ * @param {string} textForEmail - Text For Email
+ * @returns {Object|null} { rowNumber, values, expiryMs }
+ */
+function findOpenLinkForReminder_(repo, brand, email, textForEmail) {
+  var idx = repo.idx;
+  var emailHashHex = computeEmailHashHex_(email);
+  var latest = null;
+  findCandidateTokenRows_(repo, brand, email, textForEmail).forEach(function(found) {
+    var row = found.values;
+    var sameEmail = String(row[idx['Email']] || '').toLowerCase().trim() === email ||
+      (idx['Email Hash'] !== undefined && tokenRepoHashCellToHex_(row[idx['Email Hash']]) === emailHashHex);
+    if (!sameEmail || String(row[idx['Brand']] || '').toUpperCase().trim() !== brand) return;
+    if (normalizeTextKey_(row[idx['Text For Email']]) !== normalizeTextKey_(textForEmail)) return;
+    var status = String(row[idx['Status']] || '').trim().toUpperCase();
+    if (REMINDER_MANUAL_STATUSES.indexOf(status) === -1) return;
+    if (idx['Used At'] !== undefined && row[idx['Used At']]) return;
+    if (!latest || found.rowNumber > latest.rowNumber) latest = found;
+  });
+  if (!latest) return null;
+
+  var expiryMs = tokenArchiveToMs_(latest.values[idx['Expiry']]);
+  if (!isFinite(expiryMs) || expiryMs - Date.now() < REMINDER_MIN_REMAINING_MINUTES * 60 * 1000) return null;
+  return { rowNumber: latest.rowNumber, values: latest.values, expiryMs: expiryMs };
+}
+
+/**
+ * Send one reminder under the script lock: the row is re-read so a link
+ * used or reminded in the meantime is skipped, and the count is written
+ * right after the send.
+ * @param {Object} due - From findDueReminders_ (or sendManualReminder_)
+ * @param {string} email - Recipient
+ * @param {{count:number, last:number}} columns - From ensureReminderColumns_
+ * @param {Object} cfg - getConfig_()
+ * @param {string} traceId - Trace ID
+ * @param {boolean=} manual - Recruiter request: any open status, no count or interval limits
+ * @returns {{sent:boolean, error?:string}}
+ */
+function sendReminderForToken_(due, email, columns, cfg, traceId, manual) {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return { sent: false, error: 'LOCK_TIMEOUT' };
+  try {
+    var repo = openTokenRepo_();
+    var found = findTokenRow_(repo, due.token);
+    if (!found) return { sent: false };
+    var row = found.values;
+    var status = String(row[repo.idx['Status']] || '').trim().toUpperCase();
+    var count = Number(row[columns.count - 1]) || 0;
+    var lastMs = tokenArchiveToMs_(row[columns.last - 1]);
+    var statuses = manual ? REMINDER_MANUAL_STATUSES : REMINDER_STATUSES;
+    if (statuses.indexOf(status) === -1 || (repo.idx['Used At'] !== undefined && row[repo.idx['Used At']])) return { sent: false };
+    if (!manual && (count >= cfg.REMINDER_MAX || (isFinite(lastMs) && Date.now() - lastMs < cfg.REMINDER_INTERVAL_HOURS * 60 * 60 * 1000))) return { sent: false };
+
+    var result = sendReminderEmail_({
+      email: email,
+      brand: due.brand,
+      token: due.token,
+      textForEmail: due.textForEmail,
+      clCode: due.clCode,
+      hoursLeft: (due.expiryMs - Date.now()) / (60 * 60 * 1000),
+      reminderNumber: count + 1,
+      candidateName: due.candidateName,
+      lang: due.lang,
+      traceId: traceId
+    });
+    if (!result.ok) return { sent: false, error: result.error };
+
+    repo.sheet.getRange(found.rowNumber, columns.count).setValue(count + 1);
+    repo.sheet.getRange(found.rowNumber, columns.last).setValue(new Date());
+    return { sent: true };
+  } finally {
+    lock.releaseLock();
+  }
+}
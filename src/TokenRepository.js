@@ -0,0 +1,351 @@
+/**
+ * TokenRepository.gs
+ * Indexed read access to the TOKENS tab.
+ *
+ * Keeps two lookups so callers read only the rows they need instead of
+ * scanning the whole tab:
+ *   - token            -> sheet row
+ *   - brand|email|text -> sheet rows (plus brand|email -> rows for history)
+ *
+ * The index lives in CacheService (chunked JSON) and is keyed by spreadsheet
+ * id + TOKENS sheet gid + the TOKENS_INDEX_VERSION script property. Appended
+ * rows are picked up incrementally by comparing getLastRow(); a shrunk tab, a
+ * different token in the last indexed row or a recreated tab trigger a
+ * rebuild. Callers re-check the row values they read.
+ *
+ * The archive deletes TOKENS rows, so a row number is only good while the
+ * script lock is held. Code that writes to a row it looked up does both under
+ * withTokenWriteLock_.
+ * CrewLife Interview Bookings Uniform Core
+ */
+
+var TOKEN_REPO_CACHE_PREFIX = 'TOKREPO_';
+var TOKEN_REPO_CACHE_TTL_SEC = 21600; // CacheService maximum (6h)
+var TOKEN_REPO_CHUNK_CHARS = 30000;   // keeps each cache value < 100KB even for multi-byte text
+var TOKEN_REPO_EMAIL_KEY_LEN = 16;    // hex chars of SHA-256 kept in index keys
+
+// Per-execution copies of loaded indexes by sheet key (globals reset on every Apps Script run)
+var tokenRepoMemo_ = {};
+
+/**
+ * Open the TOKENS tab (or another tab with the same key headers) and read its header row.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet=} sheet - Optional sheet (defaults to the config TOKENS tab)
+ * @returns {Object|null} { sheet, headers, idx, lastRow, lastCol } or null when the tab is missing
+ */
+function openTokenRepo_(sheet) {
+  if (!sheet) {
+    var ss = getConfigSheet_();
+    sheet = ss.getSheetByName('TOKENS');
+  }
+  if (!sheet) return null;
+
+  var lastRow = sheet.getLastRow();
+  var lastCol = sheet.getLastColumn();
+  var headers = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+  headers = headers.map(function(h) { return String(h || '').trim(); });
+
+  var idx = {};
+  for (var h = 0; h < headers.length; h++) {
+    if (headers[h] && idx[headers[h]] === undefined) idx[headers[h]] = h;
+  }
+
+  return { sheet: sheet, headers: headers, idx: idx, lastRow: lastRow, lastCol: lastCol };
+}
+
+/**
+ * Find the row holding a token.
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {string} token - Token string
+ * @returns {Object|null} { rowNumber, values } (rowNumber is 1-based sheet row) or null
+ */
+function findTokenRow_(repo, token) {
+  token = String(token || '');
+  if (!repo || !token || repo.lastRow < 2 || repo.idx['Token'] === undefined) return null;
+
+  for (var attempt = 0; attempt < 2; attempt++) {
+    var index = loadTokenIndex_(repo, attempt > 0);
+    var rowNumber = index.tokens[token];
+    if (!rowNumber) return null;
+
+    var rows = readTokenRows_(repo, [rowNumber]);
+    if (rows.length && String(rows[0].values[repo.idx['Token']]) === token) return rows[0];
+
+    Logger.log('[TokenRepository] Stale index for token %s... at row %s, rebuilding', token.substring(0, 8), rowNumber);
+  }
+  return null;
+}
+
+/**
+ * Find the rows for a candidate, in sheet order.
+ * Rows are matched on Brand + (Email or Email Hash) and, when given, Text For Email.
+ * The returned rows are candidates only: callers still compare values themselves.
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {string} brand - Brand code
+ * @param {string} email - Candidate email (plain text)
+ * @param {string=} textForEmail - Optional Text For Email; omit to get every position
+ * @returns {Array<{rowNumber:number, values:Array}>}
+ */
+function findCandidateTokenRows_(repo, brand, email, textForEmail) {
+  return findTokenRowsByEmailHash_(repo, brand, computeEmailHashHex_(email), textForEmail);
+}
+
+/**
+ * Same as findCandidateTokenRows_ for callers that only hold the email hash.
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {string} brand - Brand code
+ * @param {string} emailHash - SHA-256 of the normalized email (hex or base64)
+ * @param {string=} textForEmail - Optional Text For Email
+ * @returns {Array<{rowNumber:number, values:Array}>}
+ */
+function findTokenRowsByEmailHash_(repo, brand, emailHash, textForEmail) {
+  if (!repo || repo.lastRow < 2) return [];
+  var emailKey = tokenRepoEmailKey_(tokenRepoHashCellToHex_(emailHash));
+  if (!emailKey || !normalizeBrandKey_(brand)) return [];
+
+  var index = loadTokenIndex_(repo, false);
+  var rowNumbers;
+  if (textForEmail === undefined || textForEmail === null) {
+    rowNumbers = index.candidates[tokenRepoCandidateKey_(brand, emailKey)] || [];
+  } else {
+    rowNumbers = index.groups[tokenRepoGroupKey_(brand, emailKey, textForEmail)] || [];
+  }
+  return readTokenRows_(repo, rowNumbers);
+}
+
+/**
+ * Run fn under the script lock so TOKENS row numbers cannot move between a
+ * lookup and a write. A caller that already holds the lock keeps it.
+ * @param {function(): Object} fn - Looks up and writes rows
+ * @returns {Object} fn's result, or { ok:false, error, code:'LOCK_TIMEOUT' }
+ */
+function withTokenWriteLock_(fn) {
+  var lock = LockService.getScriptLock();
+  if (lock.hasLock()) return fn();
+  if (!lock.tryLock(10000)) {
+    return { ok: false, error: 'System busy. Please try again.', code: 'LOCK_TIMEOUT' };
+  }
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Drop the cached index (all executions). Call after deleting, sorting or
+ * otherwise moving TOKENS rows outside the normal append path.
+ */
+function invalidateTokenIndex_() {
+  var props = PropertiesService.getScriptProperties();
+  var next = Number(props.getProperty('TOKENS_INDEX_VERSION') || 0) + 1;
+  props.setProperty('TOKENS_INDEX_VERSION', String(next));
+  tokenRepoMemo_ = {};
+  Logger.log('[TokenRepository] Index invalidated (version %s)', next);
+}
+
+// ===========================================================================
+// INDEX MAINTENANCE
+// ===========================================================================
+
+/**
+ * Return an index covering every row up to repo.lastRow.
+ * @param {Object} repo - Result of openTokenRepo_()
+ * @param {boolean} forceRebuild - Ignore cached copies and rescan the tab
+ * @returns {Object} index
+ */
+function loadTokenIndex_(repo, forceRebuild) {
+  var version = PropertiesService.getScriptProperties().getProperty('TOKENS_INDEX_VERSION') || '0';
+  var sheetKey = repo.sheet.getParent().getId() + ':' + repo.sheet.getSheetId();
+  var index = null;
+
+  if (!forceRebuild) {
+    var memo = tokenRepoMemo_ ? tokenRepoMemo_[sheetKey] : null;
+    index = (memo && memo.version === version) ? memo : readTokenIndexCache_(sheetKey, version);
+  }
+
+  if (index && repo.lastRow < index.lastRow) {
+    index = null; // rows were deleted
+  }
+
+  // Rows deleted and re-appended since the index was built shift the last indexed row
+  if (index && index.lastRow >= 2 && repo.idx['Token'] !== undefined) {
+    var tail = repo.sheet.getRange(index.lastRow, repo.idx['Token'] + 1).getValue();
+    if (String(tail || '') !== index.tailToken) index = null;
+  }
+
+  if (index && repo.lastRow > index.lastRow) {
+    indexTokenRows_(repo, index, index.lastRow + 1, repo.lastRow);
+    writeTokenIndexCache_(index);
+  }
+
+  if (!index) {
+    index = { version: version, sheetKey: sheetKey, lastRow: 1, tailToken: '', tokens: {}, groups: {}, candidates: {} };
+    indexTokenRows_(repo, index, 2, repo.lastRow);
+    writeTokenIndexCache_(index);
+    Logger.log('[TokenRepository] Index built: rows=%s tokens=%s', index.lastRow - 1, Object.keys(index.tokens).length);
+  }
+
+  if (!tokenRepoMemo_) tokenRepoMemo_ = {};
+  tokenRepoMemo_[sheetKey] = index;
+  return index;
+}
+
+/**
+ * Add sheet rows fromRow..toRow (inclusive) to an index.
+ */
+function indexTokenRows_(repo, index, fromRow, toRow) {
+  if (toRow < fromRow || repo.lastCol < 1) {
+    index.lastRow = Math.max(index.lastRow, toRow);
+    return;
+  }
+
+  var values = repo.sheet.getRange(fromRow, 1, toRow - fromRow + 1, repo.lastCol).getValues();
+  var idx = repo.idx;
+
+  for (var i = 0; i < values.length; i++) {
+    var row = values[i];
+    var rowNumber = fromRow + i;
+
+    if (idx['Token'] !== undefined) {
+      var token = String(row[idx['Token']] || '');
+      if (token) index.tokens[token] = rowNumber;
+    }
+
+    if (idx['Brand'] === undefined) continue;
+    var brand = row[idx['Brand']];
+    if (!normalizeBrandKey_(brand)) continue;
+    var text = idx['Text For Email'] !== undefined ? row[idx['Text For Email']] : '';
+
+    // A row can be reached through its Email Hash and, when unmasked, its Email
+    var emailKeys = [];
+    if (idx['Email Hash'] !== undefined) {
+      var fromHash = tokenRepoEmailKey_(tokenRepoHashCellToHex_(row[idx['Email Hash']]));
+      if (fromHash) emailKeys.push(fromHash);
+    }
+    if (idx['Email'] !== undefined) {
+      var rawEmail = normalizeEmailKey_(row[idx['Email']]);
+      if (rawEmail && rawEmail.indexOf('@') !== -1 && rawEmail.indexOf('*') === -1) {
+        var fromEmail = tokenRepoEmailKey_(computeEmailHashHex_(rawEmail));
+        if (emailKeys.indexOf(fromEmail) === -1) emailKeys.push(fromEmail);
+      }
+    }
+
+    for (var k = 0; k < emailKeys.length; k++) {
+      tokenRepoPush_(index.groups, tokenRepoGroupKey_(brand, emailKeys[k], text), rowNumber);
+      tokenRepoPush_(index.candidates, tokenRepoCandidateKey_(brand, emailKeys[k]), rowNumber);
+    }
+  }
+
+  index.lastRow = toRow;
+  index.tailToken = idx['Token'] !== undefined ? String(values[values.length - 1][idx['Token']] || '') : '';
+}
+
+/**
+ * Read specific sheet rows. Few rows are read one by one; otherwise the
+ * spanning block is read once.
+ * @returns {Array<{rowNumber:number, values:Array}>}
+ */
+function readTokenRows_(repo, rowNumbers) {
+  var wanted = [];
+  for (var i = 0; i < rowNumbers.length; i++) {
+    var n = Number(rowNumbers[i]);
+    if (n >= 2 && n <= repo.lastRow && wanted.indexOf(n) === -1) wanted.push(n);
+  }
+  wanted.sort(function(a, b) { return a - b; });
+  if (!wanted.length || repo.lastCol < 1) return [];
+
+  var out = [];
+  if (wanted.length <= 5) {
+    for (var j = 0; j < wanted.length; j++) {
+      out.push({ rowNumber: wanted[j], values: repo.sheet.getRange(wanted[j], 1, 1, repo.lastCol).getValues()[0] });
+    }
+    return out;
+  }
+
+  var first = wanted[0];
+  var block = repo.sheet.getRange(first, 1, wanted[wanted.length - 1] - first + 1, repo.lastCol).getValues();
+  for (var k = 0; k < wanted.length; k++) {
+    out.push({ rowNumber: wanted[k], values: block[wanted[k] - first] });
+  }
+  return out;
+}
+
+function readTokenIndexCache_(sheetKey, version) {
+  try {
+    var cache = CacheService.getScriptCache();
+    var base = TOKEN_REPO_CACHE_PREFIX + sheetKey + '_' + version;
+    var count = Number(cache.get(base + '_n') || 0);
+    if (!count) return null;
+
+    var keys = [];
+    for (var i = 0; i < count; i++) keys.push(base + '_' + i);
+    var parts = cache.getAll(keys);
+    var json = '';
+    for (var j = 0; j < keys.length; j++) {
+      if (parts[keys[j]] === undefined || parts[keys[j]] === null) return null; // a chunk was evicted
+      json += parts[keys[j]];
+    }
+    var index = JSON.parse(json);
+    return (index.version === version && index.sheetKey === sheetKey) ? index : null;
+  } catch (e) {
+    Logger.log('[TokenRepository] Cache read failed: %s', String(e));
+    return null;
+  }
+}
+
+function writeTokenIndexCache_(index) {
+  try {
+    var json = JSON.stringify(index);
+    var base = TOKEN_REPO_CACHE_PREFIX + index.sheetKey + '_' + index.version;
+    var values = {};
+    var count = 0;
+    for (var pos = 0; pos < json.length; pos += TOKEN_REPO_CHUNK_CHARS) {
+      values[base + '_' + count] = json.substring(pos, pos + TOKEN_REPO_CHUNK_CHARS);
+      count++;
+    }
+    values[base + '_n'] = String(count);
+    CacheService.getScriptCache().putAll(values, TOKEN_REPO_CACHE_TTL_SEC);
+  } catch (e) {
+    Logger.log('[TokenRepository] Cache write failed: %s', String(e));
+  }
+}
+
+// ===========================================================================
+// KEY HELPERS
+// ===========================================================================
+
+function tokenRepoEmailKey_(hashHex) {
+  return hashHex ? String(hashHex).substring(0, TOKEN_REPO_EMAIL_KEY_LEN) : '';
+}
+
+function tokenRepoGroupKey_(brand, emailKey, textForEmail) {
+  return normalizeBrandKey_(brand) + '|' + emailKey + '|' + normalizeTextKey_(textForEmail);
+}
+
+function tokenRepoCandidateKey_(brand, emailKey) {
+  return normalizeBrandKey_(brand) + '|' + emailKey;
+}
+
+/**
+ * Email Hash cells hold hex (OTP rows) or base64 (issueToken_ rows) SHA-256.
+ * @returns {string} Lower-case hex, or '' if the cell is not a SHA-256 hash
+ */
+function tokenRepoHashCellToHex_(value) {
+  var s = String(value || '').trim();
+  if (/^[0-9a-f]{64}$/i.test(s)) return s.toLowerCase();
+  if (/^[A-Za-z0-9+\/]{43}=$/.test(s)) {
+    return Utilities.base64Decode(s)
+      .map(function(b) { return ('0' + (b & 0xFF).toString(16)).slice(-2); })
+      .join('');
+  }
+  return '';
+}
+
+function tokenRepoPush_(map, key, rowNumber) {
+  var list = map[key];
+  if (!list) {
+    map[key] = [rowNumber];
+  } else if (list[list.length - 1] !== rowNumber) {
+    list.push(rowNumber);
+  }
+}
@@ -1,7 +1,7 @@
 /**
  * TokenService.gs
  * Token CRUD: issue, verify, revoke, expire.
- * Implements token state machine: ISSUED → CONFIRMED → USED
+ * Implements token state machine: ISSUED → CONFIRMED → USED (→ BOOKED, BookingSync.gs)
  * CrewLife Interview Bookings Uniform Core
  */
 
@@ -9,20 +9,17 @@ var TOKEN_STATUS = {
   ISSUED: 'ISSUED',
   CONFIRMED: 'CONFIRMED',
   USED: 'USED',
+  BOOKED: 'BOOKED',
   REVOKED: 'REVOKED',
   EXPIRED: 'EXPIRED'
 };
 
 /**
- * Generate a secure random token
+ * Generate a secure random token (256 bits, SecureRandom.gs)
  * @returns {string} Token string
  */
 function generateSecureToken_() {
-  var bytes = [];
-  for (var i = 0; i < 32; i++) {
-    bytes.push(Math.floor(Math.random() * 256));
-  }
-  return Utilities.base64EncodeWebSafe(bytes).replace(/[=]+$/, '');
+  return Utilities.base64EncodeWebSafe(secureRandomBytes_(32)).replace(/[=]+$/, '');
 }
 
 /**
@@ -35,6 +32,15 @@ function hashEmail_(email) {
   return Utilities.base64Encode(hash);
 }
 
+/**
+ * Invite link lifetime for a brand (BRAND_CONFIG "Token Expiry Hours", else TOKEN_EXPIRY_HOURS)
+ * @param {string} brand - Brand code
+ * @returns {number} Hours
+ */
+function getTokenExpiryHours_(brand) {
+  return getBrandConfigOverrides_(brand).tokenExpiryHours || getConfig_().TOKEN_EXPIRY_HOURS;
+}
+
 /**
  * Issue a new token for a candidate
  * @param {Object} params - Token parameters
@@ -54,9 +60,7 @@ function issueToken_(params) {
     sheet = ss.getSheetByName('TOKENS');
   }
   
-  var cfg = getConfig_();
-  var brandOverrides = getBrandConfigOverrides_(params.brand);
-  var expiryHours = brandOverrides.tokenExpiryHours || cfg.TOKEN_EXPIRY_HOURS;
+  var expiryHours = getTokenExpiryHours_(params.brand);
   
   var token = generateSecureToken_();
   var now = new Date();
@@ -103,7 +107,14 @@ function validateToken_(token, brand) {
   if (!token) {
     return { ok: false, error: 'Token is required', code: 'MISSING_TOKEN' };
   }
-  
+  return withTokenWriteLock_(function() { return validateTokenLocked_(token, brand); });
+}
+
+/**
+ * validateToken_ under the script lock: the row it finds is the row it writes.
+ * @returns {Object} Validation result (rowIndex is only valid while the lock is held)
+ */
+function validateTokenLocked_(token, brand) {
   var ss = getConfigSheet_();
   var sheet = ss.getSheetByName('TOKENS');
   if (!sheet) {
@@ -141,7 +152,7 @@ function validateToken_(token, brand) {
       }
       
       // Check status
-      if (status === TOKEN_STATUS.USED) {
+      if (status === TOKEN_STATUS.USED || status === TOKEN_STATUS.BOOKED) {
         return { ok: false, error: 'This link has already been used', code: 'ALREADY_USED' };
       }
       if (status === TOKEN_STATUS.REVOKED) {
@@ -193,6 +204,15 @@ function validateToken_(token, brand) {
  * @returns {Object} Confirmation result with redirect URL
  */
 function confirmTokenAndMarkUsed_(token, traceId) {
+  return withTokenWriteLock_(function() { return confirmTokenAndMarkUsedLocked_(token, traceId); });
+}
+
+/**
+ * confirmTokenAndMarkUsed_ under the script lock, so validation.rowIndex
+ * still holds the token when it is marked USED.
+ * @returns {Object} Confirmation result
+ */
+function confirmTokenAndMarkUsedLocked_(token, traceId) {
   var validation = validateToken_(token, '');
   if (!validation.ok) {
     return validation;
@@ -227,14 +247,30 @@ function confirmTokenAndMarkUsed_(token, traceId) {
 }
 
 /**
- * Revoke all active tokens for an email/brand combination
+ * Revoke active invite tokens (ISSUED, CONFIRMED) for an email/brand
+ * combination. With opts.textForEmail only that position's links are
+ * revoked, OTP rows (PENDING, VERIFIED) included; those hold a hex Email
+ * Hash and the plain email instead of the invite's base64 hash.
  * @param {string} email - Candidate email
  * @param {string} brand - Brand code
  * @param {string} traceId - Trace ID
- * @param {string} revokedBy - Admin email who revoked
+ * @param {string} revokedBy - Admin email (or worker) who revoked
+ * @param {Object=} opts
+ * @param {string=} opts.textForEmail - Only this position
+ * @param {boolean=} opts.dryRun - Count without writing
+ * @returns {Object} Revocation result, or { ok:false, code:'LOCK_TIMEOUT' }
+ */
+function revokeActiveTokens_(email, brand, traceId, revokedBy, opts) {
+  opts = opts || {};
+  return withTokenWriteLock_(function() { return revokeActiveTokensLocked_(email, brand, traceId, revokedBy, opts); });
+}
+
+/**
+ * revokeActiveTokens_ under the script lock (row numbers are read and written
+ * without the archive moving them in between)
  * @returns {Object} Revocation result
  */
-function revokeActiveTokens_(email, brand, traceId, revokedBy) {
+function revokeActiveTokensLocked_(email, brand, traceId, revokedBy, opts) {
   var ss = getConfigSheet_();
   var sheet = ss.getSheetByName('TOKENS');
   if (!sheet) return { ok: true, revokedCount: 0 };
@@ -243,25 +279,36 @@ function revokeActiveTokens_(email, brand, traceId, revokedBy) {
   if (data.length < 2) return { ok: true, revokedCount: 0 };
   
   var headers = data[0];
+  var emailIdx = headers.indexOf('Email');
   var emailHashIdx = headers.indexOf('Email Hash');
   var brandIdx = headers.indexOf('Brand');
   var statusIdx = headers.indexOf('Status');
+  var textIdx = headers.indexOf('Text For Email');
   
+  var emailKey = normalizeEmailKey_(email);
+  if (!emailKey) return { ok: true, revokedCount: 0 };
+  var textKey = normalizeTextKey_(opts.textForEmail);
   var emailHash = hashEmail_(email);
+  var emailHashHex = computeEmailHashHex_(email);
+  var activeStatuses = [TOKEN_STATUS.ISSUED, TOKEN_STATUS.CONFIRMED];
+  if (textKey) activeStatuses.push('PENDING', 'VERIFIED');
   var revokedCount = 0;
   
   for (var i = 1; i < data.length; i++) {
-    if (data[i][emailHashIdx] === emailHash &&
-        String(data[i][brandIdx]).toUpperCase() === String(brand).toUpperCase()) {
-      var status = data[i][statusIdx];
-      if (status === TOKEN_STATUS.ISSUED || status === TOKEN_STATUS.CONFIRMED) {
-        sheet.getRange(i + 1, statusIdx + 1).setValue(TOKEN_STATUS.REVOKED);
-        revokedCount++;
-      }
+    var sameEmail = textKey
+      ? (emailHashIdx !== -1 && tokenRepoHashCellToHex_(data[i][emailHashIdx]) === emailHashHex) ||
+        (emailIdx !== -1 && normalizeEmailKey_(data[i][emailIdx]) === emailKey)
+      : data[i][emailHashIdx] === emailHash;
+    if (!sameEmail || String(data[i][brandIdx]).toUpperCase() !== String(brand).toUpperCase()) continue;
+    if (textKey && (textIdx === -1 || normalizeTextKey_(data[i][textIdx]) !== textKey)) continue;
+    var status = data[i][statusIdx];
+    if (activeStatuses.indexOf(status) !== -1) {
+      if (!opts.dryRun) sheet.getRange(i + 1, statusIdx + 1).setValue(TOKEN_STATUS.REVOKED);
+      revokedCount++;
     }
   }
   
-  if (revokedCount > 0) {
+  if (revokedCount > 0 && !opts.dryRun) {
     logEvent_(traceId, brand, email, 'TOKENS_REVOKED', {
       revokedCount: revokedCount,
       revokedBy: revokedBy
@@ -278,29 +325,27 @@ function revokeActiveTokens_(email, brand, traceId, revokedBy) {
  * @returns {Array} Array of token records
  */
 function getTokenHistory_(email, brand) {
-  var ss = getConfigSheet_();
-  var sheet = ss.getSheetByName('TOKENS');
-  if (!sheet) return [];
-  
-  var data = sheet.getDataRange().getValues();
-  if (data.length < 2) return [];
+  var repo = openTokenRepo_();
+  if (!repo || repo.lastRow < 2) return [];
   
-  var headers = data[0];
+  var headers = repo.headers;
   var emailHash = hashEmail_(email);
   var emailHashIdx = headers.indexOf('Email Hash');
   var brandIdx = headers.indexOf('Brand');
+  var rows = findCandidateTokenRows_(repo, brand, email);
   
   var results = [];
-  for (var i = 1; i < data.length; i++) {
-    if (data[i][emailHashIdx] === emailHash &&
-        String(data[i][brandIdx]).toUpperCase() === String(brand).toUpperCase()) {
+  for (var i = 0; i < rows.length; i++) {
+    var values = rows[i].values;
+    if (values[emailHashIdx] === emailHash &&
+        String(values[brandIdx]).toUpperCase() === String(brand).toUpperCase()) {
       var record = {};
       for (var j = 0; j < headers.length; j++) {
         if (headers[j] !== 'Token' && headers[j] !== 'Email Hash') { // Don't expose sensitive data
-          record[headers[j]] = data[i][j];
+          record[headers[j]] = values[j];
         }
       }
-      record.tokenPrefix = String(data[i][headers.indexOf('Token')]).substring(0, 8) + '...';
+      record.tokenPrefix = String(values[headers.indexOf('Token')]).substring(0, 8) + '...';
       results.push(record);
     }
   }
@@ -318,49 +363,41 @@ function peekToken_(token) {
     return { ok: false, error: 'Missing token', code: 'MISSING_TOKEN' };
   }
 
-  var ss = getConfigSheet_();
-  var sheet = ss.getSheetByName('TOKENS');
-  if (!sheet) {
+  var repo = openTokenRepo_();
+  if (!repo) {
     return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
   }
-
-  var data = sheet.getDataRange().getValues();
-  if (data.length < 2) {
+  if (repo.lastRow < 2) {
     return { ok: false, error: 'Token not found', code: 'NOT_FOUND' };
   }
 
-  var headers = data[0];
-  var idx = {};
-  for (var h = 0; h < headers.length; h++) {
-    idx[headers[h]] = h;
+  var idx = repo.idx;
+  var found = findTokenRow_(repo, token);
+  if (!found) {
+    return { ok: false, error: 'Token not found or invalid', code: 'NOT_FOUND' };
   }
 
-  for (var i = 1; i < data.length; i++) {
-    if (String(data[i][idx['Token']]) === token) {
-      var row = data[i];
-      var status = String(row[idx['Status']] || '');
-      var expiry = new Date(row[idx['Expiry']]);
-
-      if (status === 'USED') {
-        return { ok: false, error: 'This link has already been used. Please request a new OTP.', code: 'ALREADY_USED' };
-      }
-      if (new Date() > expiry) {
-        return { ok: false, error: 'This link has expired. Please request a new OTP.', code: 'EXPIRED' };
-      }
-      if (status !== 'VERIFIED') {
-        return { ok: false, error: 'This link is not ready. Please verify your OTP first.', code: 'NOT_VERIFIED' };
-      }
+  var row = found.values;
+  var status = String(row[idx['Status']] || '');
+  var expiry = new Date(row[idx['Expiry']]);
+  var brand = String(row[idx['Brand']] || '');  // lets the error page use the brand theme
 
-      return {
-        ok: true,
-        status: status,
-        brand: String(row[idx['Brand']] || ''),
-        textForEmail: String(row[idx['Text For Email']] || '')
-      };
-    }
+  if (status === 'USED' || status === 'BOOKED') {
+    return { ok: false, error: 'This link has already been used. Please request a new OTP.', code: 'ALREADY_USED', brand: brand };
+  }
+  if (new Date() > expiry) {
+    return { ok: false, error: 'This link has expired. Please request a new OTP.', code: 'EXPIRED', brand: brand };
+  }
+  if (status !== 'VERIFIED') {
+    return { ok: false, error: 'This link is not ready. Please verify your OTP first.', code: 'NOT_VERIFIED', brand: brand };
   }
 
-  return { ok: false, error: 'Token not found or invalid', code: 'NOT_FOUND' };
+  return {
+    ok: true,
+    status: status,
+    brand: brand,
+    textForEmail: String(row[idx['Text For Email']] || '')
+  };
 }
 
 /**
@@ -384,43 +421,30 @@ function consumeTokenForRedirect_(token, traceId) {
   }
 
   try {
-    var ss = getConfigSheet_();
-    var sheet = ss.getSheetByName('TOKENS');
-    if (!sheet) {
+    var repo = openTokenRepo_();
+    if (!repo) {
       return { ok: false, error: 'System not initialized', code: 'NO_TOKEN_SHEET' };
     }
-
-    var data = sheet.getDataRange().getValues();
-    if (data.length < 2) {
+    if (repo.lastRow < 2) {
       return { ok: false, error: 'Token not found', code: 'NOT_FOUND' };
     }
 
-    var headers = data[0];
-    var idx = {};
-    for (var h = 0; h < headers.length; h++) {
-      idx[headers[h]] = h;
-    }
+    var sheet = repo.sheet;
+    var idx = repo.idx;
 
     // Find token row
-    var targetRow = -1;
-    for (var i = 1; i < data.length; i++) {
-      if (String(data[i][idx['Token']]) === token) {
-        targetRow = i;
-        break;
-      }
-    }
-
-    if (targetRow === -1) {
+    var found = findTokenRow_(repo, token);
+    if (!found) {
       return { ok: false, error: 'Token not found or invalid', code: 'NOT_FOUND' };
     }
 
-    var row = data[targetRow];
+    var row = found.values;
     var status = String(row[idx['Status']] || '');
     var expiry = new Date(row[idx['Expiry']]);
-    var sheetRow = targetRow + 1;
+    var sheetRow = found.rowNumber;
 
     // Already used — hard block
-    if (status === 'USED') {
+    if (status === 'USED' || status === 'BOOKED') {
       return { ok: false, error: 'This link has already been used. Please request a new OTP.', code: 'ALREADY_USED' };
     }
 
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const ADMIN = 'recruiter@partner.test';
+
+function setup(properties) {
+  const h = loadApp({ properties: Object.assign({ ADMIN_ALLOWLIST: ADMIN, SMARTSHEET_IDS_ROYAL: '5550002' }, properties || {}) });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Cook' });
+  return h;
+}
+
+function post(h, params) {
+  return JSON.parse(h.app.handleAdminPost_(Object.assign({ brand: 'ROYAL', action: 'lookup', email: 'ana@candidates.test' }, params), 't').getContent());
+}
+
+/** Request a code, then read it back out of the sent email. */
+function emailedCode(h, email) {
+  const before = h.fakes.MailApp.sent.length;
+  h.app.adminRequestLoginCode({ email: email, brand: 'ROYAL' });
+  const mail = h.fakes.MailApp.sent[before];
+  return mail ? /sign-in code is (\d{6})/.exec(mail.body)[1] : null;
+}
+
+test('access fails closed for anonymous, unlisted and errored checks', () => {
+  const h = setup({ WORKSPACE_DOMAIN: '' });
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL').code, 'LOGIN_REQUIRED');
+
+  h.setActiveUser('someone@gmail.test');
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL').code, 'FORBIDDEN');
+
+  h.setActiveUser(ADMIN);
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL').ok, true);
+
+  h.fakes.scriptProperties.store.ADMIN_ALLOWLIST = '';
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL').code, 'FORBIDDEN', 'no allowlist means no admins');
+
+  h.app.getAdminRoles_ = () => { throw new Error('sheet unavailable'); };
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL').code, 'AUTH_ERROR');
+});
+
+test('admin actions require a valid session even for a signed-in Google admin', () => {
+  const h = setup();
+  h.setActiveUser(ADMIN);
+  assert.strictEqual(post(h, {}).code, 'LOGIN_REQUIRED');
+  assert.strictEqual(post(h, { adminSession: 'k0.e30.deadbeef' }).code, 'INVALID_SESSION');
+
+  const session = h.app.issueAdminSession_(ADMIN).session;
+  const [kid, body, sig] = session.split('.');
+  const forged = Buffer.from(JSON.stringify({ e: 'mallory@partner.test', sid: 'x', iat: 0, exp: NOW / 1000 + 600 })).toString('base64url');
+  assert.strictEqual(post(h, { adminSession: [kid, forged, sig].join('.') }).code, 'INVALID_SESSION');
+  assert.strictEqual(post(h, { adminSession: [kid, body, sig].join('.') }).ok, true);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'ADMIN_ACCESS_DENIED'));
+});
+
+test('email-code login issues a session that expires and can be revoked', () => {
+  const h = setup({ ADMIN_SESSION_MINUTES: '15' });
+  const code = emailedCode(h, ADMIN);
+  assert.ok(code, 'code emailed');
+
+  const login = h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: code });
+  assert.strictEqual(login.ok, true);
+  assert.strictEqual(h.app.adminAction({ adminSession: login.session, brand: 'ROYAL', action: 'lookup', email: 'ana@candidates.test' }).ok, true);
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: code }).code, 'CODE_EXPIRED', 'codes are single use');
+
+  h.advance(16 * 60 * 1000);
+  assert.strictEqual(post(h, { adminSession: login.session }).code, 'SESSION_EXPIRED');
+
+  const second = h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: emailedCode(h, ADMIN) });
+  assert.strictEqual(h.app.adminLogout({ adminSession: second.session }).ok, true);
+  assert.strictEqual(post(h, { adminSession: second.session }).code, 'SESSION_REVOKED');
+});
+
+test('login codes are not sent to unlisted addresses and lock after three bad attempts', () => {
+  const h = setup({ WORKSPACE_DOMAIN: '' });
+  const res = h.app.adminRequestLoginCode({ email: 'mallory@gmail.test', brand: 'ROYAL' });
+  assert.strictEqual(res.ok, true, 'same answer as for a real admin');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+
+  const code = emailedCode(h, ADMIN);
+  const wrong = code === '000000' ? '111111' : '000000';
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: wrong }).code, 'INVALID_CODE');
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: wrong }).code, 'INVALID_CODE');
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: wrong }).code, 'CODE_LOCKED');
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: code }).ok, false);
+
+  const events = h.configSheet.records('LOGS').map((r) => r.Event);
+  assert.ok(events.includes('ADMIN_LOGIN_DENIED'));
+  assert.ok(!events.includes('ADMIN_LOGIN_OK'));
+});
+
+test('wrong codes do not extend a login code and are counted under the script lock', () => {
+  const h = setup();
+  const code = emailedCode(h, ADMIN);
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  h.advance(9 * 60 * 1000);
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: wrong }).code, 'INVALID_CODE');
+  h.advance(2 * 60 * 1000);
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: code }).code, 'CODE_EXPIRED',
+    'the code still expires ten minutes after it was sent');
+
+  const fresh = emailedCode(h, ADMIN);
+  h.fakes.scriptLock.holdElsewhere();
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: wrong }).code, 'BUSY');
+  h.fakes.scriptLock.holdElsewhere(false);
+  assert.strictEqual(h.app.adminVerifyLoginCode({ email: ADMIN, brand: 'ROYAL', code: fresh }).ok, true,
+    'a guess turned away while busy is not counted');
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+});
+
+test('the console serves the sign-in page without a user and hands Google admins a session', () => {
+  const h = setup();
+  const anon = h.app.serveAdminConsole_('ROYAL', {}, 't').getContent();
+  assert.match(anon, /Admin Sign-in/);
+  assert.doesNotMatch(anon, /Candidate Lookup/);
+
+  const expired = h.app.serveAdminConsole_('ROYAL', { adminSession: 'k0.e30.deadbeef' }, 't').getContent();
+  assert.match(expired, /Please sign in again/);
+
+  h.setActiveUser(ADMIN);
+  const page = h.app.serveAdminConsole_('ROYAL', {}, 't').getContent();
+  const session = /var ADMIN_SESSION = '([^']+)'/.exec(page)[1];
+  assert.strictEqual(h.app.verifyAdminSession_(session).email, ADMIN);
+
+  const data = JSON.parse(h.app.serveAdminData_('ROYAL', {}, 't').getContent());
+  assert.strictEqual(data.ok, true);
+});
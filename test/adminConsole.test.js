@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const ADMIN = 'recruiter@partner.test';
+
+function setup() {
+  const h = loadApp({ properties: { ADMIN_ALLOWLIST: ADMIN, WORKSPACE_DOMAIN: '', SMARTSHEET_IDS_ROYAL: '5550002' } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Cook' });
+  h.configSheet.getSheetByName('CL_CODES').appendRow(['ROYAL', 'CL200', 'Rita Recruiter', 'rita@example.com', 'https://cal.test/rita', true, new Date()]);
+  return h;
+}
+
+function get(h, parameter) {
+  return h.app.doGet({ parameter: parameter }).getContent();
+}
+
+test('page=admin serves the console again, behind sign-in', () => {
+  const h = setup();
+  const anon = get(h, { page: 'admin', brand: 'ROYAL' });
+  assert.match(anon, /Send Sign-in Code/);
+  assert.doesNotMatch(anon, /Candidate Lookup/);
+
+  h.setActiveUser(ADMIN);
+  const page = get(h, { page: 'admin', brand: 'royal' });
+  assert.match(page, /Candidate Lookup/);
+  assert.match(page, /CL Code Management/);
+  assert.match(page, /Recent Activity/);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'ADMIN_CONSOLE_VIEWED'));
+});
+
+test('an email-code session opens the console through google.script.run, never in a link', () => {
+  const h = setup();
+  const session = h.app.issueAdminSession_(ADMIN).session;
+  const signIn = get(h, { page: 'admin', brand: 'ROYAL' });
+  assert.match(signIn, /sessionStorage\.getItem\(ADMIN_SESSION_KEY\)/, 'the sign-in page looks for a stored session');
+  assert.match(signIn, /\.adminOpenPage\(/);
+
+  const opened = h.app.adminOpenPage({ adminSession: session, page: 'admin', brand: 'ROYAL' });
+  assert.strictEqual(opened.ok, true);
+  assert.match(opened.html, /Candidate Lookup/);
+  assert.ok(opened.html.includes('href="?page=admin"'), 'Switch Brand');
+  assert.doesNotMatch(opened.html, /[?&]adminSession=/);
+  assert.strictEqual(h.app.adminOpenPage({ adminSession: session, page: 'admin', brand: 'COSTA' }).ok, true, 'carries over to other brands');
+
+  const picker = get(h, { page: 'admin' });
+  assert.match(picker, /Choose a brand/);
+  assert.ok(picker.includes('href="?page=admin&brand=COSTA"'));
+  assert.doesNotMatch(picker, /Send Sign-in Code/);
+
+  assert.strictEqual(h.app.adminOpenPage({ page: 'admin', brand: 'ROYAL' }).code, 'LOGIN_REQUIRED');
+  h.app.adminLogout({ adminSession: session });
+  const revoked = h.app.adminOpenPage({ adminSession: session, page: 'admin', brand: 'ROYAL' });
+  assert.strictEqual(revoked.code, 'SESSION_REVOKED');
+  assert.strictEqual(revoked.html, undefined);
+});
+
+test('page=admindata returns no JSON to unauthenticated callers', () => {
+  const h = setup();
+  const anon = get(h, { page: 'admindata', brand: 'ROYAL' });
+  assert.throws(() => JSON.parse(anon));
+  assert.match(anon, /Admin Sign-in/);
+  assert.doesNotMatch(anon, /CL200|Rita Recruiter/);
+
+  const forbidden = get(h, { page: 'admindata', brand: 'ROYAL', adminSession: h.app.issueAdminSession_('mallory@gmail.test').session });
+  assert.match(forbidden, /Access denied/);
+  assert.doesNotMatch(forbidden, /Rita Recruiter/);
+
+  const data = JSON.parse(get(h, { page: 'admindata', brand: 'ROYAL', adminSession: h.app.issueAdminSession_(ADMIN).session }));
+  assert.strictEqual(data.ok, true);
+  assert.strictEqual(data.clCodes[0].recruiterName, 'Rita Recruiter');
+});
+
+test('console actions: lookup, send, re-issue, CL URL edit and log refresh', () => {
+  const h = setup();
+  const run = (action, extra) => h.app.adminAction(Object.assign({
+    adminSession: h.app.issueAdminSession_(ADMIN).session, brand: 'ROYAL', action: action,
+    email: 'ana@candidates.test', textForEmail: 'CL200 Cook'
+  }, extra || {}));
+
+  const lookup = run('lookup');
+  assert.strictEqual(lookup.exactMatch, true);
+  assert.strictEqual(lookup.clResolution.clCode, 'CL200');
+  assert.strictEqual(run('send').ok, true);
+  assert.strictEqual(run('send').hasActiveToken, true);
+  assert.strictEqual(run('reissue').revokedCount, 1);
+  assert.strictEqual(run('updateurl', { clCode: 'CL200', newUrl: 'https://cal.test/rita-2' }).ok, true);
+  assert.strictEqual(h.configSheet.records('CL_CODES')[0]['Booking Schedule URL'], 'https://cal.test/rita-2');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 2);
+
+  const logs = run('logs', { limit: 5 }).logs;
+  assert.strictEqual(logs.length, 5);
+  assert.ok(logs.every((l) => String(l.Brand).toUpperCase() === 'ROYAL'));
+});
+
+test('the console page calls only public server functions', () => {
+  const h = setup();
+  h.setActiveUser(ADMIN);
+  const page = get(h, { page: 'admin', brand: 'ROYAL' });
+  const calls = page.match(/\n\s*\.(\w+)\(\{/g).map((c) => c.trim().slice(1, -2));
+  assert.ok(calls.length >= 5);
+  calls.forEach((fn) => {
+    assert.ok(!fn.endsWith('_'), fn + ' is private and cannot be called from google.script.run');
+    assert.strictEqual(typeof h.app[fn], 'function', fn);
+  });
+});
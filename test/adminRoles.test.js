@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const ROLE_HEADERS = ['Email', 'Brand', 'Role', 'Active', 'Notes'];
+
+function setup(roleRows, properties) {
+  const h = loadApp({ properties: Object.assign({ WORKSPACE_DOMAIN: '', SMARTSHEET_IDS_ROYAL: '5550002' }, properties || {}) });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Cook' });
+  h.configSheet.getSheetByName('CL_CODES').appendRow(['ROYAL', 'CL200', 'Rita Recruiter', 'rita@example.com', 'https://cal.test/rita', true, new Date()]);
+  if (roleRows) h.configSheet.seed('ADMIN_ROLES', ROLE_HEADERS, roleRows);
+  return h;
+}
+
+/** Run an admin action as email with a fresh session. */
+function act(h, email, action, extra) {
+  const session = h.app.issueAdminSession_(email).session;
+  return h.app.adminAction(Object.assign({ adminSession: session, brand: 'ROYAL', action: action, email: 'ana@candidates.test', textForEmail: 'CL200 Cook' }, extra || {}));
+}
+
+test('roles map to actions and combine across rows', () => {
+  const h = setup([
+    ['view@partner.test', 'ROYAL', 'Viewer', true, ''],
+    ['ops@partner.test', 'ROYAL', 'sender', true, ''],
+    ['ops@partner.test', 'ROYAL', 'Config Editor', true, ''],
+    ['boss@partner.test', '*', 'super_admin', true, '']
+  ]);
+  const perms = (email, brand) => JSON.stringify(h.app.getAdminPermissions_(h.app.getAdminRoles_(email, brand || 'ROYAL')));
+  assert.strictEqual(perms('view@partner.test'), '["lookup"]');
+  assert.strictEqual(perms('OPS@partner.test'), '["lookup","send","updateurl"]');
+  assert.strictEqual(perms('boss@partner.test', 'COSTA'), '["lookup","send","reissue","updateurl"]');
+  assert.strictEqual(perms('view@partner.test', 'COSTA'), '[]');
+});
+
+test('each handler enforces its own permission', () => {
+  const h = setup([
+    ['view@partner.test', 'ROYAL', 'viewer', true, ''],
+    ['edit@partner.test', 'ROYAL', 'config-editor', true, '']
+  ]);
+  assert.strictEqual(act(h, 'view@partner.test', 'lookup').ok, true);
+  assert.strictEqual(act(h, 'view@partner.test', 'send').code, 'PERMISSION_DENIED');
+  assert.strictEqual(act(h, 'view@partner.test', 'reissue').code, 'PERMISSION_DENIED');
+  assert.strictEqual(act(h, 'view@partner.test', 'updateurl', { clCode: 'CL200', newUrl: 'https://cal.test/x' }).code, 'PERMISSION_DENIED');
+  assert.strictEqual(act(h, 'edit@partner.test', 'updateurl', { clCode: 'CL200', newUrl: 'https://cal.test/new' }).ok, true);
+
+  // Called directly (not through handleAdminPost_) the handlers still check
+  assert.strictEqual(JSON.parse(h.app.handleSendInvite_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL200 Cook' }, 't', 'view@partner.test').getContent()).code, 'PERMISSION_DENIED');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+
+  const denied = h.configSheet.records('LOGS').filter((r) => r.Event === 'ADMIN_PERMISSION_DENIED').map((r) => JSON.parse(r.Details).action);
+  assert.strictEqual(JSON.stringify(denied), '["send","reissue","updateurl","send"]');
+});
+
+test('a sender can send but not re-issue', () => {
+  const h = setup([['ops@partner.test', 'ROYAL', 'sender', true, '']]);
+  assert.strictEqual(act(h, 'ops@partner.test', 'send').ok, true);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.strictEqual(act(h, 'ops@partner.test', 'reissue').code, 'PERMISSION_DENIED');
+});
+
+test('listed admins are super-admins until ADMIN_ROLES is used, then viewers', () => {
+  const h = setup(null, { ADMIN_ALLOWLIST: 'legacy@partner.test' });
+  assert.strictEqual(JSON.stringify(h.app.getAdminRoles_('legacy@partner.test', 'ROYAL')), '["super-admin"]');
+
+  h.configSheet.seed('ADMIN_ROLES', ROLE_HEADERS, [
+    ['ops@partner.test', 'ROYAL', 'sender', true, ''],
+    ['gone@partner.test', 'ROYAL', 'sender', false, ''],
+    ['typo@partner.test', 'ROYAL', 'owner', true, '']
+  ]);
+  assert.strictEqual(JSON.stringify(h.app.getAdminRoles_('legacy@partner.test', 'ROYAL')), '["viewer"]');
+  assert.strictEqual(h.app.checkAdminAccess_('ROYAL', { adminSession: h.app.issueAdminSession_('gone@partner.test').session }).code, 'FORBIDDEN');
+  assert.strictEqual(h.app.getAdminRoles_('typo@partner.test', 'ROYAL').length, 0, 'unknown roles grant nothing');
+  assert.strictEqual(h.app.isAdminEmailAllowed_('ops@partner.test', 'ROYAL'), true, 'a role row admits the user');
+});
+
+test('the console hides actions the role does not allow', () => {
+  const h = setup([['view@partner.test', 'ROYAL', 'viewer', true, '']]);
+  h.setActiveUser('view@partner.test');
+  const page = h.app.serveAdminConsole_('ROYAL', {}, 't').getContent();
+  assert.match(page, /var PERMISSIONS = \["lookup"\];/);
+  assert.match(page, /view@partner\.test \(viewer\)/);
+
+  const data = JSON.parse(h.app.serveAdminData_('ROYAL', {}, 't').getContent());
+  assert.strictEqual(JSON.stringify(data.permissions), '["lookup"]');
+});
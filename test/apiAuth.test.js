@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const SHEET_ID = '5550001';
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+let nonceSeq = 0;
+
+function setup() {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: SHEET_ID } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Costa Pipeline', columns: ['Email', 'Text For Email', 'SEND Interview Invite'] });
+  h.fakes.smartsheet.addRow(SHEET_ID, { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' });
+  return h;
+}
+
+/** doPost a signed request; overrides tamper with the parts after signing. */
+function call(h, key, action, body, overrides) {
+  const o = overrides || {};
+  const contents = body === undefined ? '' : JSON.stringify(body);
+  const ts = String(o.ts || Math.floor(NOW / 1000));
+  const nonce = o.nonce || 'nonce-' + String(++nonceSeq).padStart(12, '0');
+  const sig = h.app.computeHmac_(key.secret, h.app.buildApiSigningString_(action, key.keyId, ts, nonce, contents));
+  const parameter = Object.assign({ action: action, keyId: key.keyId, ts: ts, nonce: nonce, sig: sig }, o.params || {});
+  const out = h.app.doPost({ parameter: parameter, postData: { type: 'application/json', contents: o.contents !== undefined ? o.contents : contents } });
+  return JSON.parse(out.getContent());
+}
+
+function rejections(h) {
+  return h.configSheet.records('LOGS').filter((r) => r.Event === 'API_REQUEST_REJECTED').map((r) => JSON.parse(r.Details).reason);
+}
+
+test('a signed processsideways call runs the worker with the body arguments', () => {
+  const h = setup();
+  const key = h.app.createApiKey('Smartsheet bridge');
+  assert.strictEqual(JSON.stringify(key.actions), '["processsideways","generatesignedurl"]');
+
+  const res = call(h, key, 'processsideways', { brand: 'COSTA', limit: 5 });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'API_REQUEST_ACCEPTED' && JSON.parse(r.Details).integration === 'Smartsheet bridge'));
+});
+
+test('unsigned calls to machine actions are refused and logged', () => {
+  const h = setup();
+  const bare = (action) => JSON.parse(h.app.doPost({ parameter: { action: action, brand: 'COSTA' } }).getContent());
+
+  assert.strictEqual(bare('processsideways').code, 'MISSING_AUTH');
+  assert.strictEqual(bare('generatesignedurl').code, 'MISSING_AUTH');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(JSON.stringify(rejections(h)), '["MISSING_AUTH","MISSING_AUTH"]');
+  assert.ok(h.configSheet.records('LOGS').every((r) => r.Event !== 'API_REQUEST_REJECTED' || r.Level === 'WARN'));
+});
+
+test('replayed, stale and tampered requests are rejected', () => {
+  const h = setup();
+  const key = h.app.createApiKey('Ops scheduler', 'processsideways');
+
+  assert.strictEqual(call(h, key, 'processsideways', { brand: 'COSTA' }, { nonce: 'fixed-nonce-0001' }).ok, true);
+  assert.strictEqual(call(h, key, 'processsideways', { brand: 'COSTA' }, { nonce: 'fixed-nonce-0001' }).code, 'REPLAYED');
+  assert.strictEqual(call(h, key, 'processsideways', {}, { ts: Math.floor(NOW / 1000) - 301 }).code, 'STALE_REQUEST');
+  assert.strictEqual(call(h, key, 'processsideways', { brand: 'ROYAL' }, { contents: '{"brand":"COSTA"}' }).code, 'BAD_SIGNATURE');
+  assert.strictEqual(call(h, key, 'processsideways', { brand: 'ROYAL' }, { params: { action: 'generatesignedurl' } }).code, 'ACTION_NOT_ALLOWED');
+  assert.strictEqual(call(h, Object.assign({}, key, { secret: 'wrong' }), 'processsideways', {}).code, 'BAD_SIGNATURE');
+  assert.strictEqual(call(h, key, 'processsideways', {}, { nonce: 'short' }).code, 'BAD_NONCE');
+
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.strictEqual(JSON.stringify(rejections(h)), '["REPLAYED","STALE_REQUEST","BAD_SIGNATURE","ACTION_NOT_ALLOWED","BAD_SIGNATURE","BAD_NONCE"]');
+});
+
+test('API keys are per integration and can be revoked', () => {
+  const h = setup();
+  const bridge = h.app.createApiKey('Smartsheet bridge', 'generatesignedurl');
+  const ops = h.app.createApiKey('Ops scheduler', 'processsideways');
+  assert.notStrictEqual(bridge.keyId, ops.keyId);
+  assert.strictEqual(h.app.createApiKey('Bad', 'deleteeverything').code, 'BAD_ACTION');
+
+  assert.strictEqual(call(h, bridge, 'processsideways', {}).code, 'ACTION_NOT_ALLOWED');
+  assert.strictEqual(h.app.revokeApiKey(ops.keyId).ok, true);
+  assert.strictEqual(call(h, ops, 'processsideways', {}).code, 'UNKNOWN_KEY');
+
+  const listed = h.app.listApiKeys();
+  assert.strictEqual(JSON.stringify(listed.map((k) => k.name + ':' + k.disabled)), '["Smartsheet bridge:false","Ops scheduler:true"]');
+  assert.strictEqual(JSON.stringify(listed).indexOf(bridge.secret), -1);
+});
+
+test('generatesignedurl reads only the signed body, not query arguments', () => {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_ROYAL: '5550002' } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Cook' });
+  const key = h.app.createApiKey('Smartsheet bridge', 'generatesignedurl');
+
+  const res = call(h, key, 'generatesignedurl', { brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL200 Cook' },
+    { params: { email: 'mallory@candidates.test' } });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.email, 'ana@candidates.test');
+
+  assert.strictEqual(call(h, key, 'generatesignedurl', undefined, { contents: '', params: { brand: 'ROYAL' } }).ok, false);
+  assert.strictEqual(call(h, key, 'generatesignedurl', 'just a string').code, 'BAD_BODY');
+});
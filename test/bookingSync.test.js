@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Cook';
+const RECRUITER = 'rita@crewlifeatsea.com';
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+
+function setup() {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_ROYAL: '5550002' } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email', 'Interview Date'] });
+  h.rowId = h.fakes.smartsheet.addRow('5550002', { 'Email': EMAIL, 'Text For Email': TEXT });
+  h.configSheet.seed('CL_CODES', ['Brand', 'CL Code', 'Recruiter Name', 'Recruiter Email', 'Booking Schedule URL', 'Active'], [
+    ['ROYAL', 'CL200', 'Rita', RECRUITER, SCHEDULE_URL, true]
+  ]);
+  h.fakes.CalendarApp.addCalendar(RECRUITER);
+  return h;
+}
+
+function redirect(h, email) {
+  const created = h.app.createOtp_({ email: email || EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: created.otp }).ok, true);
+  assert.strictEqual(h.app.consumeTokenForRedirect_(created.token, 'trace-redirect').ok, true);
+  return created.token;
+}
+
+function tokenRow(h, token) {
+  return h.configSheet.records('TOKENS').find((r) => r.Token === token);
+}
+
+test('a booking in the recruiter calendar marks the token BOOKED and writes the date to Smartsheet', () => {
+  const h = setup();
+  const token = redirect(h);
+  h.advance(HOUR);
+  const slot = Date.UTC(2026, 5, 3, 14, 30, 0);
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: slot, created: NOW + 10 * 60 * 1000, guests: [RECRUITER, 'Ana@Candidates.test'] });
+
+  const res = h.app.syncCalendarBookings_();
+  assert.strictEqual(res.ok, true);
+  assert.deepStrictEqual([res.candidates, res.calendars, res.booked, res.written, res.unmatched], [1, 1, 1, 1, 0]);
+
+  const row = tokenRow(h, token);
+  assert.strictEqual(row.Status, 'BOOKED');
+  assert.strictEqual(new Date(row['Interview At']).getTime(), slot);
+  assert.strictEqual(h.fakes.smartsheet.cell('5550002', h.rowId, 'Interview Date'), '2026-06-03');
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  const logged = h.configSheet.records('LOGS').find((r) => r.Event === 'INTERVIEW_BOOKED');
+  assert.strictEqual(JSON.parse(logged.Details).interviewAt, '2026-06-03T14:30:00.000Z');
+
+  const again = h.app.syncCalendarBookings_();
+  assert.strictEqual(again.candidates, 0, 'booked tokens are not checked again');
+  assert.strictEqual(h.app.consumeTokenForRedirect_(token, 'trace-2').code, 'ALREADY_USED');
+});
+
+test('events from before the redirect, declined invites and other guests do not count', () => {
+  const h = setup();
+  const token = redirect(h);
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: NOW + 48 * HOUR, created: NOW - 24 * HOUR, guests: [EMAIL] });
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: NOW + 50 * HOUR, created: NOW + HOUR, guests: [{ email: EMAIL, status: 'NO' }] });
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: NOW + 52 * HOUR, created: NOW + HOUR, guests: ['someone@else.test'] });
+  h.advance(2 * HOUR);
+
+  const res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.candidates, res.booked, res.unmatched], [1, 0, 1]);
+  assert.strictEqual(tokenRow(h, token).Status, 'USED');
+  assert.strictEqual(h.fakes.smartsheet.cell('5550002', h.rowId, 'Interview Date'), '');
+});
+
+test('only recent redirects are checked and the earliest slot wins', () => {
+  const h = setup();
+  const old = redirect(h, 'old@candidates.test');
+  const later = NOW + 8 * 24 * HOUR;
+  h.setNow(later);
+  const token = redirect(h);
+  const firstSlot = later + 24 * HOUR;
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: firstSlot + 24 * HOUR, created: later, guests: [EMAIL] });
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: firstSlot, created: later, guests: [EMAIL, 'old@candidates.test'] });
+
+  const res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.candidates, res.booked], [1, 1], 'the 8-day-old redirect is outside BOOKING_SYNC_LOOKBACK_DAYS');
+  assert.strictEqual(new Date(tokenRow(h, token)['Interview At']).getTime(), firstSlot);
+  assert.strictEqual(tokenRow(h, old).Status, 'USED');
+});
+
+test('dry run reports matches without writing', () => {
+  const h = setup();
+  const token = redirect(h);
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: NOW + 24 * HOUR, created: NOW + HOUR, guests: [EMAIL] });
+  h.advance(2 * HOUR);
+
+  const res = h.app.syncCalendarBookings_({ dryRun: true });
+  assert.strictEqual(res.booked, 1);
+  assert.deepStrictEqual(Array.from(res.matches, (m) => m.clCode), ['CL200']);
+  assert.ok(!res.matches[0].email.includes('ana@'), 'emails are masked');
+  assert.strictEqual(tokenRow(h, token).Status, 'USED');
+  assert.strictEqual(h.fakes.smartsheet.requests.filter((r) => r.method === 'put').length, 0);
+});
+
+test('missing recruiters, unshared calendars and write-back failures are reported', () => {
+  const h = setup();
+  const token = redirect(h);
+  h.configSheet.seed('CL_CODES', ['Brand', 'CL Code', 'Recruiter Name', 'Recruiter Email', 'Booking Schedule URL', 'Active'], [
+    ['ROYAL', 'CL200', 'Rita', 'nobody@crewlifeatsea.com', SCHEDULE_URL, true]
+  ]);
+  let res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.calendars, res.calendarErrors, res.booked], [0, 1, 0]);
+  const failed = h.configSheet.records('LOGS').find((r) => r.Event === 'BOOKING_SYNC_CALENDAR_FAILED');
+  assert.strictEqual(failed.Level, 'ERROR');
+  assert.match(JSON.parse(failed.Details).error, /not shared/);
+
+  h.configSheet.seed('CL_CODES', ['Brand', 'CL Code', 'Recruiter Email'], [['ROYAL', 'CL999', RECRUITER]]);
+  res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.candidates, res.noRecruiter], [1, 1]);
+
+  h.configSheet.seed('CL_CODES', ['Brand', 'CL Code', 'Recruiter Email'], [['ROYAL', 'CL200', RECRUITER]]);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'], rows: [{ 'Email': EMAIL, 'Text For Email': TEXT }] });
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: NOW + 24 * HOUR, created: NOW + HOUR, guests: [EMAIL] });
+  h.advance(2 * HOUR);
+  res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.booked, res.written], [1, 0]);
+  assert.strictEqual(tokenRow(h, token).Status, 'BOOKED', 'the token is still marked when Smartsheet cannot be updated');
+  const writeback = h.configSheet.records('LOGS').find((r) => r.Event === 'BOOKING_WRITEBACK_FAILED');
+  assert.match(JSON.parse(writeback.Details).error, /Column "Interview Date" not found/);
+});
+
+test('a failed Smartsheet write is retried by the next run until it succeeds', () => {
+  const h = setup();
+  const token = redirect(h);
+  const slot = Date.UTC(2026, 5, 3, 14, 30, 0);
+  h.fakes.CalendarApp.addEvent(RECRUITER, { start: slot, created: NOW + HOUR, guests: [EMAIL] });
+  h.advance(2 * HOUR);
+  let failPut = true;
+  h.fakes.UrlFetchApp.route('https://api.smartsheet.com/2.0/sheets/5550002/rows', (url, options) => {
+    if (failPut) return { getResponseCode: () => 503, getContentText: () => '{"message":"Service unavailable"}', getHeaders: () => ({}) };
+    return h.fakes.smartsheet.handle(url, options);
+  });
+
+  let res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.booked, res.written, res.retried], [1, 0, 0]);
+  assert.strictEqual(tokenRow(h, token).Status, 'BOOKED');
+  assert.strictEqual(tokenRow(h, token)['Interview Written At'], '');
+  assert.strictEqual(h.fakes.smartsheet.cell('5550002', h.rowId, 'Interview Date'), '');
+
+  failPut = false;
+  h.advance(HOUR);
+  res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.candidates, res.booked, res.retried, res.written], [0, 0, 1, 1]);
+  assert.strictEqual(h.fakes.smartsheet.cell('5550002', h.rowId, 'Interview Date'), '2026-06-03');
+  assert.strictEqual(new Date(tokenRow(h, token)['Interview Written At']).getTime(), NOW + 3 * HOUR);
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  res = h.app.syncCalendarBookings_();
+  assert.deepStrictEqual([res.retried, res.written], [0, 0], 'written rows are not retried');
+  const failed = h.configSheet.records('LOGS').filter((r) => r.Event === 'BOOKING_WRITEBACK_FAILED');
+  assert.strictEqual(failed.length, 1);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const HEADERS = ['Brand', 'Smartsheet ID', 'Active', 'Name', 'Email Column', 'Text For Email Column', 'Email Column ID', 'Feature Flags'];
+
+function setup(rows) {
+  const h = loadApp();
+  h.setNow(NOW);
+  h.configSheet.seed('BRAND_CONFIG', HEADERS, rows);
+  return h;
+}
+
+function newExecution(h) {
+  h.app.brandRegistryMemo_ = null;
+}
+
+function warnings(h) {
+  return h.configSheet.records('LOGS')
+    .filter((r) => r.Event === 'BRAND_CONFIG_INVALID')
+    .map((r) => JSON.parse(r.Details).warnings);
+}
+
+test('without BRAND_CONFIG rows the bootstrap brands are used', () => {
+  const h = setup([]);
+  assert.deepStrictEqual(Array.from(h.app.getAllBrandCodes_()), ['ROYAL', 'COSTA', 'SEACHEFS', 'CPD']);
+  assert.strictEqual(h.app.getBrand_('royal').smartsheetId, '118517627047812');
+  assert.strictEqual(h.app.getBrand_('CPD').smartsheetId, '', 'no placeholder ID in code');
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('CPD')), []);
+  assert.strictEqual(h.app.getBrand_('NOPE'), null);
+});
+
+test('BRAND_CONFIG rows override bootstrap brands and add new ones', () => {
+  const h = setup([
+    ['COSTA', '111, 222', '', 'Costa Cruises', 'Candidate Email', '', '333', 'otpEnabled=false'],
+    ['MSC', '444', true, 'MSC Cruises', '', '', '', 'scannerProtection=false']
+  ]);
+  const costa = h.app.getBrand_('COSTA');
+  assert.strictEqual(costa.name, 'Costa Cruises');
+  assert.strictEqual(costa.smartsheetId, '111,222');
+  assert.strictEqual(costa.emailColumn, 'Candidate Email');
+  assert.strictEqual(costa.textForEmailColumn, 'Text For Email', 'blank cells keep the bootstrap value');
+  assert.strictEqual(costa.emailColumnId, '333');
+  assert.deepStrictEqual({ ...costa.featureFlags }, { otpEnabled: false, scannerProtection: true });
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('COSTA')), ['1944430555647876', '111', '222'],
+    'the code default is still searched');
+
+  const msc = h.app.getBrand_('msc');
+  assert.strictEqual(msc.name, 'MSC Cruises');
+  assert.strictEqual(msc.emailColumn, 'Email');
+  assert.deepStrictEqual({ ...msc.featureFlags }, { otpEnabled: true, scannerProtection: false });
+  assert.deepStrictEqual(Array.from(h.app.getAllBrandCodes_()), ['ROYAL', 'COSTA', 'SEACHEFS', 'CPD', 'MSC']);
+  assert.strictEqual(h.app.isValidBrand_('MSC'), true);
+});
+
+test('Smartsheet IDs merge properties, then the code default, then BRAND_CONFIG, deduped', () => {
+  const h = setup([
+    ['ROYAL', '555, 118517627047812', '', '', '', '', '', ''],
+    ['SEACHEFS', '777', '', '', '', '', '', ''],
+    ['MSC', '444', '', '', '', '', '', '']
+  ]);
+  h.fakes.scriptProperties.store.SMARTSHEET_IDS_ROYAL = '999, 555';
+  h.fakes.scriptProperties.store.SMARTSHEET_ID_SEACHEFS = '888';
+
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('royal')), ['999', '555', '118517627047812']);
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('SEACHEFS')), ['888', '777'],
+    'a strict brand with property IDs skips only the code default');
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('MSC')), ['444']);
+  assert.deepStrictEqual(Array.from(h.app.getSmartsheetIdsForBrand_('NOPE')), []);
+});
+
+test('Active FALSE turns a brand off, blank keeps it on', () => {
+  const h = setup([
+    ['CPD', '', false, '', '', '', '', ''],
+    ['ROYAL', '', '', '', '', '', '', '']
+  ]);
+  assert.strictEqual(h.app.getBrand_('CPD'), null);
+  assert.strictEqual(h.app.isValidBrand_('CPD'), false);
+  assert.ok(h.app.getBrand_('ROYAL'));
+  assert.deepStrictEqual(Array.from(h.app.getAllBrandCodes_()), ['ROYAL', 'COSTA', 'SEACHEFS']);
+});
+
+test('invalid cells are ignored and logged', () => {
+  const h = setup([
+    ['royal', 'abc, 555', '', '', '', '', 'col-1', 'otpEnabled=false, darkMode'],
+    ['ROYAL', '999', '', 'Duplicate', '', '', '', ''],
+    ['BAD CODE!', '1', '', '', '', '', '', '']
+  ]);
+  const royal = h.app.getBrand_('ROYAL');
+  assert.strictEqual(royal.smartsheetId, '555');
+  assert.strictEqual(royal.name, 'Royal Caribbean');
+  assert.strictEqual(royal.emailColumnId, '8026953069842308', 'the bootstrap column ID is kept');
+  assert.strictEqual(royal.featureFlags.otpEnabled, false);
+  assert.strictEqual(h.app.getBrand_('BAD CODE!'), null);
+  assert.deepStrictEqual(warnings(h), [[
+    'row 2 (ROYAL): invalid Smartsheet ID "abc"',
+    'row 2 (ROYAL): invalid Email Column ID "col-1"',
+    'row 2 (ROYAL): unknown feature flag "darkMode"',
+    'row 3 (ROYAL): duplicate of row 2, ignored',
+    'row 4 (BAD CODE!): invalid brand code'
+  ]]);
+});
+
+test('the registry is cached and refreshBrandRegistry applies edits at once', () => {
+  const h = setup([['MSC', '444', '', 'MSC Cruises', '', '', '', '']]);
+  assert.ok(h.app.getBrand_('MSC'));
+  h.configSheet.seed('BRAND_CONFIG', HEADERS, [['MSC', '444', false, '', '', '', '', ''], ['NCL', '', '', '', '', '', '', '']]);
+
+  newExecution(h);
+  assert.ok(h.app.getBrand_('MSC'), 'served from the script cache');
+  h.advance(301 * 1000);
+  newExecution(h);
+  assert.strictEqual(h.app.getBrand_('MSC'), null, 'reloaded after the cache expires');
+
+  h.configSheet.seed('BRAND_CONFIG', HEADERS, [['NCL', '', '', 'Norwegian', '', '', '', '']]);
+  const result = h.app.refreshBrandRegistry();
+  assert.strictEqual(result.ok, true);
+  assert.deepStrictEqual(Array.from(result.brands, (b) => b.code), ['ROYAL', 'COSTA', 'SEACHEFS', 'CPD', 'NCL']);
+  assert.strictEqual(result.brands[4].source, 'BRAND_CONFIG');
+  assert.deepStrictEqual(Array.from(result.warnings), [
+    'CPD: no Smartsheet ID (BRAND_CONFIG or SMARTSHEET_IDS_CPD)',
+    'NCL: no Smartsheet ID (BRAND_CONFIG or SMARTSHEET_IDS_NCL)'
+  ]);
+  assert.strictEqual(h.app.getBrand_('NCL').name, 'Norwegian');
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Cook';
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+const BRAND_HEADERS = ['Brand', 'Smartsheet ID', 'Token Expiry Hours', 'Active', 'Admin Emails', 'Logo URL', 'Primary Color', 'Secondary Color', 'Favicon URL', 'Footer Text', 'Support Email'];
+const ROYAL_THEME = ['ROYAL', '5550002', '', true, '', 'https://cdn.test/royal.png', '#0A2240', '#c8a24a', 'https://cdn.test/royal.ico', 'Royal Caribbean <Group>\nAll rights reserved', 'help@royal.test'];
+
+function setup(brandRows) {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_ROYAL: '5550002' } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email', 'Name'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': EMAIL, 'Text For Email': TEXT, 'Name': 'Ana Silva' });
+  h.configSheet.seed('BRAND_CONFIG', BRAND_HEADERS, brandRows === undefined ? [ROYAL_THEME] : brandRows);
+  return h;
+}
+
+function page(h, parameter) {
+  return h.app.doGet({ parameter: parameter }).getContent();
+}
+
+function signedParams(h) {
+  const url = new URL(h.app.generateSignedUrl_({ brand: 'ROYAL', email: EMAIL, textForEmail: TEXT }).url);
+  return Object.fromEntries(url.searchParams);
+}
+
+function lastMail(h) {
+  return h.fakes.MailApp.sent[h.fakes.MailApp.sent.length - 1];
+}
+
+test('theme values are validated and missing ones keep the default', () => {
+  const h = setup([
+    ROYAL_THEME,
+    ['COSTA', '', '', true, '', 'http://insecure.test/logo.png', 'red', '#FFF', 'https://cdn.test/x.ico" onload="x', '', 'not-an-email']
+  ]);
+  const royal = h.app.getBrandTheme_('royal');
+  assert.strictEqual(royal.brandName, 'Royal Caribbean');
+  assert.strictEqual(royal.primaryColor, '#0a2240');
+  assert.strictEqual(royal.primaryDark, '#081b33');
+  assert.strictEqual(royal.secondaryColor, '#c8a24a');
+  assert.strictEqual(royal.supportEmail, 'help@royal.test');
+
+  const costa = h.app.getBrandTheme_('COSTA');
+  assert.deepStrictEqual(
+    [costa.logoUrl, costa.primaryColor, costa.secondaryColor, costa.faviconUrl, costa.supportEmail],
+    ['', '', '#fff', '', '']
+  );
+  assert.strictEqual(h.app.getBrandTheme_('SEACHEFS').logoUrl, '', 'brands without a row use the default look');
+  assert.strictEqual(h.app.buildBrandThemeHead_(h.app.getBrandTheme_('SEACHEFS')), '');
+  assert.strictEqual(h.app.getBrandTheme_('NOPE').brandName, 'NOPE');
+});
+
+test('the request and verify pages use the brand logo, colours, favicon and footer', () => {
+  const h = setup();
+  const html = page(h, signedParams(h));
+  assert.ok(html.includes('<link rel="icon" href="https://cdn.test/royal.ico">'));
+  assert.ok(html.includes(':root { --brand-primary: #0a2240; --primary-color: #0a2240; --primary-dark: #081b33; --brand-secondary: #c8a24a; }'));
+  assert.ok(html.includes('<img class="brand-logo" src="https://cdn.test/royal.png" alt="Royal Caribbean">'));
+  assert.ok(html.includes('<footer class="brand-footer"><p>Questions? Contact <a href="mailto:help@royal.test">help@royal.test</a></p><p>Royal Caribbean &lt;Group&gt;<br>All rights reserved</p></footer>'));
+
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  const verify = page(h, { page: 'verify', brand: 'ROYAL', e: EMAIL, t: TEXT, token: created.token, lang: 'es' });
+  assert.ok(verify.includes('--brand-primary: #0a2240'));
+  assert.ok(verify.includes('¿Tienes preguntas? Escribe a <a href="mailto:help@royal.test">'));
+
+  const plain = setup([]);
+  const defaultHtml = page(plain, signedParams(plain));
+  assert.ok(defaultHtml.includes('var(--brand-secondary, #1a237e), var(--brand-primary, #0d47a1)'), 'the default look is the fallback');
+  assert.ok(!defaultHtml.includes('brand-logo"'));
+  assert.ok(!defaultHtml.includes('<footer class="brand-footer">'));
+});
+
+test('the confirm gate, redirect and access errors are themed', () => {
+  const h = setup();
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  h.app.validateOtp_({ token: created.token, otp: created.otp });
+
+  const gate = page(h, { page: 'access', token: created.token });
+  assert.ok(gate.includes('<h1><img class="brand-logo" src="https://cdn.test/royal.png" alt="Royal Caribbean"> CrewLife Bookings</h1>'));
+  assert.ok(gate.includes('<footer class="brand-footer">'));
+
+  const redirect = page(h, { page: 'access', token: created.token, confirm: '1' });
+  assert.ok(redirect.includes('--brand-primary: #0a2240'));
+  assert.ok(redirect.includes('src="https://cdn.test/royal.png"'));
+  assert.ok(redirect.includes('<a href="mailto:help@royal.test" style="color:#0a2240;">'), 'the redirect page has no Styles.html, so the footer is inline-styled');
+
+  const used = page(h, { page: 'access', token: created.token });
+  assert.match(used, /Link Already Used/);
+  assert.ok(used.includes('--brand-primary: #0a2240'), 'used links still show the brand');
+
+  const unknown = page(h, { page: 'access', token: 'no-such-token' });
+  assert.ok(unknown.includes('<h1>🚢 CrewLife Bookings</h1>'));
+  assert.ok(!unknown.includes('--brand-primary'));
+});
+
+test('passcode and booking emails carry the brand theme', () => {
+  const h = setup();
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  assert.strictEqual(h.app.sendOtpEmail_({ email: EMAIL, brand: 'ROYAL', otp: created.otp, textForEmail: TEXT, token: created.token }).ok, true);
+  const otpMail = lastMail(h).htmlBody;
+  assert.ok(otpMail.includes('linear-gradient(135deg, #c8a24a, #0a2240)'));
+  assert.ok(otpMail.includes('<img src="https://cdn.test/royal.png" alt="Royal Caribbean"'));
+  assert.ok(otpMail.includes('Royal Caribbean &lt;Group&gt;<br>All rights reserved'));
+
+  assert.strictEqual(h.app.sendBookingConfirmEmail_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, token: created.token }).ok, true);
+  const booking = lastMail(h).htmlBody;
+  assert.ok(booking.includes('.cta       { display:inline-block; padding:14px 28px; background:#0a2240;'));
+  assert.ok(booking.includes('<img src="https://cdn.test/royal.png" alt="Royal Caribbean" class="logo">'));
+  assert.ok(booking.includes('mailto:help@royal.test'));
+
+  const plain = setup([]);
+  assert.strictEqual(plain.app.sendBookingConfirmEmail_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, token: 'tok-1' }).ok, true);
+  const defaultBooking = lastMail(plain).htmlBody;
+  assert.ok(defaultBooking.includes('background:#004aad;'));
+  assert.ok(defaultBooking.includes('alt="Crew Life at Sea" class="logo"'));
+  assert.ok(!defaultBooking.includes('mailto:'));
+});
+
+test('invite emails use the brand colour, logo and support contact', () => {
+  const h = setup();
+  assert.strictEqual(h.app.sendInviteEmail_({ email: EMAIL, brand: 'ROYAL', token: 'tok-1', textForEmail: TEXT, lang: 'pt' }).ok, true);
+  const mail = lastMail(h);
+  assert.ok(mail.htmlBody.includes('<p><img src="https://cdn.test/royal.png" alt="Royal Caribbean" style="max-height:48px;max-width:200px;"></p>'));
+  assert.ok(mail.htmlBody.includes('background-color:#0a2240;'));
+  assert.ok(mail.htmlBody.includes('Dúvidas? Escreva para <a href="mailto:help@royal.test" style="color:#0a2240;">help@royal.test</a>'));
+  assert.ok(mail.body.endsWith('Dúvidas? Escreva para help@royal.test\n\nRoyal Caribbean <Group>\nAll rights reserved'));
+
+  const plain = setup([]);
+  assert.strictEqual(plain.app.sendInviteEmail_({ email: EMAIL, brand: 'ROYAL', token: 'tok-1', textForEmail: TEXT }).ok, true);
+  assert.ok(lastMail(plain).htmlBody.includes('background-color:#0066cc;'));
+  assert.ok(!lastMail(plain).htmlBody.includes('<img'));
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const ADMIN = 'recruiter@partner.test';
+const SHEET_ID = '5550002';
+
+function setup(candidates) {
+  const h = loadApp({ properties: { ADMIN_ALLOWLIST: ADMIN, WORKSPACE_DOMAIN: '', SMARTSHEET_IDS_ROYAL: SHEET_ID } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  (candidates || ['ana', 'ben', 'cy']).forEach((name) => {
+    h.fakes.smartsheet.addRow(SHEET_ID, { 'Email': name + '@candidates.test', 'Text For Email': 'CL200 Cook' });
+  });
+  h.fakes.smartsheet.addRow(SHEET_ID, { 'Email': 'dee@candidates.test', 'Text For Email': 'CL999 Captain' });
+  h.configSheet.getSheetByName('CL_CODES').appendRow(['ROYAL', 'CL200', 'Rita Recruiter', 'rita@example.com', 'https://cal.test/rita', true, new Date()]);
+  return h;
+}
+
+function act(h, action, extra) {
+  return h.app.adminAction(Object.assign({ adminSession: h.app.issueAdminSession_(ADMIN).session, brand: 'ROYAL', action: action }, extra));
+}
+
+function setTokenStatus(h, email, status) {
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  const values = sheet.getDataRange().getValues();
+  const col = values[0].indexOf('Status');
+  const row = values.findIndex((r) => r[values[0].indexOf('Email')] === h.app.maskEmail_(email));
+  sheet.getRange(row + 1, col + 1).setValue(status);
+}
+
+test('CSV parsing handles headers, quotes, tabs and limits', () => {
+  const h = setup();
+  const parse = (t) => h.app.parseBulkInviteCsv_(t);
+
+  const quoted = parse('Text For Email,Email\r\n"Cook, Galley - CL200",ana@candidates.test\r\n\r\n"Say ""hi"" CL200",ben@candidates.test\r\n');
+  assert.strictEqual(JSON.stringify(quoted.rows.map((r) => [r.line, r.email, r.textForEmail])),
+    '[[2,"ana@candidates.test","Cook, Galley - CL200"],[4,"ben@candidates.test","Say \\"hi\\" CL200"]]');
+
+  const tsv = parse('ana@candidates.test\tCL200 Cook\nben@candidates.test\tCL200 Cook');
+  assert.strictEqual(tsv.rows.length, 2);
+  assert.strictEqual(tsv.rows[1].textForEmail, 'CL200 Cook');
+
+  assert.strictEqual(parse('Email,Job\na@b.test,x').code, 'BAD_HEADER');
+  assert.strictEqual(parse('\n\n').code, 'EMPTY');
+  const many = Array.from({ length: 201 }, (_, i) => 'c' + i + '@candidates.test,CL200 Cook').join('\n');
+  assert.strictEqual(parse(many).code, 'TOO_MANY_ROWS');
+});
+
+test('preview validates each row against Smartsheet, CL codes and the reuse guard', () => {
+  const h = setup();
+  assert.strictEqual(act(h, 'send', { email: 'ben@candidates.test', textForEmail: 'CL200 Cook' }).ok, true);
+  assert.strictEqual(act(h, 'send', { email: 'cy@candidates.test', textForEmail: 'CL200 Cook' }).ok, true);
+  setTokenStatus(h, 'cy@candidates.test', 'USED');
+  const fetchesBefore = h.fakes.UrlFetchApp.requests.length;
+
+  const csv = [
+    'Email,Text For Email',
+    'ana@candidates.test,CL200 Cook',
+    'ANA@candidates.test,cl200 cook',
+    'not-an-email,CL200 Cook',
+    'zed@candidates.test,CL200 Cook',
+    'dee@candidates.test,CL999 Captain',
+    'ben@candidates.test,CL200 Cook',
+    'cy@candidates.test,CL200 Cook'
+  ].join('\n');
+  const res = act(h, 'bulkpreview', { csv: csv });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(JSON.stringify(res.rows.map((r) => r.status)),
+    '["READY","DUPLICATE","INVALID","NOT_FOUND","NO_CL_CODE","ACTIVE_TOKEN","BLOCKED"]');
+  assert.strictEqual(res.rows[0].clCode, 'CL200');
+  assert.strictEqual(res.counts.READY, 1);
+  const fetched = h.fakes.UrlFetchApp.requests.slice(fetchesBefore).map((r) => r.url);
+  assert.strictEqual(fetched.length, new Set(fetched).size, 'each sheet is fetched once per preview');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 2, 'preview sends nothing');
+});
+
+test('send goes out in chunks, stops at the quota reserve and resumes', () => {
+  const names = Array.from({ length: 25 }, (_, i) => 'cand' + i);
+  const h = setup(names);
+  h.fakes.MailApp.quota = 50;
+  const csv = names.map((n) => n + '@candidates.test,CL200 Cook').join('\n');
+  const batchId = act(h, 'bulkpreview', { csv: csv }).batchId;
+
+  const first = act(h, 'bulksend', { batchId: batchId });
+  assert.strictEqual(first.sent, 20);
+  assert.strictEqual(first.done, false);
+  assert.strictEqual(first.quotaExhausted, false);
+
+  h.fakes.MailApp.quota = 22; // 2 above the default reserve of 20
+  const second = act(h, 'bulksend', { batchId: batchId });
+  assert.strictEqual(second.sent, 2);
+  assert.strictEqual(second.remaining, 3);
+  assert.strictEqual(second.quotaExhausted, true);
+
+  h.fakes.MailApp.quota = 100;
+  const third = act(h, 'bulksend', { batchId: batchId });
+  assert.strictEqual(third.sent, 3);
+  assert.strictEqual(third.done, true);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 25);
+  assert.strictEqual(act(h, 'bulksend', { batchId: batchId }).sent, 0, 'sent rows are never sent twice');
+  assert.strictEqual(h.configSheet.records('LOGS').filter((r) => r.Event === 'BULK_INVITE_CHUNK').length, 4);
+});
+
+test('the report lists every row with its final status', () => {
+  const h = setup();
+  const batchId = act(h, 'bulkpreview', { csv: 'ana@candidates.test,CL200 Cook\nzed@candidates.test,=HYPERLINK("x")' }).batchId;
+  act(h, 'bulksend', { batchId: batchId });
+
+  const report = act(h, 'bulkreport', { batchId: batchId });
+  assert.strictEqual(report.ok, true);
+  assert.match(report.filename, /^bulk-invites-ROYAL-2026-06-01-\w{6}\.csv$/);
+  const lines = report.csv.split('\r\n');
+  assert.strictEqual(lines[0], 'Line,Email,Text For Email,Status,CL Code,Recruiter,Message,Sent At');
+  assert.match(lines[1], /^1,ana@candidates\.test,CL200 Cook,SENT,CL200,Rita Recruiter,,2026-06-01T12:00:00/);
+  assert.match(lines[2], /^2,zed@candidates\.test,"'=HYPERLINK\(""x""\)",NOT_FOUND,/);
+});
+
+test('batches need the send role and belong to the admin and brand that previewed them', () => {
+  const h = setup();
+  h.configSheet.seed('ADMIN_ROLES', ['Email', 'Brand', 'Role', 'Active', 'Notes'], [
+    [ADMIN, '*', 'sender', true, ''],
+    ['view@partner.test', 'ROYAL', 'viewer', true, ''],
+    ['other@partner.test', '*', 'sender', true, '']
+  ]);
+  const batchId = act(h, 'bulkpreview', { csv: 'ana@candidates.test,CL200 Cook' }).batchId;
+
+  const as = (email, action, extra) => h.app.adminAction(Object.assign({ adminSession: h.app.issueAdminSession_(email).session, brand: 'ROYAL', action: action }, extra));
+  assert.strictEqual(as('view@partner.test', 'bulkpreview', { csv: 'ana@candidates.test,CL200 Cook' }).code, 'PERMISSION_DENIED');
+  assert.strictEqual(as('other@partner.test', 'bulksend', { batchId: batchId }).code, 'BATCH_NOT_FOUND');
+  assert.strictEqual(as(ADMIN, 'bulksend', { batchId: batchId, brand: 'COSTA' }).code, 'BATCH_NOT_FOUND');
+  assert.strictEqual(as(ADMIN, 'bulksend', { batchId: '../../etc' }).code, 'BATCH_NOT_FOUND');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(as(ADMIN, 'bulksend', { batchId: batchId }).sent, 1);
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Cook';
+const TEMPLATE_HEADERS = ['Brand', 'Template', 'Language', 'Subject', 'HTML Body', 'Text Body', 'Active', 'Notes'];
+
+function setup(templateRows, properties, candidate) {
+  const h = loadApp({ properties: Object.assign({ SMARTSHEET_IDS_ROYAL: '5550002' }, properties || {}) });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email', 'Name', 'Language'] });
+  h.fakes.smartsheet.addRow('5550002', Object.assign({ 'Email': EMAIL, 'Text For Email': TEXT, 'Name': 'Ana <Silva>' }, candidate || {}));
+  h.configSheet.getSheetByName('CL_CODES').appendRow(['ROYAL', 'CL200', 'Rita & Co', 'rita@example.com', 'https://cal.test/rita', true, new Date()]);
+  if (templateRows) h.configSheet.seed('EMAIL_TEMPLATES', TEMPLATE_HEADERS, templateRows);
+  return h;
+}
+
+function sendInvite(h, action) {
+  const session = h.app.issueAdminSession_('admin@crewlifeatsea.com').session;
+  return h.app.adminAction({ adminSession: session, brand: 'ROYAL', action: action || 'send', email: EMAIL, textForEmail: TEXT });
+}
+
+function lastMail(h) {
+  return h.fakes.MailApp.sent[h.fakes.MailApp.sent.length - 1];
+}
+
+test('built-in invites state the brand token expiry instead of 48 hours', () => {
+  const h = setup(null, { TOKEN_EXPIRY_HOURS: '72' });
+  assert.strictEqual(sendInvite(h).ok, true);
+  assert.match(lastMail(h).body, /This link will expire in 72 hours\./);
+  assert.match(lastMail(h).htmlBody, /This link will expire in 72 hours\./);
+
+  h.configSheet.seed('BRAND_CONFIG', ['Brand', 'Smartsheet ID', 'Token Expiry Hours', 'Active', 'Admin Emails'], [['ROYAL', '5550002', 24, true, '']]);
+  assert.strictEqual(sendInvite(h, 'reissue').ok, true);
+  assert.match(lastMail(h).body, /This link will expire in 24 hours\./);
+  assert.strictEqual(lastMail(h).subject, '(Re-sent) Your Interview Booking Link – Royal Caribbean');
+});
+
+test('a brand template fills placeholders and escapes values in the HTML body', () => {
+  const h = setup([
+    ['ROYAL', 'Invite', '', 'Hi {{candidateName}}: {{position}}', '<p>Dear {{candidateName}}, {{recruiterName}} invites you to {{position}}.</p><p><a href="{{ctaUrl}}">Book</a> within {{expiryHours}}h {{unknown}}</p>', 'Dear {{candidateName}}, book at {{ctaUrl}} within {{expiryHours}}h', true, '']
+  ]);
+  assert.strictEqual(sendInvite(h).ok, true);
+  const mail = lastMail(h);
+  assert.strictEqual(mail.subject, 'Hi Ana <Silva>: CL200 Cook');
+  assert.ok(mail.htmlBody.includes('Dear Ana &lt;Silva&gt;, Rita &amp; Co invites you to CL200 Cook.'));
+  assert.ok(mail.htmlBody.includes('within 48h {{unknown}}'), 'unknown placeholders stay as typed');
+  const token = h.configSheet.records('TOKENS')[0].Token;
+  assert.ok(mail.htmlBody.includes('href="https://script.google.com/macros/s/HARNESS/exec?page=access&amp;token=' + token + '"'));
+  assert.strictEqual(mail.body, 'Dear Ana <Silva>, book at https://script.google.com/macros/s/HARNESS/exec?page=access&token=' + token + ' within 48h');
+
+  const sent = h.configSheet.records('LOGS').find((r) => r.Event === 'EMAIL_SENT');
+  assert.strictEqual(JSON.parse(sent.Details).template, 'EMAIL_TEMPLATES row 2');
+
+  assert.strictEqual(sendInvite(h, 'reissue').ok, true);
+  assert.strictEqual(lastMail(h).subject, '(Re-sent) Your Interview Booking Link – Royal Caribbean', 'reissue has its own template type');
+});
+
+test('the most specific active template wins', () => {
+  const rows = [
+    ['*', 'invite', '', 'any brand', '', 'x', true, ''],
+    ['*', 'invite', 'Spanish', 'any brand es', '', 'x', true, ''],
+    ['ROYAL', 'invite', '', 'royal', '', 'x', true, ''],
+    ['ROYAL', 'invite', 'es', 'royal es', '', 'x', true, ''],
+    ['ROYAL', 'invite', 'es', 'royal es off', '', 'x', false, ''],
+    ['ROYAL', 'invite', 'Klingon', 'never', '', 'x', true, '']
+  ];
+  const subject = (brand, lang, count) => {
+    const h = setup(rows.slice(0, count));
+    assert.strictEqual(h.app.sendInviteEmail_({ email: EMAIL, brand: brand, token: 't', textForEmail: TEXT, lang: lang }).ok, true);
+    return lastMail(h).subject;
+  };
+  assert.strictEqual(subject('ROYAL', 'es', 6), 'royal es');
+  assert.strictEqual(subject('ROYAL', 'pt', 6), 'royal');
+  assert.strictEqual(subject('ROYAL', 'es', 2), 'any brand es');
+  assert.strictEqual(subject('COSTA', 'it', 6), 'any brand');
+  assert.strictEqual(subject('ROYAL', 'es', 0), 'Tu enlace para reservar la entrevista – Royal Caribbean');
+});
+
+test('broken rows are skipped and single-body templates get the other body', () => {
+  const h = setup([
+    ['ROYAL', 'invite', '', '', '<p>no subject</p>', '', true, ''],
+    ['ROYAL', 'invite', '', 'Empty', '  ', '', true, ''],
+    ['*', 'invite', '', 'Text only {{position}}', '', 'Line 1 <{{position}}>\nLine 2', true, '']
+  ]);
+  assert.strictEqual(h.app.sendInviteEmail_({ email: EMAIL, brand: 'ROYAL', token: 't', textForEmail: 'A&B' }).ok, true);
+  const mail = lastMail(h);
+  assert.strictEqual(mail.subject, 'Text only A&B');
+  assert.strictEqual(mail.body, 'Line 1 <A&B>\nLine 2');
+  assert.ok(mail.htmlBody.includes('<p>Line 1 &lt;A&amp;B&gt;<br>Line 2</p>'));
+  const invalid = h.configSheet.records('LOGS').filter((r) => r.Event === 'EMAIL_TEMPLATE_INVALID');
+  assert.deepStrictEqual(invalid.map((r) => JSON.parse(r.Details).row), [2, 3]);
+  assert.strictEqual(invalid[0].Level, 'WARN');
+
+  assert.strictEqual(h.app.renderEmailTemplate_({ brand: 'ROYAL', type: 'invite', lang: 'en', vars: {} }).row, 4);
+
+  h.configSheet.seed('EMAIL_TEMPLATES', TEMPLATE_HEADERS, [['ROYAL', 'invite', '', 'S', '<html><head><style>p{}</style></head><body><p>Hi &amp; bye</p><p>Two<br>lines</p></body></html>', '', true, '']]);
+  assert.strictEqual(h.app.renderEmailTemplate_({ brand: 'ROYAL', type: 'invite', vars: {} }).body, 'Hi & bye\nTwo\nlines');
+  assert.strictEqual(h.app.renderEmailTemplate_({ brand: 'ROYAL', type: 'welcome', vars: {} }), null);
+});
+
+test('booking and passcode emails use their templates', () => {
+  const h = setup([
+    ['ROYAL', 'booking', 'en', 'Book now, {{candidateName}}', '<a href="{{ctaUrl}}">{{position}} at {{brandName}}</a>', '', true, ''],
+    ['ROYAL', 'otp', '', 'Code {{otp}}', '', 'Your code {{otp}} expires in {{expiryMinutes}} minutes: {{ctaUrl}}', true, '']
+  ]);
+  const booking = h.app.sendBookingConfirmEmail_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, token: 'tok-9', candidateName: 'Ana' });
+  assert.strictEqual(booking.ok, true);
+  assert.strictEqual(lastMail(h).subject, 'Book now, Ana');
+  assert.strictEqual(lastMail(h).htmlBody, '<a href="https://script.google.com/macros/s/HARNESS/exec?token=tok-9">CL200 Cook at Royal Caribbean</a>');
+  assert.strictEqual(lastMail(h).body, 'CL200 Cook at Royal Caribbean');
+
+  const spanish = h.app.sendBookingConfirmEmail_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, token: 'tok-9', lang: 'es' });
+  assert.strictEqual(spanish.ok, true);
+  assert.strictEqual(lastMail(h).subject, 'Programa tu entrevista – CL200 Cook', 'an English-only template leaves other languages built-in');
+
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': 'https://cal.test/rita' } });
+  assert.strictEqual(h.app.sendOtpEmail_({ email: EMAIL, brand: 'ROYAL', otp: created.otp, textForEmail: TEXT, token: created.token }).ok, true);
+  assert.strictEqual(lastMail(h).subject, 'Code ' + created.otp);
+  assert.ok(lastMail(h).body.startsWith('Your code ' + created.otp + ' expires in 10 minutes: https://script.google.com/macros/s/HARNESS/exec?page=verify&brand=ROYAL'));
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+const TEXT = 'CL200 Cook';
+
+function setup() {
+  const h = loadApp({ properties: { TOKEN_EXPIRY_HOURS: '48' } });
+  h.setNow(NOW);
+  return h;
+}
+
+function invite(h, email, brand) {
+  return h.app.issueToken_({ email: email, brand: brand || 'ROYAL', textForEmail: TEXT }).token;
+}
+
+function statuses(h) {
+  return h.configSheet.records('TOKENS').map((r) => r.Status);
+}
+
+test('open rows past their expiry become EXPIRED and counts are logged per brand', () => {
+  const h = setup();
+  invite(h, 'a@candidates.test');
+  invite(h, 'b@candidates.test', 'COSTA');
+  invite(h, 'c@candidates.test');
+  h.app.revokeActiveTokens_('c@candidates.test', 'ROYAL', 'trace', 'admin@crewlifeatsea.com');
+  h.advance(47 * HOUR);
+  h.app.createOtp_({ email: 'd@candidates.test', brand: 'ROYAL', textForEmail: TEXT });
+  invite(h, 'e@candidates.test');
+  h.advance(2 * HOUR);
+
+  const res = h.app.sweepExpiredTokens_();
+  assert.strictEqual(res.ok, true);
+  assert.deepStrictEqual([res.scanned, res.expired, res.complete, res.nextRow], [5, 3, true, 2]);
+  assert.deepStrictEqual({ ...res.byBrand }, { ROYAL: 2, COSTA: 1 });
+  assert.deepStrictEqual(statuses(h), ['EXPIRED', 'EXPIRED', 'REVOKED', 'EXPIRED', 'ISSUED']);
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  const logged = h.configSheet.records('LOGS').filter((r) => r.Event === 'TOKENS_EXPIRED');
+  assert.deepStrictEqual(logged.map((r) => [r.Brand, JSON.parse(r.Details).count]), [['ROYAL', 2], ['COSTA', 1]]);
+  assert.strictEqual(h.app.sweepExpiredTokens_().expired, 0);
+});
+
+test('each run of expired rows is written with one call', () => {
+  const h = setup();
+  ['a', 'b', 'c'].forEach((x) => invite(h, x + '@candidates.test'));
+  h.advance(24 * HOUR);
+  invite(h, 'fresh@candidates.test');
+  ['d', 'e'].forEach((x) => invite(h, x + '@candidates.test'));
+  h.advance(25 * HOUR);
+  h.app.validateToken_(h.configSheet.records('TOKENS')[3].Token);
+
+  const before = h.configSheet.writes;
+  const chunk = h.app.sweepTokenChunk_(2, 500, false);
+  assert.deepStrictEqual([chunk.scanned, chunk.expired], [6, 3]);
+  assert.strictEqual(h.configSheet.writes - before, 1, 'rows 2-4 in one setValues; the fresh rows are not written');
+  assert.deepStrictEqual(statuses(h), ['EXPIRED', 'EXPIRED', 'EXPIRED', 'CONFIRMED', 'ISSUED', 'ISSUED']);
+});
+
+test('a limited run stores a cursor and the next run resumes from it', () => {
+  const h = setup();
+  ['a', 'b', 'c', 'd', 'e'].forEach((x) => invite(h, x + '@candidates.test'));
+  h.advance(49 * HOUR);
+
+  let res = h.app.sweepExpiredTokens_({ limit: 2 });
+  assert.deepStrictEqual([res.fromRow, res.scanned, res.expired, res.nextRow, res.complete], [2, 2, 2, 4, false]);
+  assert.strictEqual(h.fakes.scriptProperties.getProperty('TOKEN_SWEEP_CURSOR'), '4');
+  assert.deepStrictEqual(statuses(h), ['EXPIRED', 'EXPIRED', 'ISSUED', 'ISSUED', 'ISSUED']);
+
+  res = h.app.sweepExpiredTokens_({ limit: 2 });
+  assert.deepStrictEqual([res.fromRow, res.expired, res.nextRow], [4, 2, 6]);
+  res = h.app.sweepExpiredTokens_({});
+  assert.deepStrictEqual([res.fromRow, res.expired, res.complete, res.nextRow], [6, 1, true, 2]);
+  assert.deepStrictEqual(statuses(h), ['EXPIRED', 'EXPIRED', 'EXPIRED', 'EXPIRED', 'EXPIRED']);
+  assert.strictEqual(h.fakes.scriptProperties.getProperty('TOKEN_SWEEP_CURSOR'), '2');
+});
+
+test('dry run counts without writing or moving the cursor', () => {
+  const h = setup();
+  invite(h, 'a@candidates.test');
+  invite(h, 'b@candidates.test', 'SEACHEFS');
+  h.advance(49 * HOUR);
+
+  const res = h.app.sweepExpiredTokens_({ dryRun: true });
+  assert.deepStrictEqual([res.dryRun, res.expired, res.complete], [true, 2, true]);
+  assert.deepStrictEqual({ ...res.byBrand }, { ROYAL: 1, SEACHEFS: 1 });
+  assert.deepStrictEqual(statuses(h), ['ISSUED', 'ISSUED']);
+  assert.strictEqual(h.fakes.scriptProperties.getProperty('TOKEN_SWEEP_CURSOR'), null);
+  assert.strictEqual(h.configSheet.records('LOGS').filter((r) => r.Event === 'TOKENS_EXPIRED').length, 0);
+});
+
+test('a busy lock ends the run and keeps the cursor', () => {
+  const h = setup();
+  invite(h, 'a@candidates.test');
+  h.advance(49 * HOUR);
+  h.fakes.scriptProperties.setProperty('TOKEN_SWEEP_CURSOR', '2');
+  h.fakes.scriptLock.waitLock();
+
+  const res = h.app.sweepExpiredTokens_();
+  assert.deepStrictEqual([res.ok, res.lockTimeout, res.expired, res.nextRow], [true, true, 0, 2]);
+  assert.deepStrictEqual(statuses(h), ['ISSUED']);
+  const summary = h.configSheet.records('LOGS').find((r) => r.Event === 'TOKEN_SWEEP_COMPLETE');
+  assert.strictEqual(JSON.parse(summary.Details).lockTimeout, true);
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const MIN = 60 * 1000;
+const ADMIN = 'recruiter@partner.test';
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+const LOG_HEADERS = ['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor', 'Level'];
+const TOKEN_HEADERS = ['Token', 'Email', 'Email Hash', 'Text For Email', 'Brand', 'CL Code', 'Status', 'Expiry', 'Created At'];
+
+function setup() {
+  const h = loadApp({ properties: { ADMIN_ALLOWLIST: ADMIN, WORKSPACE_DOMAIN: '', OTP_EXPIRY_MINUTES: '60' } });
+  h.setNow(NOW);
+  return h;
+}
+
+/** Sideways-style invite: OTP row + invite email, as the worker logs them. */
+function invite(h, email, textForEmail) {
+  const created = h.app.createOtp_({ email: email, brand: 'ROYAL', textForEmail: textForEmail, candidate: { 'Position Link': SCHEDULE_URL } });
+  h.app.logEvent_('trace-w', 'ROYAL', email, 'SIDEWAYS_EMAIL_SENT', { ok: true, token: created.token.substring(0, 8) + '...' });
+  return created;
+}
+
+/** The candidate asks for a passcode email from the OTP page. */
+function requestOtp(h, email, created, textForEmail) {
+  const sent = h.app.sendOtpEmail_({ email: email, otp: created.otp, brand: 'ROYAL', textForEmail: textForEmail, token: created.token, expiryMinutes: 60 });
+  assert.strictEqual(sent.ok, true);
+}
+
+const counts = (report) => JSON.stringify(report.steps.map((s) => s.count));
+
+test('each candidate counts once per step, with median times between steps', () => {
+  const h = setup();
+  const ana = invite(h, 'ana@candidates.test', 'Cook - CL123');
+  const ben = invite(h, 'ben@candidates.test', 'Cook - CL123');
+  invite(h, 'cy@candidates.test', 'Waiter - CL300');
+
+  h.advance(2 * MIN);
+  requestOtp(h, 'ana@candidates.test', ana, 'Cook - CL123');
+  h.advance(3 * MIN);
+  assert.strictEqual(h.app.validateOtp_({ token: ana.token, otp: ana.otp }).ok, true);
+  h.advance(4 * MIN);
+  assert.strictEqual(h.app.validateOtp_({ token: ben.token, otp: ben.otp }).ok, true);
+  h.advance(16 * MIN);
+  h.app.serveSecureAccess_({ token: ana.token }, 't');
+  h.advance(5 * MIN);
+  h.app.serveSecureAccess_({ token: ana.token }, 't');
+  h.app.handleSecureAccessConfirm_({ token: ana.token, confirm: '1' }, 't');
+
+  const report = h.app.buildFunnelReport_('ROYAL', { to: '2026-06-01' });
+  assert.strictEqual(report.ok, true);
+  assert.strictEqual(report.from, '2026-05-03');
+  assert.strictEqual(counts(report), '[3,1,2,1,1]', 'invites nobody acted on are not OTP requests');
+  assert.strictEqual(JSON.stringify(report.steps.map((s) => s.medianMinutes)), '[null,2,3,20,5]');
+  assert.strictEqual(report.steps[2].pctOfFirst, 66.7);
+  assert.strictEqual(report.steps[3].pctOfPrevious, 50);
+  assert.strictEqual(JSON.stringify(report.clCodes.map((c) => [c.clCode, c.counts])), '[["CL123",[2,1,2,1,1]],["CL300",[1,0,0,0,0]]]');
+
+  const cl300 = h.app.buildFunnelReport_('ROYAL', { to: '2026-06-01', clCode: 'cl300' });
+  assert.strictEqual(counts(cl300), '[1,0,0,0,0]');
+  assert.strictEqual(h.app.buildFunnelReport_('COSTA', { to: '2026-06-01' }).candidates, 0);
+});
+
+test('older events without a token prefix match by masked email, across rotated LOGS tabs', () => {
+  const h = setup();
+  const at = (day, hour) => new Date(Date.UTC(2026, 4, day, hour));
+  h.configSheet.seed('TOKENS', TOKEN_HEADERS, [
+    ['aaaa1111-x', 'da***@candidates.test', 'hash-dana', 'Cook - CL123', 'ROYAL', 'CL123', 'USED', at(22, 0), at(10, 9)]
+  ]);
+  h.configSheet.seed('LOGS_2026_05_12', LOG_HEADERS, [
+    [at(10, 9), 't', 'ROYAL', 'da***@candidates.test', 'EMAIL_SENT', '{"clCode":"CL123"}', 'SYSTEM', 'INFO'],
+    [at(10, 10), 't', 'ROYAL', 'da***@candidates.test', 'OTP_VERIFIED', '{"textForEmail":"Cook - CL123"}', 'SYSTEM', 'INFO'],
+    [at(10, 11), 't', 'ROYAL', 'zz***@candidates.test', 'OTP_VERIFIED', '{}', 'SYSTEM', 'INFO']
+  ]);
+  h.configSheet.seed('LOGS_2026_04_30', LOG_HEADERS, [
+    [new Date(Date.UTC(2026, 3, 29)), 't', 'ROYAL', 'da***@candidates.test', 'EMAIL_SENT', '{}', 'SYSTEM', 'INFO']
+  ]);
+  const logs = h.configSheet.getSheetByName('LOGS');
+  logs.appendRow([at(11, 8), 't', 'ROYAL', '', 'ACCESS_GATE_SHOWN', '{"token":"aaaa1111..."}', '', 'INFO']);
+  logs.appendRow([at(11, 8), 't', 'ROYAL', 'da***@candidates.test', 'SIDEWAYS_EMAIL_SENT', '{"ok":false}', 'SYSTEM', 'ERROR']);
+
+  const report = h.app.buildFunnelReport_('ROYAL', { from: '2026-05-01', to: '2026-05-31' });
+  assert.strictEqual(counts(report), '[1,0,1,1,0]');
+  assert.strictEqual(report.steps[2].medianMinutes, null, 'no OTP step to measure from');
+  assert.strictEqual(report.steps[3].medianMinutes, 22 * 60);
+  assert.strictEqual(report.unattributed, 1);
+
+  assert.strictEqual(counts(h.app.buildFunnelReport_('ROYAL', { from: '2026-05-11', to: '2026-05-31' })), '[0,0,0,1,0]');
+});
+
+test('archived tokens still attribute events in range', () => {
+  const h = setup();
+  const at = (day) => new Date(Date.UTC(2026, 4, day, 9));
+  h.configSheet.seed('TOKENS_ARCHIVE_2026_05', TOKEN_HEADERS, [
+    ['bbbb2222-x', 'ed***@candidates.test', 'hash-ed', 'Chef CL400', 'ROYAL', '', 'USED', at(12), at(10)]
+  ]);
+  h.configSheet.getSheetByName('LOGS').appendRow([at(11), 't', 'ROYAL', '', 'SECURE_REDIRECT', '{"token":"bbbb2222..."}', '', 'INFO']);
+
+  const report = h.app.buildFunnelReport_('ROYAL', { from: '2026-05-01', to: '2026-05-31' });
+  assert.strictEqual(counts(report), '[0,0,0,0,1]');
+  assert.strictEqual(report.clCodes[0].clCode, 'CL400', 'CL code comes from Text For Email when the column is blank');
+  assert.strictEqual(report.unattributed, 0);
+});
+
+test('date ranges are validated', () => {
+  const h = setup();
+  const range = (from, to) => h.app.buildFunnelReport_('ROYAL', { from: from, to: to });
+  assert.strictEqual(range('2026/05/01', '').code, 'BAD_DATE');
+  assert.strictEqual(range('2026-05-10', '2026-05-01').code, 'BAD_RANGE');
+  assert.strictEqual(range('2026-01-01', '2026-05-01').code, 'RANGE_TOO_LONG');
+  const def = range('', '');
+  assert.strictEqual(def.ok, true);
+  assert.strictEqual(def.to, '2026-06-01');
+  assert.strictEqual(def.from, '2026-05-03');
+});
+
+test('the dashboard page needs admin sign-in and shows the funnel', () => {
+  const h = setup();
+  invite(h, 'ana@candidates.test', 'Cook - CL123');
+  const get = (p) => h.app.doGet({ parameter: Object.assign({ page: 'funnel', brand: 'ROYAL' }, p) }).getContent();
+
+  const anon = get({});
+  assert.match(anon, /Send Sign-in Code/);
+  assert.doesNotMatch(anon, /Recruitment Funnel/);
+
+  const session = h.app.issueAdminSession_(ADMIN).session;
+  const open = (p) => h.app.adminOpenPage(Object.assign({ adminSession: session, page: 'funnel', brand: 'ROYAL' }, p)).html;
+  const page = open({ to: '2026-06-01' });
+  assert.match(page, /Recruitment Funnel/);
+  assert.match(page, /<td>Invite sent<\/td>\s*<td>1<\/td>\s*<td>100%<\/td>/);
+  assert.ok(page.includes('&cl=CL123'), 'CL code rows link to their own funnel');
+  assert.doesNotMatch(page, /adminSession/, 'links and the filter form carry no session');
+
+  assert.match(open({ from: 'yesterday' }), /Dates must be in yyyy-mm-dd format/);
+  assert.strictEqual(h.configSheet.records('LOGS').filter((r) => r.Event === 'FUNNEL_VIEWED').length, 2);
+
+  const console = h.app.adminOpenPage({ adminSession: session, page: 'admin', brand: 'ROYAL' }).html;
+  assert.ok(console.includes('href="?page=funnel&brand=ROYAL"'));
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const DAY = 24 * 60 * 60 * 1000;
+const LINK = { brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL200 Cook' };
+
+function query(url) {
+  const q = {};
+  url.split('?')[1].split('&').forEach((kv) => { const p = kv.split('='); q[p[0]] = decodeURIComponent(p[1]); });
+  return q;
+}
+
+function sign(h) {
+  return query(h.app.generateSignedUrl_(LINK).url);
+}
+
+/** A link as signed before the keyring: no kid, 16-char signature by HMAC_SECRET. */
+function legacyLink(h, ts, secret) {
+  const data = 'ROYAL|ana@candidates.test|CL200 Cook|' + ts;
+  const sig = h.app.computeHmac_(secret || h.fakes.scriptProperties.store.HMAC_SECRET, data).substring(0, 16);
+  return { brand: 'ROYAL', e: 'ana@candidates.test', t: 'CL200 Cook', ts: String(ts), sig: sig };
+}
+
+test('new links carry the kid of the active key and a full-length signature', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 5, 1));
+  const q = sign(h);
+  assert.strictEqual(q.kid, 'k0');
+  assert.match(q.sig, /^[0-9a-f]{32}$/);
+  assert.strictEqual(h.app.validateSignedUrl_(q).ok, true);
+
+  assert.strictEqual(h.app.validateSignedUrl_(Object.assign({}, q, { t: 'CL999 Captain' })).code, 'INVALID_SIGNATURE');
+  assert.strictEqual(h.app.validateSignedUrl_(Object.assign({}, q, { sig: q.sig.substring(0, 16) })).code, 'INVALID_SIGNATURE');
+  assert.strictEqual(h.app.validateSignedUrl_(Object.assign({}, q, { kid: 'k9' })).code, 'KEY_RETIRED');
+});
+
+test('links without a kid still verify against HMAC_SECRET', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 5, 1));
+  const legacy = legacyLink(h, Math.floor(Date.now() / 1000));
+  assert.strictEqual(h.app.validateSignedUrl_(legacy).ok, true);
+  assert.strictEqual(h.app.validateSignedUrl_(Object.assign({}, legacy, { kid: 'k0' })).code, 'INVALID_SIGNATURE');
+});
+
+test('rotation signs with the new key and keeps old links valid until retired', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 5, 1));
+  const before = sign(h);
+  const secret = h.fakes.scriptProperties.store.HMAC_SECRET;
+  const legacy = legacyLink(h, Math.floor(Date.now() / 1000));
+
+  const rotated = h.app.rotateHmacKey();
+  assert.strictEqual(rotated.kid, 'k1');
+  assert.strictEqual(rotated.previousKid, 'k0');
+  const after = sign(h);
+  assert.strictEqual(after.kid, 'k1');
+  [before, legacy, after].forEach((q) => assert.strictEqual(h.app.validateSignedUrl_(q).ok, true));
+  assert.strictEqual(JSON.stringify(h.app.listHmacKeys().map((k) => k.kid + ':' + k.status)), '["k0:verify","k1:active"]');
+  assert.strictEqual(JSON.stringify(h.app.listHmacKeys()).indexOf('harness-hmac-secret'), -1);
+
+  assert.strictEqual(h.app.retireHmacKey('k1').code, 'KEY_ACTIVE');
+  assert.strictEqual(h.app.retireHmacKey('k0').code, 'LINKS_OUTSTANDING');
+  h.advance(7 * DAY + 1000);
+  const fresh = sign(h);
+  assert.strictEqual(h.app.retireHmacKey('k0').ok, true);
+
+  assert.strictEqual(h.app.validateSignedUrl_(legacyLink(h, Math.floor(Date.now() / 1000), secret)).code, 'KEY_RETIRED');
+  assert.strictEqual(h.app.validateSignedUrl_(Object.assign({}, before, { ts: fresh.ts })).code, 'KEY_RETIRED');
+  assert.strictEqual(h.app.validateSignedUrl_(fresh).ok, true);
+  assert.strictEqual(h.fakes.scriptProperties.store.HMAC_SECRET, undefined, 'legacy secret erased');
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'HMAC_KEY_RETIRED'));
+});
+
+test('a missing key is an error, never a silently generated secret', () => {
+  const h = loadApp();
+  delete h.fakes.scriptProperties.store.HMAC_SECRET;
+
+  const res = h.app.generateSignedUrl_(LINK);
+  assert.strictEqual(res.code, 'NO_HMAC_KEY');
+  assert.throws(() => h.app.getHmacSecret_(), /HMAC key not configured/);
+  assert.strictEqual(h.fakes.scriptProperties.store.HMAC_SECRET, undefined);
+  assert.strictEqual(h.app.validateSignedUrl_({ brand: 'ROYAL', e: 'a@candidates.test', t: 'x', ts: String(Math.floor(Date.now() / 1000)), sig: 'abc' }).code, 'KEY_RETIRED');
+
+  assert.strictEqual(h.app.rotateHmacKey().kid, 'k1');
+  assert.strictEqual(sign(h).kid, 'k1');
+});
+
+test('webhook callback keys from a verify-only key are accepted until it is retired', () => {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: '5550001' } });
+  const oldKey = h.app.getSmartsheetWebhookKey_('COSTA', '5550001');
+  h.app.rotateHmacKey();
+  const newKey = h.app.getSmartsheetWebhookKey_('COSTA', '5550001');
+  assert.notStrictEqual(newKey, oldKey);
+  assert.strictEqual(h.app.isValidSmartsheetWebhookKey_('COSTA', '5550001', oldKey), true);
+  assert.strictEqual(h.app.isValidSmartsheetWebhookKey_('COSTA', '5550001', newKey), true);
+
+  h.app.retireHmacKey('k0', true);
+  assert.strictEqual(h.app.isValidSmartsheetWebhookKey_('COSTA', '5550001', oldKey), false);
+  assert.strictEqual(h.app.isValidSmartsheetWebhookKey_('COSTA', '5550001', newKey), true);
+});
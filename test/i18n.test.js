@@ -0,0 +1,152 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Cook';
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+
+function setup(properties, candidate) {
+  const h = loadApp({ properties: Object.assign({ SMARTSHEET_IDS_ROYAL: '5550002' }, properties || {}) });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email', 'Name', 'Language'] });
+  h.fakes.smartsheet.addRow('5550002', Object.assign({ 'Email': EMAIL, 'Text For Email': TEXT, 'Name': 'Ana Silva' }, candidate || {}));
+  return h;
+}
+
+/** Query parameters of a signed ?page=otp link, as doGet receives them. */
+function signedParams(h, extra) {
+  const url = new URL(h.app.generateSignedUrl_({ brand: 'ROYAL', email: EMAIL, textForEmail: TEXT }).url);
+  return Object.assign(Object.fromEntries(url.searchParams), extra || {});
+}
+
+function page(h, parameter) {
+  return h.app.doGet({ parameter: parameter }).getContent();
+}
+
+/** The I18N object a page hands to LangSwitch.html. */
+function i18nOf(html) {
+  return JSON.parse(/var I18N = (\{.*?\});<\/script>/.exec(html)[1]);
+}
+
+test('?lang= translates the request page and the language picker keeps the signed link', () => {
+  const h = setup();
+  const html = page(h, signedParams(h, { lang: 'es' }));
+
+  assert.match(html, /<html lang="es">/);
+  assert.match(html, /¡Felicidades, Ana!/);
+  assert.match(html, /Enviar código a mi correo/);
+  assert.doesNotMatch(html, /Send OTP to My Email/);
+
+  const i18n = i18nOf(html);
+  assert.strictEqual(i18n.lang, 'es');
+  assert.strictEqual(i18n.source, 'param');
+  assert.strictEqual(i18n.strings['code.RATE_LIMITED'], 'Demasiadas solicitudes de código. Inténtalo de nuevo más tarde.');
+  assert.strictEqual(JSON.stringify(i18n.languages.map((l) => l.code)), '["en","es","pt","it","fil","id"]');
+  assert.ok(i18n.switchUrl.endsWith('&lang='));
+  assert.ok(!/lang=es/.test(i18n.switchUrl));
+  assert.ok(i18n.switchUrl.includes('sig=' + signedParams(h).sig), 'switching language keeps the signature');
+
+  const english = page(h, signedParams(h, { lang: 'xx' }));
+  assert.match(english, /Send OTP to My Email/);
+  assert.strictEqual(i18nOf(english).source, 'default', 'unsupported languages fall through');
+});
+
+test('the Smartsheet language column picks the page and email language', () => {
+  const h = setup({}, { 'Language': 'Spanish' });
+  const params = signedParams(h);
+  const html = page(h, params);
+  assert.strictEqual(i18nOf(html).source, 'sheet');
+  assert.match(html, /<html lang="es">/);
+
+  const res = h.app.handleOtpRequest_({ brand: 'ROYAL', email: EMAIL, textForEmail: TEXT, timestamp: params.ts, sig: params.sig, kid: params.kid }, 't');
+  assert.strictEqual(res.ok, true);
+  assert.ok(res.verifyUrl.endsWith('&lang=es'));
+
+  const mail = h.fakes.MailApp.sent[0];
+  assert.strictEqual(mail.subject, 'Tu código para reservar la entrevista – Royal Caribbean');
+  assert.match(mail.htmlBody, /Introduce tu código/);
+  assert.ok(mail.htmlBody.includes('&amp;lang=es'), 'the verify link carries the language');
+
+  const verify = page(h, Object.fromEntries(new URL(res.verifyUrl).searchParams));
+  assert.match(verify, /Introduce tu código de 6 dígitos/);
+  assert.match(verify, /Enviamos un código a <strong>ana@candidates\.test<\/strong>/);
+});
+
+test('brand default languages apply when nothing else picks one', () => {
+  const h = setup({ DEFAULT_LANG_ROYAL: 'pt', DEFAULT_LANG: 'it' });
+  assert.strictEqual(h.app.getBrandDefaultLang_('ROYAL'), 'pt');
+  assert.strictEqual(h.app.getBrandDefaultLang_('COSTA'), 'it');
+
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  const verify = page(h, { page: 'verify', brand: 'ROYAL', e: EMAIL, t: TEXT, token: created.token });
+  assert.match(verify, /<html lang="pt">/);
+  assert.match(verify, /Digite seu código de 6 dígitos/);
+  assert.strictEqual(i18nOf(verify).source, 'default');
+
+  const res = h.app.otpVerifyApi({ token: created.token, brand: 'ROYAL', email: EMAIL, otp: created.otp }, 't');
+  assert.strictEqual(res.ok, true);
+  assert.ok(!/lang=/.test(res.accessUrl), 'links in the brand default language stay unchanged');
+  const booking = h.app.sendBookingConfirmEmail_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, accessUrl: res.accessUrl });
+  assert.strictEqual(booking.ok, true);
+  const mail = h.fakes.MailApp.sent[h.fakes.MailApp.sent.length - 1];
+  assert.strictEqual(mail.subject, 'Agende sua entrevista – CL200 Cook');
+  assert.match(mail.htmlBody, /Parabéns, Candidato\(a\)!/);
+
+  const english = page(h, { page: 'verify', brand: 'ROYAL', e: EMAIL, t: TEXT, token: created.token, lang: 'en' });
+  assert.match(english, /Enter Your 6-Digit Passcode/);
+});
+
+test('catalogs fall back to English and cover the same keys', () => {
+  const h = loadApp();
+  const t = h.app.t_;
+  assert.strictEqual(t('de', 'otpVerify.verify'), 'Verify');
+  assert.strictEqual(t('fil', 'common.appName'), 'CrewLife Bookings', 'unset keys use the English text');
+  assert.strictEqual(t('es', 'no.such.key'), 'no.such.key');
+  assert.strictEqual(t('es', 'no.such.key', null, 'Server text'), 'Server text');
+  assert.strictEqual(t('it', 'code.OTP_INCORRECT', { attemptsLeft: 2 }), 'Codice errato. Tentativi rimasti: 2.');
+
+  assert.strictEqual(h.app.normalizeLang_('pt-BR'), 'pt');
+  assert.strictEqual(h.app.normalizeLang_('Tagalog'), 'fil');
+  assert.strictEqual(h.app.normalizeLang_('Bahasa Indonesia'), 'id');
+  assert.strictEqual(h.app.normalizeLang_('de'), '');
+
+  const catalogs = h.app.I18N_CATALOGS;
+  const english = Object.keys(catalogs.en);
+  for (const lang of ['es', 'pt', 'it', 'fil', 'id']) {
+    const missing = english.filter((k) => !(k in catalogs[lang]) && k !== 'common.appName' && k !== 'common.tagline');
+    const extra = Object.keys(catalogs[lang]).filter((k) => !(k in catalogs.en));
+    assert.deepStrictEqual({ lang: lang, missing: missing, extra: extra }, { lang: lang, missing: [], extra: [] });
+  }
+});
+
+test('access errors, the confirm gate, invites and wrong codes are translated', () => {
+  const h = setup();
+  const created = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': SCHEDULE_URL } });
+  const wrong = created.otp === '000000' ? '111111' : '000000';
+  const failed = h.app.otpVerifyApi({ token: created.token, brand: 'ROYAL', email: EMAIL, otp: wrong }, 't');
+  assert.strictEqual(failed.code, 'OTP_INCORRECT');
+  assert.strictEqual(failed.attemptsLeft, 2);
+
+  h.app.validateOtp_({ token: created.token, otp: created.otp });
+  const gate = page(h, { page: 'access', token: created.token, lang: 'id' });
+  assert.match(gate, /Siap Memesan Jadwal Wawancara\?/);
+  assert.ok(gate.includes('&confirm=1&amp;lang=id'), 'the Continue link keeps the language');
+
+  const redirect = page(h, { page: 'access', token: created.token, confirm: '1', lang: 'id' });
+  assert.match(redirect, /Membuka Halaman Penjadwalan/);
+  const used = page(h, { page: 'access', token: created.token, lang: 'es' });
+  assert.match(used, /<h2 class="error-title">Enlace ya utilizado<\/h2>/);
+  assert.match(used, /Este enlace ya se utilizó\. Solicita un nuevo código\./);
+  assert.match(used, /← Volver al inicio/);
+
+  const sent = h.app.sendInviteEmail_({ email: EMAIL, brand: 'ROYAL', token: 'tok-1', textForEmail: 'Cook <Galley>', lang: 'fil', isReissue: true });
+  assert.strictEqual(sent.ok, true);
+  const mail = h.fakes.MailApp.sent[h.fakes.MailApp.sent.length - 1];
+  assert.strictEqual(mail.subject, '(Ipinadala Muli) Ang Iyong Interview Booking Link – Royal Caribbean');
+  assert.ok(mail.htmlBody.includes('para sa: <strong>Cook &lt;Galley&gt;</strong>'));
+  assert.ok(mail.body.includes('?page=access&token=tok-1&lang=fil'));
+});
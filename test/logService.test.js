@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+/** loadApp with the CONFIG_TABS_CREATED row from setup removed. */
+function fresh(options) {
+  const h = loadApp(options);
+  const logs = h.configSheet.getSheetByName('LOGS');
+  while (logs.getLastRow() > 1) logs.deleteRow(2);
+  return h;
+}
+
+function events(h, tab) {
+  return h.configSheet.records(tab || 'LOGS').map((r) => r.Event).join(',');
+}
+
+test('withLogBatch_ buffers events and writes them in one call', () => {
+  const h = fresh();
+  const before = h.configSheet.writes;
+
+  const out = h.app.withLogBatch_(() => {
+    h.app.logEvent_('t1', 'ROYAL', 'ana@candidates.test', 'OTP_CREATED', { a: 1 });
+    h.app.logEvent_('t1', 'ROYAL', 'ana@candidates.test', 'OTP_EMAIL_SENT', {});
+    h.app.withLogBatch_(() => h.app.logEvent_('t1', 'ROYAL', '', 'OTP_EMAIL_FAILED', {}));
+    assert.strictEqual(h.configSheet.records('LOGS').length, 0, 'nothing written before the batch ends');
+    return 'done';
+  });
+
+  assert.strictEqual(out, 'done');
+  assert.strictEqual(h.configSheet.writes - before, 1);
+  const rows = h.configSheet.records('LOGS');
+  assert.strictEqual(rows.map((r) => r.Event + ':' + r.Level).join(','), 'OTP_CREATED:INFO,OTP_EMAIL_SENT:INFO,OTP_EMAIL_FAILED:ERROR');
+  assert.strictEqual(rows[0]['Email (Masked)'].indexOf('ana@'), -1);
+  assert.strictEqual(rows[0].Actor, 'SYSTEM');
+});
+
+test('buffered events are flushed when the wrapped work throws', () => {
+  const h = fresh();
+  assert.throws(() => h.app.withLogBatch_(() => {
+    h.app.logEvent_('t2', '', '', 'ROUTER_ERROR', {});
+    throw new Error('boom');
+  }), /boom/);
+  assert.strictEqual(events(h), 'ROUTER_ERROR');
+
+  // write-through again once the batch is closed
+  h.app.logEvent_('t3', '', '', 'TOKEN_ISSUED', {});
+  assert.strictEqual(events(h), 'ROUTER_ERROR,TOKEN_ISSUED');
+});
+
+test('minimum level is configurable per brand and Logger still sees everything', () => {
+  const h = fresh({ properties: { LOG_LEVEL_ROYAL: 'debug', LOG_LEVEL_COSTA: 'ERROR' } });
+
+  h.app.logEvent_('t', 'ROYAL', '', 'SIDEWAYS_ROW_FOUND', {});
+  h.app.logEvent_('t', 'SEACHEFS', '', 'SIDEWAYS_ROW_FOUND', {});
+  h.app.logEvent_('t', 'COSTA', '', 'INVITE_BLOCKED', {});
+  h.app.logEvent_('t', 'COSTA', '', 'SIDEWAYS_EXCEPTION', {});
+  h.app.logEventAt_('WARN', 't', 'SEACHEFS', '', 'CUSTOM_NOTE', {});
+
+  const rows = h.configSheet.records('LOGS');
+  assert.strictEqual(rows.map((r) => r.Brand + ':' + r.Event + ':' + r.Level).join(','),
+    'ROYAL:SIDEWAYS_ROW_FOUND:DEBUG,COSTA:SIDEWAYS_EXCEPTION:ERROR,SEACHEFS:CUSTOM_NOTE:WARN');
+  assert.ok(h.logs.some((l) => l.indexOf('[SIDEWAYS_ROW_FOUND] SEACHEFS') === 0));
+  assert.ok(h.logs.some((l) => l.indexOf('[INVITE_BLOCKED] COSTA') === 0));
+});
+
+test('LOGS rolls into a dated tab once the row threshold is reached', () => {
+  const h = fresh({ properties: { LOG_ROTATE_ROWS: '3' } });
+  h.setNow(Date.UTC(2026, 4, 2, 9, 0, 0));
+
+  h.app.withLogBatch_(() => {
+    for (let i = 0; i < 3; i++) h.app.logEvent_('t', '', '', 'E' + i, {});
+  });
+  h.app.logEvent_('t', '', '', 'E3', {});
+  h.app.logEvent_('t', '', '', 'E4', {});
+
+  assert.strictEqual(events(h, 'LOGS_2026_05_02'), 'E0,E1,E2');
+  assert.strictEqual(events(h), 'E3,E4');
+
+  h.app.withLogBatch_(() => { h.app.logEvent_('t', '', '', 'E5', {}); h.app.logEvent_('t', '', '', 'E6', {}); });
+  h.app.logEvent_('t', '', '', 'E7', {});
+  assert.strictEqual(events(h, 'LOGS_2026_05_02_2'), 'E3,E4,E5,E6');
+  assert.strictEqual(events(h), 'E7');
+});
+
+test('a legacy seven-column LOGS tab gains the Level header', () => {
+  const h = loadApp({ seedConfig: false });
+  h.configSheet.seed('LOGS', ['Timestamp', 'Trace ID', 'Brand', 'Email (Masked)', 'Event', 'Details', 'Actor'], []);
+
+  h.app.logEvent_('t', 'ROYAL', '', 'TOKEN_ISSUED', {});
+  const rows = h.configSheet.records('LOGS');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].Level, 'INFO');
+});
+
+test('a busy script lock falls back to row-by-row appends', () => {
+  const h = fresh();
+  h.fakes.scriptLock.holdElsewhere();
+  const before = h.configSheet.writes;
+
+  h.app.withLogBatch_(() => {
+    h.app.logEvent_('t', '', '', 'A_EVENT', {});
+    h.app.logEvent_('t', '', '', 'B_EVENT', {});
+  });
+  assert.strictEqual(events(h), 'A_EVENT,B_EVENT');
+  assert.strictEqual(h.configSheet.writes - before, 2);
+});
+
+test('logging inside a caller\'s critical section keeps the re-entrant script lock held', () => {
+  const h = fresh({ reentrantLock: true, properties: { LOG_ROTATE_ROWS: '3' } });
+  h.setNow(Date.UTC(2026, 4, 2, 9, 0, 0));
+  const lock = h.fakes.scriptLock;
+  lock.waitLock(1000);
+
+  h.app.withLogBatch_(() => {
+    for (let i = 0; i < 105; i++) h.app.logEvent_('t', '', '', 'E' + i, {});
+    assert.strictEqual(lock.hasLock(), true, 'the LOG_BUFFER_MAX flush leaves the lock alone');
+  });
+  h.app.logEvent_('t', '', '', 'AFTER', {});
+  assert.strictEqual(events(h), 'AFTER', 'LOGS was rotated');
+  assert.strictEqual(lock.hasLock(), true, 'rotation leaves the lock alone');
+  lock.releaseLock();
+
+  h.app.withLogBatch_(() => { h.app.logEvent_('t', '', '', 'A', {}); h.app.logEvent_('t', '', '', 'B', {}); });
+  assert.strictEqual(lock.hasLock(), false, 'a lock taken by the logger itself is released');
+});
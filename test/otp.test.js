@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+function issue(h, overrides) {
+  return h.app.createOtp_(Object.assign({
+    email: 'Candidate@Example.com',
+    brand: 'royal',
+    textForEmail: 'CL123 Commis Chef',
+    traceId: 'trace-otp'
+  }, overrides || {}));
+}
+
+test('createOtp_ appends a PENDING row with a 6-digit OTP', () => {
+  const h = loadApp();
+  const res = issue(h);
+
+  assert.strictEqual(res.ok, true);
+  assert.match(res.otp, /^\d{6}$/);
+  assert.strictEqual(res.email, 'candidate@example.com');
+  assert.strictEqual(res.brand, 'ROYAL');
+
+  const rows = h.configSheet.records('TOKENS');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].Token, res.token);
+  assert.strictEqual(rows[0].Status, 'PENDING');
+  assert.strictEqual(rows[0].Attempts, 0);
+});
+
+test('validateOtp_ verifies the correct code once', () => {
+  const h = loadApp();
+  const created = issue(h);
+
+  const ok = h.app.validateOtp_({ token: created.token, otp: created.otp });
+  assert.strictEqual(ok.ok, true);
+  assert.strictEqual(ok.verified, true);
+  assert.strictEqual(ok.brand, 'ROYAL');
+  assert.strictEqual(ok.textForEmail, 'CL123 Commis Chef');
+  assert.strictEqual(h.configSheet.records('TOKENS')[0].Status, 'VERIFIED');
+
+  const again = h.app.validateOtp_({ token: created.token, otp: created.otp });
+  assert.strictEqual(again.ok, false);
+  assert.match(again.error, /already been used/);
+});
+
+test('validateOtp_ locks the row after three wrong codes', () => {
+  const h = loadApp();
+  const created = issue(h);
+  const wrong = created.otp === '000000' ? '111111' : '000000';
+
+  assert.match(h.app.validateOtp_({ token: created.token, otp: wrong }).error, /2 attempt/);
+  assert.match(h.app.validateOtp_({ token: created.token, otp: wrong }).error, /1 attempt/);
+  assert.match(h.app.validateOtp_({ token: created.token, otp: wrong }).error, /Too many failed attempts/);
+
+  const row = h.configSheet.records('TOKENS')[0];
+  assert.strictEqual(row.Status, 'LOCKED');
+  assert.strictEqual(row.Attempts, 3);
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: created.otp }).ok, false);
+});
+
+test('validateOtp_ expires codes past their expiry', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 1, 9, 0, 0));
+  const created = issue(h);
+  h.advance(11 * 60 * 1000);
+
+  const res = h.app.validateOtp_({ token: created.token, otp: created.otp });
+  assert.strictEqual(res.ok, false);
+  assert.match(res.error, /expired/);
+  assert.strictEqual(h.configSheet.records('TOKENS')[0].Status, 'EXPIRED');
+});
+
+test('validateOtp_ falls back to the latest PENDING row by email and brand', () => {
+  const h = loadApp();
+  issue(h);
+  const latest = issue(h, { textForEmail: 'CL124 Sous Chef' });
+
+  const res = h.app.validateOtp_({ email: 'candidate@example.com', brand: 'ROYAL', otp: latest.otp });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.textForEmail, 'CL124 Sous Chef');
+});
+
+test('validateOtp_ rejects unknown tokens', () => {
+  const h = loadApp();
+  issue(h);
+  const res = h.app.validateOtp_({ token: 'no-such-token', otp: '123456' });
+  assert.strictEqual(res.ok, false);
+  assert.match(res.error, /Invalid or expired verification link/);
+});
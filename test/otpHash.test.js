@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+function issue(h, email) {
+  return h.app.createOtp_({ email: email || 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL200 Waiter', traceId: 't' });
+}
+
+/** Overwrite a row's OTP cell with its plain code, as older versions stored it. */
+function writePlain(h, token, otp) {
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  const data = sheet.getDataRange().getValues();
+  const row = data.findIndex((r) => r[data[0].indexOf('Token')] === token);
+  sheet.getRange(row + 1, data[0].indexOf('OTP') + 1).setValue(otp);
+}
+
+function otpCell(h, token) {
+  return h.configSheet.records('TOKENS').find((r) => r.Token === token).OTP;
+}
+
+test('createOtp_ stores a salted hash bound to the token, not the code', () => {
+  const h = loadApp();
+  const a = issue(h, 'ana@candidates.test');
+  const b = issue(h, 'ben@candidates.test');
+
+  const stored = otpCell(h, a.token);
+  assert.match(stored, /^h1\$[0-9a-f]{16}\$[0-9a-f]{64}$/);
+  assert.strictEqual(stored.indexOf(a.otp), -1);
+  assert.notStrictEqual(otpCell(h, b.token).split('$')[1], stored.split('$')[1]);
+  assert.ok(h.fakes.scriptProperties.store.OTP_HASH_KEY.length >= 32);
+
+  assert.strictEqual(h.app.verifyOtpHash_(stored, a.token, a.otp), true);
+  assert.strictEqual(h.app.verifyOtpHash_(stored, b.token, a.otp), false, 'hash does not verify on another row');
+  assert.strictEqual(h.app.verifyOtpHash_(stored, a.token, ''), false);
+});
+
+test('validateOtp_ accepts the emailed code against the stored hash', () => {
+  const h = loadApp();
+  const created = issue(h);
+  const wrong = created.otp === '000000' ? '111111' : '000000';
+
+  assert.match(h.app.validateOtp_({ token: created.token, otp: wrong }).error, /2 attempt/);
+  assert.match(h.app.validateOtp_({ token: created.token, otp: otpCell(h, created.token) }).error, /1 attempt/);
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: created.otp }).ok, true);
+});
+
+test('a different OTP_HASH_KEY no longer verifies the stored code', () => {
+  const h = loadApp();
+  const created = issue(h);
+  h.fakes.scriptProperties.store.OTP_HASH_KEY = 'f'.repeat(64);
+
+  const res = h.app.validateOtp_({ token: created.token, otp: created.otp });
+  assert.strictEqual(res.ok, false);
+  assert.match(res.error, /Invalid OTP/);
+});
+
+test('a missing OTP_HASH_KEY is an error until the setup step creates it under the lock', () => {
+  const h = loadApp();
+  const first = issue(h);
+  delete h.fakes.scriptProperties.store.OTP_HASH_KEY;
+
+  const res = issue(h);
+  assert.strictEqual(res.ok, false);
+  assert.strictEqual(res.code, 'OTP_HASH_KEY_MISSING');
+  assert.strictEqual(h.configSheet.records('TOKENS').find((r) => r.Token === first.token).Status, 'PENDING', 'nothing superseded');
+  assert.throws(() => h.app.verifyOtpHash_(otpCell(h, first.token), first.token, first.otp), /createOtpHashKey/);
+  assert.strictEqual(h.fakes.scriptProperties.store.OTP_HASH_KEY, undefined, 'never created on demand');
+
+  h.fakes.scriptLock.holdElsewhere();
+  assert.strictEqual(h.app.createOtpHashKey().code, 'BUSY');
+  h.fakes.scriptLock.holdElsewhere(false);
+
+  assert.strictEqual(h.app.createOtpHashKey().created, true);
+  const key = h.fakes.scriptProperties.store.OTP_HASH_KEY;
+  assert.ok(key.length >= 32);
+  assert.strictEqual(h.app.createOtpHashKey().created, false);
+  assert.strictEqual(h.fakes.scriptProperties.store.OTP_HASH_KEY, key, 'an existing key is kept');
+  assert.strictEqual(issue(h).ok, true);
+  assert.strictEqual(h.configSheet.records('LOGS').filter((r) => r.Event === 'OTP_HASH_KEY_CREATED').length, 1);
+});
+
+test('legacy plain codes still verify until migrated', () => {
+  const h = loadApp();
+  const created = issue(h);
+  // older codes were 100000-999999 and Sheets read them back as numbers
+  writePlain(h, created.token, 654321);
+
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: '654321' }).ok, true);
+});
+
+test('the migration hashes plain codes in place and is safe to re-run', () => {
+  const h = loadApp();
+  const pending = issue(h, 'ana@candidates.test');
+  const used = issue(h, 'ben@candidates.test');
+  const fresh = issue(h, 'cy@candidates.test');
+  writePlain(h, pending.token, pending.otp);
+  writePlain(h, used.token, used.otp);
+  h.app.validateOtp_({ token: used.token, otp: used.otp });
+  const freshHash = otpCell(h, fresh.token);
+
+  const preview = h.app.previewOtpHashMigration();
+  assert.strictEqual(preview.converted, 2);
+  assert.strictEqual(otpCell(h, pending.token), pending.otp);
+
+  const res = h.app.runOtpHashMigration();
+  assert.strictEqual(res.converted, 2);
+  assert.strictEqual(JSON.stringify(res.byStatus), '{"PENDING":1,"VERIFIED":1}');
+  assert.match(otpCell(h, pending.token), /^h1\$/);
+  assert.match(otpCell(h, used.token), /^h1\$/);
+  assert.strictEqual(otpCell(h, fresh.token), freshHash);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'OTP_HASH_MIGRATED'));
+
+  assert.strictEqual(h.app.runOtpHashMigration().converted, 0);
+  assert.strictEqual(res.keyCreated, false, 'the harness key is kept');
+  assert.strictEqual(h.app.validateOtp_({ token: pending.token, otp: pending.otp }).ok, true);
+});
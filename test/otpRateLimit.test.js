@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const MINUTE = 60 * 1000;
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+const CL_HEADERS = ['Brand', 'CL Code', 'Recruiter Name', 'Recruiter Email', 'Booking Schedule URL', 'Active', 'Last Updated'];
+
+function setup(properties) {
+  const h = loadApp({ properties: properties });
+  h.configSheet.seed('CL_CODES', CL_HEADERS, [
+    ['ROYAL', 'CL200', 'Rita', 'rita@crewlife.test', SCHEDULE_URL, true, ''],
+    ['COSTA', 'CL300', 'Carlo', 'carlo@crewlife.test', SCHEDULE_URL, true, '']
+  ]);
+  h.setNow(Date.UTC(2026, 5, 1, 10, 0, 0));
+  return h;
+}
+
+function start(h, email, brand) {
+  return brand === 'COSTA'
+    ? h.app.startOtpByBrandCl_({ brand: 'COSTA', clCode: 'CL300', email: email }, 't')
+    : h.app.startOtpByBrandCl_({ brand: 'ROYAL', clCode: 'CL200', email: email }, 't');
+}
+
+test('the per email + brand window blocks with a retry-after until it slides', () => {
+  const h = setup();
+  assert.strictEqual(start(h, 'ana@candidates.test').ok, true);
+  h.advance(5 * MINUTE);
+  assert.strictEqual(start(h, 'ana@candidates.test').ok, true);
+  assert.strictEqual(start(h, 'ana@candidates.test').ok, true);
+
+  const blocked = start(h, 'Ana@candidates.test');
+  assert.strictEqual(blocked.ok, false);
+  assert.strictEqual(blocked.code, 'RATE_LIMITED');
+  assert.strictEqual(blocked.scope, 'EMAIL');
+  assert.strictEqual(blocked.retryAfterSeconds, 10 * 60);
+  assert.match(blocked.error, /try again in 10 minutes/);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 3);
+  assert.strictEqual(h.configSheet.records('TOKENS').length, 3);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'OTP_RATE_LIMITED' && r.Level === 'WARN'));
+
+  // same email on another brand, and another email on this brand, are unaffected
+  assert.strictEqual(start(h, 'ana@candidates.test', 'COSTA').ok, true);
+  assert.strictEqual(start(h, 'ben@candidates.test').ok, true);
+
+  // the first request leaves the window after 15 minutes
+  h.advance(10 * MINUTE + 1000);
+  assert.strictEqual(start(h, 'ana@candidates.test').ok, true);
+  assert.strictEqual(start(h, 'ana@candidates.test').code, 'RATE_LIMITED');
+});
+
+test('the per brand hourly limit and the global ceiling apply across emails', () => {
+  const h = setup({ OTP_RATE_BRAND_PER_HOUR: '2', OTP_RATE_GLOBAL_PER_HOUR: '3' });
+  assert.strictEqual(start(h, 'a@candidates.test').ok, true);
+  h.advance(20 * MINUTE);
+  assert.strictEqual(start(h, 'b@candidates.test').ok, true);
+
+  const brand = start(h, 'c@candidates.test');
+  assert.strictEqual(brand.scope, 'BRAND');
+  assert.strictEqual(brand.retryAfterSeconds, 40 * 60);
+
+  assert.strictEqual(start(h, 'd@candidates.test', 'COSTA').ok, true);
+  const global = start(h, 'e@candidates.test', 'COSTA');
+  assert.strictEqual(global.scope, 'GLOBAL');
+  assert.strictEqual(global.code, 'RATE_LIMITED');
+});
+
+test('a limited request is refused before the Smartsheet lookup', () => {
+  const h = setup({ OTP_RATE_EMAIL_MAX: '1', SMARTSHEET_IDS_COSTA: '5550001' });
+  h.fakes.smartsheet.addSheet('5550001', { name: 'Costa', columns: ['Email', 'Text For Email', 'Interview 1 Link'] });
+  h.fakes.smartsheet.addRow('5550001', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL300 Waiter', 'Interview 1 Link': SCHEDULE_URL });
+
+  const first = h.app.startOtpByTextForEmail({ brand: 'COSTA', email: 'ana@candidates.test', textForEmail: 'CL300 Waiter' }, 't');
+  assert.strictEqual(first.ok, true);
+  const fetches = h.fakes.smartsheet.requests.length;
+
+  const second = h.app.startOtpByTextForEmail({ brand: 'COSTA', email: 'ana@candidates.test', textForEmail: 'CL300 Waiter' }, 't');
+  assert.strictEqual(second.code, 'RATE_LIMITED');
+  assert.strictEqual(h.fakes.smartsheet.requests.length, fetches);
+});
+
+test('handleOtpRequest_ enforces the same limits on signed links', () => {
+  const h = setup({ OTP_RATE_EMAIL_MAX: '1', SMARTSHEET_IDS_ROYAL: '5550002' });
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Cook' });
+  const signed = h.app.generateSignedUrl_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL200 Cook' });
+  const q = {};
+  signed.url.split('?')[1].split('&').forEach((kv) => { const p = kv.split('='); q[p[0]] = decodeURIComponent(p[1]); });
+  const params = { brand: q.brand, email: q.e, textForEmail: q.t, timestamp: q.ts, sig: q.sig, kid: q.kid };
+
+  assert.strictEqual(h.app.handleOtpRequest_(params, 't').ok, true);
+  const again = h.app.handleOtpRequest_(params, 't');
+  assert.strictEqual(again.code, 'RATE_LIMITED');
+  assert.ok(again.retryAfterSeconds > 0);
+});
+
+test('OTP_RATE_LIMIT_DISABLED turns enforcement off', () => {
+  const h = setup({ OTP_RATE_LIMIT_DISABLED: 'true', OTP_RATE_EMAIL_MAX: '1' });
+  for (let i = 0; i < 3; i++) assert.strictEqual(start(h, 'ana@candidates.test').ok, true);
+});
+
+test('a busy lock asks the candidate to retry without counting as a rate-limit hit', () => {
+  const h = setup();
+  h.fakes.scriptLock.holdElsewhere();
+
+  const busy = start(h, 'ana@candidates.test');
+  assert.deepStrictEqual([busy.ok, busy.code, busy.retryAfterSeconds], [false, 'BUSY', 10]);
+  assert.match(busy.error, /try again in a few seconds/);
+  const resend = h.app.recordOtpResend_('ROYAL', 'ana@candidates.test', 'CL200', 't');
+  assert.strictEqual(resend.code, 'BUSY');
+  assert.strictEqual(h.configSheet.records('LOGS').filter((r) => r.Event === 'OTP_RATE_LIMITED').length, 0);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+});
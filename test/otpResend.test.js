@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const EMAIL = 'ana@candidates.test';
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+
+function setup(properties) {
+  const h = loadApp({ properties: properties || {} });
+  h.setNow(NOW);
+  const first = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: 'CL123 Cook', candidate: { 'Position Link': SCHEDULE_URL } });
+  return { h: h, first: first };
+}
+
+function resend(h, token, overrides) {
+  return h.app.otpResendApi(Object.assign({ token: token, brand: 'ROYAL', email: EMAIL }, overrides || {}), 'web-test');
+}
+
+/** The passcode from the latest OTP email. */
+function lastCode(h) {
+  const mail = h.fakes.MailApp.sent[h.fakes.MailApp.sent.length - 1];
+  return /letter-spacing[^>]*>\s*(\w+)\s*</.exec(mail.htmlBody)[1];
+}
+
+test('a resend supersedes the old code and emails a new one on the same flow', () => {
+  const { h, first } = setup();
+  h.advance(61 * 1000);
+
+  const res = resend(h, first.token);
+  assert.strictEqual(res.ok, true);
+  assert.notStrictEqual(res.token, first.token);
+  assert.strictEqual(res.expiresInSeconds, 600);
+  assert.strictEqual(res.resendInSeconds, 60);
+  assert.strictEqual(res.resendsLeft, 2);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.ok(h.fakes.MailApp.sent[0].htmlBody.includes('token=' + res.token));
+
+  const rows = h.configSheet.records('TOKENS');
+  assert.strictEqual(JSON.stringify(rows.map((r) => r.Status)), '["SUPERSEDED","PENDING"]');
+  assert.strictEqual(rows[1]['Text For Email'], 'CL123 Cook');
+  assert.strictEqual(rows[1]['Position Link'], SCHEDULE_URL);
+
+  assert.strictEqual(h.app.validateOtp_({ token: first.token, otp: first.otp }).ok, false);
+  assert.strictEqual(h.app.validateOtp_({ token: res.token, otp: lastCode(h) }).ok, true);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'OTP_RESENT'));
+});
+
+test('resends wait for the cooldown and stop at the maximum', () => {
+  const { h, first } = setup({ OTP_RESEND_MAX: '2', OTP_RESEND_COOLDOWN_SECONDS: '30' });
+  const early = resend(h, first.token);
+  assert.strictEqual(early.code, 'COOLDOWN');
+  assert.strictEqual(early.retryAfterSeconds, 30);
+
+  h.advance(30 * 1000);
+  const second = resend(h, first.token);
+  assert.strictEqual(second.resendsLeft, 1);
+  assert.strictEqual(resend(h, second.token).code, 'COOLDOWN', 'the cooldown restarts from the new code');
+
+  h.advance(30 * 1000);
+  const third = resend(h, second.token);
+  assert.strictEqual(third.resendsLeft, 0);
+  h.advance(30 * 1000);
+  assert.strictEqual(resend(h, third.token).code, 'RESEND_LIMIT');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 2);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'OTP_RESEND_LIMIT' && r.Level === 'WARN'));
+});
+
+test('a resend whose email fails hands its slot back', () => {
+  const { h, first } = setup({ OTP_RESEND_MAX: '1', OTP_RESEND_COOLDOWN_SECONDS: '30' });
+  h.advance(30 * 1000);
+  h.fakes.MailApp.failWith = 'Service unavailable';
+  assert.strictEqual(resend(h, first.token).code, 'EMAIL_FAILED');
+  h.fakes.MailApp.failWith = null;
+
+  const latest = h.configSheet.records('TOKENS').find((r) => r.Status === 'PENDING');
+  h.advance(30 * 1000);
+  const retry = resend(h, latest.Token);
+  assert.strictEqual(retry.ok, true, 'the failed attempt did not use up the only resend');
+  assert.strictEqual(retry.resendsLeft, 0);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+
+  h.advance(30 * 1000);
+  assert.strictEqual(resend(h, retry.token).code, 'RESEND_LIMIT');
+});
+
+test('expired and locked codes can be resent; verified ones and other candidates cannot', () => {
+  const { h, first } = setup();
+  for (let i = 0; i < 3; i++) h.app.validateOtp_({ token: first.token, otp: 'x' });
+  const locked = h.app.otpVerifyApi({ token: first.token, otp: first.otp }, 't');
+  assert.strictEqual(locked.code, 'OTP_LOCKED');
+  h.advance(61 * 1000);
+  const afterLock = resend(h, first.token);
+  assert.strictEqual(afterLock.ok, true, 'a code locked by wrong attempts can be replaced');
+
+  h.advance(11 * 60 * 1000);
+  assert.strictEqual(h.app.otpVerifyApi({ token: afterLock.token, otp: lastCode(h) }, 't').code, 'OTP_EXPIRED');
+  assert.strictEqual(resend(h, afterLock.token, { email: 'mallory@candidates.test' }).code, 'NOT_FOUND');
+  assert.strictEqual(resend(h, afterLock.token, { brand: 'COSTA' }).code, 'NOT_FOUND');
+  assert.strictEqual(resend(h, first.token).code, 'SUPERSEDED');
+  const afterExpiry = resend(h, afterLock.token);
+  assert.strictEqual(afterExpiry.ok, true);
+
+  assert.strictEqual(h.app.validateOtp_({ token: afterExpiry.token, otp: lastCode(h) }).ok, true);
+  h.advance(61 * 1000);
+  assert.strictEqual(resend(h, afterExpiry.token).code, 'ALREADY_VERIFIED');
+});
+
+test('a used invite for the same position blocks resends from an older code', () => {
+  const { h, first } = setup();
+  h.advance(61 * 1000);
+  const used = h.app.createOtp_({ email: EMAIL, brand: 'ROYAL', textForEmail: 'CL123 Cook', candidate: { 'Position Link': SCHEDULE_URL } });
+  h.app.validateOtp_({ token: used.token, otp: used.otp });
+  assert.strictEqual(h.app.consumeTokenForRedirect_(used.token, 't').ok, true);
+
+  h.advance(61 * 1000);
+  assert.strictEqual(resend(h, first.token).code, 'SUPERSEDED');
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  sheet.getRange(2, sheet.getDataRange().getValues()[0].indexOf('Status') + 1).setValue('EXPIRED');
+  assert.strictEqual(resend(h, first.token).code, 'INVITE_BLOCKED');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+});
+
+test('the verify page shows the expiry countdown and resend button', () => {
+  const { h, first } = setup({ OTP_RESEND_COOLDOWN_SECONDS: '45' });
+  h.advance(15 * 1000);
+  const page = h.app.doGet({ parameter: { page: 'verify', brand: 'ROYAL', e: EMAIL, t: 'CL123 Cook', token: first.token } }).getContent();
+  assert.match(page, /var EXPIRES_IN_SECONDS = 585;/);
+  assert.match(page, /var resendAt = Date\.now\(\) \+ 30 \* 1000;/);
+  assert.match(page, /id="btnResend"/);
+  assert.doesNotMatch(page, /history\.back/);
+
+  const legacy = h.app.doGet({ parameter: { page: 'verify', brand: 'ROYAL', e: EMAIL, t: 'CL123 Cook' } }).getContent();
+  assert.match(legacy, /var EXPIRES_IN_SECONDS = -1;/);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+
+function verifiedToken(h, positionLink) {
+  const created = h.app.createOtp_({
+    email: 'candidate@example.com',
+    brand: 'ROYAL',
+    textForEmail: 'CL123 Commis Chef',
+    candidate: { 'Position Link': positionLink },
+    traceId: 'trace-redirect'
+  });
+  const verified = h.app.validateOtp_({ token: created.token, otp: created.otp });
+  assert.strictEqual(verified.ok, true);
+  return created.token;
+}
+
+test('consumeTokenForRedirect_ returns the booking URL once and locks the row', () => {
+  const h = loadApp();
+  const token = verifiedToken(h, SCHEDULE_URL);
+
+  const res = h.app.consumeTokenForRedirect_(token, 'trace-1');
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.bookingUrl, SCHEDULE_URL);
+  assert.strictEqual(res.brand, 'ROYAL');
+
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  const row = h.configSheet.records('TOKENS')[0];
+  assert.strictEqual(row.Status, 'USED');
+  assert.ok(row['Used At']);
+  assert.strictEqual(sheet.getRange(2, 28).getValue(), 'LOCKED');
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  const again = h.app.consumeTokenForRedirect_(token, 'trace-2');
+  assert.strictEqual(again.ok, false);
+  assert.strictEqual(again.code, 'ALREADY_USED');
+});
+
+test('consumeTokenForRedirect_ normalizes /u/{n}/ schedule URLs', () => {
+  const h = loadApp();
+  const token = verifiedToken(h, 'https://calendar.google.com/calendar/u/0/appointments/schedules/AcZssZ1abcDEF');
+
+  const res = h.app.consumeTokenForRedirect_(token, 'trace-1');
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.bookingUrl, SCHEDULE_URL);
+});
+
+test('consumeTokenForRedirect_ falls back to CL_CODES when the row has no Position Link', () => {
+  const h = loadApp();
+  h.configSheet.getSheetByName('CL_CODES')
+    .appendRow(['ROYAL', 'CL123', 'Rita Recruiter', 'rita@example.com', SCHEDULE_URL, true, new Date()]);
+  const token = verifiedToken(h, '');
+
+  const res = h.app.consumeTokenForRedirect_(token, 'trace-1');
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.bookingUrl, SCHEDULE_URL);
+});
+
+test('consumeTokenForRedirect_ refuses tokens that were never verified', () => {
+  const h = loadApp();
+  const created = h.app.createOtp_({
+    email: 'candidate@example.com', brand: 'ROYAL', textForEmail: 'CL123',
+    candidate: { 'Position Link': SCHEDULE_URL }
+  });
+
+  const res = h.app.consumeTokenForRedirect_(created.token, 'trace-1');
+  assert.strictEqual(res.ok, false);
+  assert.strictEqual(res.code, 'NOT_VERIFIED');
+});
+
+test('consumeTokenForRedirect_ blocks non-schedule URLs and notifies the admin', () => {
+  const h = loadApp();
+  const token = verifiedToken(h, 'https://example.com/book-here');
+
+  const res = h.app.consumeTokenForRedirect_(token, 'trace-1');
+  assert.strictEqual(res.ok, false);
+  assert.strictEqual(res.code, 'BAD_APPOINTMENT_URL');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.match(h.fakes.MailApp.sent[0].subject, /Invalid Booking URL/);
+  assert.strictEqual(h.configSheet.records('TOKENS')[0].Status, 'VERIFIED');
+});
+
+test('consumeTokenForRedirect_ reports a busy lock', () => {
+  const h = loadApp();
+  const token = verifiedToken(h, SCHEDULE_URL);
+  h.fakes.scriptLock.waitLock();
+
+  const res = h.app.consumeTokenForRedirect_(token, 'trace-1');
+  assert.strictEqual(res.code, 'LOCK_TIMEOUT');
+});
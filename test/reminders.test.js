@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Cook';
+
+function setup(properties) {
+  const h = loadApp({ properties: Object.assign({ SMARTSHEET_IDS_ROYAL: '5550002', TOKEN_EXPIRY_HOURS: '48' }, properties || {}) });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet('5550002', { name: 'Royal', columns: ['Email', 'Text For Email'] });
+  h.fakes.smartsheet.addRow('5550002', { 'Email': 'Ana@Candidates.test', 'Text For Email': TEXT });
+  return h;
+}
+
+function invite(h) {
+  return h.app.issueToken_({ email: EMAIL, brand: 'ROYAL', textForEmail: TEXT, clCode: 'CL200', issuedBy: 'admin@crewlifeatsea.com' }).token;
+}
+
+function tokenRow(h, token) {
+  return h.configSheet.records('TOKENS').find((r) => r.Token === token);
+}
+
+test('an unused invite close to expiry gets one reminder, sent to the Smartsheet email', () => {
+  const h = setup();
+  const token = invite(h);
+  assert.strictEqual(h.app.sendExpiryReminders_().due, 0, 'not yet inside REMINDER_BEFORE_HOURS');
+
+  h.advance(30 * HOUR);
+  const res = h.app.sendExpiryReminders_();
+  assert.deepStrictEqual([res.due, res.sent, res.failed, res.noRecipient], [1, 1, 0, 0]);
+  const mail = h.fakes.MailApp.sent[0];
+  assert.strictEqual(mail.to, 'ana@candidates.test');
+  assert.match(mail.subject, /Royal Caribbean/);
+  assert.match(mail.body, /expires in about 18 hours/);
+  assert.ok(mail.body.includes('?page=access&token=' + token));
+
+  const row = tokenRow(h, token);
+  assert.strictEqual(row['Reminder Count'], 1);
+  assert.strictEqual(new Date(row['Last Reminder At']).getTime(), NOW + 30 * HOUR);
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  h.advance(13 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().due, 0, 'REMINDER_MAX defaults to 1');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'REMINDER_SENT'));
+});
+
+test('REMINDER_MAX and REMINDER_INTERVAL_HOURS space out further reminders', () => {
+  const h = setup({ REMINDER_BEFORE_HOURS: '36', REMINDER_MAX: '2', REMINDER_INTERVAL_HOURS: '12' });
+  const token = invite(h);
+  h.advance(13 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().sent, 1);
+
+  h.advance(6 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().due, 0, 'inside the interval');
+  h.advance(7 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().sent, 1);
+  h.advance(13 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().due, 0);
+
+  assert.strictEqual(tokenRow(h, token)['Reminder Count'], 2);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 2);
+});
+
+test('verified links are reminded by plain email; used and revoked links are not', () => {
+  const h = setup({ OTP_EXPIRY_MINUTES: String(48 * 60) });
+  const verify = (email) => {
+    const created = h.app.createOtp_({ email: email, brand: 'ROYAL', textForEmail: TEXT, candidate: { 'Position Link': 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF' } });
+    assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: created.otp }).ok, true);
+    return created.token;
+  };
+  const used = verify('used@candidates.test');
+  const verified = verify('dee@candidates.test');
+  assert.strictEqual(h.app.consumeTokenForRedirect_(used, 'trace').ok, true);
+  h.app.issueToken_({ email: 'bo@candidates.test', brand: 'ROYAL', textForEmail: TEXT });
+  h.app.revokeActiveTokens_('bo@candidates.test', 'ROYAL', 'trace', 'admin@crewlifeatsea.com');
+  const unknown = h.app.issueToken_({ email: 'cy@candidates.test', brand: 'ROYAL', textForEmail: TEXT }).token;
+
+  h.advance(40 * HOUR);
+  const res = h.app.sendExpiryReminders_();
+  assert.deepStrictEqual([res.due, res.sent, res.noRecipient], [2, 1, 1]);
+  assert.deepStrictEqual(h.fakes.MailApp.sent.map((m) => m.to), ['dee@candidates.test']);
+  assert.strictEqual(tokenRow(h, verified)['Reminder Count'], 1);
+  assert.strictEqual(tokenRow(h, unknown)['Reminder Count'], '');
+  const skipped = h.configSheet.records('LOGS').find((r) => r.Event === 'REMINDER_SKIPPED');
+  assert.strictEqual(skipped.Level, 'WARN');
+
+  h.advance(8 * HOUR);
+  assert.strictEqual(h.app.sendExpiryReminders_().due, 0, 'expired links are left to the archive');
+});
+
+test('dry run lists due reminders without sending or writing', () => {
+  const h = setup();
+  const token = invite(h);
+  h.advance(30 * HOUR);
+
+  const res = h.app.sendExpiryReminders_({ dryRun: true });
+  assert.strictEqual(res.dryRun, true);
+  assert.deepStrictEqual(Array.from(res.reminders, (r) => [r.brand, r.textForEmail, r.status, r.reminder]), [['ROYAL', TEXT, 'ISSUED', 1]]);
+  assert.ok(!JSON.stringify(res).includes(EMAIL));
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(tokenRow(h, token)['Reminder Count'], '');
+});
+
+test('an EMAIL_TEMPLATES reminder row replaces the built-in email', () => {
+  const h = setup();
+  h.configSheet.seed('EMAIL_TEMPLATES', ['Brand', 'Template', 'Language', 'Subject', 'HTML Body', 'Text Body', 'Active'], [
+    ['ROYAL', 'reminder', '', 'Reminder {{reminderNumber}}: {{position}}', '<p>{{expiryHours}}h left: <a href="{{ctaUrl}}">book</a></p>', '{{expiryHours}}h left: {{ctaUrl}}', true]
+  ]);
+  invite(h);
+  h.advance(36 * HOUR);
+
+  assert.strictEqual(h.app.sendExpiryReminders_().sent, 1);
+  const mail = h.fakes.MailApp.sent[0];
+  assert.strictEqual(mail.subject, 'Reminder 1: CL200 Cook');
+  assert.match(mail.body, /^12h left: https:\/\/\S+\?page=access&token=/);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadApp } = require('./support/gas');
+
+/**
+ * Pearson chi-square statistic for observed counts against a uniform spread.
+ * Thresholds below sit around p = 1e-6, so a fair source fails ~never.
+ */
+function chiSquare(counts, total) {
+  const expected = total / counts.length;
+  return counts.reduce((sum, c) => sum + Math.pow(c - expected, 2) / expected, 0);
+}
+
+/** loadApp with Math.random disabled inside the sandbox. */
+function strictApp(properties) {
+  const h = loadApp({ properties: properties });
+  vm.runInContext('Math.random = function() { throw new Error("Math.random used for a secret"); };', h.app);
+  return h;
+}
+
+test('OTP digits are uniform at every position and never use Math.random', () => {
+  const h = strictApp();
+  const N = 3000;
+  const perPosition = [];
+  for (let p = 0; p < 6; p++) perPosition.push(new Array(10).fill(0));
+  const overall = new Array(10).fill(0);
+
+  for (let i = 0; i < N; i++) {
+    const otp = h.app.generateOtp_('ROYAL');
+    assert.match(otp, /^\d{6}$/);
+    for (let p = 0; p < 6; p++) {
+      perPosition[p][Number(otp[p])]++;
+      overall[Number(otp[p])]++;
+    }
+  }
+
+  // df = 9: p = 1e-6 at ~45.6
+  perPosition.forEach((counts, p) => assert.ok(chiSquare(counts, N) < 45, 'position ' + (p + 1) + ' ' + counts));
+  assert.ok(chiSquare(overall, N * 6) < 45, 'overall ' + overall);
+  assert.ok(perPosition[0][0] > 0, 'leading zeros are possible');
+});
+
+test('rejection sampling keeps non power-of-two ranges unbiased', () => {
+  const h = strictApp();
+  const N = 6000;
+  const counts = new Array(7).fill(0);
+  h.app.secureRandomInts_(7, N).forEach((v) => { assert.ok(v >= 0 && v < 7); counts[v]++; });
+  // df = 6: p = 1e-6 at ~37.0
+  assert.ok(chiSquare(counts, N) < 37, String(counts));
+
+  const bits = new Array(8).fill(0);
+  const bytes = h.app.secureRandomBytes_(4000);
+  assert.strictEqual(bytes.length, 4000);
+  bytes.forEach((b) => { for (let k = 0; k < 8; k++) if ((b >> k) & 1) bits[k]++; });
+  // each bit set about half the time (6 sigma of a binomial(4000, 0.5) ~ 190)
+  bits.forEach((c) => assert.ok(Math.abs(c - 2000) < 190, String(bits)));
+});
+
+test('secure tokens and OTPs do not repeat across large samples', () => {
+  const h = strictApp({ OTP_LENGTH: '10' });
+  const tokens = new Set();
+  const otps = new Set();
+  for (let i = 0; i < 2000; i++) {
+    const t = h.app.generateSecureToken_();
+    assert.match(t, /^[A-Za-z0-9_-]{43}$/);
+    tokens.add(t);
+    otps.add(h.app.generateOtp_('COSTA'));
+  }
+  assert.strictEqual(tokens.size, 2000);
+  // 2000 draws from 10^10: a single collision has probability ~2e-4
+  assert.ok(otps.size >= 1999);
+});
+
+test('length and alphabet are configurable per brand with safe fallbacks', () => {
+  const h = loadApp({ properties: {
+    OTP_LENGTH: '8',
+    OTP_LENGTH_COSTA: '5',
+    OTP_ALPHABET_COSTA: 'alphanumeric',
+    OTP_ALPHABET_SEACHEFS: 'AB',
+    OTP_LENGTH_CPD: '3',
+    OTP_ALPHABET_CPD: 'x'
+  } });
+
+  assert.match(h.app.generateOtp_('ROYAL'), /^\d{8}$/);
+  assert.match(h.app.generateOtp_('COSTA'), /^[2-9A-HJKMNP-Z]{5}$/);
+  assert.match(h.app.generateOtp_('SEACHEFS'), /^[AB]{8}$/);
+  const cpd = h.app.getOtpFormat_('CPD');
+  assert.strictEqual(cpd.length, 6);
+  assert.strictEqual(cpd.alphabet, '0123456789');
+  assert.strictEqual(cpd.numeric, true);
+
+  const costa = h.app.createOtp_({ email: 'ana@candidates.test', brand: 'COSTA', textForEmail: 'CL300 Waiter' });
+  assert.match(costa.otp, /^[2-9A-HJKMNP-Z]{5}$/);
+});
+
+test('alphanumeric codes verify case-insensitively and the page asks for the right length', () => {
+  const h = loadApp({ properties: { OTP_LENGTH_COSTA: '7', OTP_ALPHABET_COSTA: 'ALPHANUMERIC' } });
+  const created = h.app.createOtp_({ email: 'ana@candidates.test', brand: 'COSTA', textForEmail: 'CL300 Waiter' });
+  const typed = created.otp.toLowerCase().slice(0, 3) + ' ' + created.otp.slice(3);
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: typed }).ok, true);
+
+  const page = h.app.serveOtpVerifyPage_({ brand: 'COSTA', e: 'ana@candidates.test', t: 'CL300 Waiter', token: created.token }, 't').getContent();
+  assert.match(page, /Enter Your 7-Character Passcode/);
+  assert.strictEqual((page.match(/class="otp-input"/g) || []).length, 7);
+  assert.match(page, /var OTP_LENGTH = 7;/);
+
+  const royal = h.app.serveOtpVerifyPage_({ brand: 'ROYAL', e: 'ana@candidates.test', t: 'CL200 Waiter' }, 't').getContent();
+  assert.match(royal, /Enter Your 6-Digit Passcode/);
+  assert.strictEqual((royal.match(/inputmode="numeric"/g) || []).length, 6);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+const HOUR = 60 * 60 * 1000;
+const SHEET_ID = '5550001';
+const SEND = 'SEND Interview Invite';
+const EMAIL = 'ana@candidates.test';
+const TEXT = 'CL200 Waiter';
+
+function setup(sendValue) {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: SHEET_ID, TOKEN_EXPIRY_HOURS: '48' } });
+  h.setNow(NOW);
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Costa Pipeline', columns: ['Full Name', 'Email', 'Text For Email', SEND, 'Date Sent'] });
+  h.rowId = h.fakes.smartsheet.addRow(SHEET_ID, { 'Full Name': 'Ana', 'Email': EMAIL, 'Text For Email': TEXT, [SEND]: sendValue || 'Sideways' });
+  return h;
+}
+
+function setSend(h, value) {
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Costa Pipeline', columns: ['Full Name', 'Email', 'Text For Email', SEND, 'Date Sent'] });
+  h.rowId = h.fakes.smartsheet.addRow(SHEET_ID, { 'Full Name': 'Ana', 'Email': EMAIL, 'Text For Email': TEXT, [SEND]: value });
+}
+
+function run(h) {
+  return h.app.processSidewaysInvites_({ brand: 'COSTA' });
+}
+
+function statuses(h) {
+  return h.configSheet.records('TOKENS').map((r) => r.Status);
+}
+
+test('Resend revokes the open link, emails a fresh one and marks the row Resent', () => {
+  const h = setup();
+  assert.strictEqual(run(h).summary.sent, 1);
+  const first = h.configSheet.records('TOKENS')[0].Token;
+
+  h.advance(HOUR);
+  setSend(h, 'Resend');
+  const res = run(h);
+  assert.deepStrictEqual({ ...res.summary.commands }, { resend: 1, revoke: 0, remind: 0 });
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '🔔 Resent');
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, 'Date Sent'), new Date(NOW + HOUR).toISOString());
+
+  assert.strictEqual(h.fakes.MailApp.sent.length, 2);
+  const tokens = h.configSheet.records('TOKENS');
+  assert.strictEqual(tokens.length, 2);
+  assert.notStrictEqual(tokens[1].Token, first);
+  assert.ok(h.fakes.MailApp.sent[1].htmlBody.includes(tokens[1].Token));
+  assert.notStrictEqual(tokens[0].Status, 'PENDING', 'the first link no longer works');
+
+  assert.strictEqual(run(h).summary.processed, 0, 'Resent rows are not processed again');
+});
+
+test('Resend is refused once the candidate has used the link', () => {
+  const h = setup('Resend');
+  h.configSheet.seed('TOKENS', ['Token', 'Email', 'Email Hash', 'Text For Email', 'Brand', 'CL Code', 'Status', 'Expiry', 'Created At', 'Used At'], [
+    ['used-token-1', EMAIL, '', TEXT, 'COSTA', 'CL200', 'USED', new Date(NOW), new Date(NOW - HOUR), new Date(NOW)]
+  ]);
+
+  const res = run(h);
+  assert.strictEqual(res.summary.commands.resend, 0);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '⚠ Already used');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  const skipped = h.configSheet.records('LOGS').find((r) => r.Event === 'SIDEWAYS_COMMAND_SKIPPED');
+  assert.strictEqual(skipped.Level, 'WARN');
+  assert.strictEqual(JSON.parse(skipped.Details).reason, 'LATEST_USED');
+});
+
+test('Revoke revokes invite and passcode links for that position only and marks the row Revoked', () => {
+  const h = setup();
+  const other = h.app.createOtp_({ email: EMAIL, brand: 'COSTA', textForEmail: 'CL300 Bar', candidate: { 'Position Link': 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF' } });
+  assert.strictEqual(h.app.validateOtp_({ token: other.token, otp: other.otp }).ok, true);
+  run(h);
+  h.app.issueToken_({ email: EMAIL, brand: 'COSTA', textForEmail: TEXT });
+  h.app.issueToken_({ email: 'other@candidates.test', brand: 'COSTA', textForEmail: TEXT });
+  assert.deepStrictEqual(statuses(h), ['VERIFIED', 'PENDING', 'ISSUED', 'ISSUED']);
+
+  setSend(h, 'revoke');
+  const res = run(h);
+  assert.strictEqual(res.summary.commands.revoke, 1);
+  assert.deepStrictEqual(statuses(h), ['VERIFIED', 'REVOKED', 'REVOKED', 'ISSUED'], 'the CL300 booking link still works');
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '⛔ Revoked');
+  const revoked = h.configSheet.records('LOGS').find((r) => r.Event === 'TOKENS_REVOKED');
+  assert.deepStrictEqual(JSON.parse(revoked.Details), { revokedCount: 2, revokedBy: 'sideways-worker' });
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+
+  h.app.issueToken_({ email: EMAIL, brand: 'COSTA', textForEmail: TEXT });
+  assert.strictEqual(h.app.revokeActiveTokens_(EMAIL, 'COSTA', 'trace', 'admin@crewlifeatsea.com').revokedCount, 1);
+  assert.strictEqual(statuses(h)[0], 'VERIFIED', 'the admin reissue path still only revokes invites');
+});
+
+test('Remind re-sends the open link and counts it; without one the row says so', () => {
+  const h = setup('Remind');
+  const token = h.app.issueToken_({ email: EMAIL, brand: 'COSTA', textForEmail: TEXT }).token;
+  h.advance(2 * HOUR);
+
+  const res = run(h);
+  assert.strictEqual(res.summary.commands.remind, 1);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '🔔 Reminded');
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, 'Date Sent'), '');
+  const mail = h.fakes.MailApp.sent[0];
+  assert.strictEqual(mail.to, EMAIL);
+  assert.ok(mail.body.includes('?page=access&token=' + token));
+  assert.match(mail.body, /expires in about 46 hours/);
+  assert.strictEqual(h.configSheet.records('TOKENS')[0]['Reminder Count'], 1);
+
+  h.advance(47 * HOUR);
+  setSend(h, 'Remind');
+  run(h);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '⚠ No active link');
+  assert.strictEqual(h.fakes.MailApp.sent.length, 1);
+});
+
+test('failed sends keep the command for the next run, and the preview lists commands', () => {
+  const h = setup('Resend');
+  h.fakes.MailApp.failWith = 'Service unavailable';
+  let res = run(h);
+  assert.strictEqual(res.summary.commands.resend, 0);
+  assert.match(res.summary.errors[0].error, /Email send failed/);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), 'Resend');
+  assert.strictEqual(h.configSheet.records('LOGS').find((r) => r.Event === 'SIDEWAYS_COMMAND_FAILED').Level, 'ERROR');
+
+  h.fakes.MailApp.failWith = null;
+  h.fakes.smartsheet.addRow(SHEET_ID, { 'Email': 'bo@candidates.test', 'Text For Email': TEXT, [SEND]: 'Revoke' });
+  h.fakes.smartsheet.addRow(SHEET_ID, { 'Email': 'cy@candidates.test', 'Text For Email': TEXT, [SEND]: 'Remind' });
+  h.app.issueToken_({ email: 'bo@candidates.test', brand: 'COSTA', textForEmail: TEXT });
+  const preview = h.app.previewSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(preview.wouldSend, 1);
+  assert.deepStrictEqual(h.configSheet.records('WORKER_PREVIEW').map((r) => [r.Command, r['Would Send'], r.Reason]), [
+    ['Resend', 'YES', 'CL code not resolved: Could not resolve CL code from: CL200 Waiter; Revokes 1 active link(s) first'],
+    ['Revoke', 'NO', 'Revokes 1 active link(s)'],
+    ['Remind', 'NO', 'No active link']
+  ]);
+
+  res = run(h);
+  assert.deepStrictEqual({ ...res.summary.commands }, { resend: 1, revoke: 1, remind: 0 });
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, h.rowId, SEND), '🔔 Resent');
+});
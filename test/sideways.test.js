@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, httpResponse } = require('./support/gas');
+
+const SHEET_ID = '5550001';
+const COLUMNS = ['Full Name', 'Email', 'Text For Email', 'SEND Interview Invite', 'Date Sent', 'Position Link'];
+
+function setup(rows) {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: SHEET_ID } });
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Costa Pipeline', columns: COLUMNS });
+  const ids = rows.map((r) => h.fakes.smartsheet.addRow(SHEET_ID, r));
+  return { h, ids };
+}
+
+test('processSidewaysInvites_ emails Sideways rows and marks them Sent', () => {
+  const { h, ids } = setup([
+    { 'Full Name': 'Ana', 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' },
+    { 'Full Name': 'Ben', 'Email': 'ben@candidates.test', 'Text For Email': 'CL201 Cook', 'SEND Interview Invite': '🔔 Sent' },
+    { 'Full Name': 'Cid', 'Email': 'cid@candidates.test', 'Text For Email': 'CL202 Bar', 'SEND Interview Invite': '' }
+  ]);
+
+  const res = h.app.processSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.summary.processed, 1);
+  assert.strictEqual(res.summary.sent, 1);
+  assert.strictEqual(res.summary.updated, 1);
+
+  const mail = h.fakes.MailApp.sent;
+  assert.strictEqual(mail.length, 1);
+  assert.strictEqual(mail[0].to, 'ana@candidates.test');
+  assert.match(mail[0].htmlBody, /https:\/\/script\.google\.com\/macros\/s\/HARNESS\/exec\?token=/);
+
+  const ss = h.fakes.smartsheet;
+  assert.strictEqual(ss.cell(SHEET_ID, ids[0], 'SEND Interview Invite'), '🔔 Sent');
+  assert.ok(ss.cell(SHEET_ID, ids[0], 'Date Sent'));
+  assert.strictEqual(ss.cell(SHEET_ID, ids[2], 'SEND Interview Invite'), '');
+
+  const tokens = h.configSheet.records('TOKENS');
+  assert.strictEqual(tokens.length, 1);
+  assert.strictEqual(tokens[0].Brand, 'COSTA');
+  assert.strictEqual(tokens[0].Status, 'PENDING');
+});
+
+test('processSidewaysInvites_ skips invalid emails without touching the row', () => {
+  const { h, ids } = setup([
+    { 'Email': 'not-an-email', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' }
+  ]);
+
+  const res = h.app.processSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(res.summary.sent, 0);
+  assert.strictEqual(res.summary.skipped, 1);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, ids[0], 'SEND Interview Invite'), 'Sideways');
+});
+
+test('processSidewaysInvites_ respects the limit and advances the cursor', () => {
+  const { h } = setup([
+    { 'Email': 'a1@candidates.test', 'Text For Email': 'CL1', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'a2@candidates.test', 'Text For Email': 'CL2', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'a3@candidates.test', 'Text For Email': 'CL3', 'SEND Interview Invite': 'Sideways' }
+  ]);
+
+  const first = h.app.processSidewaysInvites_({ brand: 'COSTA', limit: 2 });
+  assert.strictEqual(first.summary.sent, 2);
+  assert.strictEqual(h.fakes.scriptProperties.getProperty('SIDEWAYS_CURSOR_COSTA_' + SHEET_ID), '2');
+
+  const second = h.app.processSidewaysInvites_({ brand: 'COSTA', limit: 2 });
+  assert.strictEqual(second.summary.sent, 1);
+  assert.deepStrictEqual(h.fakes.MailApp.sent.map((m) => m.to), ['a1@candidates.test', 'a2@candidates.test', 'a3@candidates.test']);
+});
+
+test('processSidewaysInvites_ falls back to per-row updates when the batch PUT fails', () => {
+  const { h, ids } = setup([
+    { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' }
+  ]);
+  let puts = 0;
+  h.fakes.UrlFetchApp.route('https://api.smartsheet.com/2.0/sheets/' + SHEET_ID + '/rows', (url, options) => {
+    puts++;
+    if (puts === 1) return httpResponse(500, { message: 'boom' });
+    return h.fakes.smartsheet.handle(url, options);
+  });
+
+  const res = h.app.processSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(res.summary.updated, 1);
+  assert.ok(puts >= 2);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, ids[0], 'SEND Interview Invite'), '🔔 Sent');
+});
+
+test('processSidewaysInvites_ records fetch failures per sheet', () => {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: 'missing-sheet' } });
+  const res = h.app.processSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(res.ok, true);
+  assert.ok(res.summary.errors.some((e) => e.sheetId === 'missing-sheet'));
+});
+
+test('previewSidewaysInvites_ reports each Sideways row to WORKER_PREVIEW without sending', () => {
+  const { h, ids } = setup([
+    { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'bo@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'cy@candidates.test', 'Text For Email': 'CL999 Bar', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'not-an-email', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'dee@candidates.test', 'Text For Email': '', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'eve@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': '🔔 Sent' }
+  ]);
+  h.configSheet.seed('CL_CODES', ['Brand', 'CL Code', 'Recruiter Name', 'Recruiter Email', 'Booking Schedule URL', 'Active'], [
+    ['COSTA', 'CL200', 'Rita', 'rita@crewlifeatsea.com', 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF', true]
+  ]);
+  h.configSheet.seed('TOKENS', ['Token', 'Email', 'Email Hash', 'Text For Email', 'Brand', 'CL Code', 'Status', 'Expiry', 'Created At', 'Used At'], [
+    ['used-token-1', 'bo@candidates.test', '', 'CL200 Waiter', 'COSTA', 'CL200', 'USED', new Date(), new Date(), new Date()]
+  ]);
+
+  const res = h.app.previewSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(res.ok, true);
+  assert.deepStrictEqual([res.rows, res.wouldSend, res.tab], [5, 3, 'WORKER_PREVIEW']);
+
+  const lines = h.configSheet.records('WORKER_PREVIEW');
+  assert.deepStrictEqual(lines.map((r) => [r.Row, r.Email, r['CL Code'], r.Guard, r['Would Send']]), [
+    [1, 'ana@candidates.test', 'CL200', 'ALLOW', 'YES'],
+    [2, 'bo@candidates.test', 'CL200', 'BLOCK (LATEST_USED)', 'YES'],
+    [3, 'cy@candidates.test', '', 'ALLOW', 'YES'],
+    [4, 'not-an-email', '', '', 'NO'],
+    [5, 'dee@candidates.test', '', '', 'NO']
+  ]);
+  assert.strictEqual(lines[0].Reason, 'Ready');
+  assert.match(lines[1].Reason, /Invite guard blocks/);
+  assert.match(lines[2].Reason, /^CL code not resolved/);
+  assert.deepStrictEqual([lines[3].Reason, lines[4].Reason], ['Invalid email', 'Text For Email is empty']);
+  assert.strictEqual(lines[0]['Row ID'], String(ids[0]));
+
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(h.configSheet.records('TOKENS').length, 1);
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, ids[0], 'SEND Interview Invite'), 'Sideways');
+  assert.strictEqual(h.fakes.smartsheet.requests.filter((r) => r.method !== 'get').length, 0);
+  assert.strictEqual(h.fakes.scriptProperties.getProperty('SIDEWAYS_CURSOR_COSTA_' + SHEET_ID), null);
+  const start = h.configSheet.records('LOGS').find((r) => r.Event === 'SIDEWAYS_RUN_START');
+  assert.strictEqual(JSON.parse(start.Details).mode, 'PREVIEW');
+});
+
+test('previewSidewaysInvites_ follows the live cursor and limit and replaces the previous report', () => {
+  const { h } = setup([
+    { 'Email': 'a1@candidates.test', 'Text For Email': 'CL1', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'a2@candidates.test', 'Text For Email': 'CL2', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'a3@candidates.test', 'Text For Email': 'CL3', 'SEND Interview Invite': 'Sideways' }
+  ]);
+  h.app.previewSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(h.configSheet.records('WORKER_PREVIEW').length, 3);
+
+  h.fakes.scriptProperties.setProperty('SIDEWAYS_CURSOR_COSTA_' + SHEET_ID, '1');
+  const res = h.app.previewSidewaysInvites_({ brand: 'COSTA', limit: 1 });
+  assert.strictEqual(res.wouldSend, 1);
+  assert.deepStrictEqual(h.configSheet.records('WORKER_PREVIEW').map((r) => r.Email), ['a2@candidates.test']);
+
+  const live = h.app.processSidewaysInvites_({ brand: 'COSTA', limit: 1 });
+  assert.deepStrictEqual(h.fakes.MailApp.sent.map((m) => m.to), ['a2@candidates.test'], 'the live run sends what the preview listed');
+  assert.strictEqual(live.summary.sent, 1);
+});
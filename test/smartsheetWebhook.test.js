@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, httpResponse } = require('./support/gas');
+
+const SHEET_ID = '5550001';
+const COLUMNS = ['Full Name', 'Email', 'Text For Email', 'SEND Interview Invite', 'Date Sent', 'Position Link'];
+
+function setup(rows) {
+  const h = loadApp({ properties: { SMARTSHEET_IDS_COSTA: SHEET_ID } });
+  h.fakes.smartsheet.addSheet(SHEET_ID, { name: 'Costa Pipeline', columns: COLUMNS });
+  const ids = (rows || []).map((r) => h.fakes.smartsheet.addRow(SHEET_ID, r));
+  return { h, ids };
+}
+
+function post(h, body, params) {
+  const out = h.app.doPost({
+    parameter: Object.assign({
+      action: 'smartsheetwebhook',
+      brand: 'COSTA',
+      sheet: SHEET_ID,
+      key: h.app.getSmartsheetWebhookKey_('COSTA', SHEET_ID)
+    }, params || {}),
+    postData: { type: 'application/json', contents: typeof body === 'string' ? body : JSON.stringify(body) }
+  });
+  return JSON.parse(out.getContent());
+}
+
+function rowEvents(ids) {
+  return {
+    webhookId: 77, scope: 'sheet', scopeObjectId: Number(SHEET_ID),
+    events: ids.map((id) => ({ objectType: 'cell', eventType: 'updated', rowId: id, columnId: 4 }))
+  };
+}
+
+function queue(h) {
+  return JSON.parse(h.fakes.scriptProperties.store.SIDEWAYS_WEBHOOK_QUEUE || '{}');
+}
+
+test('the verification challenge is echoed only with a valid callback key', () => {
+  const { h } = setup();
+  const ok = post(h, { challenge: 'abc-123', webhookId: 77 });
+  assert.strictEqual(ok.smartsheetHookResponse, 'abc-123');
+
+  const bad = post(h, { challenge: 'abc-123' }, { key: 'deadbeef' });
+  assert.strictEqual(bad.code, 'UNAUTHORIZED');
+  assert.strictEqual(bad.smartsheetHookResponse, undefined);
+
+  const otherSheet = post(h, { challenge: 'abc-123' }, { sheet: '999' });
+  assert.strictEqual(otherSheet.code, 'UNAUTHORIZED');
+  assert.ok(h.configSheet.records('LOGS').some((r) => r.Event === 'SMARTSHEET_WEBHOOK_REJECTED'));
+});
+
+test('callbacks queue deduplicated row IDs for created and updated rows', () => {
+  const { h } = setup();
+  const res = post(h, {
+    webhookId: 77, scope: 'sheet', scopeObjectId: Number(SHEET_ID),
+    events: [
+      { objectType: 'sheet', eventType: 'updated', id: Number(SHEET_ID) },
+      { objectType: 'row', eventType: 'created', id: 101 },
+      { objectType: 'cell', eventType: 'updated', rowId: 101, columnId: 4 },
+      { objectType: 'cell', eventType: 'updated', rowId: 102, columnId: 4 },
+      { objectType: 'row', eventType: 'deleted', id: 103 }
+    ]
+  });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.queued, 2);
+  post(h, rowEvents([102, 104]));
+  assert.strictEqual(JSON.stringify(queue(h)), '{"COSTA|5550001":[101,102,104]}');
+
+  const mismatch = post(h, Object.assign(rowEvents([105]), { scopeObjectId: 42 }));
+  assert.strictEqual(mismatch.code, 'SCOPE_MISMATCH');
+});
+
+test('the queue drain sends invites for queued rows only', () => {
+  const { h, ids } = setup([
+    { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' },
+    { 'Email': 'ben@candidates.test', 'Text For Email': 'CL201 Cook', 'SEND Interview Invite': 'Sideways' }
+  ]);
+  post(h, rowEvents([ids[1]]));
+
+  const res = h.app.processSidewaysWebhookQueue_();
+  assert.strictEqual(res.batches.length, 1);
+  assert.strictEqual(res.batches[0].sent, 1);
+  assert.strictEqual(JSON.stringify(h.fakes.MailApp.sent.map((m) => m.to)), '["ben@candidates.test"]');
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, ids[1], 'SEND Interview Invite'), '🔔 Sent');
+  assert.strictEqual(h.fakes.smartsheet.cell(SHEET_ID, ids[0], 'SEND Interview Invite'), 'Sideways');
+  assert.ok(h.fakes.smartsheet.requests.some((r) => r.url.indexOf('rowIds=' + ids[1]) !== -1));
+  assert.strictEqual(JSON.stringify(queue(h)), '{}');
+  assert.strictEqual(h.fakes.scriptProperties.store['SIDEWAYS_CURSOR_COSTA_' + SHEET_ID], undefined);
+
+  // polling reconciles the row the webhook never reported
+  const poll = h.app.processSidewaysInvites_({ brand: 'COSTA' });
+  assert.strictEqual(poll.summary.sent, 1);
+  assert.strictEqual(h.fakes.MailApp.sent[1].to, 'ana@candidates.test');
+});
+
+test('a batch blocked by a running poll goes back on the queue', () => {
+  const { h, ids } = setup([
+    { 'Email': 'ana@candidates.test', 'Text For Email': 'CL200 Waiter', 'SEND Interview Invite': 'Sideways' }
+  ]);
+  post(h, rowEvents([ids[0]]));
+  h.fakes.scriptProperties.store.SIDEWAYS_RUN_LEASE_UNTIL = String(Date.now() + 60000);
+
+  const res = h.app.processSidewaysWebhookQueue_();
+  assert.strictEqual(res.batches[0].requeued, true);
+  assert.strictEqual(h.fakes.MailApp.sent.length, 0);
+  assert.strictEqual(JSON.stringify(queue(h)), '{"COSTA|5550001":[' + ids[0] + ']}');
+
+  delete h.fakes.scriptProperties.store.SIDEWAYS_RUN_LEASE_UNTIL;
+  assert.strictEqual(h.app.processSidewaysWebhookQueue_().batches[0].sent, 1);
+});
+
+test('an oversized queue falls back to a full scan of the sheet', () => {
+  const { h } = setup();
+  const many = [];
+  for (let i = 1; i <= 401; i++) many.push(i);
+  post(h, rowEvents(many));
+  assert.strictEqual(JSON.stringify(queue(h)), '{"COSTA|5550001":"*"}');
+
+  const res = h.app.processSidewaysWebhookQueue_();
+  assert.strictEqual(res.batches[0].rows, '*');
+  assert.ok(h.fakes.smartsheet.requests.some((r) => r.url.endsWith('/sheets/' + SHEET_ID)));
+});
+
+test('installSidewaysWebhooks registers keyed callbacks and the drain trigger', () => {
+  const { h } = setup();
+  const calls = [];
+  h.fakes.UrlFetchApp.route('https://api.smartsheet.com/2.0/webhooks', (url, options) => {
+    calls.push({ url: url, method: options.method, body: options.payload ? JSON.parse(options.payload) : null });
+    if (options.method === 'post') return httpResponse(200, { result: { id: 9001 } });
+    return httpResponse(200, { result: { id: 9001, status: 'ENABLED' } });
+  });
+
+  const res = h.app.installSidewaysWebhooks();
+  assert.strictEqual(res.ok, true);
+  const created = calls.find((c) => c.method === 'post' && c.body.scopeObjectId === Number(SHEET_ID));
+  assert.ok(created, 'COSTA sheet registered');
+  assert.ok(created.body.callbackUrl.indexOf('action=smartsheetwebhook&brand=COSTA&sheet=' + SHEET_ID +
+    '&key=' + h.app.getSmartsheetWebhookKey_('COSTA', SHEET_ID)) !== -1);
+  assert.ok(calls.some((c) => c.method === 'put' && c.url.endsWith('/webhooks/9001') && c.body.enabled === true));
+  assert.strictEqual(JSON.parse(h.fakes.scriptProperties.store.SIDEWAYS_WEBHOOKS)['COSTA|' + SHEET_ID], 9001);
+  assert.ok(h.fakes.ScriptApp.getProjectTriggers().some((t) => t.getHandlerFunction() === 'processSidewaysWebhookQueue_'));
+
+  // re-running replaces the previous webhook instead of stacking another
+  h.app.installSidewaysWebhooks();
+  assert.ok(calls.some((c) => c.method === 'delete' && c.url.endsWith('/webhooks/9001')));
+  assert.strictEqual(h.fakes.ScriptApp.getProjectTriggers().filter((t) => t.getHandlerFunction() === 'processSidewaysWebhookQueue_').length, 1);
+});
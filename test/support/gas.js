@@ -0,0 +1,995 @@
+/**
+ * gas.js
+ * Offline harness: loads src/*.js into a Node vm sandbox backed by in-memory
+ * fakes for the Apps Script services the app touches.
+ * CrewLife Interview Bookings Uniform Core
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Convert a Buffer to the signed byte[] Apps Script returns. */
+function toSignedBytes(buf) {
+  const out = [];
+  for (let i = 0; i < buf.length; i++) out.push(buf[i] > 127 ? buf[i] - 256 : buf[i]);
+  return out;
+}
+
+/** Accept a string or byte[] the way Utilities does. */
+function toBuffer(value) {
+  if (Array.isArray(value)) return Buffer.from(value.map(function(b) { return b & 0xFF; }));
+  if (Buffer.isBuffer(value)) return value;
+  return Buffer.from(String(value), 'utf8');
+}
+
+/** Format with Logger-style %s placeholders. */
+function formatLog(fmt, args) {
+  let i = 0;
+  return String(fmt).replace(/%s|%d/g, function() {
+    return i < args.length ? String(args[i++]) : '';
+  });
+}
+
+function pad2(n) {
+  return ('0' + n).slice(-2);
+}
+
+// ---------------------------------------------------------------------------
+// SpreadsheetApp
+// ---------------------------------------------------------------------------
+
+class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.col; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numCols; }
+  getSheet() { return this.sheet; }
+
+  getValues() {
+    this.sheet.cellsRead += this.numRows * this.numCols;
+    const out = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numCols; c++) line.push(this.sheet._get(this.row + r, this.col + c));
+      out.push(line);
+    }
+    return out;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(function(line) {
+      return line.map(function(v) {
+        if (v === null || v === undefined) return '';
+        if (Object.prototype.toString.call(v) === '[object Date]') return v.toISOString();
+        return String(v);
+      });
+    });
+  }
+
+  getValue() { this.sheet.cellsRead++; return this.sheet._get(this.row, this.col); }
+  getDisplayValue() { return this.getDisplayValues()[0][0]; }
+
+  setValues(values) {
+    if (values.length !== this.numRows) {
+      throw new Error('The number of rows in the data does not match the number of rows in the range.');
+    }
+    for (let r = 0; r < this.numRows; r++) {
+      if (values[r].length !== this.numCols) {
+        throw new Error('The number of columns in the data does not match the number of columns in the range.');
+      }
+      for (let c = 0; c < this.numCols; c++) this.sheet._set(this.row + r, this.col + c, values[r][c]);
+    }
+    this.sheet.parent.writes++;
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) this.sheet._set(this.row + r, this.col + c, value);
+    }
+    this.sheet.parent.writes++;
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  // Formatting calls are accepted and ignored.
+  setFontWeight() { return this; }
+  setBackground() { return this; }
+  setNumberFormat() { return this; }
+  setWrap() { return this; }
+}
+
+class FakeSheet {
+  constructor(parent, name, rows, sheetId) {
+    this.parent = parent;
+    this.name = name;
+    this.sheetId = sheetId;
+    this.rows = rows || [];
+    this.frozenRows = 0;
+    this.reads = 0;
+    this.cellsRead = 0;
+  }
+
+  _get(row, col) {
+    const line = this.rows[row - 1];
+    if (!line) return '';
+    const v = line[col - 1];
+    return v === undefined || v === null ? '' : v;
+  }
+
+  _set(row, col, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const line = this.rows[row - 1];
+    while (line.length < col) line.push('');
+    line[col - 1] = value;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getParent() { return this.parent; }
+  getSheetId() { return this.sheetId; }
+
+  getLastRow() {
+    for (let r = this.rows.length; r >= 1; r--) {
+      if (this.rows[r - 1].some(function(v) { return v !== '' && v !== null && v !== undefined; })) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let max = 0;
+    for (let r = 0; r < this.rows.length; r++) {
+      for (let c = this.rows[r].length; c > max; c--) {
+        const v = this.rows[r][c - 1];
+        if (v !== '' && v !== null && v !== undefined) { max = c; break; }
+      }
+    }
+    return max;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(row, col, numRows, numCols) {
+    if (typeof row === 'string') throw new Error('A1 notation is not supported by the fake');
+    return new FakeRange(this, row, col, numRows || 1, numCols || 1);
+  }
+
+  getDataRange() {
+    this.reads++;
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const at = this.getLastRow() + 1;
+    for (let c = 0; c < values.length; c++) this._set(at, c + 1, values[c]);
+    this.parent.writes++;
+    return this;
+  }
+
+  insertRowsAfter(afterRow, howMany) {
+    const blank = [];
+    for (let i = 0; i < howMany; i++) blank.push([]);
+    this.rows.splice.apply(this.rows, [afterRow, 0].concat(blank));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    this.parent.writes++;
+    return this;
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+    this.parent.writes++;
+    return this;
+  }
+
+  clear() { this.rows = []; return this; }
+  clearContents() { this.rows = []; return this; }
+  setFrozenRows(n) { this.frozenRows = n; return this; }
+  getFrozenRows() { return this.frozenRows; }
+  autoResizeColumns() { return this; }
+  setColumnWidth() { return this; }
+}
+
+class FakeSpreadsheet {
+  constructor(id) {
+    this.id = id;
+    this.sheets = [];
+    this.writes = 0;
+    this.nextSheetId = 0;
+  }
+
+  getId() { return this.id; }
+  getName() { return 'Spreadsheet ' + this.id; }
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/' + this.id + '/edit'; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    for (let i = 0; i < this.sheets.length; i++) {
+      if (this.sheets[i].name === name) return this.sheets[i];
+    }
+    return null;
+  }
+
+  insertSheet(name) {
+    const sheetName = name || ('Sheet' + (this.sheets.length + 1));
+    if (this.getSheetByName(sheetName)) {
+      throw new Error('A sheet with the name "' + sheetName + '" already exists.');
+    }
+    const sheet = new FakeSheet(this, sheetName, [], this.nextSheetId++);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    const i = this.sheets.indexOf(sheet);
+    if (i !== -1) this.sheets.splice(i, 1);
+  }
+
+  /**
+   * Test helper: create (or replace) a tab with a header row and data rows.
+   * @param {string} name
+   * @param {Array<string>} headers
+   * @param {Array<Array>=} rows
+   * @returns {FakeSheet}
+   */
+  seed(name, headers, rows) {
+    const existing = this.getSheetByName(name);
+    if (existing) this.deleteSheet(existing);
+    const sheet = this.insertSheet(name);
+    sheet.rows = [headers.slice()].concat((rows || []).map(function(r) { return r.slice(); }));
+    return sheet;
+  }
+
+  /**
+   * Test helper: read a tab as an array of header-keyed objects.
+   * @param {string} name
+   * @returns {Array<Object>}
+   */
+  records(name) {
+    const sheet = this.getSheetByName(name);
+    if (!sheet || sheet.getLastRow() < 1) return [];
+    const values = sheet.getDataRange().getValues();
+    const headers = values[0];
+    return values.slice(1).map(function(line) {
+      const rec = {};
+      headers.forEach(function(h, i) { if (h !== '') rec[h] = line[i]; });
+      return rec;
+    });
+  }
+}
+
+function createSpreadsheetApp() {
+  const books = {};
+  return {
+    books: books,
+    openById: function(id) {
+      if (!id) throw new Error('Invalid argument: id');
+      if (!books[id]) books[id] = new FakeSpreadsheet(id);
+      return books[id];
+    },
+    create: function(name) {
+      const id = 'fake-ss-' + crypto.randomBytes(6).toString('hex');
+      books[id] = new FakeSpreadsheet(id);
+      return books[id];
+    },
+    flush: function() {}
+  };
+}
+
+// ---------------------------------------------------------------------------
+// PropertiesService / CacheService / LockService
+// ---------------------------------------------------------------------------
+
+function createProperties(initial) {
+  const store = Object.assign({}, initial || {});
+  return {
+    store: store,
+    getProperty: function(key) {
+      return Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null;
+    },
+    setProperty: function(key, value) { store[key] = String(value); return this; },
+    deleteProperty: function(key) { delete store[key]; return this; },
+    getProperties: function() { return Object.assign({}, store); },
+    getKeys: function() { return Object.keys(store); },
+    setProperties: function(props, deleteAllOthers) {
+      if (deleteAllOthers) Object.keys(store).forEach(function(k) { delete store[k]; });
+      Object.keys(props).forEach(function(k) { store[k] = String(props[k]); });
+      return this;
+    },
+    deleteAllProperties: function() {
+      Object.keys(store).forEach(function(k) { delete store[k]; });
+      return this;
+    }
+  };
+}
+
+function createCache(clock) {
+  const store = {};
+  function live(key) {
+    const entry = store[key];
+    if (!entry) return null;
+    if (entry.expiresAt <= clock()) { delete store[key]; return null; }
+    return entry.value;
+  }
+  return {
+    store: store,
+    get: function(key) { return live(key); },
+    getAll: function(keys) {
+      const out = {};
+      keys.forEach(function(k) { const v = live(k); if (v !== null) out[k] = v; });
+      return out;
+    },
+    put: function(key, value, seconds) {
+      store[key] = { value: String(value), expiresAt: clock() + (seconds || 600) * 1000 };
+    },
+    putAll: function(values, seconds) {
+      const self = this;
+      Object.keys(values).forEach(function(k) { self.put(k, values[k], seconds); });
+    },
+    remove: function(key) { delete store[key]; },
+    removeAll: function(keys) { keys.forEach(function(k) { delete store[k]; }); }
+  };
+}
+
+/**
+ * Script lock. `held` is this execution's hold; holdElsewhere() simulates
+ * another execution keeping the lock busy and holdElsewhere(false) lets it
+ * go. Apps Script's lock is re-entrant within one execution, which
+ * `reentrant` reproduces: tryLock succeeds while held and one releaseLock
+ * drops the hold.
+ * @param {boolean=} reentrant
+ */
+function createLock(reentrant) {
+  let held = false;
+  let elsewhere = false;
+  return {
+    waitLock: function() {
+      if (elsewhere || (held && !reentrant)) throw new Error('Lock timeout: another process was holding the lock for too long.');
+      held = true;
+    },
+    tryLock: function() {
+      if (elsewhere || (held && !reentrant)) return false;
+      held = true;
+      return true;
+    },
+    hasLock: function() { return held; },
+    releaseLock: function() { held = false; },
+    holdElsewhere: function(on) { elsewhere = on !== false; }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// UrlFetchApp (with a fake Smartsheet API)
+// ---------------------------------------------------------------------------
+
+function httpResponse(code, body, headers) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body === undefined ? {} : body);
+  return {
+    getResponseCode: function() { return code; },
+    getContentText: function() { return text; },
+    getHeaders: function() { return headers || {}; }
+  };
+}
+
+/**
+ * In-memory Smartsheet: GET /sheets/{id} and PUT /sheets/{id}/rows.
+ * Sheets are registered with column titles and row objects keyed by title.
+ */
+class FakeSmartsheet {
+  constructor() {
+    this.sheets = {};
+    this.nextId = 1000;
+    this.requests = [];
+  }
+
+  /**
+   * Register a sheet.
+   * @param {string} sheetId
+   * @param {{name?:string, columns:Array<string|{title:string,id?:number,formula?:string}>, rows?:Array<Object>}} def
+   * @returns {{id:string, columns:Array, rows:Array}}
+   */
+  addSheet(sheetId, def) {
+    const self = this;
+    const columns = def.columns.map(function(c) {
+      const col = typeof c === 'string' ? { title: c } : Object.assign({}, c);
+      if (!col.id) col.id = self.nextId++;
+      return col;
+    });
+    const sheet = { id: String(sheetId), name: def.name || ('Sheet ' + sheetId), columns: columns, rows: [] };
+    this.sheets[String(sheetId)] = sheet;
+    (def.rows || []).forEach(function(r) { self.addRow(sheetId, r); });
+    return sheet;
+  }
+
+  /**
+   * Add a row keyed by column title.
+   * @returns {number} Row ID
+   */
+  addRow(sheetId, values) {
+    const sheet = this.sheets[String(sheetId)];
+    const id = this.nextId++;
+    const cells = sheet.columns.map(function(col) {
+      const v = Object.prototype.hasOwnProperty.call(values, col.title) ? values[col.title] : '';
+      return { columnId: col.id, value: v, displayValue: v === '' ? undefined : String(v) };
+    });
+    sheet.rows.push({ id: id, cells: cells });
+    return id;
+  }
+
+  columnId(sheetId, title) {
+    const cols = this.sheets[String(sheetId)].columns;
+    for (let i = 0; i < cols.length; i++) if (cols[i].title === title) return cols[i].id;
+    return null;
+  }
+
+  /** Read a cell value by row ID and column title. */
+  cell(sheetId, rowId, title) {
+    const sheet = this.sheets[String(sheetId)];
+    const colId = this.columnId(sheetId, title);
+    for (let i = 0; i < sheet.rows.length; i++) {
+      if (sheet.rows[i].id !== rowId) continue;
+      const cells = sheet.rows[i].cells;
+      for (let c = 0; c < cells.length; c++) if (cells[c].columnId === colId) return cells[c].value;
+    }
+    return undefined;
+  }
+
+  handle(url, options) {
+    const method = String((options && options.method) || 'get').toLowerCase();
+    this.requests.push({ url: url, method: method, payload: options && options.payload });
+    const m = url.match(/\/sheets\/([^/?]+)(\/rows)?/);
+    if (!m) return httpResponse(404, { message: 'Not found' });
+    const sheet = this.sheets[m[1]];
+    if (!sheet) return httpResponse(404, { errorCode: 1006, message: 'Not Found' });
+
+    if (method === 'get' && !m[2]) {
+      const filter = url.match(/[?&]rowIds=([^&]+)/);
+      const wanted = filter ? decodeURIComponent(filter[1]).split(',').map(Number) : null;
+      return httpResponse(200, {
+        id: sheet.id,
+        name: sheet.name,
+        columns: sheet.columns,
+        rows: wanted ? sheet.rows.filter(function(r) { return wanted.indexOf(r.id) !== -1; }) : sheet.rows,
+        totalRowCount: sheet.rows.length
+      });
+    }
+
+    if (method === 'put' && m[2]) {
+      const updates = JSON.parse(options.payload);
+      for (let i = 0; i < updates.length; i++) {
+        const row = sheet.rows.find(function(r) { return r.id === Number(updates[i].id); });
+        if (!row) return httpResponse(404, { errorCode: 1006, message: 'Row not found' });
+        updates[i].cells.forEach(function(u) {
+          const cell = row.cells.find(function(c) { return c.columnId === Number(u.columnId); });
+          if (cell) { cell.value = u.value; cell.displayValue = String(u.value); }
+        });
+      }
+      return httpResponse(200, { message: 'SUCCESS', result: updates });
+    }
+
+    return httpResponse(405, { message: 'Method not allowed' });
+  }
+}
+
+function createUrlFetchApp(smartsheet) {
+  const routes = [];
+  const app = {
+    requests: [],
+    /**
+     * Register a handler for URLs starting with prefix.
+     * @param {string} prefix
+     * @param {function(string, Object): Object} handler - returns httpResponse()
+     */
+    route: function(prefix, handler) { routes.unshift({ prefix: prefix, handler: handler }); },
+    fetch: function(url, options) {
+      app.requests.push({ url: url, options: options || {} });
+      for (let i = 0; i < routes.length; i++) {
+        if (url.indexOf(routes[i].prefix) === 0) return routes[i].handler(url, options || {});
+      }
+      if (url.indexOf('https://api.smartsheet.com/2.0') === 0) return smartsheet.handle(url, options);
+      throw new Error('UrlFetchApp fake: no route for ' + url);
+    },
+    fetchAll: function(requests) {
+      return requests.map(function(r) { return app.fetch(r.url, r); });
+    }
+  };
+  return app;
+}
+
+// ---------------------------------------------------------------------------
+// CalendarApp
+// ---------------------------------------------------------------------------
+
+/**
+ * In-memory calendars keyed by calendar ID (the owner's email).
+ * Unknown IDs return null, like a calendar not shared with the script owner.
+ */
+function createCalendarApp() {
+  const calendars = {};
+  let nextEventId = 1;
+
+  function calendar(id) {
+    return {
+      getId: function() { return id; },
+      getTimeZone: function() { return 'UTC'; },
+      getEvents: function(start, end) {
+        calendars[id].reads++;
+        return calendars[id].events.filter(function(ev) {
+          return ev.start < end.getTime() && ev.end > start.getTime();
+        }).map(eventObject);
+      }
+    };
+  }
+
+  function eventObject(ev) {
+    return {
+      getId: function() { return ev.id; },
+      getTitle: function() { return ev.title; },
+      getStartTime: function() { return new Date(ev.start); },
+      getEndTime: function() { return new Date(ev.end); },
+      getDateCreated: function() { return new Date(ev.created); },
+      getGuestList: function() {
+        return ev.guests.map(function(g) {
+          return {
+            getEmail: function() { return g.email; },
+            getGuestStatus: function() { return g.status; }
+          };
+        });
+      }
+    };
+  }
+
+  return {
+    calendars: calendars,
+    /** Register a calendar the script owner can read. */
+    addCalendar: function(id) {
+      calendars[id] = calendars[id] || { events: [], reads: 0 };
+      return calendars[id];
+    },
+    /**
+     * Add an event.
+     * @param {string} id - Calendar ID
+     * @param {{title?:string, start:number, end?:number, created:number, guests:Array<string|{email:string,status:string}>}} def
+     */
+    addEvent: function(id, def) {
+      const ev = {
+        id: 'evt-' + nextEventId++,
+        title: def.title || 'Interview',
+        start: def.start,
+        end: def.end || def.start + 30 * 60 * 1000,
+        created: def.created,
+        guests: (def.guests || []).map(function(g) {
+          return typeof g === 'string' ? { email: g, status: 'YES' } : g;
+        })
+      };
+      this.addCalendar(id).events.push(ev);
+      return ev;
+    },
+    GuestStatus: { INVITED: 'INVITED', MAYBE: 'MAYBE', NO: 'NO', OWNER: 'OWNER', YES: 'YES' },
+    getCalendarById: function(id) { return calendars[id] ? calendar(id) : null; },
+    getAllCalendars: function() { return Object.keys(calendars).map(calendar); }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// MailApp / Session / ScriptApp / ContentService / Logger
+// ---------------------------------------------------------------------------
+
+function createMailApp() {
+  const mail = {
+    sent: [],
+    quota: 100,
+    failWith: null,
+    sendEmail: function(a, subject, body, options) {
+      if (mail.failWith) throw new Error(mail.failWith);
+      if (mail.quota <= 0) throw new Error('Service invoked too many times for one day: email.');
+      const msg = typeof a === 'object'
+        ? Object.assign({}, a)
+        : Object.assign({ to: a, subject: subject, body: body }, options || {});
+      mail.sent.push(msg);
+      mail.quota--;
+    },
+    getRemainingDailyQuota: function() { return mail.quota; }
+  };
+  return mail;
+}
+
+function createSession(state) {
+  function user(key) {
+    return { getEmail: function() { return state[key] || ''; } };
+  }
+  return {
+    getActiveUser: function() { return user('activeUser'); },
+    getEffectiveUser: function() { return user('effectiveUser'); },
+    getScriptTimeZone: function() { return 'UTC'; },
+    getTemporaryActiveUserKey: function() { return state.activeUser ? 'key-' + state.activeUser : ''; }
+  };
+}
+
+function createScriptApp(execUrl) {
+  const triggers = [];
+  let nextId = 1;
+  function builder(handler) {
+    const spec = { handler: handler };
+    const timeBased = {
+      everyMinutes: function(n) { spec.everyMinutes = n; return timeBased; },
+      everyHours: function(n) { spec.everyHours = n; return timeBased; },
+      everyDays: function(n) { spec.everyDays = n; return timeBased; },
+      atHour: function(h) { spec.atHour = h; return timeBased; },
+      onMonthDay: function(d) { spec.onMonthDay = d; return timeBased; },
+      create: function() {
+        const id = String(nextId++);
+        const t = {
+          spec: spec,
+          getHandlerFunction: function() { return handler; },
+          getUniqueId: function() { return id; }
+        };
+        triggers.push(t);
+        return t;
+      }
+    };
+    return { timeBased: function() { return timeBased; } };
+  }
+  return {
+    triggers: triggers,
+    getService: function() { return { getUrl: function() { return execUrl; } }; },
+    getProjectTriggers: function() { return triggers.slice(); },
+    newTrigger: builder,
+    deleteTrigger: function(t) {
+      const i = triggers.indexOf(t);
+      if (i !== -1) triggers.splice(i, 1);
+    },
+    getScriptId: function() { return 'fake-script-id'; }
+  };
+}
+
+function createContentService() {
+  return {
+    MimeType: { JSON: 'application/json', TEXT: 'text/plain', CSV: 'text/csv' },
+    createTextOutput: function(content) {
+      const out = {
+        content: String(content || ''),
+        mimeType: 'text/plain',
+        getContent: function() { return out.content; },
+        setContent: function(c) { out.content = String(c); return out; },
+        setMimeType: function(m) { out.mimeType = m; return out; },
+        getMimeType: function() { return out.mimeType; },
+        downloadAsFile: function(name) { out.fileName = name; return out; }
+      };
+      return out;
+    }
+  };
+}
+
+function createLogger(lines) {
+  return {
+    log: function(fmt) {
+      lines.push(formatLog(fmt, Array.prototype.slice.call(arguments, 1)));
+    },
+    getLog: function() { return lines.join('\n'); },
+    clear: function() { lines.length = 0; }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Utilities
+// ---------------------------------------------------------------------------
+
+function parseCsv(text, delimiter) {
+  const d = delimiter || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === d) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function createUtilities() {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    getUuid: function() { return crypto.randomUUID(); },
+    computeDigest: function(algorithm, value) {
+      return toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest());
+    },
+    computeHmacSha256Signature: function(value, key) {
+      return toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest());
+    },
+    computeHmacSignature: function(algorithm, value, key) {
+      const alg = { HMAC_SHA_256: 'sha256', HMAC_SHA_512: 'sha512', HMAC_SHA_1: 'sha1', HMAC_MD5: 'md5' }[algorithm] || 'sha256';
+      return toSignedBytes(crypto.createHmac(alg, toBuffer(key)).update(toBuffer(value)).digest());
+    },
+    MacAlgorithm: { HMAC_SHA_256: 'HMAC_SHA_256', HMAC_SHA_512: 'HMAC_SHA_512', HMAC_SHA_1: 'HMAC_SHA_1', HMAC_MD5: 'HMAC_MD5' },
+    base64Encode: function(value) { return toBuffer(value).toString('base64'); },
+    base64EncodeWebSafe: function(value) {
+      return toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    },
+    base64Decode: function(str) { return toSignedBytes(Buffer.from(String(str), 'base64')); },
+    base64DecodeWebSafe: function(str) {
+      return toSignedBytes(Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+    },
+    newBlob: function(data, contentType, name) {
+      const buf = toBuffer(data);
+      return {
+        getDataAsString: function() { return buf.toString('utf8'); },
+        getBytes: function() { return toSignedBytes(buf); },
+        getContentType: function() { return contentType || 'text/plain'; },
+        getName: function() { return name || ''; }
+      };
+    },
+    parseCsv: parseCsv,
+    sleep: function() {},
+    formatDate: function(date, timeZone, format) {
+      const d = new Date(date);
+      const parts = {
+        yyyy: String(d.getUTCFullYear()),
+        MM: pad2(d.getUTCMonth() + 1),
+        dd: pad2(d.getUTCDate()),
+        HH: pad2(d.getUTCHours()),
+        mm: pad2(d.getUTCMinutes()),
+        ss: pad2(d.getUTCSeconds())
+      };
+      return String(format).replace(/yyyy|MM|dd|HH|mm|ss/g, function(t) { return parts[t]; });
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HtmlService (evaluates real src/*.html templates)
+// ---------------------------------------------------------------------------
+
+/**
+ * Compile Apps Script scriptlets (<? ?>, <?= ?>, <?!= ?>) into a JS function body.
+ * @param {string} html
+ * @returns {string}
+ */
+function compileTemplate(html) {
+  let code = 'var __out = [];\n';
+  let pos = 0;
+  const re = /<\?(!=|=)?([\s\S]*?)\?>/g;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    code += '__out.push(' + JSON.stringify(html.slice(pos, m.index)) + ');\n';
+    const body = m[2].trim().replace(/;+\s*$/, '');
+    if (m[1] === '=') code += '__out.push(__escape(' + body + '));\n';
+    else if (m[1] === '!=') code += '__out.push(__raw(' + body + '));\n';
+    else code += m[2] + '\n';
+    pos = re.lastIndex;
+  }
+  code += '__out.push(' + JSON.stringify(html.slice(pos)) + ');\nreturn __out.join("");';
+  return code;
+}
+
+function createHtmlService(context, srcDir) {
+  function readFile(name) {
+    const file = path.join(srcDir, String(name).replace(/\.html$/, '') + '.html');
+    if (!fs.existsSync(file)) throw new Error('No HTML file named ' + name + ' was found.');
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  function output(content) {
+    const out = {
+      content: content,
+      title: '',
+      getContent: function() { return out.content; },
+      setContent: function(c) { out.content = c; return out; },
+      append: function(c) { out.content += c; return out; },
+      setTitle: function(t) { out.title = t; return out; },
+      getTitle: function() { return out.title; },
+      setXFrameOptionsMode: function() { return out; },
+      addMetaTag: function() { return out; },
+      setFaviconUrl: function(u) { out.faviconUrl = u; return out; },
+      setSandboxMode: function() { return out; }
+    };
+    return out;
+  }
+
+  function template(source) {
+    const fn = vm.runInContext(
+      '(function(__vars, __escape, __raw) { with (__vars) { ' + compileTemplate(source) + ' } })',
+      context
+    );
+    const tpl = {
+      evaluate: function() {
+        const vars = {};
+        Object.keys(tpl).forEach(function(k) {
+          if (k !== 'evaluate' && k !== 'getRawContent') vars[k] = tpl[k];
+        });
+        return output(fn(vars, escapeHtml, function(v) { return v === undefined || v === null ? '' : String(v); }));
+      },
+      getRawContent: function() { return source; }
+    };
+    return tpl;
+  }
+
+  function escapeHtml(v) {
+    if (v === undefined || v === null) return '';
+    return String(v)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  return {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { IFRAME: 'IFRAME' },
+    createTemplateFromFile: function(name) { return template(readFile(name)); },
+    createTemplate: function(source) { return template(String(source)); },
+    createHtmlOutputFromFile: function(name) { return output(readFile(name)); },
+    createHtmlOutput: function(html) { return output(html === undefined ? '' : String(html)); }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Loader
+// ---------------------------------------------------------------------------
+
+var DEFAULT_PROPS = {
+  CONFIG_SHEET_ID: 'config-sheet',
+  LOG_SHEET_ID: 'config-sheet',
+  SMARTSHEET_API_TOKEN: 'fake-smartsheet-token',
+  HMAC_SECRET: 'harness-hmac-secret-0123456789abcdef0123456789',
+  OTP_HASH_KEY: 'harness-otp-hash-key-0123456789abcdef0123456789',
+  WEB_APP_EXEC_URL: 'https://script.google.com/macros/s/HARNESS/exec',
+  SAFE_MODE: 'false'
+};
+
+/**
+ * Load every src/*.js file into a fresh sandbox.
+ * @param {Object=} options
+ * @param {Object=} options.properties - Script properties merged over the defaults
+ * @param {string=} options.activeUser - Session.getActiveUser() email
+ * @param {string=} options.effectiveUser - Session.getEffectiveUser() email
+ * @param {boolean=} options.seedConfig - Create the config tabs up front (default true)
+ * @param {boolean=} options.reentrantLock - Script lock behaves re-entrantly, as in Apps Script
+ * @returns {{app:Object, fakes:Object, configSheet:FakeSpreadsheet, logs:Array<string>}}
+ */
+function loadApp(options) {
+  options = options || {};
+  const logLines = [];
+  let now = null;
+  const clock = function() { return now === null ? Date.now() : now; };
+  const sessionState = {
+    activeUser: options.activeUser || '',
+    effectiveUser: options.effectiveUser || 'owner@crewlifeatsea.com'
+  };
+  const props = Object.assign({}, DEFAULT_PROPS, options.properties || {});
+
+  const smartsheet = new FakeSmartsheet();
+  const fakes = {
+    SpreadsheetApp: createSpreadsheetApp(),
+    scriptProperties: createProperties(props),
+    userProperties: createProperties({}),
+    scriptCache: createCache(clock),
+    scriptLock: createLock(options.reentrantLock === true),
+    smartsheet: smartsheet,
+    UrlFetchApp: createUrlFetchApp(smartsheet),
+    MailApp: createMailApp(),
+    CalendarApp: createCalendarApp(),
+    session: sessionState,
+    ScriptApp: createScriptApp(props.WEB_APP_EXEC_URL),
+    ContentService: createContentService(),
+    Utilities: createUtilities()
+  };
+
+  const sandbox = {
+    console: console,
+    Logger: createLogger(logLines),
+    SpreadsheetApp: fakes.SpreadsheetApp,
+    PropertiesService: {
+      getScriptProperties: function() { return fakes.scriptProperties; },
+      getUserProperties: function() { return fakes.userProperties; },
+      getDocumentProperties: function() { return null; }
+    },
+    CacheService: {
+      getScriptCache: function() { return fakes.scriptCache; },
+      getUserCache: function() { return fakes.scriptCache; }
+    },
+    LockService: {
+      getScriptLock: function() { return fakes.scriptLock; },
+      getDocumentLock: function() { return fakes.scriptLock; }
+    },
+    UrlFetchApp: fakes.UrlFetchApp,
+    MailApp: fakes.MailApp,
+    CalendarApp: fakes.CalendarApp,
+    Session: createSession(sessionState),
+    ScriptApp: fakes.ScriptApp,
+    ContentService: fakes.ContentService,
+    Utilities: fakes.Utilities
+  };
+  const context = vm.createContext(sandbox);
+  sandbox.HtmlService = createHtmlService(context, SRC_DIR);
+
+  // Let tests pin the clock without touching the sandbox's Date builtin.
+  vm.runInContext(
+    '(function(clock) {' +
+    '  var RealDate = Date;' +
+    '  function FakeDate(a, b, c, d, e, f, g) {' +
+    '    if (!(this instanceof FakeDate)) return new RealDate(clock()).toString();' +
+    '    if (arguments.length === 0) return new RealDate(clock());' +
+    '    if (arguments.length === 1) return new RealDate(a);' +
+    '    return new RealDate(a, b, c === undefined ? 1 : c, d || 0, e || 0, f || 0, g || 0);' +
+    '  }' +
+    '  FakeDate.prototype = RealDate.prototype;' +
+    '  FakeDate.now = function() { return clock(); };' +
+    '  FakeDate.UTC = RealDate.UTC;' +
+    '  FakeDate.parse = RealDate.parse;' +
+    '  Date = FakeDate;' +
+    '})',
+    context
+  )(clock);
+
+  const files = fs.readdirSync(SRC_DIR).filter(function(f) { return /\.js$/.test(f); }).sort();
+  files.forEach(function(f) {
+    vm.runInContext(fs.readFileSync(path.join(SRC_DIR, f), 'utf8'), context, { filename: f });
+  });
+
+  const configSheet = fakes.SpreadsheetApp.openById(props.CONFIG_SHEET_ID);
+  if (options.seedConfig !== false) context.ensureConfigSheetTabs_();
+
+  return {
+    app: context,
+    fakes: fakes,
+    configSheet: configSheet,
+    logs: logLines,
+    /** Pin Date.now()/new Date() inside the sandbox (ms since epoch), or null for real time. */
+    setNow: function(ms) { now = ms === null ? null : Number(ms); },
+    /** Advance the pinned clock by ms. */
+    advance: function(ms) { now = clock() + ms; },
+    /** Switch the signed-in user seen by Session.getActiveUser(). */
+    setActiveUser: function(email) { sessionState.activeUser = email || ''; }
+  };
+}
+
+module.exports = {
+  loadApp: loadApp,
+  compileTemplate: compileTemplate,
+  httpResponse: httpResponse,
+  FakeSmartsheet: FakeSmartsheet
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SCHEDULE_URL = 'https://calendar.google.com/calendar/appointments/schedules/AcZssZ1abcDEF';
+
+/** Issue an OTP, verify it and redeem the redirect so the row ends USED. */
+function usedInvite(h, email, text) {
+  const created = h.app.createOtp_({
+    email: email, brand: 'ROYAL', textForEmail: text, candidate: { 'Position Link': SCHEDULE_URL }
+  });
+  assert.strictEqual(h.app.validateOtp_({ token: created.token, otp: created.otp }).ok, true);
+  assert.strictEqual(h.app.consumeTokenForRedirect_(created.token, 't').ok, true);
+  return created;
+}
+
+function statuses(h) {
+  return h.configSheet.records('TOKENS').map((r) => r.Status).join(',');
+}
+
+test('archiveTerminalTokens_ moves old terminal rows into monthly tabs', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'old@candidates.test', 'CL1 Cook');                                         // USED
+  h.app.createOtp_({ email: 'expired@candidates.test', brand: 'ROYAL', textForEmail: 'CL2' }); // SUPERSEDED below
+  h.app.createOtp_({ email: 'expired@candidates.test', brand: 'ROYAL', textForEmail: 'CL2' }); // PENDING, stays
+
+  h.setNow(Date.UTC(2026, 2, 20, 12, 0, 0));
+  usedInvite(h, 'recent@candidates.test', 'CL3 Bar');                                        // too recent
+  assert.strictEqual(statuses(h), 'USED,SUPERSEDED,PENDING,USED');
+
+  const res = h.app.archiveTerminalTokens_({ afterDays: 30 });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.archived, 2);
+  assert.strictEqual(res.tabs.TOKENS_ARCHIVE_2026_01, 2);
+  assert.strictEqual(statuses(h), 'PENDING,USED');
+
+  const archived = h.configSheet.records('TOKENS_ARCHIVE_2026_01');
+  assert.strictEqual(archived.map((r) => r.Status).join(','), 'USED,SUPERSEDED');
+  assert.strictEqual(archived[0].Email, 'old@candidates.test');
+});
+
+test('archiveTerminalTokens_ dry run reports without writing', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'old@candidates.test', 'CL1 Cook');
+  h.advance(60 * DAY);
+
+  const res = h.app.archiveTerminalTokens_({ dryRun: true });
+  assert.strictEqual(res.wouldArchive, 1);
+  assert.strictEqual(statuses(h), 'USED');
+  assert.strictEqual(h.configSheet.getSheetByName('TOKENS_ARCHIVE_2026_01'), null);
+});
+
+test('archived USED rows still block re-issue through the reuse guard', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'ana@candidates.test', 'CL7 Cook');
+  h.advance(45 * DAY);
+
+  assert.strictEqual(h.app.archiveTerminalTokens_({}).archived, 1);
+  assert.strictEqual(h.configSheet.records('TOKENS').length, 0);
+
+  const decision = h.app.findBlockingInviteInTokens_({ brand: 'ROYAL', email: 'Ana@candidates.test', textForEmail: 'cl7 cook' });
+  assert.strictEqual(decision.blocked, true);
+  assert.strictEqual(decision.reason, 'LATEST_USED');
+  assert.strictEqual(decision.rowIndex, null);
+  assert.strictEqual(decision.archiveTab, 'TOKENS_ARCHIVE_2026_01');
+
+  const other = h.app.findBlockingInviteInTokens_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL8 Other' });
+  assert.strictEqual(other.blocked, false);
+});
+
+test('a newer live row outranks the archived guard row', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'ana@candidates.test', 'CL7 Cook');
+  h.advance(45 * DAY);
+  h.app.archiveTerminalTokens_({});
+
+  // Admin unlocks by issuing a fresh row (live rows are newer than archived ones)
+  h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL7 Cook' });
+  const decision = h.app.findBlockingInviteInTokens_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL7 Cook' });
+  assert.strictEqual(decision.blocked, false);
+  assert.strictEqual(decision.reason, 'LATEST_ALLOWED');
+  assert.strictEqual(decision.rowIndex, 2);
+});
+
+test('the guard keeps only the newest archived row per key', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'ana@candidates.test', 'CL7 Cook');
+  h.advance(45 * DAY);
+  h.app.archiveTerminalTokens_({});
+
+  h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL7 Cook' });
+  h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL7 Cook' }); // first -> SUPERSEDED
+  h.advance(45 * DAY);
+  const res = h.app.archiveTerminalTokens_({});
+  assert.strictEqual(res.archived, 1);
+
+  const guard = h.configSheet.records('TOKENS_ARCHIVE_GUARD');
+  assert.strictEqual(guard.length, 1);
+  assert.strictEqual(guard[0].Status, 'SUPERSEDED');
+  assert.strictEqual(guard[0]['Archive Tab'], 'TOKENS_ARCHIVE_2026_02');
+});
+
+test('archive tabs go to TOKENS_ARCHIVE_SHEET_ID when configured', () => {
+  const h = loadApp({ properties: { TOKENS_ARCHIVE_SHEET_ID: 'archive-book' } });
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'old@candidates.test', 'CL1 Cook');
+  h.advance(60 * DAY);
+
+  assert.strictEqual(h.app.archiveTerminalTokens_({}).archived, 1);
+  const book = h.fakes.SpreadsheetApp.openById('archive-book');
+  assert.strictEqual(book.records('TOKENS_ARCHIVE_2026_01').length, 1);
+  assert.strictEqual(h.configSheet.getSheetByName('TOKENS_ARCHIVE_2026_01'), null);
+  // guard stays beside TOKENS so the reuse check does not open a second spreadsheet
+  assert.strictEqual(h.configSheet.records('TOKENS_ARCHIVE_GUARD').length, 1);
+});
+
+test('token writers look their row up under the archive lock', () => {
+  const h = loadApp({ reentrantLock: true });
+  h.setNow(Date.UTC(2026, 0, 10, 12, 0, 0));
+  usedInvite(h, 'old@candidates.test', 'CL1 Cook');
+  h.setNow(Date.UTC(2026, 2, 20, 12, 0, 0));
+  const ana = h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL2 Bar' });
+  const ben = h.app.createOtp_({ email: 'ben@candidates.test', brand: 'ROYAL', textForEmail: 'CL3 Cook' });
+  assert.strictEqual(h.app.validateOtp_({ token: ana.token, otp: '000000' }).code, 'OTP_INCORRECT');
+
+  // the archive shifts every row up by one between Ana's two attempts
+  assert.strictEqual(h.app.archiveTerminalTokens_({ afterDays: 30 }).archived, 1);
+  assert.strictEqual(h.app.validateOtp_({ token: ana.token, otp: ana.otp }).ok, true);
+  assert.deepStrictEqual(h.configSheet.records('TOKENS').map((r) => [r.Email, r.Status, r.Attempts]), [
+    ['ana@candidates.test', 'VERIFIED', 1],
+    ['ben@candidates.test', 'PENDING', 0]
+  ]);
+  assert.strictEqual(h.fakes.scriptLock.hasLock(), false);
+
+  h.fakes.scriptLock.holdElsewhere();
+  assert.strictEqual(h.app.validateOtp_({ token: ben.token, otp: ben.otp }).code, 'LOCK_TIMEOUT');
+  assert.strictEqual(h.app.revokeActiveTokens_('ben@candidates.test', 'ROYAL', 't', 'admin@crewlifeatsea.com', { textForEmail: 'CL3 Cook' }).code, 'LOCK_TIMEOUT');
+  assert.strictEqual(h.app.createOtp_({ email: 'ben@candidates.test', brand: 'ROYAL', textForEmail: 'CL3 Cook' }).code, 'LOCK_TIMEOUT');
+  assert.strictEqual(h.configSheet.records('TOKENS')[1].Status, 'PENDING', 'nothing is written while the lock is busy');
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./support/gas');
+
+function seedOtps(h, count) {
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push(h.app.createOtp_({
+      email: 'crew' + i + '@candidates.test',
+      brand: 'ROYAL',
+      textForEmail: 'CL' + (100 + i) + ' Steward',
+      traceId: 'seed'
+    }));
+  }
+  return out;
+}
+
+/** Simulate a new Apps Script execution: module globals reset, cache survives. */
+function newExecution(h) {
+  h.app.tokenRepoMemo_ = {};
+}
+
+test('token lookups read only the matching row once the index is cached', () => {
+  const h = loadApp();
+  const created = seedOtps(h, 40);
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  const target = created[25];
+
+  h.app.rebuildTokenIndex();
+  newExecution(h);
+  sheet.cellsRead = 0;
+
+  const res = h.app.validateOtp_({ token: target.token, otp: target.otp });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.email, 'crew25@candidates.test');
+  // header row + tail check + one data row, not 41 rows x 15 columns
+  assert.ok(sheet.cellsRead < 3 * sheet.getLastColumn(), 'read ' + sheet.cellsRead + ' cells');
+});
+
+test('rows appended after the index was built are found', () => {
+  const h = loadApp();
+  seedOtps(h, 3);
+  h.app.rebuildTokenIndex();
+
+  const late = h.app.createOtp_({ email: 'late@candidates.test', brand: 'COSTA', textForEmail: 'CL9 Bar', traceId: 't' });
+  const res = h.app.validateOtp_({ token: late.token, otp: late.otp });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.brand, 'COSTA');
+});
+
+test('a deleted row followed by an append does not leave a stale index', () => {
+  const h = loadApp();
+  const created = seedOtps(h, 5);
+  h.app.rebuildTokenIndex();
+  newExecution(h);
+
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  sheet.deleteRow(3); // manual edit: created[1] disappears, later rows shift up
+  const late = h.app.createOtp_({ email: 'late@candidates.test', brand: 'ROYAL', textForEmail: 'CL9', traceId: 't' });
+
+  assert.strictEqual(h.app.peekToken_(created[1].token).code, 'NOT_FOUND');
+  assert.strictEqual(h.app.validateOtp_({ token: created[3].token, otp: created[3].otp }).ok, true);
+  assert.strictEqual(h.app.validateOtp_({ token: late.token, otp: late.otp }).ok, true);
+});
+
+test('resetConfigTab_ invalidates the index for the recreated TOKENS tab', () => {
+  const h = loadApp();
+  const before = seedOtps(h, 2);
+  h.app.rebuildTokenIndex();
+
+  h.app.resetConfigTab_('TOKENS');
+  assert.strictEqual(h.app.peekToken_(before[0].token).code, 'NOT_FOUND');
+
+  const after = h.app.createOtp_({ email: 'new@candidates.test', brand: 'ROYAL', textForEmail: 'CL1', traceId: 't' });
+  assert.strictEqual(h.app.validateOtp_({ token: after.token, otp: after.otp }).ok, true);
+});
+
+test('findBlockingInviteInTokens_ picks the latest matching row through the index', () => {
+  const h = loadApp();
+  h.setNow(Date.UTC(2026, 2, 1, 8, 0, 0));
+  const first = h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL7 Cook' });
+  assert.ok(first.ok);
+
+  const sheet = h.configSheet.getSheetByName('TOKENS');
+  const statusCol = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].indexOf('Status') + 1;
+  sheet.getRange(2, statusCol).setValue('USED');
+
+  const blocked = h.app.findBlockingInviteInTokens_({ brand: 'royal', email: 'ANA@candidates.test', textForEmail: 'cl7 cook' });
+  assert.strictEqual(blocked.blocked, true);
+  assert.strictEqual(blocked.reason, 'LATEST_USED');
+  assert.strictEqual(blocked.rowIndex, 2);
+
+  h.advance(60 * 1000);
+  h.app.createOtp_({ email: 'ana@candidates.test', brand: 'ROYAL', textForEmail: 'CL7 Cook' });
+  const allowed = h.app.findBlockingInviteInTokens_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL7 Cook' });
+  assert.strictEqual(allowed.blocked, false);
+  assert.strictEqual(allowed.reason, 'LATEST_ALLOWED');
+  assert.strictEqual(allowed.rowIndex, 3);
+
+  const other = h.app.findBlockingInviteInTokens_({ brand: 'ROYAL', email: 'ana@candidates.test', textForEmail: 'CL8 Other' });
+  assert.strictEqual(other.found, false);
+});
+
+test('getTokenHistory_ returns issueToken_ rows for the candidate without secrets', () => {
+  const h = loadApp();
+  h.app.issueToken_({ email: 'Ben@Candidates.test', brand: 'COSTA', textForEmail: 'CL3', traceId: 't' });
+  h.app.issueToken_({ email: 'ben@candidates.test', brand: 'COSTA', textForEmail: 'CL4', traceId: 't' });
+  h.app.issueToken_({ email: 'ben@candidates.test', brand: 'ROYAL', textForEmail: 'CL4', traceId: 't' });
+  h.app.issueToken_({ email: 'other@candidates.test', brand: 'COSTA', textForEmail: 'CL3', traceId: 't' });
+
+  const history = h.app.getTokenHistory_('ben@candidates.test', 'COSTA');
+  assert.strictEqual(JSON.stringify(history.map((r) => r['Text For Email'])), '["CL3","CL4"]');
+  assert.strictEqual(history[0].Token, undefined);
+  assert.strictEqual(history[0]['Email Hash'], undefined);
+  assert.match(history[0].tokenPrefix, /^.{8}\.\.\.$/);
+});